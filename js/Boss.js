@@ -4,21 +4,29 @@ class Boss {
         this.x = x;
         this.y = y;
 
-        // Get boss configuration
-        this.config = this.getBossConfig(type);
+        // Stats, phases and abilities come from the boss definition
+        // (CONFIG.BOSS_TYPES, see js/bossDefinitions.js)
+        this.definition = BossDefinitions.get(type) || BossDefinitions.get('raidTeam');
 
         // Basic properties
-        this.health = this.config.maxHealth;
-        this.maxHealth = this.config.maxHealth;
-        this.speed = this.config.speed;
-        this.size = this.config.size;
-        this.color = this.config.color;
-        this.reward = this.config.reward;
+        this.name = this.definition.name;
+        this.health = this.definition.health;
+        this.maxHealth = this.definition.health;
+        this.speed = this.definition.speed;
+        this.baseSpeed = this.definition.speed;
+        this.lane = 0; // Index into LevelManager.getLanes()
+        this.size = this.definition.size;
+        this.color = this.definition.color;
+        this.reward = { ...this.definition.reward };
+        this.regeneration = 0; // Share of max health healed per second
 
         // Boss phases - simple state machine
         this.phase = 1;
-        this.maxPhases = this.config.phases || 3;
+        this.maxPhases = Object.keys(this.definition.phases).length;
+        this.phaseOverrides = {};
         this.phaseThresholds = this.calculatePhaseThresholds();
+        this.damageReduction = 0;
+        this.statusEffects = new StatusEffects(this, this.getStatusImmunities());
 
         // State
         this.isAlive = true;
@@ -27,15 +35,31 @@ class Boss {
 
         // Movement
         this.pathIndex = 0;
+        this.route = null; // Grid route on open-field levels
+        this.routeVersion = -1;
+        this.routeTime = -Infinity;
         this.targetX = x;
         this.targetY = y;
         this.velocityX = 0;
         this.velocityY = 0;
 
-        // Abilities
-        this.abilities = this.config.abilities || [];
+        // Abilities of the current phase, with their parameters and
+        // telegraphs; telegraphs holds the areas marked for abilities that
+        // are winding up (see js/bossTelegraphs.js)
+        this.abilities = [];
+        this.abilityParams = {};
+        this.abilityTelegraphs = {};
         this.abilityTimers = new Map();
-        this.abilityStates = new Map();
+        this.telegraphs = {};
+
+        // Encounter (see js/bossEncounters.js): the link sharing this boss's
+        // phase schedule, and the escort squads it brings with the escorts
+        // still tied to it. Both start when the boss first updates.
+        this.link = null;
+        this.linkName = null;
+        this.escortSquads = [];
+        this.escorts = [];
+        this.encounterStarted = false;
 
         // Visual effects
         this.flashTime = 0;
@@ -43,64 +67,103 @@ class Boss {
         this.warningShown = false;
 
         // Statistics
-        this.spawnTime = performance.now();
+        this.spawnTime = this.now();
         this.damageDealt = 0;
         this.abilitiesUsed = 0;
 
-        this.initializeAbilities();
-        this.initializePhase(1);
-    }
-
-    getBossConfig(type) {
-        const bossConfigs = {
-            raidTeam: {
-                maxHealth: 1000,
-                speed: 0.5,
-                size: 40,
-                color: '#ff0080',
-                reward: { dharma: 200, bandwidth: 100, anonymity: 50 },
-                phases: 3,
-                abilities: ['spawn_minions', 'emp_burst', 'data_corruption']
-            },
-            megaCorp: {
-                maxHealth: 1500,
-                speed: 0.3,
-                size: 50,
-                color: '#800080',
-                reward: { dharma: 300, bandwidth: 150, anonymity: 100 },
-                phases: 4,
-                abilities: ['drone_swarm', 'shield_regen', 'market_crash', 'hostile_takeover']
-            },
-            corruptedMonk: {
-                maxHealth: 800,
-                speed: 0.7,
-                size: 35,
-                color: '#ff6600',
-                reward: { dharma: 250, bandwidth: 50, anonymity: 150 },
-                phases: 3,
-                abilities: ['healing_aura', 'corruption_field', 'meditation_storm']
-            }
-        };
-
-        if (typeof CONFIG !== 'undefined' && CONFIG.BOSS_TYPES && CONFIG.BOSS_TYPES[type]) {
-            return CONFIG.BOSS_TYPES[type];
-        }
+        this.applyPhaseRules(1);
+    }
 
-        return bossConfigs[type] || bossConfigs.raidTeam;
+    // Simulation clock (fixed-tick in deterministic mode, see js/simulation.js)
+    now() {
+        return window.simulation ? window.simulation.now() : performance.now();
     }
 
+    // Thresholds come from the wave script's overrides, then the definition;
+    // phases that set neither split the health bar evenly
     calculatePhaseThresholds() {
         const thresholds = [];
         for (let i = 1; i < this.maxPhases; i++) {
-            thresholds.push(this.maxHealth * (1 - i / this.maxPhases));
+            const override = this.phaseOverrides[i + 1];
+            const phase = this.definition.phases[i + 1];
+            let ratio = 1 - i / this.maxPhases;
+            if (override && override.healthThreshold !== undefined) {
+                ratio = override.healthThreshold;
+            } else if (phase && phase.healthThreshold !== undefined) {
+                ratio = phase.healthThreshold;
+            }
+            thresholds.push(this.maxHealth * ratio);
         }
         return thresholds;
     }
 
-    initializeAbilities() {
+    // A phase's definition; phases added by wave-script overrides past the
+    // boss's last one carry on with the last one's
+    getPhaseDefinition(phase) {
+        const phases = this.definition.phases;
+        return phases[phase] || phases[Object.keys(phases).length];
+    }
+
+    // Title and description shown when the boss enters a phase
+    getPhaseDescription(phase = this.phase) {
+        const definition = this.getPhaseDefinition(phase);
+        return {
+            title: `${this.name} - Phase ${phase}`,
+            description: definition.description || ''
+        };
+    }
+
+    // Per-phase tuning from a wave script boss entry, keyed by phase number:
+    // { healthThreshold, speedMultiplier, abilities }. Naming a phase past
+    // the boss's last one adds phases. Also recomputes the thresholds, so it
+    // must run after any maxHealth override.
+    applyPhaseOverrides(phases) {
+        this.phaseOverrides = JSON.parse(JSON.stringify(phases));
+
+        const phaseNumbers = Object.keys(this.phaseOverrides).map(Number);
+        this.maxPhases = Math.max(this.maxPhases, ...phaseNumbers);
+        this.phaseThresholds = this.calculatePhaseThresholds();
+    }
+
+    // From the wave script's boss entry: { link?, escorts? }
+    setEncounter(encounter) {
+        this.linkName = encounter.link || null;
+        this.escortSquads = [...(encounter.escorts || [])];
+    }
+
+    // Abilities carried over from the previous phase keep their timers
+    setAbilities(abilities) {
+        this.abilities = [...abilities];
         this.abilities.forEach(ability => {
-            this.abilityTimers.set(ability, 0);
-            this.abilityStates.set(ability, { active: false, cooldown: 0 });
+            if (!this.abilityTimers.has(ability)) {
+                this.abilityTimers.set(ability, 0);
+            }
+        });
+    }
+
+    // Resistances, damage reduction and abilities of a phase. Wave-script
+    // overrides can swap the ability list; abilities the phase does not
+    // define run with their defaults from js/bossAbilities.js.
+    applyPhaseRules(phase) {
+        const definition = this.getPhaseDefinition(phase);
+        const override = this.phaseOverrides[phase];
+        const entries = definition.abilities;
+
+        this.resistances = this.getPhaseResistances(phase);
+        this.damageReduction = definition.damageReduction || 0;
+
+        const abilities = override && override.abilities ? override.abilities : Object.keys(entries);
+        this.abilityParams = {};
+        this.abilityTelegraphs = {};
+        abilities.forEach(ability => {
+            this.abilityParams[ability] = BossAbilities.getParams(ability, entries[ability]);
+            this.abilityTelegraphs[ability] = BossAbilities.getTelegraph(ability, entries[ability]);
+        });
+        this.setAbilities(abilities);
+
+        // A warning for an ability the new phase dropped would never land
+        Object.keys(this.telegraphs).forEach(ability => {
+            if (!this.abilityTelegraphs[ability]) delete this.telegraphs[ability];
         });
     }
 
@@ -112,24 +175,17 @@ class Boss {
         const oldPhase = this.phase;
         this.phase = Math.max(1, Math.min(newPhase, this.maxPhases));
 
-        // Phase-specific initialization
-        switch (this.phase) {
-            case 1:
-                this.speed = this.config.speed;
-                break;
-            case 2:
-                this.speed = this.config.speed * 1.2;
-                this.color = this.lightenColor(this.config.color);
-                break;
-            case 3:
-                this.speed = this.config.speed * 1.5;
-                this.color = this.lightenColor(this.color);
-                break;
-            case 4:
-                this.speed = this.config.speed * 2;
-                this.color = '#ffffff';
-                break;
+        // Wave-script overrides replace the definition's speed
+        const definition = this.getPhaseDefinition(this.phase);
+        const override = this.phaseOverrides[this.phase];
+        let speedMultiplier = definition.speedMultiplier !== undefined ? definition.speedMultiplier : 1;
+        if (override && override.speedMultiplier !== undefined) {
+            speedMultiplier = override.speedMultiplier;
         }
+        this.speed = this.baseSpeed * speedMultiplier;
+        this.color = definition.color || this.definition.color;
+
+        this.applyPhaseRules(this.phase);
 
         // Show phase transition effect
         this.phaseTransitionTime = 1000;
@@ -145,51 +201,60 @@ class Boss {
             });
         }
 
-        if (window.audioManager) {
+        // The game's phase cinematic brings its own sound (js/bossPhaseCinematics.js)
+        const presented = window.game && typeof window.game.playBossPhaseCinematic === 'function' &&
+            window.game.playBossPhaseCinematic(this);
+        if (!presented && window.audioManager) {
             window.audioManager.playSound('boss_phase_change');
         }
 
         // Show warning to player
         if (window.uiManager && !this.warningShown) {
+            const description = this.getPhaseDescription();
             window.uiManager.showBossWarning({
-                name: `${this.type} - Phase ${this.phase}`,
-                description: this.getPhaseDescription(this.phase)
+                name: description.title,
+                description: description.description
             });
             this.warningShown = true;
         }
     }
 
-    getPhaseDescription(phase) {
-        const descriptions = {
-            1: "The battle begins...",
-            2: "Growing more aggressive!",
-            3: "Unleashing full power!",
-            4: "Final desperate assault!"
-        };
-        return descriptions[phase] || "Unknown phase";
+    // Base resistances with the phase's own laid over them (see js/damageTypes.js)
+    getPhaseResistances(phase) {
+        return typeof DamageTypes !== 'undefined' ? DamageTypes.forBossPhase(this.type, phase) : {};
     }
 
-    lightenColor(color) {
-        // Simple color lightening for phase transitions
-        const colors = {
-            '#ff0080': '#ff40a0',
-            '#800080': '#a040a0',
-            '#ff6600': '#ff8833'
-        };
-        return colors[color] || color;
+    getResistance(damageType) {
+        return typeof DamageTypes !== 'undefined' ? DamageTypes.getMultiplier(this.resistances, damageType) : 1;
+    }
+
+    // Effect types or tags this boss shrugs off (see js/statusEffects.js)
+    getStatusImmunities() {
+        const enemyConfig = typeof CONFIG !== 'undefined' && CONFIG.ENEMY_TYPES ? CONFIG.ENEMY_TYPES[this.type] : null;
+        return (enemyConfig && enemyConfig.statusImmunities) || [];
     }
 
-    update(deltaTime, defenses = [], enemies = []) {
+    update(deltaTime, defenses = [], enemies = window.game ? window.game.enemies : []) {
         if (!this.isAlive) return;
 
+        if (!this.encounterStarted) {
+            this.startEncounter();
+        }
+
         // Check for phase transitions
         this.updatePhase();
 
-        // Update abilities
-        this.updateAbilities(deltaTime, defenses, enemies);
+        this.statusEffects.update(deltaTime);
+        if (typeof Difficulty !== 'undefined') {
+            Difficulty.regenerate(this, deltaTime);
+        }
+        this.updateEscortRegeneration(deltaTime);
 
-        // Update movement
-        this.updateMovement(deltaTime);
+        // Abilities and movement halt while stunned or otherwise disabled
+        if (!this.statusEffects.isDisabled()) {
+            this.updateAbilities(deltaTime, defenses, enemies);
+            this.updateMovement(deltaTime);
+        }
 
         // Update visual effects
         this.updateEffects(deltaTime);
@@ -198,8 +263,46 @@ class Boss {
         this.checkReachedEnd();
     }
 
+    // Escorts spawn and the boss joins its link once it is on the field
+    startEncounter() {
+        this.encounterStarted = true;
+
+        if (typeof BossEncounters !== 'undefined') {
+            BossEncounters.deploy(this);
+            if (this.linkName) BossEncounters.join(this, this.linkName);
+        }
+        if (window.uiManager) {
+            window.uiManager.updateBossHealth(this);
+        }
+    }
+
+    // Buffs from the escorts still alive
+    getEscortBuffs() {
+        return typeof BossEncounters !== 'undefined'
+            ? BossEncounters.getBuffs(this)
+            : { shield: false, damageReduction: 0, regeneration: 0 };
+    }
+
+    isShielded() {
+        return this.getEscortBuffs().shield;
+    }
+
+    updateEscortRegeneration(deltaTime) {
+        const regeneration = this.getEscortBuffs().regeneration;
+        if (regeneration <= 0 || this.health >= this.maxHealth) return;
+
+        this.health = Math.min(this.maxHealth, this.health + this.maxHealth * regeneration * deltaTime / 1000);
+        if (window.uiManager) {
+            window.uiManager.updateBossHealth(this);
+        }
+    }
+
+    // Linked bosses follow their link's combined health instead of their own
     updatePhase() {
-        const healthPercent = this.health / this.maxHealth;
+        if (this.link) {
+            this.link.update();
+            return;
+        }
 
         for (let i = 0; i < this.phaseThresholds.length; i++) {
             if (this.health <= this.phaseThresholds[i] && this.phase <= i + 1) {
@@ -214,81 +317,38 @@ class Boss {
             const timer = this.abilityTimers.get(ability) + deltaTime;
             this.abilityTimers.set(ability, timer);
 
-            const state = this.abilityStates.get(ability);
-            if (state.cooldown > 0) {
-                state.cooldown -= deltaTime;
+            const cooldown = this.abilityParams[ability].cooldown;
+            const telegraph = this.abilityTelegraphs[ability];
+            if (telegraph && !this.telegraphs[ability] && timer >= cooldown - BossTelegraphs.getWindUp(telegraph)) {
+                this.startTelegraph(ability, defenses);
             }
-
-            // Trigger abilities based on phase and timing
-            if (this.shouldTriggerAbility(ability, timer)) {
+            if (timer >= cooldown) {
                 this.triggerAbility(ability, defenses, enemies);
             }
         });
     }
 
-    shouldTriggerAbility(ability, timer) {
-        const intervals = {
-            spawn_minions: 8000,
-            emp_burst: 12000,
-            data_corruption: 15000,
-            drone_swarm: 10000,
-            shield_regen: 20000,
-            market_crash: 25000,
-            hostile_takeover: 30000,
-            healing_aura: 6000,
-            corruption_field: 18000,
-            meditation_storm: 22000
-        };
-
-        const interval = intervals[ability] || 10000;
-        const phaseMultiplier = Math.max(0.5, 2 - this.phase * 0.3);
-        const adjustedInterval = interval * phaseMultiplier;
+    // Mark where a telegraphed ability will land for its wind-up. The area
+    // is fixed here; the ability hits whatever is inside it when it fires.
+    startTelegraph(ability, defenses) {
+        const area = BossTelegraphs.create(this, ability, this.abilityTelegraphs[ability], this.abilityParams[ability], defenses);
+        this.telegraphs[ability] = area;
 
-        const state = this.abilityStates.get(ability);
-        return timer >= adjustedInterval && state.cooldown <= 0;
+        if (window.game && window.game.bossWarningSynchronizer) {
+            window.game.bossWarningSynchronizer.synchronizeWarningToCooldown(this, ability, area.windUp);
+        }
+        return area;
     }
 
     triggerAbility(ability, defenses, enemies) {
         console.log(`[Boss] ${this.type} using ability: ${ability}`);
 
+        const area = this.telegraphs[ability] || null;
+        delete this.telegraphs[ability];
         this.abilityTimers.set(ability, 0);
         this.abilitiesUsed++;
 
-        const state = this.abilityStates.get(ability);
-        state.cooldown = 2000; // 2 second cooldown
-
-        switch (ability) {
-            case 'spawn_minions':
-                this.spawnMinions(enemies);
-                break;
-            case 'emp_burst':
-                this.empBurst(defenses);
-                break;
-            case 'data_corruption':
-                this.dataCorruption(defenses);
-                break;
-            case 'drone_swarm':
-                this.droneSwarm(enemies);
-                break;
-            case 'shield_regen':
-                this.shieldRegen();
-                break;
-            case 'market_crash':
-                this.marketCrash();
-                break;
-            case 'hostile_takeover':
-                this.hostileTakeover(defenses);
-                break;
-            case 'healing_aura':
-                this.healingAura(enemies);
-                break;
-            case 'corruption_field':
-                this.corruptionField(defenses);
-                break;
-            case 'meditation_storm':
-                this.meditationStorm();
-                break;
-        }
+        BossAbilities.trigger(this, ability, { defenses, enemies, area }, this.abilityParams[ability] || BossAbilities.getParams(ability));
 
         // Visual feedback
         if (window.particleSystem) {
@@ -303,158 +363,60 @@ class Boss {
         }
     }
 
-    // Boss Abilities (Simplified)
-    spawnMinions(enemies) {
-        const minionCount = this.phase + 1;
-        for (let i = 0; i < minionCount; i++) {
-            // Spawn enemies near the boss
-            const angle = (Math.PI * 2 / minionCount) * i;
-            const distance = 80;
-            const minionX = this.x + Math.cos(angle) * distance;
-            const minionY = this.y + Math.sin(angle) * distance;
-
-            // Create minion (simplified)
-            const minion = {
-                type: 'minion',
-                x: minionX,
-                y: minionY,
-                health: 50,
-                maxHealth: 50,
-                speed: 1.5,
-                size: 15,
-                color: '#ff8080',
-                isAlive: true,
-                isBossMinion: true
-            };
-
-            enemies.push(minion);
-        }
-    }
-
-    empBurst(defenses) {
-        // Stun nearby defenses
-        defenses.forEach(defense => {
-            const distance = Math.hypot(defense.x - this.x, defense.y - this.y);
-            if (distance <= 150) {
-                defense.stunned = true;
-                defense.stunnedTime = 3000;
-            }
-        });
-
-        // Screen flash effect
-        if (window.uiManager) {
-            window.uiManager.flashScreen('#0080ff', 300);
-        }
-    }
+    // Minions join the wave on the boss's lane (see Game.spawnMinion),
+    // spread in a ring around the boss
+    spawnMinions(minions, spread) {
+        if (!window.game || typeof window.game.spawnMinion !== 'function') return [];
 
-    dataCorruption(defenses) {
-        // Reduce defense effectiveness temporarily
-        defenses.forEach(defense => {
-            const distance = Math.hypot(defense.x - this.x, defense.y - this.y);
-            if (distance <= 200) {
-                defense.corruptedTime = 5000;
-                defense.damage *= 0.5;
-            }
-        });
-    }
-
-    droneSwarm(enemies) {
-        // Similar to spawn minions but with different properties
-        this.spawnMinions(enemies);
-    }
-
-    shieldRegen() {
-        // Regenerate health
-        const healAmount = Math.min(this.maxHealth * 0.1, this.maxHealth - this.health);
-        this.health += healAmount;
-
-        if (window.particleSystem) {
-            window.particleSystem.emit('heal', this.x, this.y, {
-                count: 10,
-                color: ['#00ff88']
+        const spawned = [];
+        for (let i = 0; i < minions.count; i++) {
+            const angle = (Math.PI * 2 / minions.count) * i;
+            const enemyData = { type: minions.type };
+            ['health', 'speed', 'reward'].forEach(field => {
+                if (minions[field] !== undefined) enemyData[field] = minions[field];
             });
-        }
-    }
 
-    marketCrash() {
-        // Drain player resources
-        if (window.game) {
-            const drain = { dharma: 50, bandwidth: 25, anonymity: 25 };
-            window.game.resources.dharma = Math.max(0, window.game.resources.dharma - drain.dharma);
-            window.game.resources.bandwidth = Math.max(0, window.game.resources.bandwidth - drain.bandwidth);
-            window.game.resources.anonymity = Math.max(0, window.game.resources.anonymity - drain.anonymity);
-            window.game.updateUI();
-        }
-
-        if (window.uiManager) {
-            window.uiManager.showNotification('Market Crash! Resources drained!', 'warning');
-        }
-    }
-
-    hostileTakeover(defenses) {
-        // Temporarily take control of a defense
-        const nearbyDefenses = defenses.filter(defense => {
-            const distance = Math.hypot(defense.x - this.x, defense.y - this.y);
-            return distance <= 100;
-        });
-
-        if (nearbyDefenses.length > 0) {
-            const targetDefense = nearbyDefenses[0];
-            targetDefense.hostile = true;
-            targetDefense.hostileTime = 8000;
-        }
-    }
-
-    healingAura(enemies) {
-        // Heal nearby enemies
-        enemies.forEach(enemy => {
-            if (enemy !== this && enemy.isAlive) {
-                const distance = Math.hypot(enemy.x - this.x, enemy.y - this.y);
-                if (distance <= 120) {
-                    const healAmount = Math.min(enemy.maxHealth * 0.2, enemy.maxHealth - enemy.health);
-                    enemy.health += healAmount;
-                }
-            }
-        });
-    }
-
-    corruptionField(defenses) {
-        // Similar to data corruption but wider area
-        this.dataCorruption(defenses);
-    }
-
-    meditationStorm() {
-        // Area attack that damages defenses
-        if (window.game && window.game.defenseManager) {
-            window.game.defenseManager.defenses.forEach(defense => {
-                const distance = Math.hypot(defense.x - this.x, defense.y - this.y);
-                if (distance <= 180) {
-                    // Defenses don't usually take damage, but this is a special boss ability
-                    defense.stunned = true;
-                    defense.stunnedTime = 4000;
-                }
-            });
-        }
-
-        if (window.particleSystem) {
-            window.particleSystem.emit('explosion', this.x, this.y, {
-                count: 25,
-                color: ['#ff6600', '#ffaa33']
-            });
+            const minion = window.game.spawnMinion(this, enemyData,
+                this.x + Math.cos(angle) * spread, this.y + Math.sin(angle) * spread);
+            if (minion) spawned.push(minion);
         }
+        return spawned;
     }
 
     updateMovement(deltaTime) {
-        // Simple path following
-        if (window.game && window.game.systemManager) {
-            const levelManager = window.game.systemManager.getLevelManager();
-            if (levelManager) {
-                const path = levelManager.getCurrentPath();
-                if (path && path.length > 0) {
-                    this.followPath(path, deltaTime);
-                }
+        // Simple path following along the boss's own lane
+        const path = this.getPath();
+        if (path && path.length > 0) {
+            this.followPath(path, deltaTime);
+        }
+    }
+
+    // The route (open field) or lane the boss is walking
+    getPath() {
+        const levelManager = window.game && window.game.systemManager
+            ? window.game.systemManager.getLevelManager()
+            : null;
+        if (!levelManager) return null;
+        return this.getOpenFieldRoute(levelManager) || levelManager.getLane(this.lane);
+    }
+
+    // Same re-planning as Enemy.getOpenFieldRoute()
+    getOpenFieldRoute(levelManager) {
+        const pathfinder = levelManager.pathfinder;
+        if (!pathfinder) return null;
+
+        const now = this.now();
+        const stale = this.routeVersion !== pathfinder.version && now - this.routeTime >= pathfinder.updateInterval;
+        if (!this.route || stale) {
+            const route = levelManager.findRoute(this.x, this.y, this.lane);
+            this.routeVersion = pathfinder.version;
+            this.routeTime = now;
+            if (route) {
+                this.route = route;
+                this.pathIndex = 0;
             }
         }
+        return this.route;
     }
 
     followPath(path, deltaTime) {
@@ -476,7 +438,7 @@ class Boss {
 
         // Move toward target
         const angle = Math.atan2(target.y - this.y, target.x - this.x);
-        const moveSpeed = this.speed * deltaTime * 0.1;
+        const moveSpeed = this.speed * this.statusEffects.getSpeedMultiplier() * deltaTime * 0.1;
 
         this.x += Math.cos(angle) * moveSpeed;
         this.y += Math.sin(angle) * moveSpeed;
@@ -497,16 +459,33 @@ class Boss {
         if (this.reachedEnd && window.game) {
             // Boss reaching end causes significant damage
             window.game.gameState.lives -= 5;
-            window.uiManager.showNotification('Boss breached defenses! Critical damage!', 'error');
+            if (window.uiManager) {
+                window.uiManager.showNotification('Boss breached defenses! Critical damage!', 'error');
+            }
         }
     }
 
     takeDamage(amount, damageType = 'normal') {
         if (!this.isAlive) return false;
 
-        // Apply damage reduction based on phase
-        const damageReduction = Math.max(0, (this.phase - 1) * 0.1);
-        const actualDamage = Math.max(1, amount * (1 - damageReduction));
+        // Nothing gets through while a shield squad stands
+        const buffs = this.getEscortBuffs();
+        if (buffs.shield) {
+            if (window.particleSystem) {
+                window.particleSystem.emit('hit', this.x, this.y, {
+                    count: 4,
+                    color: ['#74b9ff', '#ffffff']
+                });
+            }
+            return false;
+        }
+
+        // Apply the phase's damage reduction and the escorts'
+        const reduction = buffs.damageReduction > 0
+            ? Math.min(BossEncounters.MAX_DAMAGE_REDUCTION, this.damageReduction + buffs.damageReduction)
+            : this.damageReduction;
+        const actualDamage = Math.max(1, amount * (1 - reduction)) *
+            this.getResistance(damageType) * this.statusEffects.getDamageTakenMultiplier(damageType);
 
         this.health -= actualDamage;
         this.flashTime = 200;
@@ -521,7 +500,7 @@ class Boss {
 
         // Update boss health bar
         if (window.uiManager) {
-            window.uiManager.updateBossHealth(this.health, this.maxHealth);
+            window.uiManager.updateBossHealth(this);
         }
 
         if (this.health <= 0) {
@@ -556,7 +535,7 @@ class Boss {
                 achievementManager.trackEvent('boss_defeated', {
                     type: this.type,
                     phase: this.phase,
-                    timeAlive: performance.now() - this.spawnTime
+                    timeAlive: this.now() - this.spawnTime
                 });
             }
         }
@@ -564,7 +543,7 @@ class Boss {
         // Big reward
         if (window.game) {
             window.game.addResources(this.reward);
-            window.game.gameState.score += this.reward.dharma * 100;
+            window.game.addScore(this.reward.dharma * 100);
         }
 
         if (window.audioManager) {
@@ -572,7 +551,7 @@ class Boss {
         }
 
         if (window.uiManager) {
-            window.uiManager.showNotification(`${this.type} defeated! Epic rewards!`, 'success', 5000);
+            window.uiManager.showNotification(`${this.name} defeated! Epic rewards!`, 'success', 5000);
         }
     }
 
@@ -644,6 +623,19 @@ class Boss {
         this.renderEffects(ctx);
     }
 
+    // Drawn under every unit (see Game.render), so towers stay visible
+    // inside the warning
+    renderTelegraphs(ctx) {
+        if (!this.isAlive) return;
+
+        Object.keys(this.telegraphs).forEach(ability => {
+            const area = this.telegraphs[ability];
+            const remaining = this.abilityParams[ability].cooldown - this.abilityTimers.get(ability);
+            const progress = area.windUp > 0 ? Math.max(0, Math.min(1, 1 - remaining / area.windUp)) : 1;
+            BossTelegraphs.render(ctx, area, progress);
+        });
+    }
+
     renderEffects(ctx) {
         // Render phase-specific effects
         if (this.phase >= 2) {
@@ -669,6 +661,114 @@ class Boss {
             ctx.stroke();
             ctx.restore();
         }
+
+        this.renderEscortTethers(ctx);
+        this.statusEffects.render(ctx, this.x, this.y - this.size - 12);
+    }
+
+    // Lines to the escorts still buffing the boss, so the player can see
+    // what to take down first, and a bubble while they shield it
+    renderEscortTethers(ctx) {
+        const escorts = this.escorts.filter(escort => escort.isAlive);
+        if (escorts.length === 0) return;
+
+        ctx.save();
+        ctx.strokeStyle = '#74b9ff';
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.35;
+        escorts.forEach(escort => {
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(escort.x, escort.y);
+            ctx.stroke();
+        });
+
+        if (this.isShielded()) {
+            ctx.globalAlpha = 0.2 + Math.sin(performance.now() * 0.005) * 0.05;
+            ctx.fillStyle = '#74b9ff';
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size + 14, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Get boss state for saving/loading
+    getState() {
+        const abilityTimers = {};
+        this.abilities.forEach(ability => {
+            abilityTimers[ability] = this.abilityTimers.get(ability);
+        });
+
+        return {
+            type: this.type,
+            isBoss: true,
+            x: this.x,
+            y: this.y,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            speed: this.speed,
+            baseSpeed: this.baseSpeed,
+            reward: this.reward,
+            regeneration: this.regeneration,
+            phase: this.phase,
+            phaseOverrides: this.phaseOverrides,
+            color: this.color,
+            pathIndex: this.pathIndex,
+            lane: this.lane,
+            warningShown: this.warningShown,
+            abilitiesUsed: this.abilitiesUsed,
+            damageDealt: this.damageDealt,
+            statusEffects: this.statusEffects.getState(),
+            abilityTimers,
+            telegraphs: JSON.parse(JSON.stringify(this.telegraphs)),
+            link: this.link ? this.link.getState() : null,
+            linkName: this.linkName,
+            escortSquads: [...this.escortSquads],
+            encounterStarted: this.encounterStarted
+        };
+    }
+
+    // Restore boss state from saved data. The phase is applied directly
+    // (not through initializePhase) so loading does not replay the phase
+    // transition effects and warnings.
+    setState(state) {
+        ['x', 'y', 'health', 'maxHealth', 'speed', 'baseSpeed', 'regeneration', 'pathIndex', 'lane', 'abilitiesUsed', 'damageDealt'].forEach(field => {
+            if (typeof state[field] === 'number') this[field] = state[field];
+        });
+
+        if (state.reward !== undefined) this.reward = state.reward;
+        // Saves from before encounters had no escorts to send in
+        this.linkName = typeof state.linkName === 'string' ? state.linkName : null;
+        this.escortSquads = Array.isArray(state.escortSquads) ? [...state.escortSquads] : [];
+        this.encounterStarted = state.encounterStarted !== false;
+        if (typeof state.color === 'string') this.color = state.color;
+        this.warningShown = !!state.warningShown;
+
+        if (state.phaseOverrides) {
+            this.applyPhaseOverrides(state.phaseOverrides);
+        }
+        this.phaseThresholds = this.calculatePhaseThresholds();
+        if (typeof state.phase === 'number') {
+            this.phase = Math.max(1, Math.min(state.phase, this.maxPhases));
+        }
+        this.applyPhaseRules(this.phase);
+        this.statusEffects.setState(state.statusEffects);
+
+        this.abilities.forEach(ability => {
+            if (state.abilityTimers && typeof state.abilityTimers[ability] === 'number') {
+                this.abilityTimers.set(ability, state.abilityTimers[ability]);
+            }
+        });
+
+        // Warnings in progress stay where they were aimed
+        this.telegraphs = {};
+        Object.keys(state.telegraphs || {}).forEach(ability => {
+            if (this.abilityTelegraphs[ability]) this.telegraphs[ability] = state.telegraphs[ability];
+        });
     }
 
     getStats() {
@@ -677,7 +777,7 @@ class Boss {
             phase: this.phase,
             health: this.health,
             maxHealth: this.maxHealth,
-            timeAlive: performance.now() - this.spawnTime,
+            timeAlive: this.now() - this.spawnTime,
             abilitiesUsed: this.abilitiesUsed,
             damageDealt: this.damageDealt
         };
@@ -1,5 +1,48 @@
 import Utils from './utils.js';
 
+// Fire timing follows the simulation clock (fixed-tick in deterministic mode)
+const simulationNow = () => (window.simulation ? window.simulation.now() : Utils.performance.now());
+const simulationRandom = () => (window.simulation ? window.simulation.random() : Math.random());
+
+// Damage type for a defense's type, level and upgrade choices (see js/damageTypes.js)
+const damageTypeFor = (defense) => (window.DamageTypes
+    ? window.DamageTypes.forDefense(defense.type, defense.level, defense.upgradeChoices)
+    : 'kinetic');
+
+// Status effects each shot applies (CONFIG.DEFENSE_TYPES[type].onHitEffects, see js/statusEffects.js)
+const onHitEffectsFor = (type) => window.CONFIG?.DEFENSE_TYPES?.[type]?.onHitEffects || [];
+
+const BASE_DEFENSE_SIZE = 20;
+
+const formatCost = (cost) => Object.entries(cost)
+    .filter(([, amount]) => amount > 0)
+    .map(([resource, amount]) => `${amount} ${resource}`)
+    .join(', ') || 'free';
+
+// Recompute a defense's stats and abilities from its base config and the
+// upgrade path it has taken (see js/upgradeTrees.js). Abilities are the
+// type's innate ones plus those unlocked along the path (js/defenseAbilities.js).
+const applyUpgradePath = (defense, config) => {
+    const upgradeTrees = window.UpgradeTrees;
+    const modifiers = upgradeTrees.getModifiers(defense.type, defense.level, defense.upgradeChoices);
+
+    defense.damage = config.damage * modifiers.damage;
+    defense.range = config.range * modifiers.range;
+    defense.fireRate = config.fireRate / modifiers.fireRate;
+    defense.size = BASE_DEFENSE_SIZE * modifiers.size;
+    defense.abilities = [...new Set([
+        ...window.DefenseAbilities.getInnateAbilities(defense.type),
+        ...upgradeTrees.getAbilities(defense.type, defense.level, defense.upgradeChoices)
+    ])];
+    defense.projectileType = defense.abilities.includes('explosive_rounds') ? 'explosive' : 'normal';
+    defense.damageType = damageTypeFor(defense);
+
+    // Upgrade previews are plain objects without effects or timers
+    if (defense.statusEffects) {
+        window.DefenseAbilities.refresh(defense);
+    }
+};
+
 class DefenseManager {
     constructor() {
         this.defenses = [];
@@ -11,6 +54,12 @@ class DefenseManager {
         this.defenseStats = new Map();
         this.defensePool = new Map();
 
+        // Simulation times of shots in the last second, for the bandwidth cap
+        this.recentShots = [];
+
+        // Difficulty mutator rules (see setRules); kept when the field is cleared
+        this.rules = { bannedTypes: [], noSelling: false };
+
         this.callbacks = new Map();
 
         this.initializeDefenseTypes();
@@ -78,6 +127,9 @@ class DefenseManager {
     }
 
     setupEventListeners() {
+        // Headless runs (scripts/simulate.js) have no DOM
+        if (typeof document === 'undefined') return;
+
         console.log('[DefenseManager] Setting up event listeners for defense items');
 
         // Defense selection items using data-type attributes
@@ -135,6 +187,10 @@ class DefenseManager {
             console.warn(`[DefenseManager] Unknown defense type: ${defenseType}`);
             return;
         }
+        if (this.isBanned(defenseType)) {
+            this.triggerCallback('placementFailure', { reason: 'banned', type: defenseType });
+            return;
+        }
 
         this.selectedDefenseType = defenseType;
         this.placementMode = true;
@@ -149,10 +205,11 @@ class DefenseManager {
 
     canPlaceDefense(x, y, defenseType) {
         const config = this.defenseTypes[defenseType];
-        if (!config) return false;
+        if (!config || this.isBanned(defenseType)) return false;
 
         // Check if position is valid
-        if (!this.isValidPlacement(x, y)) {
+        const position = this.snapToGrid(x, y);
+        if (!this.isValidPlacement(position.x, position.y)) {
             return false;
         }
 
@@ -167,16 +224,28 @@ class DefenseManager {
     placeDefense(x, y, defenseType = this.selectedDefenseType) {
         if (!this.canPlaceDefense(x, y, defenseType)) {
             console.warn(`[DefenseManager] Cannot place defense at (${x}, ${y})`);
+
+            const levelManager = this.getLevelManager();
+            const position = this.snapToGrid(x, y);
+            const reason = this.isBanned(defenseType)
+                ? 'banned'
+                : (levelManager ? levelManager.getGridBlockReason(position.x, position.y) : null);
+            if (reason) {
+                this.triggerCallback('placementFailure', { reason });
+            }
             return null;
         }
 
         const config = this.defenseTypes[defenseType];
+        ({ x, y } = this.snapToGrid(x, y));
 
         // Create defense object
         const defense = this.createDefense(x, y, defenseType, config);
 
         // Add to defense list
         this.defenses.push(defense);
+        this.syncGrid();
+        this.updateSynergies();
 
         // Deduct resources
         this.deductResources(config.cost);
@@ -205,43 +274,71 @@ class DefenseManager {
             range: config.range,
             fireRate: config.fireRate,
             color: config.color,
+            damageType: null,
+            abilities: [],
+            abilityTimers: {},
+            synergies: [],
+            synergyBonus: window.Synergies.getBonus([]),
+            projectileType: 'normal',
+            onHitEffects: onHitEffectsFor(type),
+            statusEffects: null,
 
             // State
             lastFired: 0,
+            shotsFired: 0,
             target: null,
             kills: 0,
             totalDamage: 0,
+            upgradeChoices: [],
+            targetingMode: window.Targeting.DEFAULT_MODE,
+            targetingPriority: [],
 
             // Visual
             angle: 0,
-            size: 20,
+            size: BASE_DEFENSE_SIZE,
 
             // Methods
+            // Accelerating auras and synergies shorten the reload
             canFire: function () {
-                const now = Utils.performance.now();
-                return (now - this.lastFired) >= (1000 / this.fireRate);
+                const now = simulationNow();
+                const fireRate = this.fireRate * this.statusEffects.getFireRateMultiplier() * this.synergyBonus.fireRate;
+                return (now - this.lastFired) >= (1000 / fireRate);
             },
 
-            fire: function (target) {
+            // context: see js/defenseAbilities.js
+            fire: function (target, context) {
                 if (!this.canFire()) return null;
 
-                this.lastFired = Utils.performance.now();
+                this.lastFired = simulationNow();
+                this.shotsFired++;
                 this.target = target;
                 this.angle = Utils.math.angle(this.x, this.y, target.x, target.y);
 
-                // Create projectile
+                // Create projectile; corruption and similar effects weaken the
+                // shot, synergies strengthen it (see js/synergies.js)
+                const random = context ? context.random : simulationRandom;
+                const damage = this.damage * this.statusEffects.getDamageMultiplier() *
+                    this.synergyBonus.damage * window.Synergies.rollCrit(this, target, random);
                 const projectile = window.projectilePool?.getProjectile(
-                    this.x, this.y, target, this.damage, 260, 'normal', this.type
+                    this.x, this.y, target, damage,
+                    260, this.projectileType, this.type, this.damageType
                 );
+                if (projectile) {
+                    projectile.effects = this.onHitEffects;
+                    projectile.source = this;
+                    window.DefenseAbilities.onFire(this, projectile, context);
+                }
 
                 return projectile;
             },
 
-            upgrade: function () {
+            // choiceIndex picks the branch on levels with choices
+            upgrade: function (choiceIndex = null) {
                 this.level++;
-                this.damage *= 1.2;
-                this.range *= 1.1;
-                this.fireRate *= 1.1;
+                if (choiceIndex !== null) {
+                    this.upgradeChoices.push({ level: this.level, index: choiceIndex });
+                }
+                applyUpgradePath(this, config);
             },
 
             takeDamage: function (damage) {
@@ -249,6 +346,8 @@ class DefenseManager {
                 return false; // Not destroyed
             }
         };
+        defense.statusEffects = new window.StatusEffects(defense);
+        applyUpgradePath(defense, config);
 
         return defense;
     }
@@ -267,10 +366,61 @@ class DefenseManager {
         this.triggerCallback('defenseDeselected');
     }
 
+    // Player actions on defenses are routed through the 'playerCommand'
+    // callback so Game can queue them onto a simulation tick and record them
+    // for replays. Without a handler they are applied immediately. They name
+    // their defense by id, since a queued sale would shift the indices of
+    // the defenses after it.
+    requestCommand(type, data) {
+        if (this.triggerCallback('playerCommand', { type, data }) === true) return;
+        this.executeCommand(type, data);
+    }
+
+    // The command with its defenseId swapped for the defense's index at the
+    // time it runs (-1 once sold). Ids are not seeded, so replays record the
+    // index.
+    resolveCommand({ type, data }) {
+        if (!data || data.defenseId === undefined) return { type, data };
+
+        const { defenseId, ...rest } = data;
+        return { type, data: { ...rest, defenseIndex: this.defenses.findIndex(defense => defense.id === defenseId) } };
+    }
+
+    executeCommand(type, data) {
+        const defense = data.defenseId !== undefined
+            ? this.defenses.find(entry => entry.id === data.defenseId)
+            : (data.defenseIndex !== undefined ? this.defenses[data.defenseIndex] : null);
+
+        switch (type) {
+            case 'placeDefense':
+                return this.placeDefense(data.x, data.y, data.type) !== null;
+            case 'sellDefense':
+                return defense ? this.sellDefense(defense) : false;
+            case 'upgradeDefense':
+                return defense ? this.upgradeDefense(defense, data.choice ?? null) : false;
+            case 'setTargeting':
+                if (!defense) return false;
+                return data.priority !== undefined
+                    ? this.setTargetingPriority(defense, data.priority)
+                    : this.setTargetingMode(defense, data.mode);
+            default:
+                console.warn(`[DefenseManager] Unknown command: ${type}`);
+                return false;
+        }
+    }
+
     sellSelectedDefense() {
         if (!this.selectedDefense) return;
 
-        const defense = this.selectedDefense;
+        this.requestCommand('sellDefense', { defenseId: this.selectedDefense.id });
+    }
+
+    sellDefense(defense) {
+        if (this.rules.noSelling) {
+            this.triggerCallback('sellFailure', { defense, reason: 'no_selling' });
+            return false;
+        }
+
         const sellValue = this.calculateSellValue(defense);
 
         // Remove from defenses array
@@ -278,6 +428,8 @@ class DefenseManager {
         if (index > -1) {
             this.defenses.splice(index, 1);
         }
+        this.syncGrid();
+        this.updateSynergies();
 
         // Refund resources
         this.refundResources(sellValue);
@@ -289,39 +441,68 @@ class DefenseManager {
         this.triggerCallback('defenseSold', { defense, refund: sellValue });
 
         // Deselect
-        this.deselectDefense();
+        if (this.selectedDefense === defense) {
+            this.deselectDefense();
+        }
 
         console.log(`[DefenseManager] Sold ${defense.type} defense for`, sellValue);
+        return true;
     }
 
-    upgradeSelectedDefense() {
+    upgradeSelectedDefense(choice = null) {
         if (!this.selectedDefense) return;
 
-        const defense = this.selectedDefense;
-        const upgradeCost = this.calculateUpgradeCost(defense);
+        this.requestCommand('upgradeDefense', { defenseId: this.selectedDefense.id, choice });
+    }
+
+    // Levels with choices in CONFIG.UPGRADE_TREES need choiceIndex; on
+    // other levels it is ignored
+    upgradeDefense(defense, choiceIndex = null) {
+        const upgradeTrees = window.UpgradeTrees;
+        const nextLevel = defense.level + 1;
+
+        if (nextLevel > upgradeTrees.MAX_LEVEL) {
+            console.warn('[DefenseManager] Defense is already at max level');
+            this.triggerCallback('upgradeFailure', { reason: 'max_level' });
+            return false;
+        }
+
+        if (!upgradeTrees.requiresChoice(defense.type, nextLevel)) {
+            choiceIndex = null;
+        } else if (!upgradeTrees.isValidChoice(defense.type, nextLevel, choiceIndex)) {
+            console.warn(`[DefenseManager] Level ${nextLevel} ${defense.type} upgrade needs a choice`);
+            this.triggerCallback('upgradeFailure', { reason: 'choice_required' });
+            return false;
+        }
+
+        const upgradeCost = this.calculateUpgradeCost(defense, choiceIndex);
 
         if (!this.hasEnoughResources(upgradeCost)) {
             console.warn('[DefenseManager] Not enough resources to upgrade');
             this.triggerCallback('upgradeFailure', { reason: 'insufficient_resources' });
-            return;
+            return false;
         }
 
         // Deduct upgrade cost
         this.deductResources(upgradeCost);
 
-        // Apply upgrade
-        defense.upgrade();
+        // Apply upgrade (the wider range changes what routes avoid and
+        // which partners are in reach)
+        defense.upgrade(choiceIndex);
+        this.syncGrid();
+        this.updateSynergies();
 
         // Update stats
         this.updateDefenseStats(defense.type, 'upgraded');
 
         // Trigger callbacks
-        this.triggerCallback('defenseUpgraded', { defense, cost: upgradeCost });
+        this.triggerCallback('defenseUpgraded', { defense, cost: upgradeCost, choice: choiceIndex });
 
         // Update UI
         this.updateDefenseInfo();
 
         console.log(`[DefenseManager] Upgraded ${defense.type} to level ${defense.level}`);
+        return true;
     }
 
     showUpgradeTree() {
@@ -333,26 +514,69 @@ class DefenseManager {
     toggleTargeting() {
         if (!this.selectedDefense) return;
 
-        // Cycle through targeting modes
-        const modes = ['first', 'last', 'strongest', 'weakest'];
-        const currentMode = this.selectedDefense.targetingMode || 'first';
+        // Cycle through targeting modes (see js/targeting.js)
+        const modes = window.Targeting.getModes();
+        const currentMode = this.selectedDefense.targetingMode || window.Targeting.DEFAULT_MODE;
         const currentIndex = modes.indexOf(currentMode);
         const nextIndex = (currentIndex + 1) % modes.length;
 
-        this.selectedDefense.targetingMode = modes[nextIndex];
-
-        this.triggerCallback('targetingChanged', {
-            defense: this.selectedDefense,
-            mode: this.selectedDefense.targetingMode
+        this.requestCommand('setTargeting', {
+            defenseId: this.selectedDefense.id,
+            mode: modes[nextIndex]
         });
+    }
+
+    // A single mode replaces any priority list the defense had
+    setTargetingMode(defense, mode) {
+        if (!window.Targeting.isValidMode(mode)) {
+            console.warn(`[DefenseManager] Unknown targeting mode: ${mode}`);
+            return false;
+        }
+
+        defense.targetingMode = mode;
+        defense.targetingPriority = [];
+
+        this.triggerCallback('targetingChanged', { defense, mode, priority: defense.targetingPriority });
+
+        this.updateDefenseInfo();
+        return true;
+    }
+
+    // Ordered rules such as ['boss', 'healer', 'first']; an empty list goes
+    // back to the single targeting mode
+    setTargetingPriority(defense, priority) {
+        const normalized = window.Targeting.normalizePriority(priority);
+        if (!Array.isArray(priority) || normalized.length !== priority.length) {
+            console.warn('[DefenseManager] Invalid targeting priority:', priority);
+            return false;
+        }
+
+        defense.targetingPriority = normalized;
+
+        this.triggerCallback('targetingChanged', { defense, mode: defense.targetingMode, priority: normalized });
 
         this.updateDefenseInfo();
+        return true;
+    }
+
+    selectTargetingMode(mode) {
+        if (!this.selectedDefense) return;
+
+        this.requestCommand('setTargeting', { defenseId: this.selectedDefense.id, mode });
+    }
+
+    selectTargetingPriority(priority) {
+        if (!this.selectedDefense) return;
+
+        this.requestCommand('setTargeting', { defenseId: this.selectedDefense.id, priority });
     }
 
     update(deltaTime, enemies) {
+        const context = this.getAbilityContext(enemies);
+
         // Update all defenses
         for (const defense of this.defenses) {
-            this.updateDefense(defense, deltaTime, enemies);
+            this.updateDefense(defense, deltaTime, enemies, context);
         }
 
         // Update placement preview
@@ -361,12 +585,20 @@ class DefenseManager {
         }
     }
 
-    updateDefense(defense, deltaTime, enemies) {
+    updateDefense(defense, deltaTime, enemies, context = this.getAbilityContext(enemies)) {
+        // Stunned, EMP-disabled and taken-over defenses hold fire and
+        // their abilities pause
+        defense.statusEffects.update(deltaTime);
+        if (defense.statusEffects.isDisabled()) return;
+
+        window.DefenseAbilities.update(defense, deltaTime, context);
+
         // Find target
         const target = this.findTarget(defense, enemies);
 
-        if (target && defense.canFire()) {
-            const projectile = defense.fire(target);
+        if (target && defense.canFire() && this.hasShotCapacity()) {
+            const projectile = defense.fire(target, context);
+            this.recordShot(defense);
 
             if (projectile) {
                 this.triggerCallback('defenseFireProjectile', { defense, projectile, target });
@@ -374,50 +606,47 @@ class DefenseManager {
         }
     }
 
-    findTarget(defense, enemies) {
-        const validTargets = enemies.filter(enemy => {
-            if (!enemy.isAlive) return false;
-
-            const distance = Utils.math.distance(defense.x, defense.y, enemy.x, enemy.y);
-            return distance <= defense.range;
-        });
+    // Banked bandwidth caps the shots all defenses together fire per second
+    // (see js/economy.js); without a 'getResources' listener there is no cap
+    hasShotCapacity() {
+        const resources = this.triggerCallback('getResources');
+        if (!resources || !window.Economy) return true;
 
-        if (validTargets.length === 0) return null;
-
-        // Apply targeting strategy
-        const targetingMode = defense.targetingMode || 'first';
-
-        // Prefer targets the defense can actually hit (basic lead feasibility)
-        validTargets.sort((a, b) => {
-            const da = Utils.math.distance(defense.x, defense.y, a.x + (a.velocityX || 0) * 0.25, a.y + (a.velocityY || 0) * 0.25);
-            const db = Utils.math.distance(defense.x, defense.y, b.x + (b.velocityX || 0) * 0.25, b.y + (b.velocityY || 0) * 0.25);
-            return da - db;
-        });
+        const now = simulationNow();
+        this.recentShots = this.recentShots.filter(time => now - time < 1000);
+        return this.recentShots.length < window.Economy.getShotCap(resources.bandwidth);
+    }
 
-        switch (targetingMode) {
-            case 'first':
-                return validTargets.reduce((closest, enemy) => {
-                    return enemy.pathProgress > closest.pathProgress ? enemy : closest;
-                });
+    // Loud defenses give away anonymity with every shot
+    recordShot(defense) {
+        this.recentShots.push(simulationNow());
 
-            case 'last':
-                return validTargets.reduce((furthest, enemy) => {
-                    return enemy.pathProgress < furthest.pathProgress ? enemy : furthest;
-                });
+        const noise = window.Economy ? window.Economy.getNoise(defense.type) : 0;
+        if (noise > 0) {
+            this.triggerCallback('drainResources', { amount: { anonymity: noise } });
+        }
+    }
 
-            case 'strongest':
-                return validTargets.reduce((strongest, enemy) => {
-                    return enemy.health > strongest.health ? enemy : strongest;
-                });
+    // Shots fired in the last second
+    getShotLoad() {
+        const now = simulationNow();
+        return this.recentShots.filter(time => now - time < 1000).length;
+    }
 
-            case 'weakest':
-                return validTargets.reduce((weakest, enemy) => {
-                    return enemy.health < weakest.health ? enemy : weakest;
-                });
+    // What ability hooks see (see js/defenseAbilities.js); generated
+    // resources go to whoever listens for 'generateResources'
+    getAbilityContext(enemies) {
+        return {
+            enemies,
+            defenses: this.defenses,
+            random: simulationRandom,
+            grantResources: (defense, amount) => this.triggerCallback('generateResources', { defense, amount })
+        };
+    }
 
-            default:
-                return validTargets[0];
-        }
+    // Priority rules and modes live in js/targeting.js
+    findTarget(defense, enemies) {
+        return window.Targeting.select(defense, enemies);
     }
 
     render(ctx) {
@@ -443,6 +672,7 @@ class DefenseManager {
                 window.spriteManager.drawSprite(ctx, spriteName,
                     defense.x - defense.size, defense.y - defense.size,
                     defense.size * 2, defense.size * 2, defense.angle);
+                defense.statusEffects.render(ctx, defense.x, defense.y - defense.size - 4);
                 return;
             }
         }
@@ -452,6 +682,15 @@ class DefenseManager {
         ctx.translate(defense.x, defense.y);
         ctx.rotate(defense.angle);
 
+        if (defense.statusEffects.isDisabled()) {
+            ctx.filter = 'brightness(0.5)';
+        }
+
+        // Hidden from scanning by an anonymity field
+        if (window.DefenseAbilities.isHidden(defense)) {
+            ctx.globalAlpha = 0.5;
+        }
+
         // Defense body
         ctx.fillStyle = defense.color;
         ctx.strokeStyle = '#ffffff';
@@ -467,6 +706,9 @@ class DefenseManager {
         ctx.fillText(defense.level.toString(), 0, 4);
 
         ctx.restore();
+
+        // Status effect icons above the body
+        defense.statusEffects.render(ctx, defense.x, defense.y - defense.size / 2 - 6);
     }
 
     renderSelectionIndicators(ctx) {
@@ -488,13 +730,35 @@ class DefenseManager {
             ctx.arc(defense.x, defense.y, defense.range, 0, Math.PI * 2);
             ctx.stroke();
             ctx.globalAlpha = 1;
+
+            // Synergy links: to the partners boosting this defense, and to
+            // the defenses it boosts
+            const links = [
+                ...defense.synergies.map(({ partner }) => partner),
+                ...window.Synergies.getSupported(defense, this.defenses).map(supported => supported.defense)
+            ];
+            if (links.length > 0) {
+                ctx.save();
+                ctx.strokeStyle = '#ffd700';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 4]);
+                ctx.globalAlpha = 0.8;
+                links.forEach(other => {
+                    ctx.beginPath();
+                    ctx.moveTo(defense.x, defense.y);
+                    ctx.lineTo(other.x, other.y);
+                    ctx.stroke();
+                });
+                ctx.restore();
+            }
         }
     }
 
     renderPlacementPreview(ctx) {
         if (!window.inputManager) return;
 
-        const mousePos = window.inputManager.getMouseWorldPosition();
+        const mouseWorld = window.inputManager.getMouseWorldPosition();
+        const mousePos = this.snapToGrid(mouseWorld.x, mouseWorld.y);
         const canPlace = this.canPlaceDefense(mousePos.x, mousePos.y, this.selectedDefenseType);
 
         ctx.save();
@@ -521,14 +785,47 @@ class DefenseManager {
     }
 
     // Helper methods
-    isValidPlacement(x, y) {
+    // Level manager of the running game (or HeadlessRunner), as Enemy finds it
+    getLevelManager() {
+        return window.game?.systemManager?.getLevelManager() || null;
+    }
+
+    // Open-field levels put defenses in the middle of a grid cell
+    snapToGrid(x, y) {
+        const levelManager = this.getLevelManager();
+        return levelManager && levelManager.pathfinder
+            ? levelManager.pathfinder.snapToCell(x, y)
+            : { x, y };
+    }
+
+    // Tell an open-field level which cells the defenses now block
+    syncGrid() {
+        const levelManager = this.getLevelManager();
+        if (levelManager && levelManager.pathfinder) {
+            levelManager.setGridObstacles(this.defenses);
+        }
+    }
+
+    // Which pairings are active depends on where defenses stand and their range
+    updateSynergies() {
+        window.Synergies.refresh(this.defenses);
+    }
+
+    // ignore: a defense that does not count as in the way (when moving it)
+    isValidPlacement(x, y, ignore = null) {
+        // Open-field levels: any free cell that leaves enemies a way through
+        const levelManager = this.getLevelManager();
+        if (levelManager && levelManager.pathfinder) {
+            return levelManager.getGridBlockReason(x, y) === null;
+        }
+
         // Check if position is on the path (not allowed)
         if (this.isOnPath(x, y)) return false;
 
         // Check if too close to other defenses
         const minDistance = 40;
         for (const defense of this.defenses) {
-            if (Utils.math.distance(x, y, defense.x, defense.y) < minDistance) {
+            if (defense !== ignore && Utils.math.distance(x, y, defense.x, defense.y) < minDistance) {
                 return false;
             }
         }
@@ -537,25 +834,87 @@ class DefenseManager {
     }
 
     isOnPath(x, y) {
-        // Simple path checking - would integrate with actual path system
-        const levelManager = window.gameSystemManager?.getLevelManager();
+        const levelManager = this.getLevelManager();
         if (!levelManager) return false;
 
-        const path = levelManager.getCurrentPath();
-        if (!path) return false;
-
-        // Check if point is too close to path
+        // Check if point is too close to any lane
         const pathWidth = 30;
-        for (let i = 0; i < path.length - 1; i++) {
-            const distanceToSegment = this.distanceToLineSegment(
-                x, y, path[i].x, path[i].y, path[i + 1].x, path[i + 1].y
-            );
-            if (distanceToSegment < pathWidth) return true;
+        for (const path of levelManager.getLanes()) {
+            for (let i = 0; i < path.length - 1; i++) {
+                const distanceToSegment = this.distanceToLineSegment(
+                    x, y, path[i].x, path[i].y, path[i + 1].x, path[i + 1].y
+                );
+                if (distanceToSegment < pathWidth) return true;
+            }
         }
 
         return false;
     }
 
+    // After an endless run relays its path: defenses the new path runs
+    // through move to the nearest free spot, and any with nowhere to go are
+    // removed with everything spent on them refunded (even with no selling).
+    // Returns the { moved, refunded } defenses.
+    relocateDefenses() {
+        const moved = [];
+        const refunded = [];
+
+        [...this.defenses].forEach(defense => {
+            if (!this.isOnPath(defense.x, defense.y)) return;
+
+            const spot = this.findFreeSpot(defense);
+            if (spot) {
+                defense.x = spot.x;
+                defense.y = spot.y;
+                moved.push(defense);
+                return;
+            }
+
+            const baseConfig = this.defenseTypes[defense.type];
+            const refund = window.UpgradeTrees.getTotalCost(defense.type, baseConfig.cost, defense.level, defense.upgradeChoices);
+            this.defenses.splice(this.defenses.indexOf(defense), 1);
+            this.refundResources(refund);
+            if (this.selectedDefense === defense) {
+                this.deselectDefense();
+            }
+            refunded.push(defense);
+        });
+
+        if (moved.length > 0 || refunded.length > 0) {
+            this.syncGrid();
+            this.updateSynergies();
+        }
+        return { moved, refunded };
+    }
+
+    // Nearest valid spot to a defense on the canvas, searched outwards in
+    // grid-sized rings; null when none is close enough
+    findFreeSpot(defense, maxRings = 6) {
+        const step = window.CONFIG?.GRID_SIZE || 40;
+        const width = window.CONFIG?.CANVAS_WIDTH || Infinity;
+        const height = window.CONFIG?.CANVAS_HEIGHT || Infinity;
+        const margin = step / 2;
+
+        for (let ring = 1; ring <= maxRings; ring++) {
+            const candidates = [];
+            for (let dx = -ring; dx <= ring; dx++) {
+                for (let dy = -ring; dy <= ring; dy++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+                    candidates.push({ x: defense.x + dx * step, y: defense.y + dy * step });
+                }
+            }
+            candidates.sort((a, b) =>
+                Utils.math.distance(defense.x, defense.y, a.x, a.y) - Utils.math.distance(defense.x, defense.y, b.x, b.y));
+
+            const spot = candidates.find(candidate =>
+                candidate.x >= margin && candidate.x <= width - margin &&
+                candidate.y >= margin && candidate.y <= height - margin &&
+                this.isValidPlacement(candidate.x, candidate.y, defense));
+            if (spot) return spot;
+        }
+        return null;
+    }
+
     distanceToLineSegment(px, py, x1, y1, x2, y2) {
         const dx = x2 - x1;
         const dy = y2 - y1;
@@ -583,29 +942,44 @@ class DefenseManager {
         this.triggerCallback('refundResources', { refund });
     }
 
+    // Part of everything spent along the defense's upgrade path
     calculateSellValue(defense) {
         const baseConfig = this.defenseTypes[defense.type];
-        const sellRatio = 0.7; // 70% refund
-
-        return {
-            dharma: Math.floor(baseConfig.cost.dharma * sellRatio * defense.level),
-            bandwidth: Math.floor(baseConfig.cost.bandwidth * sellRatio * defense.level),
-            anonymity: Math.floor(baseConfig.cost.anonymity * sellRatio * defense.level)
-        };
+        return window.UpgradeTrees.getSellValue(defense.type, baseConfig.cost, defense.level, defense.upgradeChoices);
     }
 
-    calculateUpgradeCost(defense) {
+    calculateUpgradeCost(defense, choiceIndex = null) {
         const baseConfig = this.defenseTypes[defense.type];
-        const multiplier = Math.pow(1.5, defense.level - 1);
+        return window.UpgradeTrees.getStepCost(defense.type, baseConfig.cost, defense.level + 1, choiceIndex);
+    }
+
+    // Stats the defense would have after its next upgrade, taking choiceIndex
+    // on levels with choices (shown by the upgrade tree screen)
+    getUpgradePreview(defense, choiceIndex = null) {
+        const config = this.defenseTypes[defense.type];
+        const level = defense.level + 1;
+        const preview = {
+            type: defense.type,
+            level,
+            upgradeChoices: choiceIndex !== null
+                ? [...defense.upgradeChoices, { level, index: choiceIndex }]
+                : [...defense.upgradeChoices]
+        };
+        applyUpgradePath(preview, config);
 
         return {
-            dharma: Math.floor(baseConfig.cost.dharma * multiplier),
-            bandwidth: Math.floor(baseConfig.cost.bandwidth * multiplier),
-            anonymity: Math.floor(baseConfig.cost.anonymity * multiplier)
+            damage: preview.damage,
+            range: preview.range,
+            fireRate: preview.fireRate,
+            damageType: preview.damageType,
+            abilities: preview.abilities,
+            cost: this.calculateUpgradeCost(defense, choiceIndex)
         };
     }
 
     updateDefenseSelection() {
+        if (typeof document === 'undefined') return;
+
         // Update UI to show selected defense type
         for (const defenseType in this.defenseTypes) {
             const button = document.getElementById(`${defenseType}-defense-btn`);
@@ -613,9 +987,17 @@ class DefenseManager {
                 button.classList.toggle('selected', defenseType === this.selectedDefenseType);
             }
         }
+
+        document.querySelectorAll('.defense-item[data-type]').forEach(item => {
+            const banned = this.isBanned(item.dataset.type);
+            item.classList.toggle('banned', banned);
+            item.title = banned ? 'Banned this level' : '';
+        });
     }
 
     updateDefenseInfo() {
+        if (typeof document === 'undefined') return;
+
         const infoPanel = document.getElementById('defense-info-panel');
         if (!infoPanel) return;
 
@@ -635,17 +1017,123 @@ class DefenseManager {
             <h3>${config.name} (Level ${defense.level})</h3>
             <p>${config.description}</p>
             <div class="defense-stats">
-                <div>Damage: ${Math.floor(defense.damage)}</div>
+                <div>Damage: ${Math.floor(defense.damage)}${window.DamageTypes ? ` ${window.DamageTypes.getName(defense.damageType)}` : ''}</div>
                 <div>Range: ${Math.floor(defense.range)}</div>
                 <div>Fire Rate: ${defense.fireRate.toFixed(1)}/s</div>
                 <div>Kills: ${defense.kills}</div>
                 <div>Total Damage: ${Utils.game.formatNumber(defense.totalDamage)}</div>
+                ${defense.abilities.length > 0 ? `<div>Abilities: ${defense.abilities.map(ability =>
+                    `<span title="${window.UpgradeTrees.describeAbility(ability)}">${ability}</span>`).join(', ')}</div>` : ''}
+                ${this.getPathNames(defense).map(name => `<div>Path: ${name}</div>`).join('')}
+                ${this.getSynergyLines(defense).map(line => `<div>${line}</div>`).join('')}
+            </div>
+            ${this.getTargetingHTML(defense)}
+            ${this.getUpgradeOptionsHTML(defense)}
+            <div class="defense-actions">
+                <button class="action-btn secondary" data-action="tree">Upgrade Tree</button>
+                <button class="action-btn secondary" data-action="sell">Sell (${formatCost(this.calculateSellValue(defense))})</button>
             </div>
         `;
 
+        panel.querySelectorAll('[data-choice]').forEach(button => {
+            button.addEventListener('click', () => {
+                const choice = button.dataset.choice === '' ? null : Number(button.dataset.choice);
+                this.upgradeSelectedDefense(choice);
+            });
+        });
+        panel.querySelector('[data-targeting-mode]')?.addEventListener('change', (event) => {
+            this.selectTargetingMode(event.target.value);
+        });
+        panel.querySelector('[data-priority-add]')?.addEventListener('change', (event) => {
+            if (event.target.value) this.selectTargetingPriority([...defense.targetingPriority, event.target.value]);
+        });
+        panel.querySelectorAll('[data-priority-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = Number(button.dataset.priorityRemove);
+                this.selectTargetingPriority(defense.targetingPriority.filter((mode, i) => i !== index));
+            });
+        });
+        panel.querySelector('[data-action="tree"]')?.addEventListener('click', () => this.showUpgradeTree());
+        panel.querySelector('[data-action="sell"]')?.addEventListener('click', () => this.sellSelectedDefense());
+
         panel.style.display = 'block';
     }
 
+    // Names of the upgrade choices a defense has taken
+    getPathNames(defense) {
+        return window.UpgradeTrees.getPath(defense.type, defense.level, defense.upgradeChoices)
+            .filter(step => step.choice)
+            .map(step => step.choice.name);
+    }
+
+    // Mode picker plus the priority list: each rule can be removed, and
+    // rules not yet in the list can be appended
+    getTargetingHTML(defense) {
+        const targeting = window.Targeting;
+        const option = (mode, selected = false) =>
+            `<option value="${mode}" title="${targeting.getMode(mode).description}"${selected ? ' selected' : ''}>${targeting.getMode(mode).name}</option>`;
+        const unused = targeting.getModes().filter(mode => !defense.targetingPriority.includes(mode));
+        const canAdd = defense.targetingPriority.length < targeting.MAX_PRIORITY_RULES;
+
+        return `
+            <div class="defense-targeting">
+                <label>Targeting:
+                    <select data-targeting-mode>
+                        ${targeting.getModes().map(mode => option(mode, mode === defense.targetingMode)).join('')}
+                    </select>
+                </label>
+                <div>Priority: ${targeting.describe(defense)}</div>
+                <div class="targeting-priority">
+                    ${defense.targetingPriority.map((mode, index) =>
+                        `<button class="priority-rule" data-priority-remove="${index}" title="Remove">${index + 1}. ${targeting.getMode(mode).name} ✕</button>`).join('')}
+                    ${canAdd ? `<select data-priority-add>
+                        <option value="">Add priority…</option>
+                        ${unused.map(mode => option(mode)).join('')}
+                    </select>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Synergies a defense has, and the ones it provides to others
+    getSynergyLines(defense) {
+        const nameOf = (other) => this.defenseTypes[other.type].name;
+        return [
+            ...defense.synergies.map(({ synergy, partner }) =>
+                `Synergy: <span title="${synergy.description}">${synergy.name}</span> (with ${nameOf(partner)})`),
+            ...window.Synergies.getSupported(defense, this.defenses).map(({ synergy, defense: other }) =>
+                `Supports: <span title="${synergy.description}">${synergy.name}</span> (${nameOf(other)})`)
+        ];
+    }
+
+    // Next upgrade as one button, or one button per branch when the level
+    // has choices
+    getUpgradeOptionsHTML(defense) {
+        const upgradeTrees = window.UpgradeTrees;
+        const nextLevel = defense.level + 1;
+        if (nextLevel > upgradeTrees.MAX_LEVEL) {
+            return '<div class="upgrade-choices"><div>Max level</div></div>';
+        }
+
+        const upgrade = upgradeTrees.getUpgrade(defense.type, nextLevel) || {};
+        const choices = upgradeTrees.getChoices(defense.type, nextLevel);
+        const options = choices.length > 0
+            ? choices.map((choice, index) => ({ index, name: choice.name, description: choice.description }))
+            : [{ index: '', name: `Upgrade to Level ${nextLevel}`, description: upgrade.description }];
+
+        return `
+            ${choices.length > 0 ? `<div>Level ${nextLevel}: ${upgrade.description || ''} (choose one)</div>` : ''}
+            <div class="upgrade-choices">
+                ${options.map(option => `
+                <button class="upgrade-choice" data-choice="${option.index}">
+                    <strong>${option.name}</strong>
+                    <div>${option.description || ''}</div>
+                    <div>${formatCost(this.calculateUpgradeCost(defense, option.index === '' ? null : option.index))}</div>
+                </button>`).join('')}
+            </div>
+        `;
+    }
+
     updateDefenseStats(defenseType, action) {
         if (!this.defenseStats.has(defenseType)) {
             this.defenseStats.set(defenseType, {
@@ -706,19 +1194,115 @@ class DefenseManager {
         }, 0);
     }
 
+    // Per defense type: lifetime counters plus how many of its defenses have
+    // each synergy active right now, by synergy id
     getDefenseStats() {
         const stats = {};
         for (const [type, data] of this.defenseStats) {
-            stats[type] = { ...data };
+            stats[type] = { ...data, synergies: {} };
+        }
+        for (const defense of this.defenses) {
+            if (!stats[defense.type]) {
+                stats[defense.type] = { placed: 0, sold: 0, upgraded: 0, kills: 0, damage: 0, synergies: {} };
+            }
+            const counts = stats[defense.type].synergies;
+            defense.synergies.forEach(({ synergy }) => {
+                counts[synergy.id] = (counts[synergy.id] || 0) + 1;
+            });
         }
         return stats;
     }
 
+    // Save/Load
+    getState() {
+        const now = simulationNow();
+
+        return this.defenses.map(defense => ({
+            id: defense.id,
+            type: defense.type,
+            x: defense.x,
+            y: defense.y,
+            level: defense.level,
+            damage: defense.damage,
+            range: defense.range,
+            fireRate: defense.fireRate,
+            targetingMode: defense.targetingMode,
+            targetingPriority: [...defense.targetingPriority],
+            upgradeChoices: defense.upgradeChoices ? [...defense.upgradeChoices] : [],
+            kills: defense.kills,
+            totalDamage: defense.totalDamage,
+            angle: defense.angle,
+            statusEffects: defense.statusEffects.getState(),
+            abilityTimers: { ...defense.abilityTimers },
+            shotsFired: defense.shotsFired,
+            // Remaining reload time rather than the absolute lastFired stamp
+            cooldown: Math.max(0, (1000 / defense.fireRate) - (now - defense.lastFired))
+        }));
+    }
+
+    setState(defenseStates) {
+        this.clear();
+        if (!Array.isArray(defenseStates)) return;
+
+        const now = simulationNow();
+
+        for (const state of defenseStates) {
+            const config = this.defenseTypes[state.type];
+            if (!config) {
+                console.warn(`[DefenseManager] Skipping saved defense of unknown type: ${state.type}`);
+                continue;
+            }
+
+            // Restored defenses were already paid for, so no resource callbacks
+            const defense = this.createDefense(state.x, state.y, state.type, config);
+            defense.id = state.id || defense.id;
+            defense.level = Math.min(state.level || 1, window.UpgradeTrees.MAX_LEVEL);
+            defense.targetingMode = window.Targeting.isValidMode(state.targetingMode)
+                ? state.targetingMode
+                : window.Targeting.DEFAULT_MODE;
+            defense.targetingPriority = window.Targeting.normalizePriority(state.targetingPriority);
+            defense.upgradeChoices = state.upgradeChoices ? [...state.upgradeChoices] : [];
+            // Stats follow from the level and path rather than the saved numbers
+            applyUpgradePath(defense, config);
+            defense.kills = state.kills || 0;
+            defense.totalDamage = state.totalDamage || 0;
+            defense.angle = state.angle || 0;
+            defense.statusEffects.setState(state.statusEffects);
+            Object.assign(defense.abilityTimers, state.abilityTimers || {});
+            defense.shotsFired = state.shotsFired || 0;
+            defense.lastFired = now - (1000 / defense.fireRate) + (state.cooldown || 0);
+
+            this.defenses.push(defense);
+        }
+        this.syncGrid();
+        this.updateSynergies();
+
+        console.log(`[DefenseManager] Restored ${this.defenses.length} defenses`);
+    }
+
+    // Mutator rules from js/difficulty.js: { bannedTypes, noSelling }
+    setRules(rules = {}) {
+        this.rules = {
+            bannedTypes: [...(rules.bannedTypes || [])],
+            noSelling: !!rules.noSelling
+        };
+        if (this.isBanned(this.selectedDefenseType)) {
+            this.placementMode = false;
+        }
+        this.updateDefenseSelection();
+    }
+
+    isBanned(defenseType) {
+        return this.rules.bannedTypes.includes(defenseType);
+    }
+
     clear() {
         this.defenses.length = 0;
         this.selectedDefense = null;
         this.placementMode = false;
         this.defenseStats.clear();
+        this.recentShots = [];
+        this.syncGrid();
     }
 
     destroy() {
@@ -0,0 +1,484 @@
+import DefenseManager from './DefenseManager.js';
+import PathGenerator from './pathGenerator.js';
+import { projectilePool } from './Projectile.js';
+import Rewards from './rewards.js';
+
+// Headless balance runner: plays one level from a scripted defense layout with
+// no canvas, DOM or player. It mirrors Game's update order, spawn handling and
+// reward rules so its numbers match the browser game, and stands in as
+// window.game for the entity code that calls back into the game.
+//
+// The global-style scripts (config, simulation, enemy, Boss, wave scripts,
+// level) must be loaded first; scripts/simulate.js does that under Node.
+//
+// Layout fields:
+//   level      - campaign level to play (default 1)
+//   levelFile  - level file (format in js/level.js) to play instead; its
+//                level number replaces level
+//   seed       - simulation seed (default 1)
+//   defenses   - [{ type, x, y, level, choices }] placed in order before
+//                wave 1; level > 1 buys upgrades right after placement, and
+//                choices picks the branch on levels that have them, as
+//                { "<level>": choiceIndex }
+//   difficulty - { preset, mutators } (js/difficulty.js; default: the
+//                CONFIG.DEFAULT_DIFFICULTY preset with no mutators)
+//   endless    - seed of an endless run (js/endless.js) to play instead of
+//                the level; it is played on the CONFIG.ENDLESS map with
+//                generated paths, and ends on defeat, maxWaves or maxTime
+//   resources  - starting resources (default: CONFIG.INITIAL_* scaled by the
+//                difficulty preset, as in Game.startLevel)
+//   waveDelay  - ms between one wave ending and the next starting (default
+//                3000); shorter delays earn bigger early-call bonuses
+//   maxWaves   - stop after this many waves (default: play the whole level)
+//   maxTime    - simulated ms before the run is abandoned (default 30 min)
+
+class HeadlessRunner {
+    constructor(layout = {}) {
+        this.layout = {
+            level: 1,
+            seed: 1,
+            defenses: [],
+            difficulty: null,
+            endless: null,
+            resources: null,
+            waveDelay: 3000,
+            maxWaves: null,
+            maxTime: 30 * 60 * 1000,
+            ...layout
+        };
+        if (this.layout.levelFile) {
+            this.layout.level = this.layout.levelFile.level;
+        } else if (this.layout.endless !== null) {
+            this.layout.level = window.Endless.getRules().level;
+        }
+
+        this.gameState = null;
+        this.difficulty = null;
+        this.bannedTowers = [];
+        this.resources = null;
+        this.enemies = [];
+        this.defenseManager = null;
+        this.levelManager = null;
+
+        // Subset of GameSystemManager used by Enemy and Boss
+        this.systemManager = {
+            getLevelManager: () => this.levelManager,
+            getAudioManager: () => null,
+            getAchievementManager: () => null
+        };
+    }
+
+    run() {
+        const simulation = window.simulation;
+        const previousGame = window.game;
+        const previousSimulation = simulation.getState();
+
+        window.game = this;
+        try {
+            this.setup();
+
+            const step = simulation.fixedTimestep;
+            const maxTicks = Math.ceil(this.layout.maxTime / step);
+
+            while (!this.gameState.ended) {
+                if (simulation.tick >= maxTicks) {
+                    this.endRun('timeout');
+                    break;
+                }
+
+                this.startWaveIfReady();
+                if (this.gameState.ended) break;
+
+                simulation.step();
+                this.update(step);
+            }
+
+            return this.getSummary();
+
+        } finally {
+            window.game = previousGame;
+            simulation.setState(previousSimulation);
+            projectilePool.clear();
+        }
+    }
+
+    setup() {
+        const simulation = window.simulation;
+        simulation.enableDeterministic(this.layout.seed);
+        this.difficulty = window.Difficulty.normalize(this.layout.difficulty);
+
+        this.gameState = {
+            running: true,
+            paused: false,
+            level: this.layout.level,
+            wave: 0,
+            lives: 10,
+            maxLives: 10,
+            score: 0,
+            ended: false
+        };
+        this.resources = this.layout.resources
+            ? { ...this.layout.resources }
+            : window.Difficulty.getStartingResources(this.difficulty);
+        this.enemies = [];
+        projectilePool.clear();
+
+        this.stats = {
+            result: null,
+            earned: { dharma: 0, bandwidth: 0, anonymity: 0 },
+            damageByDefenseType: {},
+            killsByDefenseType: {},
+            waves: [],
+            bosses: new Map(),
+            placementErrors: [],
+            pathChanges: [],
+            minions: 0
+        };
+        this.lastWaveEnd = 0;
+        this.waveLivesAtStart = this.gameState.lives;
+
+        this.defenseManager = new DefenseManager();
+        // Bans are the first draw off the seeded RNG, as in Game.applyDifficulty()
+        this.bannedTowers = window.Difficulty.pickBannedTowers(
+            this.difficulty, Object.keys(this.defenseManager.defenseTypes), () => simulation.random()
+        );
+        this.defenseManager.setRules({
+            bannedTypes: this.bannedTowers,
+            noSelling: window.Difficulty.getModifiers(this.difficulty).noSelling
+        });
+        this.defenseManager.on('checkResources', (data) => this.checkResources(data.cost));
+        this.defenseManager.on('deductResources', (data) => this.deductResources(data.cost));
+        this.defenseManager.on('refundResources', (data) => this.addResources(data.refund, false));
+        this.defenseManager.on('generateResources', (data) => this.addResources(data.amount));
+        this.defenseManager.on('getResources', () => this.resources);
+        this.defenseManager.on('drainResources', (data) => this.drainResources(data.amount));
+        this.defenseManager.on('upgradeFailure', (data) => { this.lastUpgradeFailure = data.reason; });
+
+        this.levelManager = new window.LevelManager();
+        this.levelManager.setDifficultySettings(this.difficulty);
+        this.levelManager.setCallbacks({
+            onWaveStart: (data) => this.onWaveStart(data),
+            onWaveComplete: (data) => this.onWaveComplete(data),
+            onLevelComplete: () => this.endRun('victory'),
+            onEnemySpawnRequest: (enemyData, spawnPoint, path) => this.spawnEnemy(enemyData, spawnPoint, path),
+            onWaveContextRequest: () => this.getWaveContext(),
+            onPathChanged: (data) => this.onPathChanged(data)
+        });
+        // Campaign paths are generated as in the browser game, seeded from the
+        // simulation seed (LevelManager.getPathSeed()); endless paths are
+        // relaid every few waves from the endless seed
+        const config = window.CONFIG;
+        this.levelManager.setPathGenerator(new PathGenerator(config.CANVAS_WIDTH, config.CANVAS_HEIGHT, config.GRID_SIZE));
+        if (this.layout.endless !== null) {
+            this.levelManager.setEndless({ seed: this.layout.endless });
+        }
+        if (this.layout.levelFile) {
+            const errors = this.levelManager.setCustomLevel(this.layout.levelFile);
+            if (errors.length > 0) {
+                throw new Error(`Invalid level file: ${errors.join('; ')}`);
+            }
+        }
+        this.levelManager.initializeLevel(this.layout.level);
+
+        this.placeDefenses();
+    }
+
+    placeDefenses() {
+        this.layout.defenses.forEach((entry, index) => {
+            const defense = this.defenseManager.placeDefense(entry.x, entry.y, entry.type);
+            if (!defense) {
+                const reason = this.defenseManager.isBanned(entry.type) ? 'banned' : 'placement_rejected';
+                this.stats.placementErrors.push({ index, type: entry.type, reason });
+                return;
+            }
+
+            for (let level = 1; level < (entry.level || 1); level++) {
+                const choice = entry.choices ? entry.choices[level + 1] : undefined;
+                if (!this.defenseManager.upgradeDefense(defense, choice ?? null)) {
+                    const reason = this.lastUpgradeFailure === 'insufficient_resources'
+                        ? 'upgrade_unaffordable'
+                        : `upgrade_${this.lastUpgradeFailure}`;
+                    this.stats.placementErrors.push({ index, type: entry.type, reason });
+                    break;
+                }
+            }
+        });
+    }
+
+    // Stands in for the player pressing "Next Wave" once the field is clear
+    startWaveIfReady() {
+        const levelManager = this.levelManager;
+        if (levelManager.isWaveInProgress()) return;
+
+        const maxWaves = this.layout.maxWaves;
+        if (maxWaves && levelManager.currentWave >= maxWaves) {
+            this.endRun('stopped');
+            return;
+        }
+
+        if (window.simulation.now() - this.lastWaveEnd >= this.layout.waveDelay &&
+            levelManager.currentWave < levelManager.maxWaves) {
+            levelManager.startWave();
+        }
+    }
+
+    // Same order as Game.update(), minus input, camera and particles
+    update(deltaTime) {
+        this.updateEnemies(deltaTime);
+        this.defenseManager.update(deltaTime, this.enemies);
+        this.updateEconomy(deltaTime);
+        projectilePool.updateAll(deltaTime);
+        this.levelManager.update(deltaTime);
+        this.checkGameOver();
+    }
+
+    updateEnemies(deltaTime) {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+
+            if (enemy.update) {
+                enemy.update(deltaTime, this.defenseManager.defenses, this.enemies);
+            }
+            this.trackBoss(enemy);
+
+            if (!enemy.isAlive) {
+                this.onEnemyKilled(enemy);
+                this.enemies.splice(i, 1);
+            } else if (enemy.reachedEnd) {
+                this.onEnemyEscaped(enemy);
+                this.enemies.splice(i, 1);
+            }
+        }
+    }
+
+    spawnEnemy(enemyData, spawnPoint, path) {
+        if (!enemyData || !spawnPoint || !path) return false;
+
+        const enemy = window.Enemy.fromSpawnData(enemyData, spawnPoint, path);
+        this.enemies.push(enemy);
+
+        if (enemy.isBoss) {
+            this.stats.bosses.set(enemy, {
+                type: enemy.type,
+                wave: this.gameState.wave,
+                spawnedAt: window.simulation.now(),
+                phases: [{ phase: 1, at: 0 }],
+                defeatedAt: null,
+                escapedAt: null
+            });
+        }
+
+        this.levelManager.onEnemySpawned();
+        return true;
+    }
+
+    // Same as Game.spawnMinion
+    spawnMinion(boss, enemyData, x, y) {
+        const path = this.levelManager.getLane(boss.lane);
+        if (!path || path.length === 0) return null;
+
+        const minion = window.Enemy.fromSpawnData({ ...enemyData, lane: boss.lane }, { x, y }, path);
+        minion.pathIndex = boss.pathIndex;
+        minion.isBossMinion = true;
+
+        this.enemies.push(minion);
+        this.levelManager.onMinionSpawned();
+        this.stats.minions++;
+        return minion;
+    }
+
+    // Boss phase timings, in ms since the boss spawned
+    trackBoss(enemy) {
+        const record = this.stats.bosses.get(enemy);
+        if (!record) return;
+
+        const elapsed = window.simulation.now() - record.spawnedAt;
+        const phase = enemy.phase;
+        const lastPhase = record.phases[record.phases.length - 1].phase;
+
+        for (let next = lastPhase + 1; next <= phase; next++) {
+            record.phases.push({ phase: next, at: elapsed });
+        }
+
+        if (!enemy.isAlive && record.defeatedAt === null) {
+            record.defeatedAt = elapsed;
+        } else if (enemy.reachedEnd && record.escapedAt === null) {
+            record.escapedAt = elapsed;
+        }
+    }
+
+    // window.game interface used by Enemy, Boss and Projectile
+    onEnemyKilled(enemy) {
+        const reward = Rewards.kill(enemy);
+        this.addResources(reward);
+        this.addScore(reward.dharma * 10);
+
+        this.levelManager.onEnemyKilled();
+    }
+
+    addScore(points) {
+        this.gameState.score += Math.round(points * window.Difficulty.getScoreMultiplier(this.difficulty));
+    }
+
+    onEnemyEscaped(enemy) {
+        this.gameState.lives--;
+        this.levelManager.onEnemyEscaped();
+    }
+
+    onProjectileHit({ projectile, damage, killed }) {
+        this.onDefenseDamage({ defenseType: projectile.defenseType, damage, killed });
+    }
+
+    // Projectile hits and ability strikes (js/defenseAbilities.js) alike
+    onDefenseDamage({ defenseType, damage, killed }) {
+        this.stats.damageByDefenseType[defenseType] = (this.stats.damageByDefenseType[defenseType] || 0) + damage;
+        if (killed) {
+            this.stats.killsByDefenseType[defenseType] = (this.stats.killsByDefenseType[defenseType] || 0) + 1;
+        }
+    }
+
+    getWaveContext() {
+        return {
+            defenses: this.defenseManager.getDefenseCount(),
+            lives: this.gameState.lives,
+            score: this.gameState.score,
+            dharma: this.resources.dharma,
+            bandwidth: this.resources.bandwidth,
+            anonymity: this.resources.anonymity
+        };
+    }
+
+    checkResources(cost) {
+        return this.resources.dharma >= cost.dharma &&
+            this.resources.bandwidth >= cost.bandwidth &&
+            this.resources.anonymity >= cost.anonymity;
+    }
+
+    deductResources(cost) {
+        if (!this.checkResources(cost)) return false;
+
+        this.resources.dharma -= cost.dharma;
+        this.resources.bandwidth -= cost.bandwidth;
+        this.resources.anonymity -= cost.anonymity;
+        return true;
+    }
+
+    // Refunds from selling are not income, so they skip the earned totals
+    addResources(amount, earned = true) {
+        ['dharma', 'bandwidth', 'anonymity'].forEach(resource => {
+            const value = amount[resource] || 0;
+            this.resources[resource] += value;
+            if (earned) {
+                this.stats.earned[resource] += value;
+            }
+        });
+    }
+
+    drainResources(amount) {
+        return window.Economy.drain(this.resources, amount);
+    }
+
+    // Passive income counts as earned, like Game.updateEconomy()
+    updateEconomy(deltaTime) {
+        if (!this.levelManager.isWaveInProgress()) return;
+        this.addResources(window.Economy.getIncome(this.defenseManager.defenses, deltaTime));
+    }
+
+    updateUI() {
+        // Nothing to draw
+    }
+
+    onWaveStart(data) {
+        this.gameState.wave = data.wave;
+        this.waveLivesAtStart = this.gameState.lives;
+    }
+
+    onWaveComplete(data) {
+        const payouts = Rewards.wavePayouts(data, {
+            banked: this.resources.dharma,
+            difficulty: this.levelManager.getDifficulty(),
+            rewardMultiplier: window.Difficulty.getModifiers(this.difficulty).rewards
+        });
+        this.addResources(Rewards.total(payouts));
+        this.lastWaveEnd = window.simulation.now();
+
+        // Dharma per payout, as listed in the game's wave summary
+        const payoutDharma = {};
+        payouts.forEach(payout => { payoutDharma[payout.id] = payout.amount.dharma; });
+
+        this.stats.waves.push({
+            wave: data.wave,
+            duration: Math.round(data.duration),
+            enemiesSpawned: data.enemiesSpawned,
+            enemiesKilled: data.enemiesKilled,
+            livesLost: this.waveLivesAtStart - this.gameState.lives,
+            payouts: payoutDharma
+        });
+    }
+
+    // As Game.onPathChanged(): defenses on the new path move or are refunded
+    onPathChanged(data) {
+        const { moved, refunded } = this.defenseManager.relocateDefenses();
+        this.stats.pathChanges.push({
+            wave: data.wave,
+            moved: moved.map(defense => defense.type),
+            refunded: refunded.map(defense => defense.type)
+        });
+    }
+
+    checkGameOver() {
+        if (!this.gameState.ended && this.gameState.lives <= 0) {
+            this.endRun('defeat');
+        }
+    }
+
+    endRun(result) {
+        if (this.gameState.ended) return;
+
+        this.gameState.ended = true;
+        this.gameState.running = false;
+        this.stats.result = result;
+    }
+
+    getSummary() {
+        const round = (value) => Math.round(value * 10) / 10;
+        const roundValues = (object) => Object.fromEntries(
+            Object.entries(object).map(([key, value]) => [key, round(value)])
+        );
+
+        return {
+            level: this.layout.level,
+            seed: this.layout.seed,
+            endless: this.layout.endless,
+            difficulty: window.Difficulty.describe(this.difficulty),
+            bannedTowers: [...this.bannedTowers],
+            result: this.stats.result,
+            wavesSurvived: this.stats.waves.length,
+            wavesTotal: this.levelManager.isEndless() ? null : this.levelManager.maxWaves,
+            livesLost: this.gameState.maxLives - Math.max(0, this.gameState.lives),
+            livesRemaining: Math.max(0, this.gameState.lives),
+            dharmaEarned: this.stats.earned.dharma,
+            resourcesEarned: { ...this.stats.earned },
+            finalResources: { ...this.resources },
+            score: this.gameState.score,
+            simulatedTime: Math.round(window.simulation.now()),
+            ticks: window.simulation.tick,
+            defensesPlaced: this.defenseManager.getDefenseCount(),
+            placementErrors: this.stats.placementErrors,
+            lanes: this.levelManager.getLanes().length,
+            pathChanges: this.stats.pathChanges,
+            bossMinions: this.stats.minions,
+            damageByDefenseType: roundValues(this.stats.damageByDefenseType),
+            killsByDefenseType: { ...this.stats.killsByDefenseType },
+            waves: this.stats.waves,
+            bossPhases: [...this.stats.bosses.values()].map(({ spawnedAt, ...record }) => ({
+                ...record,
+                phases: record.phases.map(entry => ({ phase: entry.phase, at: Math.round(entry.at) })),
+                defeatedAt: record.defeatedAt === null ? null : Math.round(record.defeatedAt),
+                escapedAt: record.escapedAt === null ? null : Math.round(record.escapedAt)
+            }))
+        };
+    }
+}
+
+export default HeadlessRunner;
@@ -0,0 +1,693 @@
+// Level editor: draw one or more lanes, place spawn and exit points, pick a
+// theme, pathMode and open-field mode and edit the wave script, with live
+// validation through FlexiblePathValidation and LevelBalanceChecker. Produces
+// the level files that LevelManager.setCustomLevel() plays (format documented
+// in js/level.js).
+//
+// Mouse controls on the editor canvas:
+//   click            - add a point for the active tool (a click on the path
+//                      inserts a waypoint into that segment)
+//   drag             - move any waypoint, spawn or exit point
+//   shift/right-click - remove the point under the cursor
+//
+// Waypoint edits apply to the lane picked in the lane select. Lane 0 is the
+// level's path and the others are its extraLanes.
+
+// Same field size the path tools assume (LevelPathPreservation defaults)
+const EDITOR_WIDTH = 1200;
+const EDITOR_HEIGHT = 600;
+const POINT_RADIUS = 10;
+
+const THEME_COLORS = {
+    cyber: '#1a1a2e',
+    urban: '#16213e',
+    forest: '#14281d',
+    mountain: '#2a1810'
+};
+
+class LevelEditor {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+        this.elements = {};
+        this.callbacks = new Map();
+
+        this.tool = 'path'; // 'path', 'spawn', 'exit'
+        this.activeLane = 0;
+        this.dragging = null;
+        this.level = null;
+        this.waveScriptText = '';
+        this.lastValidation = null;
+
+        // Path tools (js/levelPathPreservation.js, js/flexiblePathValidation.js)
+        this.pathPreservation = window.LevelPathPreservation
+            ? new window.LevelPathPreservation(EDITOR_WIDTH, EDITOR_HEIGHT)
+            : null;
+        this.flexibleValidation = window.FlexiblePathValidation ? new window.FlexiblePathValidation() : null;
+        this.balanceChecker = window.LevelBalanceChecker ? new window.LevelBalanceChecker() : null;
+        this.profileName = 'balanced';
+    }
+
+    init() {
+        this.canvas = document.getElementById('levelEditorCanvas');
+        if (!this.canvas) {
+            console.warn('[LevelEditor] Editor canvas not found');
+            return false;
+        }
+
+        this.canvas.width = EDITOR_WIDTH;
+        this.canvas.height = EDITOR_HEIGHT;
+        this.ctx = this.canvas.getContext('2d');
+
+        [
+            'editorLevelInput', 'editorNameInput', 'editorThemeSelect', 'editorPathModeSelect',
+            'editorProfileSelect', 'editorWaveScript', 'editorWaveSummary', 'editorValidation',
+            'editorStatus', 'editorFileInput', 'editorLaneSelect', 'editorOpenFieldInput'
+        ].forEach(id => {
+            this.elements[id] = document.getElementById(id);
+        });
+
+        this.populateSelects();
+        this.setupEventListeners();
+        this.loadBuiltInLevel(1);
+
+        console.log('[LevelEditor] Initialized');
+        return true;
+    }
+
+    populateSelects() {
+        const fill = (select, values, selected) => {
+            if (!select) return;
+            select.innerHTML = '';
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+        };
+
+        fill(this.elements.editorThemeSelect, window.LEVEL_THEMES || ['cyber'], 'cyber');
+        fill(this.elements.editorPathModeSelect, window.LEVEL_PATH_MODES || ['static'], 'static');
+
+        const profiles = this.flexibleValidation ? Object.keys(this.flexibleValidation.validationProfiles) : [];
+        fill(this.elements.editorProfileSelect, profiles, this.profileName);
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', () => this.handleMouseUp());
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        document.querySelectorAll('#level-editor-screen [data-editor-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.getAttribute('data-editor-tool')));
+        });
+
+        const { editorLevelInput, editorNameInput, editorThemeSelect, editorPathModeSelect,
+            editorProfileSelect, editorWaveScript, editorFileInput, editorLaneSelect, editorOpenFieldInput } = this.elements;
+
+        editorLevelInput?.addEventListener('change', () => {
+            this.level.level = Math.max(1, parseInt(editorLevelInput.value, 10) || 1);
+            this.refresh();
+        });
+        editorNameInput?.addEventListener('input', () => {
+            this.level.name = editorNameInput.value;
+        });
+        editorThemeSelect?.addEventListener('change', () => {
+            this.level.theme = editorThemeSelect.value;
+            this.refresh();
+        });
+        editorPathModeSelect?.addEventListener('change', () => {
+            this.level.pathMode = editorPathModeSelect.value;
+            this.refresh();
+        });
+        editorOpenFieldInput?.addEventListener('change', () => {
+            this.level.openField = editorOpenFieldInput.checked;
+            this.refresh();
+        });
+        editorProfileSelect?.addEventListener('change', () => {
+            this.profileName = editorProfileSelect.value;
+            this.refresh();
+        });
+        editorWaveScript?.addEventListener('input', () => {
+            this.waveScriptText = editorWaveScript.value;
+            this.refresh();
+        });
+        editorLaneSelect?.addEventListener('change', () => {
+            this.setActiveLane(parseInt(editorLaneSelect.value, 10) || 0);
+        });
+
+        this.addClickListener('editorLoadLevelBtn', () => this.loadBuiltInLevel(this.level.level));
+        this.addClickListener('editorPreviewPathBtn', () => this.generatePreviewPath());
+        this.addClickListener('editorClearBtn', () => this.clearPoints());
+        this.addClickListener('editorAddLaneBtn', () => this.addLane());
+        this.addClickListener('editorRemoveLaneBtn', () => this.removeLane());
+        this.addClickListener('editorExportBtn', () => this.exportLevel());
+        this.addClickListener('editorImportBtn', () => editorFileInput?.click());
+        this.addClickListener('editorPlaytestBtn', () => this.playtest());
+
+        editorFileInput?.addEventListener('change', async () => {
+            const file = editorFileInput.files && editorFileInput.files[0];
+            editorFileInput.value = '';
+            if (!file) return;
+            this.importLevel(await file.text());
+        });
+    }
+
+    addClickListener(elementId, handler) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener('click', handler);
+        }
+    }
+
+    // Level data
+    loadBuiltInLevel(levelNumber) {
+        const pathConfig = this.pathPreservation ? this.pathPreservation.getLevelPathConfig(levelNumber) : {};
+        const levelInfo = window.LevelManager ? new window.LevelManager().levelConfig[levelNumber] : null;
+
+        let path = Array.isArray(pathConfig.staticPath) ? pathConfig.staticPath : null;
+        if (!path && this.pathPreservation) {
+            path = this.pathPreservation.pathPreview.generatePreviewPath({ ...pathConfig, seed: levelNumber * 1000 });
+        }
+        path = (path || []).map(point => ({ x: point.x, y: point.y }));
+
+        const waveScript = window.WAVE_SCRIPTS
+            ? (window.WAVE_SCRIPTS[levelNumber] || window.WAVE_SCRIPTS[1])
+            : null;
+
+        this.setLevel({
+            level: levelNumber,
+            name: levelInfo ? levelInfo.name : `Level ${levelNumber}`,
+            theme: pathConfig.theme || 'cyber',
+            pathMode: pathConfig.pathMode || 'static',
+            path,
+            spawnPoints: path.length > 0 ? [{ ...path[0] }] : [],
+            exitPoints: path.length > 0 ? [{ ...path[path.length - 1] }] : [],
+            waveScript
+        });
+        this.setStatus(`Loaded level ${levelNumber}`);
+    }
+
+    setLevel(level) {
+        this.level = {
+            level: level.level || 1,
+            name: level.name || '',
+            theme: level.theme || 'cyber',
+            pathMode: level.pathMode || 'static',
+            openField: !!level.openField,
+            path: (level.path || []).map(point => ({ x: point.x, y: point.y })),
+            extraLanes: (level.extraLanes || []).map(lane => lane.map(point => ({ x: point.x, y: point.y }))),
+            spawnPoints: (level.spawnPoints || []).map(point => ({ x: point.x, y: point.y })),
+            exitPoints: (level.exitPoints || []).map(point => ({ x: point.x, y: point.y }))
+        };
+        this.waveScriptText = level.waveScript ? JSON.stringify(level.waveScript, null, 2) : '';
+        this.activeLane = 0;
+        this.updateLaneSelect();
+
+        const { editorLevelInput, editorNameInput, editorThemeSelect, editorPathModeSelect,
+            editorOpenFieldInput, editorWaveScript } = this.elements;
+        if (editorLevelInput) editorLevelInput.value = this.level.level;
+        if (editorNameInput) editorNameInput.value = this.level.name;
+        if (editorThemeSelect) editorThemeSelect.value = this.level.theme;
+        if (editorPathModeSelect) editorPathModeSelect.value = this.level.pathMode;
+        if (editorOpenFieldInput) editorOpenFieldInput.checked = this.level.openField;
+        if (editorWaveScript) editorWaveScript.value = this.waveScriptText;
+
+        this.refresh();
+    }
+
+    // Lanes
+    getLanes() {
+        return [this.level.path, ...this.level.extraLanes];
+    }
+
+    getActivePath() {
+        return this.getLanes()[this.activeLane] || this.level.path;
+    }
+
+    // Point list for a findPointAt() hit; 'path' is the active lane
+    getPointList(list) {
+        return list === 'path' ? this.getActivePath() : this.level[list];
+    }
+
+    setActiveLane(index) {
+        this.activeLane = Math.max(0, Math.min(index, this.level.extraLanes.length));
+        this.updateLaneSelect();
+        this.render();
+    }
+
+    // New lanes run from the left edge to lane 0's exit and get the spawn
+    // point with their index, since wave scripts spawn lane N at spawn point N
+    addLane() {
+        const path = this.level.path;
+        if (path.length < 2) {
+            this.setStatus('Draw lane 0 before adding more lanes', true);
+            return false;
+        }
+
+        const laneIndex = this.level.extraLanes.length + 1;
+        const start = { x: 0, y: Math.round(EDITOR_HEIGHT * laneIndex / (laneIndex + 1)) };
+        this.level.extraLanes.push([start, { ...path[path.length - 1] }]);
+        if (this.level.spawnPoints.length === laneIndex) {
+            this.level.spawnPoints.push({ ...start });
+        }
+
+        this.activeLane = laneIndex;
+        this.updateLaneSelect();
+        this.refresh();
+        this.setStatus(`Added lane ${laneIndex}`);
+        return true;
+    }
+
+    removeLane() {
+        if (this.activeLane === 0) {
+            this.setStatus('Lane 0 is the level path and cannot be removed', true);
+            return false;
+        }
+
+        const laneIndex = this.activeLane;
+        this.level.extraLanes.splice(laneIndex - 1, 1);
+        if (this.level.spawnPoints.length > laneIndex) {
+            this.level.spawnPoints.splice(laneIndex, 1);
+        }
+
+        this.activeLane = laneIndex - 1;
+        this.updateLaneSelect();
+        this.refresh();
+        this.setStatus(`Removed lane ${laneIndex}`);
+        return true;
+    }
+
+    updateLaneSelect() {
+        const select = this.elements.editorLaneSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.getLanes().forEach((lane, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Lane ${index}`;
+            option.selected = index === this.activeLane;
+            select.appendChild(option);
+        });
+    }
+
+    // Random candidate path for the current theme from PathPreview; replaces
+    // the active lane
+    generatePreviewPath() {
+        if (!this.pathPreservation) return;
+
+        const path = this.pathPreservation.pathPreview.generatePreviewPath({
+            theme: this.level.theme,
+            seed: Math.floor(Math.random() * 100000)
+        });
+        if (this.activeLane === 0) {
+            this.level.path = path;
+            this.level.spawnPoints = [{ ...path[0] }, ...this.level.spawnPoints.slice(1)];
+            this.level.exitPoints = [{ ...path[path.length - 1] }, ...this.level.exitPoints.slice(1)];
+        } else {
+            this.level.extraLanes[this.activeLane - 1] = path;
+            this.level.spawnPoints[this.activeLane] = { ...path[0] };
+        }
+        this.refresh();
+    }
+
+    clearPoints() {
+        this.level.path = [];
+        this.level.extraLanes = [];
+        this.level.spawnPoints = [];
+        this.level.exitPoints = [];
+        this.activeLane = 0;
+        this.updateLaneSelect();
+        this.refresh();
+    }
+
+    parseWaveScript() {
+        try {
+            return { script: JSON.parse(this.waveScriptText), error: null };
+        } catch (error) {
+            return { script: null, error: `waveScript is not valid JSON: ${error.message}` };
+        }
+    }
+
+    getLevelFile() {
+        const { script } = this.parseWaveScript();
+        return window.LevelManager.createLevelFile({ ...this.level, waveScript: script });
+    }
+
+    // Validation. Every lane is checked on its own, since enemies only ever
+    // walk one lane.
+    validate() {
+        const { error: parseError } = this.parseWaveScript();
+        const levelFile = this.getLevelFile();
+        const levelId = this.level.level;
+
+        const levelErrors = parseError
+            ? [parseError, ...window.LevelManager.validateLevelFile(levelFile).filter(e => !e.startsWith('waveScript'))]
+            : window.LevelManager.validateLevelFile(levelFile);
+
+        const laneResults = this.getLanes().map(path => ({
+            pathResult: this.flexibleValidation
+                ? this.flexibleValidation.validatePath(path, {
+                    profileName: this.profileName,
+                    levelId,
+                    theme: this.level.theme,
+                    trackHistory: false
+                })
+                : null,
+
+            // The balance checker needs at least one segment to measure
+            balanceResult: this.balanceChecker && path.length >= 2
+                ? this.balanceChecker.validateBalance(path, levelId,
+                    this.pathPreservation ? this.pathPreservation.getLevelPathConfig(levelId) : {})
+                : null
+        }));
+
+        this.lastValidation = { levelErrors, laneResults, canExport: levelErrors.length === 0 };
+        return this.lastValidation;
+    }
+
+    refresh() {
+        this.validate();
+        this.render();
+        this.renderValidation();
+        this.renderWaveSummary();
+    }
+
+    // Canvas input
+    toCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.round((e.clientX - rect.left) * (this.canvas.width / rect.width)),
+            y: Math.round((e.clientY - rect.top) * (this.canvas.height / rect.height))
+        };
+    }
+
+    findPointAt(point) {
+        // Spawn and exit markers sit on top of the path, so they win ties
+        for (const list of ['spawnPoints', 'exitPoints', 'path']) {
+            const index = this.getPointList(list).findIndex(p =>
+                Math.hypot(p.x - point.x, p.y - point.y) <= POINT_RADIUS);
+            if (index !== -1) return { list, index };
+        }
+        return null;
+    }
+
+    // Index of the active lane's segment a point lies on, or -1
+    findSegmentAt(point) {
+        const path = this.getActivePath();
+        for (let i = 1; i < path.length; i++) {
+            const a = path[i - 1];
+            const b = path[i];
+            const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+            if (lengthSq === 0) continue;
+
+            const t = Math.max(0, Math.min(1, ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSq));
+            const distance = Math.hypot(point.x - (a.x + t * (b.x - a.x)), point.y - (a.y + t * (b.y - a.y)));
+            if (distance <= POINT_RADIUS / 2) return i;
+        }
+        return -1;
+    }
+
+    handleMouseDown(e) {
+        const point = this.toCanvasPoint(e);
+        const hit = this.findPointAt(point);
+
+        if (e.button === 2 || e.shiftKey) {
+            if (hit) {
+                this.getPointList(hit.list).splice(hit.index, 1);
+                this.refresh();
+            }
+            return;
+        }
+
+        if (hit) {
+            this.dragging = hit;
+            return;
+        }
+
+        const list = { path: 'path', spawn: 'spawnPoints', exit: 'exitPoints' }[this.tool];
+        const points = this.getPointList(list);
+        const segment = list === 'path' ? this.findSegmentAt(point) : -1;
+        if (segment !== -1) {
+            points.splice(segment, 0, point);
+            this.dragging = { list, index: segment };
+        } else {
+            points.push(point);
+            this.dragging = { list, index: points.length - 1 };
+        }
+        this.refresh();
+    }
+
+    handleMouseMove(e) {
+        if (!this.dragging) return;
+
+        const point = this.toCanvasPoint(e);
+        const target = this.getPointList(this.dragging.list)[this.dragging.index];
+        target.x = Math.max(0, Math.min(EDITOR_WIDTH, point.x));
+        target.y = Math.max(0, Math.min(EDITOR_HEIGHT, point.y));
+        this.render();
+    }
+
+    handleMouseUp() {
+        if (!this.dragging) return;
+
+        this.dragging = null;
+        this.refresh();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('#level-editor-screen [data-editor-tool]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-editor-tool') === tool);
+        });
+    }
+
+    // Rendering
+    render() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = THEME_COLORS[this.level.theme] || THEME_COLORS.cyber;
+        ctx.fillRect(0, 0, EDITOR_WIDTH, EDITOR_HEIGHT);
+
+        // 50px grid to help line points up
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 50; x < EDITOR_WIDTH; x += 50) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, EDITOR_HEIGHT);
+        }
+        for (let y = 50; y < EDITOR_HEIGHT; y += 50) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(EDITOR_WIDTH, y);
+        }
+        ctx.stroke();
+
+        // Lanes other than the active one are dimmed
+        this.getLanes().forEach((path, laneIndex) => {
+            if (path.length < 2) return;
+
+            const laneResult = this.lastValidation && this.lastValidation.laneResults[laneIndex];
+            const valid = !laneResult || !laneResult.pathResult || laneResult.pathResult.isValid;
+            const alpha = laneIndex === this.activeLane ? 0.6 : 0.25;
+            ctx.strokeStyle = valid ? `rgba(0, 212, 255, ${alpha})` : `rgba(255, 68, 68, ${alpha})`;
+            ctx.lineWidth = 24;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            ctx.moveTo(path[0].x, path[0].y);
+            path.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        });
+
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.getActivePath().forEach((point, index) => {
+            this.renderMarker(point, '#ffd60a', String(index + 1), 'circle');
+        });
+        this.level.spawnPoints.forEach((point, index) => {
+            this.renderMarker(point, '#00ff88', `S${index}`, 'square');
+        });
+        this.level.exitPoints.forEach((point, index) => {
+            this.renderMarker(point, '#ff6b35', `E${index}`, 'square');
+        });
+    }
+
+    renderMarker(point, color, label, shape) {
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        if (shape === 'square') {
+            ctx.rect(point.x - POINT_RADIUS, point.y - POINT_RADIUS, POINT_RADIUS * 2, POINT_RADIUS * 2);
+        } else {
+            ctx.arc(point.x, point.y, POINT_RADIUS, 0, Math.PI * 2);
+        }
+        ctx.fill();
+
+        ctx.fillStyle = '#000000';
+        ctx.fillText(label, point.x, point.y);
+    }
+
+    renderValidation() {
+        const container = this.elements.editorValidation;
+        if (!container || !this.lastValidation) return;
+
+        const { levelErrors, laneResults } = this.lastValidation;
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const list = (items, className) => items.length === 0 ? '' :
+            `<ul class="${className}">${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+        let html = `<h4>Level file</h4>`;
+        html += levelErrors.length === 0
+            ? '<p class="editor-ok">Ready to export</p>'
+            : list(levelErrors, 'editor-errors');
+
+        laneResults.forEach(({ pathResult, balanceResult }, laneIndex) => {
+            const laneLabel = laneResults.length > 1 ? `Lane ${laneIndex}` : 'Path';
+
+            if (pathResult) {
+                const pathLength = pathResult.metrics && pathResult.metrics.pathLength;
+                html += `<h4>${laneLabel} (${escape(this.profileName)} profile)</h4>`;
+                html += `<p class="${pathResult.isValid ? 'editor-ok' : 'editor-error'}">` +
+                    `${pathResult.isValid ? 'Valid' : 'Invalid'} - severity ${escape(pathResult.severity)}` +
+                    `${pathLength ? `, length ${Math.round(pathLength)}px` : ''}</p>`;
+                html += list([...pathResult.criticalIssues, ...pathResult.errors], 'editor-errors');
+                html += list(pathResult.warnings, 'editor-warnings');
+            }
+
+            if (balanceResult) {
+                html += `<h4>${laneLabel} balance</h4><p>Score ${Math.round(balanceResult.score * 100)}%</p>`;
+                html += list(balanceResult.warnings, 'editor-warnings');
+            }
+        });
+
+        container.innerHTML = html;
+    }
+
+    renderWaveSummary() {
+        const container = this.elements.editorWaveSummary;
+        if (!container) return;
+
+        const { script } = this.parseWaveScript();
+        if (!script || window.WaveScript.validate(script).length > 0) {
+            container.textContent = '';
+            return;
+        }
+
+        // Base waves only; branches depend on how the player is doing
+        container.innerHTML = script.waves.map((wave, index) => {
+            const resolved = window.WaveScript.resolveWave(script, wave, {});
+            const types = [...new Set(resolved.enemies.map(entry => entry.type))].join(', ');
+            return `<li>Wave ${index + 1}: ${resolved.totalEnemies} enemies (${types})${resolved.isBossWave ? ' - boss' : ''}</li>`;
+        }).join('');
+    }
+
+    setStatus(message, isError = false) {
+        const status = this.elements.editorStatus;
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    // Files
+    exportLevel() {
+        const { levelErrors } = this.validate();
+        if (levelErrors.length > 0) {
+            this.setStatus('Fix the level file errors before exporting', true);
+            return false;
+        }
+
+        const json = JSON.stringify(this.getLevelFile(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dharmapala-level${this.level.level}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.setStatus(`Exported level ${this.level.level}`);
+        return true;
+    }
+
+    // Accepts a level file, or a path configuration exported with
+    // LevelPathPreservation.exportLevelConfiguration()
+    importLevel(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.setStatus(`Import failed: ${error.message}`, true);
+            return false;
+        }
+
+        if (data && data.levelId !== undefined && data.configuration) {
+            const configuration = data.configuration;
+            const path = Array.isArray(configuration.staticPath) ? configuration.staticPath : this.level.path;
+            this.setLevel({
+                ...this.level,
+                extraLanes: [],
+                level: Number(data.levelId) || this.level.level,
+                theme: configuration.theme || this.level.theme,
+                pathMode: configuration.pathMode || this.level.pathMode,
+                path,
+                spawnPoints: path.length > 0 ? [path[0]] : [],
+                exitPoints: path.length > 0 ? [path[path.length - 1]] : [],
+                waveScript: this.parseWaveScript().script
+            });
+            this.setStatus(`Imported path configuration for level ${data.levelId}`);
+            return true;
+        }
+
+        const errors = window.LevelManager.validateLevelFile(data);
+        if (errors.length > 0) {
+            this.setStatus(`Import failed: ${errors[0]}`, true);
+            return false;
+        }
+
+        this.setLevel(data);
+        this.setStatus(`Imported level ${data.level}`);
+        return true;
+    }
+
+    playtest() {
+        const { levelErrors } = this.validate();
+        if (levelErrors.length > 0) {
+            this.setStatus('Fix the level file errors before playing', true);
+            return false;
+        }
+
+        this.triggerCallback('playtest', { level: this.getLevelFile() });
+        return true;
+    }
+
+    // Callback system
+    on(event, callback) {
+        if (!this.callbacks.has(event)) {
+            this.callbacks.set(event, []);
+        }
+        this.callbacks.get(event).push(callback);
+    }
+
+    triggerCallback(event, data = {}) {
+        if (this.callbacks.has(event)) {
+            for (const callback of this.callbacks.get(event)) {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`[LevelEditor] Error in callback for ${event}:`, error);
+                }
+            }
+        }
+    }
+}
+
+export default LevelEditor;
@@ -3,8 +3,14 @@ import Utils from './utils.js';
 // Maximum lead time (seconds) for predictive aiming
 const MAX_LEAD_TIME_SECONDS = 2;
 
+// Lifetime follows the simulation clock (see js/simulation.js). Trail
+// particles are cosmetic and stay off the simulation RNG.
+const simulationNow = () => (window.simulation ? window.simulation.now() : Utils.performance.now());
+
 class Projectile {
-    constructor(x, y, target, damage, speed, type = 'normal', defenseType = 'firewall') {
+    // type is how the shot flies and hits (normal, piercing, explosive,
+    // homing); damageType is what it deals (see js/damageTypes.js)
+    constructor(x, y, target, damage, speed, type = 'normal', defenseType = 'firewall', damageType = 'kinetic') {
         this.x = x;
         this.y = y;
         this.target = target;
@@ -12,6 +18,14 @@ class Projectile {
         this.speed = speed;
         this.type = type;
         this.defenseType = defenseType;
+        this.damageType = damageType;
+        // Status effects applied on hit, as [{ type, duration, strength }]
+        // (see js/statusEffects.js); set by the firing defense
+        this.effects = [];
+        // Firing defense, for on-hit abilities (see js/defenseAbilities.js),
+        // and the share of enemy armor the shot ignores
+        this.source = null;
+        this.armorPiercing = 0;
         
         // Visual properties
         this.color = this.getProjectileColor();
@@ -26,7 +40,7 @@ class Projectile {
         // State
         this.isActive = true;
         this.lifetime = 5000; // 5 seconds max lifetime
-        this.createdTime = Utils.performance.now();
+        this.createdTime = simulationNow();
         
         // Special effects
         this.hasHitEffect = false;
@@ -138,7 +152,7 @@ class Projectile {
         }
         
         // Check lifetime
-        if (Utils.performance.now() - this.createdTime > this.lifetime) {
+        if (simulationNow() - this.createdTime > this.lifetime) {
             this.isActive = false;
         }
         
@@ -156,14 +170,20 @@ class Projectile {
             this.hasHitEffect = true;
             
             // Apply damage
-            const killed = this.target.takeDamage(this.damage, this.type);
+            const killed = this.damageTarget(this.target, this.damage);
+            if (!killed && this.effects.length > 0) {
+                this.effects.forEach(effect => window.StatusEffects.applyTo(this.target, effect.type, effect));
+            }
+            if (this.source && window.DefenseAbilities) {
+                window.DefenseAbilities.onHit(this, this.target, killed);
+            }
             
             // Create hit effects
             this.createHitEffect();
             
             // Handle special projectile types
             if (this.explosive) {
-                this.createExplosion();
+                this.applySplashDamage(this.createExplosion());
             }
             
             if (!this.piercing) {
@@ -172,6 +192,34 @@ class Projectile {
         }
     }
     
+    damageTarget(target, amount) {
+        const healthBefore = target.health;
+        const killed = target.takeDamage(amount, this.damageType, { armorPiercing: this.armorPiercing });
+
+        // Report damage actually dealt (used for per-defense balance stats)
+        if (window.game && typeof window.game.onProjectileHit === 'function') {
+            window.game.onProjectileHit({
+                projectile: this,
+                target,
+                damage: Math.max(0, healthBefore - Math.max(0, target.health)),
+                killed
+            });
+        }
+
+        return killed;
+    }
+
+    // Explosive rounds also hit everything else inside the blast
+    applySplashDamage(explosion) {
+        const enemies = window.game?.enemies || [];
+        enemies.forEach(enemy => {
+            if (enemy === this.target || !enemy.isAlive || typeof enemy.takeDamage !== 'function') return;
+            if (Math.hypot(enemy.x - explosion.x, enemy.y - explosion.y) <= explosion.radius) {
+                this.damageTarget(enemy, explosion.damage);
+            }
+        });
+    }
+
     createHitEffect() {
         // Create impact particles using the particle system
         if (window.particleSystem) {
@@ -319,8 +367,15 @@ class Projectile {
             speed: this.speed,
             type: this.type,
             defenseType: this.defenseType,
+            damageType: this.damageType,
+            effects: this.effects.map(effect => ({ ...effect })),
+            armorPiercing: this.armorPiercing,
+            // Abilities can make any shot explode or home
+            explosive: this.explosive,
+            homing: this.homing,
             isActive: this.isActive,
             createdTime: this.createdTime,
+            age: simulationNow() - this.createdTime,
             hasHitEffect: this.hasHitEffect
         };
     }
@@ -335,16 +390,25 @@ class Projectile {
         this.speed = state.speed || this.speed;
         this.type = state.type || this.type;
         this.defenseType = state.defenseType || this.defenseType;
+        this.damageType = state.damageType || this.damageType;
+        if (Array.isArray(state.effects)) {
+            this.effects = state.effects.map(effect => ({ ...effect }));
+        }
+        this.armorPiercing = state.armorPiercing || 0;
         this.isActive = state.isActive !== undefined ? state.isActive : this.isActive;
         this.createdTime = state.createdTime || this.createdTime;
+        // Age survives a page reload, absolute timestamps do not
+        if (typeof state.age === 'number') {
+            this.createdTime = simulationNow() - state.age;
+        }
         this.hasHitEffect = state.hasHitEffect || this.hasHitEffect;
         
         // Recalculate derived properties
         this.color = this.getProjectileColor();
         this.size = this.getProjectileSize();
         this.piercing = this.type === 'piercing';
-        this.explosive = this.type === 'explosive';
-        this.homing = this.type === 'homing';
+        this.explosive = state.explosive !== undefined ? state.explosive : this.type === 'explosive';
+        this.homing = state.homing !== undefined ? state.homing : this.type === 'homing';
     }
 }
 
@@ -360,7 +424,7 @@ class ProjectilePool {
         }
     }
     
-    getProjectile(x, y, target, damage, speed, type, defenseType) {
+    getProjectile(x, y, target, damage, speed, type, defenseType, damageType) {
         let projectile;
         
         if (this.pool.length > 0) {
@@ -373,9 +437,13 @@ class ProjectilePool {
             projectile.speed = speed;
             projectile.type = type || 'normal';
             projectile.defenseType = defenseType || 'firewall';
+            projectile.damageType = damageType || 'kinetic';
+            projectile.effects = [];
+            projectile.source = null;
+            projectile.armorPiercing = 0;
             projectile.isActive = true;
             projectile.hasHitEffect = false;
-            projectile.createdTime = Utils.performance.now();
+            projectile.createdTime = simulationNow();
             projectile.trailParticles = [];
             
             // Recalculate properties
@@ -386,7 +454,7 @@ class ProjectilePool {
             projectile.homing = projectile.type === 'homing';
             projectile.calculateVelocity();
         } else {
-            projectile = new Projectile(x, y, target, damage, speed, type, defenseType);
+            projectile = new Projectile(x, y, target, damage, speed, type, defenseType, damageType);
         }
         
         this.active.push(projectile);
@@ -399,6 +467,7 @@ class ProjectilePool {
             this.active.splice(index, 1);
             projectile.isActive = false;
             projectile.target = null;
+            projectile.source = null;
             this.pool.push(projectile);
         }
     }
@@ -421,8 +490,9 @@ class ProjectilePool {
     }
     
     clear() {
-        for (const projectile of this.active) {
-            this.returnProjectile(projectile);
+        // returnProjectile() splices this.active, so drain from the end
+        while (this.active.length > 0) {
+            this.returnProjectile(this.active[this.active.length - 1]);
         }
     }
     
@@ -1,3 +1,5 @@
+import LevelEditor from './LevelEditor.js';
+import UpgradeTreeView from './UpgradeTreeView.js';
 import Utils from './utils.js';
 
 class ScreenManager {
@@ -16,6 +18,11 @@ class ScreenManager {
             { id: 3, name: 'Cyber Monastery' }
         ];
         this.selectedLevel = 1;
+        // { preset, mutators } chosen on the level select screen (null until
+        // the player picks one, so the game keeps its own)
+        this.difficulty = null;
+        this.levelEditor = null;
+        this.upgradeTreeView = null;
 
         this.setupScreens();
         this.setupEventListeners();
@@ -74,6 +81,10 @@ class ScreenManager {
                 element: 'levelSelectScreen',
                 init: () => this.initLevelSelectScreen()
             },
+            'level-editor': {
+                element: 'level-editor-screen',
+                init: () => this.initLevelEditorScreen()
+            },
             'victory': {
                 element: 'victoryScreen',
                 init: () => this.initVictoryScreen()
@@ -124,6 +135,7 @@ class ScreenManager {
         this.addClickListener('achievements-btn', () => this.showScreen('achievements'));
         this.addClickListener('settings-btn', () => this.showScreen('settings'));
         this.addClickListener('creditsBtn', () => this.showScreen('credits'));
+        this.addClickListener('levelEditorBtn', () => this.showScreen('level-editor'));
 
         // Game screen navigation buttons
         this.addClickListener('main-menu-btn', () => this.showScreen('main-menu'));
@@ -140,6 +152,7 @@ class ScreenManager {
         this.addClickListener('backFromTutorialBtn', () => this.showScreen('main-menu'));
         this.addClickListener('backFromCreditsBtn', () => this.showScreen('main-menu'));
         this.addClickListener('backFromLevelSelectBtn', () => this.showScreen('main-menu'));
+        this.addClickListener('backFromLevelEditorBtn', () => this.showScreen('main-menu'));
 
         // Game screen controls
         this.addClickListener('pause-game-btn', () => this.pauseGame());
@@ -159,6 +172,13 @@ class ScreenManager {
 
         // Level select
         this.addClickListener('playSelectedLevelBtn', () => this.playSelectedLevel());
+        this.addClickListener('playEndlessBtn', () => this.playEndless());
+        document.getElementById('endlessSeedInput')?.addEventListener('input', () => this.updateEndlessBest());
+
+        // Replays (save/load screen)
+        this.addClickListener('downloadReplayBtn', () => this.triggerCallback('downloadReplay'));
+        this.addClickListener('loadReplayBtn', () => document.getElementById('replayFileInput')?.click());
+        this.setupReplayFileInput();
 
         // Surface the victory/defeat screen when a level run ends. game.js
         // dispatches this CustomEvent from gameOver()/winLevel().
@@ -183,6 +203,22 @@ class ScreenManager {
         });
     }
 
+    setupReplayFileInput() {
+        const input = document.getElementById('replayFileInput');
+        if (!input) return;
+
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            input.value = '';
+            if (!file) return;
+
+            const replay = await file.text();
+            console.log(`[ScreenManager] Replay file selected: ${file.name}`);
+            this.showScreen('game');
+            this.triggerCallback('playReplay', { replay });
+        });
+    }
+
     addClickListener(elementId, handler) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -468,26 +504,26 @@ class ScreenManager {
             {
                 title: "💎 Understanding Resources",
                 content: `
-                    <p>As a digital monk, you manage three sacred resources that power your defenses:</p>
+                    <p>As a digital monk, you manage three sacred resources, each with its own job:</p>
                     <div class="tutorial-resources-grid">
                         <div class="resource-item">
                             <span class="resource-icon">💎</span>
                             <div class="resource-name">Dharma</div>
-                            <div class="resource-description">Primary currency for placing and upgrading defenses. Earned by purifying digital threats.</div>
+                            <div class="resource-description">Primary currency for placing and upgrading defenses and casting spells. Earned by purifying digital threats and clearing waves.</div>
                         </div>
                         <div class="resource-item">
                             <span class="resource-icon">📡</span>
                             <div class="resource-name">Bandwidth</div>
-                            <div class="resource-description">Required for advanced defenses and special abilities. Manages network capacity.</div>
+                            <div class="resource-description">Network capacity. The more you keep banked, the more shots your defenses can fire each second. Load Distributors make it regenerate faster.</div>
                         </div>
                         <div class="resource-item">
                             <span class="resource-icon">👤</span>
                             <div class="resource-name">Anonymity</div>
-                            <div class="resource-description">Rare resource needed for elite cyber-monk defenses. Protects your network identity.</div>
+                            <div class="resource-description">Your network identity. Loud defenses (Mirror, Distributor, Decoy, Firewall) give some away with every shot; below 25, AI Surveillance scans further. Anonymity Cloaks help it recover.</div>
                         </div>
                     </div>
                     <div class="tutorial-highlight">
-                        <p><strong>Tip:</strong> Resources regenerate over time. Balance spending with patience for optimal monastery management.</p>
+                        <p><strong>Tip:</strong> Bandwidth and anonymity regenerate only while a wave is running, and boss market crashes wipe out a share of everything you hold. Spend bandwidth carefully, since what you keep is what lets your towers fire.</p>
                     </div>
                 `
             },
@@ -705,9 +741,21 @@ class ScreenManager {
     initLevelSelectScreen() {
         // Setup level selection
         this.loadLevelInfo();
+        this.populateDifficultySelect();
+        this.updateEndlessBest();
         console.log('[ScreenManager] Level select screen initialized');
     }
 
+    initLevelEditorScreen() {
+        this.levelEditor = new LevelEditor();
+        this.levelEditor.on('playtest', (data) => {
+            this.showScreen('game');
+            this.triggerCallback('playCustomLevel', { level: data.level });
+        });
+        this.levelEditor.init();
+        console.log('[ScreenManager] Level editor screen initialized');
+    }
+
     initVictoryScreen() {
         // Setup victory screen
         console.log('[ScreenManager] Victory screen initialized');
@@ -719,6 +767,16 @@ class ScreenManager {
     }
 
     initUpgradeTreeScreen() {
+        this.upgradeTreeView = new UpgradeTreeView();
+        this.upgradeTreeView.on('close', () => this.closeModal('upgrade-tree'));
+        this.upgradeTreeView.init();
+
+        // Closing by any route (×, Cancel, Escape) releases the tree's nodes
+        this.on('modalClosed', (data) => {
+            if (data.modal === 'upgrade-tree') {
+                this.upgradeTreeView.close();
+            }
+        });
         console.log('[ScreenManager] Upgrade tree modal initialized');
     }
 
@@ -733,7 +791,7 @@ class ScreenManager {
     // Game flow methods
     startNewGame() {
         console.log('[ScreenManager] startNewGame() called');
-        this.triggerCallback('startNewGame');
+        this.triggerCallback('startNewGame', { difficulty: this.difficulty });
         this.showScreen('game');
         console.log('[ScreenManager] Starting new game, switching to game screen');
     }
@@ -758,6 +816,8 @@ class ScreenManager {
         this.triggerCallback('returnToMenu');
         this.closeAllModals();
         this.showScreen('main-menu');
+        // The game saves on the way out, so Continue may have become available
+        this.updateContinueButton();
     }
 
     // Helper methods
@@ -786,6 +846,56 @@ class ScreenManager {
                 console.warn(`[ScreenManager] HUD element not found: ${id}`);
             }
         });
+
+        this.setupSpellBar();
+    }
+
+    // One button per CONFIG.PLAYER_SPELLS entry; a click asks Game to cast it
+    setupSpellBar() {
+        const bar = document.getElementById('spell-bar');
+        if (!bar) {
+            console.warn('[ScreenManager] HUD element not found: spell-bar');
+            return;
+        }
+
+        const spells = window.CONFIG?.PLAYER_SPELLS || {};
+        bar.innerHTML = Object.entries(spells).map(([id, spell]) => {
+            const cost = Object.entries(spell.cost)
+                .filter(([, amount]) => amount > 0)
+                .map(([resource, amount]) => `${amount} ${resource}`)
+                .join(', ');
+            return `
+                <button class="spell-btn" data-spell="${id}" title="${spell.name} [${spell.hotkey.toUpperCase()}] - ${spell.description} (${cost})">
+                    <span class="spell-icon">${spell.icon}</span>
+                    <span class="spell-hotkey">${spell.hotkey.toUpperCase()}</span>
+                    <span class="spell-cooldown"></span>
+                </button>`;
+        }).join('');
+
+        bar.querySelectorAll('[data-spell]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.triggerCallback('castSpell', { spell: button.dataset.spell });
+            });
+        });
+    }
+
+    // Cooldown sweep and state of each spell button (SpellManager.getStatus())
+    updateSpellBar(status) {
+        const bar = document.getElementById('spell-bar');
+        if (!bar) return;
+
+        status.forEach(spell => {
+            const button = bar.querySelector(`[data-spell="${spell.id}"]`);
+            if (!button) return;
+
+            button.classList.toggle('cooling-down', !spell.ready);
+            button.classList.toggle('unaffordable', !spell.affordable);
+            button.classList.toggle('aiming', spell.aiming);
+
+            const overlay = button.querySelector('.spell-cooldown');
+            overlay.style.height = `${spell.progress * 100}%`;
+            overlay.textContent = spell.ready ? '' : String(Math.ceil(spell.remaining / 1000));
+        });
     }
 
     loadAchievements() {
@@ -880,7 +990,95 @@ class ScreenManager {
         const level = this.selectedLevel || 1;
         console.log(`[ScreenManager] Playing selected level: ${level}`);
         this.showScreen('game');
-        this.triggerCallback('startLevel', { level });
+        this.triggerCallback('startLevel', { level, difficulty: this.difficulty });
+    }
+
+    // Endless run with the seed typed in (blank: a random seed)
+    playEndless() {
+        const input = document.getElementById('endlessSeedInput');
+        const seed = input && input.value.trim() !== '' ? input.value.trim() : null;
+        console.log(`[ScreenManager] Playing endless mode (seed: ${seed === null ? 'random' : seed})`);
+        this.showScreen('game');
+        this.triggerCallback('startEndless', { seed, difficulty: this.difficulty });
+    }
+
+    updateEndlessBest() {
+        const label = document.getElementById('endlessBest');
+        const input = document.getElementById('endlessSeedInput');
+        if (!label || !input) return;
+
+        const seed = input.value.trim();
+        const best = /^\d+$/.test(seed) && window.saveSystem ? window.saveSystem.getEndlessBest(Number(seed)) : 0;
+        label.textContent = best > 0 ? `Best: wave ${best}` : '';
+    }
+
+    // Preset buttons and mutator checkboxes (js/difficulty.js)
+    populateDifficultySelect() {
+        const container = document.getElementById('difficultySelect');
+        const difficulty = window.Difficulty;
+        if (!container || !difficulty) return;
+
+        const settings = difficulty.normalize(this.difficulty);
+        container.innerHTML = '';
+
+        const presets = document.createElement('div');
+        presets.className = 'difficulty-presets';
+        difficulty.getPresets().forEach(id => {
+            const preset = difficulty.getPreset(id);
+            const button = document.createElement('button');
+            button.className = 'difficulty-preset btn secondary' + (id === settings.preset ? ' selected' : '');
+            button.setAttribute('data-preset', id);
+            button.setAttribute('title', preset.description);
+            button.textContent = preset.name;
+            button.addEventListener('click', () => this.selectDifficultyPreset(id));
+            presets.appendChild(button);
+        });
+        container.appendChild(presets);
+
+        const mutators = document.createElement('div');
+        mutators.className = 'difficulty-mutators';
+        difficulty.getMutators().forEach(id => {
+            const mutator = difficulty.getMutator(id);
+            const label = document.createElement('label');
+            label.className = 'difficulty-mutator';
+            label.setAttribute('title', mutator.description);
+            label.innerHTML = `<input type="checkbox" data-mutator="${id}"${settings.mutators.includes(id) ? ' checked' : ''}> ` +
+                `${mutator.name} <span class="difficulty-bonus">×${mutator.scoreMultiplier}</span>`;
+            label.querySelector('input').addEventListener('change', (e) => this.toggleMutator(id, e.target.checked));
+            mutators.appendChild(label);
+        });
+        container.appendChild(mutators);
+
+        const summary = document.createElement('div');
+        summary.id = 'difficultySummary';
+        summary.className = 'difficulty-summary';
+        container.appendChild(summary);
+
+        this.updateDifficultySummary();
+    }
+
+    selectDifficultyPreset(id) {
+        const settings = window.Difficulty.normalize(this.difficulty);
+        this.difficulty = window.Difficulty.normalize({ ...settings, preset: id });
+        document.querySelectorAll('#difficultySelect .difficulty-preset').forEach(button => {
+            button.classList.toggle('selected', button.getAttribute('data-preset') === id);
+        });
+        this.updateDifficultySummary();
+    }
+
+    toggleMutator(id, enabled) {
+        const settings = window.Difficulty.normalize(this.difficulty);
+        const mutators = settings.mutators.filter(mutator => mutator !== id);
+        if (enabled) mutators.push(id);
+        this.difficulty = window.Difficulty.normalize({ ...settings, mutators });
+        this.updateDifficultySummary();
+    }
+
+    updateDifficultySummary() {
+        const summary = document.getElementById('difficultySummary');
+        if (summary) {
+            summary.textContent = window.Difficulty.describe(this.difficulty);
+        }
     }
 
     handleGameOver(detail) {
@@ -891,12 +1089,24 @@ class ScreenManager {
             const scoreEl = document.getElementById('finalScore');
             if (scoreEl) scoreEl.textContent = detail.score != null ? detail.score : 0;
 
+            const difficultyEl = document.getElementById('finalDifficulty');
+            if (difficultyEl) difficultyEl.textContent = detail.difficulty || '';
+
             // "Next Level" only makes sense when a further level exists.
             const nextBtn = document.getElementById('nextLevelBtn');
             if (nextBtn) nextBtn.style.display = detail.hasNextLevel ? '' : 'none';
 
             this.showScreen('victory');
         } else {
+            const endlessEl = document.getElementById('endlessResult');
+            if (endlessEl) {
+                const endless = detail.endless;
+                endlessEl.style.display = endless ? '' : 'none';
+                endlessEl.textContent = endless
+                    ? `Endless seed ${endless.seed}: reached wave ${endless.wave} (best: wave ${endless.best})`
+                    : '';
+            }
+
             this.showScreen('defeat');
         }
     }
@@ -981,6 +1191,22 @@ class ScreenManager {
         }
     }
 
+    showUpgradeTree(defense, defenseManager) {
+        if (this.isModalOpen('upgrade-tree')) {
+            this.closeModal('upgrade-tree');
+        }
+        if (!this.showModal('upgrade-tree')) return false;
+
+        return this.upgradeTreeView.open(defense, defenseManager);
+    }
+
+    // Keeps an open upgrade tree in step with upgrades bought through it
+    refreshUpgradeTree(defense) {
+        if (this.upgradeTreeView) {
+            this.upgradeTreeView.refresh(defense);
+        }
+    }
+
     showBossWarning(bossData) {
         const modal = this.screens.get('boss-warning');
         if (modal) {
@@ -1002,6 +1228,10 @@ class ScreenManager {
 
     destroy() {
         // Clean up event listeners and references
+        if (this.upgradeTreeView) {
+            this.upgradeTreeView.destroy();
+            this.upgradeTreeView = null;
+        }
         this.callbacks.clear();
         this.modalStack.length = 0;
         this.screens.clear();
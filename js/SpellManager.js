@@ -0,0 +1,312 @@
+import Utils from './utils.js';
+
+// Player spells from CONFIG.PLAYER_SPELLS, paid for with resources and held
+// back by cooldowns on the simulation clock. selectSpell() is the player's
+// entry point (HUD button or hotkey): spells aimed at a point go through
+// InputManager's targeting first. The cast itself is a player command routed
+// through the 'playerCommand' callback, so Game queues and records it like
+// defense commands; without a handler it is applied immediately.
+//
+// Callbacks: checkResources / deductResources ({ cost }), playerCommand,
+// getField (returns the { enemies, defenses } a cast can reach),
+// spellSelected / spellCancelled ({ spell }), castFailure ({ spell, reason })
+// and spellCast ({ spell, config, x, y, hits, kills }).
+
+const simulationNow = () => (window.simulation ? window.simulation.now() : Utils.performance.now());
+
+const getSpellConfigs = () => window.CONFIG?.PLAYER_SPELLS || {};
+
+// How long the ring drawn for a cast takes to fade
+const PULSE_DURATION = 600;
+
+class SpellManager {
+    constructor() {
+        // Spell id -> simulation time it can be cast again
+        this.readyAt = {};
+        this.aimingSpell = null;
+        this.pulses = [];
+
+        this.callbacks = new Map();
+    }
+
+    getSpellIds() {
+        return Object.keys(getSpellConfigs());
+    }
+
+    getSpell(id) {
+        return getSpellConfigs()[id] || null;
+    }
+
+    getSpellByHotkey(key) {
+        return this.getSpellIds().find(id => this.getSpell(id).hotkey === key) || null;
+    }
+
+    getCooldownRemaining(id) {
+        return Math.max(0, (this.readyAt[id] || 0) - simulationNow());
+    }
+
+    isReady(id) {
+        return this.getCooldownRemaining(id) === 0;
+    }
+
+    // What the HUD shows for each spell
+    getStatus() {
+        return this.getSpellIds().map(id => {
+            const spell = this.getSpell(id);
+            const remaining = this.getCooldownRemaining(id);
+            return {
+                id,
+                remaining,
+                progress: spell.cooldown > 0 ? remaining / spell.cooldown : 0,
+                ready: remaining === 0,
+                affordable: this.hasEnoughResources(spell.cost),
+                aiming: this.aimingSpell === id
+            };
+        });
+    }
+
+    // Player entry point. Point spells start aiming (choosing the aimed
+    // spell again cancels it); others are cast straight away.
+    selectSpell(id) {
+        const spell = this.getSpell(id);
+        if (!spell) {
+            console.warn(`[SpellManager] Unknown spell: ${id}`);
+            return false;
+        }
+
+        const inputManager = window.inputManager;
+        if (this.aimingSpell === id && inputManager) {
+            inputManager.cancelTargeting();
+            return false;
+        }
+
+        const reason = this.getCastBlocker(id);
+        if (reason) {
+            this.triggerCallback('castFailure', { spell: id, reason });
+            return false;
+        }
+
+        if (spell.targeting === 'point' && inputManager) {
+            inputManager.beginTargeting({
+                radius: spell.radius,
+                color: spell.color,
+                onConfirm: (position) => {
+                    this.aimingSpell = null;
+                    this.requestCommand('castSpell', { spell: id, x: position.x, y: position.y });
+                },
+                onCancel: () => {
+                    this.aimingSpell = null;
+                    this.triggerCallback('spellCancelled', { spell: id });
+                }
+            });
+            this.aimingSpell = id;
+            this.triggerCallback('spellSelected', { spell: id });
+            return true;
+        }
+
+        this.requestCommand('castSpell', { spell: id });
+        return true;
+    }
+
+    // 'cooldown' or 'insufficient_resources', or null when castable
+    getCastBlocker(id) {
+        if (!this.isReady(id)) return 'cooldown';
+        if (!this.hasEnoughResources(this.getSpell(id).cost)) return 'insufficient_resources';
+        return null;
+    }
+
+    requestCommand(type, data) {
+        if (this.triggerCallback('playerCommand', { type, data }) === true) return;
+        this.executeCommand(type, data, this.triggerCallback('getField'));
+    }
+
+    // field: { enemies, defenses } the spell can reach
+    executeCommand(type, data, field) {
+        switch (type) {
+            case 'castSpell':
+                return this.castSpell(data.spell, data, field);
+            default:
+                console.warn(`[SpellManager] Unknown command: ${type}`);
+                return false;
+        }
+    }
+
+    castSpell(id, target = {}, field = {}) {
+        const spell = this.getSpell(id);
+        if (!spell) {
+            console.warn(`[SpellManager] Unknown spell: ${id}`);
+            return false;
+        }
+
+        const reason = this.getCastBlocker(id);
+        if (reason) {
+            this.triggerCallback('castFailure', { spell: id, reason });
+            return false;
+        }
+
+        const aimed = spell.targeting === 'point';
+        if (aimed && (typeof target.x !== 'number' || typeof target.y !== 'number')) {
+            console.warn(`[SpellManager] ${spell.name} needs a target point`);
+            return false;
+        }
+
+        this.deductResources(spell.cost);
+        this.readyAt[id] = simulationNow() + spell.cooldown;
+
+        const units = (spell.affects === 'defenses' ? field.defenses : field.enemies) || [];
+        const affected = units.filter(unit => unit.isAlive !== false &&
+            (!aimed || Utils.math.distance(target.x, target.y, unit.x, unit.y) <= spell.radius));
+
+        let kills = 0;
+        affected.forEach(unit => {
+            if (spell.damage && typeof unit.takeDamage === 'function') {
+                unit.takeDamage(spell.damage, spell.damageType);
+                if (!unit.isAlive) kills++;
+            }
+            if (spell.effect) {
+                this.applyEffect(unit, spell.effect);
+            }
+        });
+
+        this.pulses.push({
+            x: aimed ? target.x : null,
+            y: aimed ? target.y : null,
+            radius: spell.radius || 0,
+            color: spell.color,
+            age: 0
+        });
+
+        this.triggerCallback('spellCast', {
+            spell: id,
+            config: spell,
+            x: aimed ? target.x : null,
+            y: aimed ? target.y : null,
+            hits: affected.length,
+            kills
+        });
+
+        console.log(`[SpellManager] Cast ${spell.name}: ${affected.length} hit, ${kills} destroyed`);
+        return true;
+    }
+
+    // An effect that grants immunities also ends what it protects against
+    applyEffect(unit, effect) {
+        const statusEffects = window.StatusEffects;
+        if (!statusEffects || !unit.statusEffects) return;
+
+        statusEffects.applyTo(unit, effect.type, { duration: effect.duration, strength: effect.strength });
+        const definition = statusEffects.getDefinition(effect.type);
+        ((definition && definition.grantsImmunity) || []).forEach(immunity => unit.statusEffects.cleanse(immunity));
+    }
+
+    update(deltaTime) {
+        this.pulses.forEach(pulse => { pulse.age += deltaTime; });
+        this.pulses = this.pulses.filter(pulse => pulse.age < PULSE_DURATION);
+    }
+
+    render(ctx) {
+        // Cast rings: around the aimed spot, or across the field
+        for (const pulse of this.pulses) {
+            const fade = 1 - pulse.age / PULSE_DURATION;
+            ctx.save();
+            ctx.globalAlpha = fade * 0.6;
+            if (pulse.x === null) {
+                ctx.fillStyle = pulse.color;
+                ctx.globalAlpha = fade * 0.15;
+                ctx.fillRect(0, 0, ctx.canvas ? ctx.canvas.width : 0, ctx.canvas ? ctx.canvas.height : 0);
+            } else {
+                ctx.strokeStyle = pulse.color;
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(pulse.x, pulse.y, pulse.radius * (1 - fade * 0.5), 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        // Aiming preview under the pointer
+        const inputManager = window.inputManager;
+        const targeting = inputManager && inputManager.getTargeting();
+        if (targeting && this.aimingSpell) {
+            const position = inputManager.getMouseWorldPosition();
+            ctx.save();
+            ctx.strokeStyle = targeting.color;
+            ctx.fillStyle = targeting.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 6]);
+            ctx.globalAlpha = 0.2;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, targeting.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 0.9;
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    hasEnoughResources(cost) {
+        return this.triggerCallback('checkResources', { cost }) !== false;
+    }
+
+    deductResources(cost) {
+        this.triggerCallback('deductResources', { cost });
+    }
+
+    // Callback system
+    on(event, callback) {
+        if (!this.callbacks.has(event)) {
+            this.callbacks.set(event, []);
+        }
+        this.callbacks.get(event).push(callback);
+    }
+
+    triggerCallback(event, data = {}) {
+        if (this.callbacks.has(event)) {
+            const callbacks = this.callbacks.get(event);
+            for (const callback of callbacks) {
+                try {
+                    const result = callback(data);
+                    if (result !== undefined) return result;
+                } catch (error) {
+                    console.error(`[SpellManager] Error in callback for ${event}:`, error);
+                }
+            }
+        }
+    }
+
+    // Save/Load: cooldowns as time left rather than clock stamps
+    getState() {
+        const cooldowns = {};
+        this.getSpellIds().forEach(id => {
+            const remaining = this.getCooldownRemaining(id);
+            if (remaining > 0) cooldowns[id] = remaining;
+        });
+        return { cooldowns };
+    }
+
+    setState(state) {
+        this.clear();
+        const now = simulationNow();
+        Object.entries((state && state.cooldowns) || {}).forEach(([id, remaining]) => {
+            if (this.getSpell(id) && typeof remaining === 'number' && remaining > 0) {
+                this.readyAt[id] = now + remaining;
+            }
+        });
+    }
+
+    clear() {
+        if (this.aimingSpell && window.inputManager) {
+            window.inputManager.cancelTargeting();
+        }
+        this.readyAt = {};
+        this.aimingSpell = null;
+        this.pulses = [];
+    }
+
+    destroy() {
+        this.clear();
+        this.callbacks.clear();
+    }
+}
+
+export default SpellManager;
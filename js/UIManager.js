@@ -6,6 +6,8 @@ class UIManager {
         this.animations = new Map();
         this.notifications = [];
         this.tooltips = new Map();
+        // One health bar per boss on the field, keyed by the boss
+        this.bossHealthBars = new Map();
 
         this.resources = { dharma: 0, bandwidth: 0, anonymity: 0 };
         this.gameState = { level: 1, wave: 1, score: 0 };
@@ -19,6 +21,9 @@ class UIManager {
         this.registerElement('dharma-display', 'text');
         this.registerElement('bandwidth-display', 'text');
         this.registerElement('anonymity-display', 'text');
+        this.registerElement('dharma-rate', 'text');
+        this.registerElement('bandwidth-rate', 'text');
+        this.registerElement('anonymity-rate', 'text');
 
         // Game state displays
         this.registerElement('level-display', 'text');
@@ -28,7 +33,8 @@ class UIManager {
 
         // Progress bars
         this.registerElement('wave-progress-bar', 'progress');
-        this.registerElement('boss-health-bar', 'progress');
+        this.registerElement('boss-health-bars', 'container');
+        this.registerElement('boss-phase-title', 'container');
 
         // Action buttons
         this.registerElement('start-wave-btn', 'button');
@@ -38,8 +44,10 @@ class UIManager {
 
         // Defense UI
         this.registerElement('defense-info-panel', 'container');
+        this.registerElement('enemy-info-panel', 'container');
         this.registerElement('defense-selection-panel', 'container');
         this.registerElement('upgrade-tree-panel', 'container');
+        this.registerElement('wave-summary-panel', 'container');
 
         // Notification area
         this.registerElement('notification-area', 'container');
@@ -103,9 +111,9 @@ class UIManager {
         });
 
         // Resource tooltips
-        this.setupTooltip('dharma-display', 'Dharma: Primary currency for defenses');
-        this.setupTooltip('bandwidth-display', 'Bandwidth: Required for advanced defenses');
-        this.setupTooltip('anonymity-display', 'Anonymity: Powers stealth and special abilities');
+        this.setupTooltip('dharma-display', 'Dharma: Earned by destroying threats, spent on defenses, upgrades and spells');
+        this.setupTooltip('bandwidth-display', 'Bandwidth: Regenerates during waves; the more you keep, the more shots your defenses can fire each second');
+        this.setupTooltip('anonymity-display', 'Anonymity: Regenerates during waves; loud defenses lose some with every shot, and below 25 AI Surveillance scans further');
     }
 
     setupTooltip(elementOrId, content) {
@@ -170,7 +178,27 @@ class UIManager {
             distributor: '<strong>Load Distributor</strong><br>Cost: 150 Dharma, 75 Bandwidth<br>Long range, high damage'
         };
 
-        return defenseTypes[type] || 'Defense information';
+        if (!defenseTypes[type]) return 'Defense information';
+        return defenseTypes[type] + this.getMatchupTooltip(type);
+    }
+
+    // Damage type line plus the enemies it is strong and weak against
+    getMatchupTooltip(defenseType) {
+        if (typeof DamageTypes === 'undefined' || typeof CONFIG === 'undefined') return '';
+
+        const damageType = DamageTypes.forDefense(defenseType);
+        const strong = [];
+        const weak = [];
+        Object.entries(CONFIG.ENEMY_TYPES || {}).forEach(([type, config]) => {
+            const matchup = DamageTypes.getMatchup(DamageTypes.forEnemy(type), damageType);
+            if (matchup === 'weak') strong.push(config.name || type);
+            if (matchup === 'resisted' || matchup === 'immune') weak.push(config.name || type);
+        });
+
+        let html = `<br>Damage: <span style="color: ${DamageTypes.getColor(damageType)}">${DamageTypes.getName(damageType)}</span>`;
+        if (strong.length > 0) html += `<br>Strong vs: ${strong.join(', ')}`;
+        if (weak.length > 0) html += `<br>Weak vs: ${weak.join(', ')}`;
+        return html;
     }
 
     setupKeyboardShortcuts() {
@@ -193,9 +221,17 @@ class UIManager {
                 case 'n':
                     this.startNextWave();
                     break;
+                case 'enter':
+                    this.skipCinematic();
+                    break;
                 case 'escape':
+                    // Escape first drops a spell that is being aimed
+                    if (window.inputManager && window.inputManager.cancelTargeting()) break;
                     this.showGameMenu();
                     break;
+                default:
+                    this.castSpellHotkey(e.key.toLowerCase());
+                    break;
             }
         });
     }
@@ -208,11 +244,11 @@ class UIManager {
                 const defenseType = item.getAttribute('data-type');
                 console.log(`[UIManager] Defense type selected: ${defenseType}`);
 
-                // Remove active class from all defense items
-                defenseItems.forEach(di => di.classList.remove('active'));
-
-                // Add active class to clicked item
-                item.classList.add('active');
+                // Banned types stay unselected; DefenseManager reports why
+                if (!item.classList.contains('banned')) {
+                    defenseItems.forEach(di => di.classList.remove('active'));
+                    item.classList.add('active');
+                }
 
                 // Dispatch selection event
                 const event = new CustomEvent('selectDefenseType', {
@@ -235,13 +271,26 @@ class UIManager {
         }
     }
 
+    // Hotkeys come from CONFIG.PLAYER_SPELLS
+    castSpellHotkey(key) {
+        const spells = window.CONFIG?.PLAYER_SPELLS || {};
+        const spell = Object.keys(spells).find(id => spells[id].hotkey === key);
+        if (spell) {
+            const event = new CustomEvent('castSpell', {
+                detail: { spell }
+            });
+            document.dispatchEvent(event);
+        }
+    }
+
     // Resource Management
     updateResources(resources) {
         this.resources = { ...resources };
 
-        this.updateText('dharma-display', Utils.game.formatNumber(resources.dharma));
-        this.updateText('bandwidth-display', Utils.game.formatNumber(resources.bandwidth));
-        this.updateText('anonymity-display', Utils.game.formatNumber(resources.anonymity));
+        // Income and noise leave fractions; show whole amounts
+        this.updateText('dharma-display', Utils.game.formatNumber(Math.floor(resources.dharma)));
+        this.updateText('bandwidth-display', Utils.game.formatNumber(Math.floor(resources.bandwidth)));
+        this.updateText('anonymity-display', Utils.game.formatNumber(Math.floor(resources.anonymity)));
 
         // Animate resource changes
         this.animateResourceChange('dharma-display');
@@ -249,6 +298,13 @@ class UIManager {
         this.animateResourceChange('anonymity-display');
     }
 
+    // Income, shot cap and exposure lines (Economy.describe())
+    updateEconomy(lines) {
+        this.updateText('dharma-rate', lines.dharma);
+        this.updateText('bandwidth-rate', lines.bandwidth);
+        this.updateText('anonymity-rate', lines.anonymity);
+    }
+
     animateResourceChange(elementId) {
         const elementData = this.elements.get(elementId);
         if (!elementData) return;
@@ -311,19 +367,23 @@ class UIManager {
         if (progressFill) {
             progressFill.style.width = `${percentage}%`;
 
-            // Color coding for health bars
             if (barId.includes('health')) {
-                if (percentage < 25) {
-                    progressFill.style.background = '#ff0000';
-                } else if (percentage < 50) {
-                    progressFill.style.background = '#ff6b35';
-                } else {
-                    progressFill.style.background = '#00ff88';
-                }
+                this.colorHealthFill(progressFill, percentage);
             }
         }
     }
 
+    // Color coding for health bars
+    colorHealthFill(progressFill, percentage) {
+        if (percentage < 25) {
+            progressFill.style.background = '#ff0000';
+        } else if (percentage < 50) {
+            progressFill.style.background = '#ff6b35';
+        } else {
+            progressFill.style.background = '#00ff88';
+        }
+    }
+
     updateWaveProgress(current, total) {
         this.updateProgress('wave-progress-bar', current, total);
 
@@ -333,15 +393,100 @@ class UIManager {
         }
     }
 
-    updateBossHealth(health, maxHealth) {
-        this.updateProgress('boss-health-bar', health, maxHealth);
-        this.showElement('boss-health-bar');
+    // A bar per boss, labelled with its name and phase; linked bosses and
+    // bosses shielded by their escorts are marked (see js/bossEncounters.js).
+    // A defeated boss's bar goes 2s after it falls.
+    updateBossHealth(boss) {
+        const container = this.elements.get('boss-health-bars');
+        if (!container) return;
+
+        let bar = this.bossHealthBars.get(boss);
+        if (!bar) {
+            bar = this.createBossHealthBar(container.element);
+            this.bossHealthBars.set(boss, bar);
+        }
+
+        const percentage = Math.max(0, Math.min(100, (boss.health / boss.maxHealth) * 100));
+        bar.fill.style.width = `${percentage}%`;
+        this.colorHealthFill(bar.fill, percentage);
+
+        const link = boss.link ? ` ⛓ ${boss.link.name}` : '';
+        bar.label.textContent = `${boss.name} - Phase ${boss.phase}${link}`;
+        bar.element.classList.toggle('shielded', typeof boss.isShielded === 'function' && boss.isShielded());
+        bar.element.classList.toggle('linked', !!boss.link);
+        this.showElement('boss-health-bars');
+
+        if (boss.health <= 0 && !bar.removing) {
+            bar.removing = true;
+            setTimeout(() => this.removeBossHealthBar(boss), 2000);
+        }
+    }
+
+    createBossHealthBar(container) {
+        const element = document.createElement('div');
+        element.className = 'progress-bar boss-health-entry';
+
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        const label = document.createElement('span');
+        label.className = 'progress-text';
+
+        element.appendChild(fill);
+        element.appendChild(label);
+        container.appendChild(element);
+        return { element, fill, label, removing: false };
+    }
+
+    removeBossHealthBar(boss) {
+        const bar = this.bossHealthBars.get(boss);
+        if (!bar) return;
 
-        if (health <= 0) {
-            setTimeout(() => this.hideElement('boss-health-bar'), 2000);
+        bar.element.remove();
+        this.bossHealthBars.delete(boss);
+        if (this.bossHealthBars.size === 0) {
+            this.hideElement('boss-health-bars');
         }
     }
 
+    clearBossHealthBars() {
+        Array.from(this.bossHealthBars.keys()).forEach(boss => this.removeBossHealthBar(boss));
+    }
+
+    // Title card of a boss phase cinematic (js/bossPhaseCinematics.js);
+    // without animate (reduced motion) it appears in place
+    showBossPhaseTitle(title, description, animate = true) {
+        const container = this.elements.get('boss-phase-title');
+        if (!container) return;
+
+        const element = container.element;
+        element.innerHTML = '';
+        [
+            ['boss-phase-name', title],
+            ['boss-phase-description', description],
+            ['boss-phase-skip', 'Click or press Enter to skip']
+        ].forEach(([className, text]) => {
+            if (!text) return;
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            element.appendChild(line);
+        });
+
+        element.classList.toggle('animated', animate);
+        this.showElement('boss-phase-title');
+    }
+
+    hideBossPhaseTitle() {
+        this.hideElement('boss-phase-title');
+    }
+
+    // Boss phase changes mid-fight: a notification rather than the
+    // ScreenManager's boss-warning modal, which would block the field
+    showBossWarning(bossData) {
+        const description = bossData.description ? ` - ${bossData.description}` : '';
+        this.showNotification(`⚠ ${bossData.name}${description}`, 'warning', 4000);
+    }
+
     // Notifications
     showNotification(message, type = 'info', duration = 3000) {
         const notification = {
@@ -448,6 +593,11 @@ class UIManager {
         document.dispatchEvent(event);
     }
 
+    skipCinematic() {
+        const event = new CustomEvent('skipCinematic');
+        document.dispatchEvent(event);
+    }
+
     showGameMenu() {
         const event = new CustomEvent('showGameMenu');
         document.dispatchEvent(event);
@@ -545,14 +695,58 @@ class UIManager {
         }
     }
 
+    // Enemy info panel: health, armor and damage type matchups of a clicked
+    // enemy; bosses show the resistances of their current phase
+    showEnemyInfo(enemy) {
+        const panel = this.elements.get('enemy-info-panel')?.element;
+        if (!panel) return;
+
+        if (!enemy) {
+            this.hideElement('enemy-info-panel');
+            return;
+        }
+
+        const config = typeof CONFIG !== 'undefined' ? CONFIG.ENEMY_TYPES?.[enemy.type] : null;
+        const name = (config && config.name) || enemy.type;
+        const matchups = typeof DamageTypes !== 'undefined' ? DamageTypes.describe(enemy.resistances) : [];
+        const matchupLabels = { weak: 'Weak', resisted: 'Resists', immune: 'Immune' };
+
+        panel.innerHTML = `
+            <h3>${name}${enemy.isBoss ? ` (Phase ${enemy.phase})` : ''}</h3>
+            <div class="defense-stats">
+                <div class="stat">
+                    <span class="stat-label">Health:</span>
+                    <span class="stat-value">${Math.ceil(enemy.health)}/${Math.ceil(enemy.maxHealth)}</span>
+                </div>
+                <div class="stat">
+                    <span class="stat-label">Armor:</span>
+                    <span class="stat-value">${enemy.armor || 0}</span>
+                </div>
+                ${matchups.map(entry => `
+                <div class="stat">
+                    <span class="stat-label" style="color: ${DamageTypes.getColor(entry.type)}">${entry.name}:</span>
+                    <span class="stat-value">${matchupLabels[entry.matchup]} (x${entry.multiplier})</span>
+                </div>`).join('')}
+                ${matchups.length === 0 ? '<div class="stat"><span class="stat-label">No resistances</span></div>' : ''}
+            </div>
+        `;
+        this.showElement('enemy-info-panel');
+    }
+
+    hideEnemyInfo() {
+        this.hideElement('enemy-info-panel');
+    }
+
     // Wave Management UI
-    updateWaveButton(canStart, nextWaveInfo) {
+    // earlyBonus: dharma for calling the wave now (see js/rewards.js)
+    updateWaveButton(canStart, nextWaveInfo, earlyBonus = 0) {
         const button = this.elements.get('start-wave-btn')?.element;
         if (!button) return;
 
         if (canStart) {
             button.disabled = false;
-            button.textContent = nextWaveInfo ? `Start Wave ${nextWaveInfo.waveNumber}` : 'Start Wave';
+            button.textContent = (nextWaveInfo ? `Start Wave ${nextWaveInfo.waveNumber}` : 'Start Wave') +
+                (earlyBonus > 0 ? ` (+${earlyBonus} 💎 early)` : '');
             button.classList.remove('disabled');
         } else {
             button.disabled = true;
@@ -561,6 +755,44 @@ class UIManager {
         }
     }
 
+    // Where a wave's income came from. summary: { wave, earned, payouts,
+    // total }; earned and payouts are [{ label, amount }] (see Game.onWaveComplete)
+    showWaveSummary(summary) {
+        const panel = this.elements.get('wave-summary-panel')?.element;
+        if (!panel) return;
+
+        const resources = ['dharma', 'bandwidth', 'anonymity'];
+        const cells = (amount) => resources.map(resource => {
+            const value = Math.floor(amount[resource] || 0);
+            return `<td>${value > 0 ? `+${value}` : '—'}</td>`;
+        }).join('');
+        const rows = (entries) => entries.map(entry => `<tr><td>${entry.label}</td>${cells(entry.amount)}</tr>`).join('');
+
+        panel.innerHTML = `
+            <h3>Wave ${summary.wave} Summary</h3>
+            <table class="wave-summary-table">
+                <thead>
+                    <tr><th>Source</th><th>💎</th><th>📡</th><th>👤</th></tr>
+                </thead>
+                <tbody>
+                    ${summary.earned.length > 0 ? `<tr class="wave-summary-section"><td colspan="4">During the wave</td></tr>${rows(summary.earned)}` : ''}
+                    <tr class="wave-summary-section"><td colspan="4">Wave end</td></tr>
+                    ${rows(summary.payouts)}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td>${cells(summary.total)}</tr>
+                </tfoot>
+            </table>
+            <button class="action-btn primary wave-summary-close">Continue</button>
+        `;
+        panel.querySelector('.wave-summary-close').addEventListener('click', () => this.hideWaveSummary());
+        this.showElement('wave-summary-panel');
+    }
+
+    hideWaveSummary() {
+        this.hideElement('wave-summary-panel');
+    }
+
     // Screen Flash Effects
     flashScreen(color = '#ff0000', duration = 200) {
         const flash = document.createElement('div');
@@ -0,0 +1,467 @@
+// Upgrade tree screen for one defense, drawn into #upgrade-tree-modal. Every
+// level of its CONFIG.UPGRADE_TREES entry is a row of nodes (the base defense,
+// then one node per level or one per branch) marked as owned, current,
+// available or locked, with each node's stat changes, abilities and cost. The
+// preview shows the focused node; for an available node it compares the
+// defense's stats before and after, and Upgrade buys it through
+// DefenseManager's command path.
+//
+// Nodes, stat rows and ability tags come from UpgradeTreeCleanupManager's
+// element pools and every listener is registered through it, so closing the
+// modal hands all of it back in one comprehensive cleanup.
+//
+// Keyboard: up/down moves between levels, left/right between branches, Enter
+// upgrades to the focused node. Touch: tap a node, swipe sideways to step
+// through the nodes in order.
+
+const SWIPE_DISTANCE = 40;
+
+const STAT_LABELS = {
+    damage: 'Damage',
+    range: 'Range',
+    fireRate: 'Fire Rate',
+    size: 'Size'
+};
+
+const formatCost = (cost) => Object.entries(cost)
+    .filter(([, amount]) => amount > 0)
+    .map(([resource, amount]) => `${amount} ${resource}`)
+    .join(', ') || 'free';
+
+// Percent change a modifier makes; fireRate modifiers scale the time between
+// shots, so they are shown as the change in shots per second
+const modifierPercent = (stat, value) => Math.round(((stat === 'fireRate' ? 1 / value : value) - 1) * 100);
+
+class UpgradeTreeView {
+    constructor() {
+        this.elements = {};
+        this.callbacks = new Map();
+        this.cleanupManager = null;
+        this.defenseManager = null;
+        this.focus = null; // { level, index }
+        this.touchStart = null;
+
+        // References UpgradeTreeCleanupManager clears on close
+        this.currentUpgradeDefense = null;
+        this.selectedUpgradeChoice = null;
+    }
+
+    init() {
+        [
+            'upgrade-tree-modal', 'upgradeTreeTitle', 'upgradePathContainer', 'statChanges',
+            'newAbilities', 'upgradeCost', 'confirmUpgradeBtn', 'cancelUpgradeBtn'
+        ].forEach(id => {
+            this.elements[id] = document.getElementById(id);
+        });
+
+        if (!this.elements.upgradePathContainer || !window.UpgradeTreeCleanupManager) {
+            console.warn('[UpgradeTreeView] Upgrade tree modal or cleanup manager not found');
+            return false;
+        }
+
+        this.cleanupManager = new window.UpgradeTreeCleanupManager(this);
+        console.log('[UpgradeTreeView] Initialized');
+        return true;
+    }
+
+    open(defense, defenseManager) {
+        if (!this.cleanupManager || !defense) return false;
+
+        this.currentUpgradeDefense = defense;
+        this.defenseManager = defenseManager;
+        this.cleanupManager.memoryMetrics.modalOpenCount++;
+
+        this.focusNextUpgrade();
+        this.render();
+        return true;
+    }
+
+    // Redraw once DefenseManager reports an upgrade of the shown defense
+    // (commands may be queued for the next tick, so not straight after
+    // confirmUpgrade)
+    refresh(defense) {
+        if (!this.isOpen() || defense !== this.currentUpgradeDefense) return;
+
+        this.focusNextUpgrade();
+        this.render();
+    }
+
+    close() {
+        if (!this.currentUpgradeDefense) return;
+
+        this.cleanupManager.performComprehensiveCleanup();
+        this.defenseManager = null;
+        this.focus = null;
+        this.touchStart = null;
+    }
+
+    destroy() {
+        if (this.cleanupManager) {
+            this.cleanupManager.destroy();
+            this.cleanupManager = null;
+        }
+    }
+
+    isOpen() {
+        return this.currentUpgradeDefense !== null;
+    }
+
+    // Tree model
+    getBaseConfig() {
+        return this.defenseManager.defenseTypes[this.currentUpgradeDefense.type];
+    }
+
+    // Nodes of one level: the base defense at level 1, otherwise the level's
+    // upgrade, or one node per branch when it has choices
+    getNodes(level) {
+        const upgradeTrees = window.UpgradeTrees;
+        const defense = this.currentUpgradeDefense;
+        const config = this.getBaseConfig();
+
+        if (level === 1) {
+            return [{
+                level, index: null, name: config.name, description: config.description,
+                modifiers: {}, abilities: [], damageType: null, cost: config.cost,
+                state: this.getNodeState(level, null)
+            }];
+        }
+
+        const upgrade = upgradeTrees.getUpgrade(defense.type, level);
+        if (!upgrade || level > upgradeTrees.MAX_LEVEL) return [];
+
+        const choices = upgradeTrees.getChoices(defense.type, level);
+        const branches = choices.length > 0 ? choices.map((choice, index) => ({ choice, index })) : [{ choice: null, index: null }];
+
+        return branches.map(({ choice, index }) => {
+            const modifiers = { ...(upgrade.modifiers || {}) };
+            Object.entries((choice && choice.modifiers) || {}).forEach(([stat, value]) => {
+                modifiers[stat] = (modifiers[stat] || 1) * value;
+            });
+
+            return {
+                level,
+                index,
+                name: choice ? choice.name : `Level ${level}`,
+                description: choice ? choice.description : upgrade.description,
+                modifiers,
+                abilities: [...(upgrade.abilities || []), ...((choice && choice.abilities) || [])],
+                damageType: (choice && choice.damageType) || upgrade.damageType || null,
+                cost: upgradeTrees.getStepCost(defense.type, config.cost, level, index),
+                state: this.getNodeState(level, index)
+            };
+        });
+    }
+
+    // 'owned' and 'current' are on the path taken, 'available' can be bought
+    // next, 'locked' is out of reach or a branch not taken
+    getNodeState(level, index) {
+        const defense = this.currentUpgradeDefense;
+
+        if (level <= defense.level) {
+            const taken = defense.upgradeChoices.find(choice => choice.level === level);
+            if (taken && taken.index !== index) return 'locked';
+            return level === defense.level ? 'current' : 'owned';
+        }
+
+        return level === defense.level + 1 ? 'available' : 'locked';
+    }
+
+    getFocusedNode() {
+        if (!this.focus) return null;
+        return this.getNodes(this.focus.level).find(node => node.index === this.focus.index) || null;
+    }
+
+    getAllNodes() {
+        const nodes = [];
+        for (let level = 1; level <= window.UpgradeTrees.MAX_LEVEL; level++) {
+            nodes.push(...this.getNodes(level));
+        }
+        return nodes;
+    }
+
+    // Navigation
+    // First branch of the next level, or the current node at max level
+    focusNextUpgrade() {
+        const defense = this.currentUpgradeDefense;
+        const node = this.getNodes(defense.level + 1)[0] ||
+            this.getNodes(defense.level).find(candidate => candidate.state === 'current');
+
+        this.focus = { level: node.level, index: node.index };
+        this.selectedUpgradeChoice = node.state === 'available' ? node.index : null;
+    }
+
+    setFocus(level, index) {
+        const node = this.getNodes(level).find(candidate => candidate.index === index);
+        if (!node) return false;
+
+        this.focus = { level, index };
+        this.selectedUpgradeChoice = node.state === 'available' ? index : null;
+        this.render();
+        return true;
+    }
+
+    moveLevel(step) {
+        const level = this.focus.level + step;
+        const nodes = this.getNodes(level);
+        if (nodes.length === 0) return false;
+
+        // Keep the branch position where the next level has one
+        const position = Math.max(0, this.getNodes(this.focus.level).findIndex(node => node.index === this.focus.index));
+        const node = nodes[Math.min(position, nodes.length - 1)];
+        return this.setFocus(node.level, node.index);
+    }
+
+    moveBranch(step) {
+        const nodes = this.getNodes(this.focus.level);
+        const position = nodes.findIndex(node => node.index === this.focus.index) + step;
+        if (position < 0 || position >= nodes.length) return false;
+        return this.setFocus(this.focus.level, nodes[position].index);
+    }
+
+    // Next or previous node in reading order, across levels
+    step(direction) {
+        const nodes = this.getAllNodes();
+        const position = nodes.findIndex(node => node.level === this.focus.level && node.index === this.focus.index);
+        const node = nodes[position + direction];
+        return node ? this.setFocus(node.level, node.index) : false;
+    }
+
+    handleKeyDown(e) {
+        const handled = {
+            ArrowUp: () => this.moveLevel(-1),
+            ArrowDown: () => this.moveLevel(1),
+            ArrowLeft: () => this.moveBranch(-1),
+            ArrowRight: () => this.moveBranch(1),
+            Enter: () => this.confirmUpgrade()
+        }[e.key];
+
+        if (handled) {
+            e.preventDefault();
+            handled();
+        }
+    }
+
+    handleTouchStart(e) {
+        const touch = e.changedTouches && e.changedTouches[0];
+        this.touchStart = touch ? { x: touch.clientX, y: touch.clientY } : null;
+    }
+
+    handleTouchEnd(e) {
+        const touch = e.changedTouches && e.changedTouches[0];
+        if (!touch || !this.touchStart) return;
+
+        const dx = touch.clientX - this.touchStart.x;
+        const dy = touch.clientY - this.touchStart.y;
+        this.touchStart = null;
+
+        // Vertical drags scroll the tree
+        if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+            this.step(dx < 0 ? 1 : -1);
+        }
+    }
+
+    // Requests the focused node if it is the next upgrade
+    confirmUpgrade() {
+        const node = this.getFocusedNode();
+        if (!node || node.state !== 'available') return false;
+
+        this.defenseManager.upgradeSelectedDefense(node.index);
+        return true;
+    }
+
+    // Rendering
+    render() {
+        const { upgradeTreeTitle, upgradePathContainer } = this.elements;
+        this.release();
+
+        upgradeTreeTitle.textContent = `${this.getBaseConfig().name} Upgrade Tree`;
+        for (let level = 1; level <= window.UpgradeTrees.MAX_LEVEL; level++) {
+            const row = this.createLevelRow(level);
+            if (row) upgradePathContainer.appendChild(row);
+        }
+
+        this.renderPreview();
+        this.trackListeners();
+    }
+
+    // Hand the current nodes and listeners back before drawing again
+    release() {
+        this.cleanupManager.removeAllEventListeners();
+        this.cleanupManager.cleanupDOMElements();
+        this.elements.upgradePathContainer.innerHTML = '';
+    }
+
+    // Pooled elements are reused across types of content, so every caller
+    // sets the class and contents it needs
+    createElement(poolType, className) {
+        const element = this.cleanupManager.createPooledElement(poolType, () => document.createElement('div'));
+        element.className = className;
+        return element;
+    }
+
+    createLevelRow(level) {
+        const nodes = this.getNodes(level);
+        if (nodes.length === 0) return null;
+
+        const upgrade = window.UpgradeTrees.getUpgrade(this.currentUpgradeDefense.type, level);
+        const rowState = nodes.some(node => node.state === 'current') ? 'current'
+            : nodes.some(node => node.state === 'available') ? 'available'
+                : nodes.some(node => node.state === 'owned') ? 'owned' : 'locked';
+
+        const row = this.createElement('previewSection', `upgrade-level ${rowState}`);
+        row.innerHTML = `
+            <span class="upgrade-level-number">Lv ${level}</span>
+            <h4>${level === 1 ? 'Base' : upgrade.description}</h4>
+            <div class="upgrade-choices"></div>
+        `;
+
+        const branches = row.querySelector('.upgrade-choices');
+        nodes.forEach(node => branches.appendChild(this.createNode(node)));
+        return row;
+    }
+
+    createNode(node) {
+        const focused = this.focus && this.focus.level === node.level && this.focus.index === node.index;
+        const element = this.createElement('upgradeChoice', `upgrade-choice upgrade-node ${node.state}${focused ? ' selected' : ''}`);
+        element.setAttribute('role', 'button');
+        element.setAttribute('tabindex', focused ? '0' : '-1');
+        element.setAttribute('aria-label', `${node.name}, ${node.state}`);
+        element.dataset.level = String(node.level);
+        element.dataset.choice = node.index === null ? '' : String(node.index);
+        element.innerHTML = `
+            <div class="upgrade-node-title">${node.name}</div>
+            ${node.index !== null ? `<div class="choice-description">${node.description || ''}</div>` : ''}
+            <div class="choice-stats"></div>
+            <div class="choice-abilities"></div>
+            <div class="upgrade-node-cost">${formatCost(node.cost)}</div>
+        `;
+
+        const stats = element.querySelector('.choice-stats');
+        this.createStatChanges(node).forEach(change => stats.appendChild(change));
+        const abilities = element.querySelector('.choice-abilities');
+        node.abilities.forEach(ability => {
+            const tag = this.createElement('abilityTag', 'ability-tag');
+            tag.textContent = ability.replace(/_/g, ' ');
+            tag.title = window.UpgradeTrees.describeAbility(ability);
+            abilities.appendChild(tag);
+        });
+
+        return element;
+    }
+
+    // "+20% Damage" style rows for a node's own modifiers
+    createStatChanges(node) {
+        const changes = Object.entries(node.modifiers).map(([stat, value]) => {
+            const percent = modifierPercent(stat, value);
+            const change = this.createElement('statChange', `stat-change ${percent >= 0 ? 'positive' : 'negative'}`);
+            change.textContent = `${percent >= 0 ? '+' : ''}${percent}% ${STAT_LABELS[stat] || stat}`;
+            return change;
+        });
+
+        if (node.damageType) {
+            const change = this.createElement('statChange', 'stat-change positive');
+            change.textContent = `${window.DamageTypes ? window.DamageTypes.getName(node.damageType) : node.damageType} damage`;
+            changes.push(change);
+        }
+
+        return changes;
+    }
+
+    renderPreview() {
+        const { statChanges, newAbilities, upgradeCost, confirmUpgradeBtn } = this.elements;
+        const defense = this.currentUpgradeDefense;
+        const node = this.getFocusedNode();
+        if (!node) return;
+
+        statChanges.innerHTML = `<h5>${node.name}</h5>`;
+        newAbilities.innerHTML = '';
+        upgradeCost.innerHTML = '';
+
+        const affordable = node.state === 'available' && this.defenseManager.hasEnoughResources(node.cost);
+
+        if (node.state === 'available') {
+            // Absolute before and after for the upgrade the player can buy
+            const preview = this.defenseManager.getUpgradePreview(defense, node.index);
+            [['damage', 0], ['range', 0], ['fireRate', 2]].forEach(([stat, digits]) => {
+                const row = this.createElement('statChange', `stat-change ${preview[stat] >= defense[stat] ? 'positive' : 'negative'}`);
+                row.innerHTML = `<span>${STAT_LABELS[stat]}</span><span>${defense[stat].toFixed(digits)} → ${preview[stat].toFixed(digits)}</span>`;
+                statChanges.appendChild(row);
+            });
+            if (preview.damageType !== defense.damageType) {
+                const row = this.createElement('statChange', 'stat-change positive');
+                row.innerHTML = `<span>Damage Type</span><span>${preview.damageType}</span>`;
+                statChanges.appendChild(row);
+            }
+        } else {
+            this.createStatChanges(node).forEach(change => statChanges.appendChild(change));
+        }
+
+        if (node.abilities.length > 0) {
+            newAbilities.innerHTML = '<h5>Abilities</h5>';
+            node.abilities.forEach(ability => {
+                const tag = this.createElement('abilityTag', 'ability-tag');
+                tag.title = '';
+                tag.innerHTML = `<strong>${ability.replace(/_/g, ' ')}</strong>: ${window.UpgradeTrees.describeAbility(ability)}`;
+                newAbilities.appendChild(tag);
+            });
+        }
+
+        const costLabel = {
+            owned: 'Paid',
+            current: 'Paid',
+            available: affordable ? 'Cost' : 'Cost (not enough resources)',
+            locked: 'Cost'
+        }[node.state];
+        upgradeCost.textContent = `${costLabel}: ${formatCost(node.cost)}`;
+
+        confirmUpgradeBtn.disabled = !affordable;
+        confirmUpgradeBtn.textContent = node.state === 'available' ? `Upgrade to ${node.name}` : 'Upgrade';
+    }
+
+    trackListeners() {
+        const { upgradePathContainer, confirmUpgradeBtn, cancelUpgradeBtn } = this.elements;
+        const track = (element, event, handler) => this.cleanupManager.trackEventListener(element, event, handler);
+
+        upgradePathContainer.querySelectorAll('.upgrade-node').forEach(element => {
+            track(element, 'click', () => {
+                const choice = element.dataset.choice === '' ? null : Number(element.dataset.choice);
+                this.setFocus(Number(element.dataset.level), choice);
+            });
+        });
+
+        track(upgradePathContainer, 'touchstart', (e) => this.handleTouchStart(e));
+        track(upgradePathContainer, 'touchend', (e) => this.handleTouchEnd(e));
+        track(document, 'keydown', (e) => this.handleKeyDown(e));
+        if (confirmUpgradeBtn) track(confirmUpgradeBtn, 'click', () => this.confirmUpgrade());
+        if (cancelUpgradeBtn) track(cancelUpgradeBtn, 'click', () => this.requestClose());
+
+        upgradePathContainer.querySelector('.upgrade-node.selected')?.focus();
+    }
+
+    // The screen manager owns the modal, so closing goes through it
+    requestClose() {
+        this.triggerCallback('close');
+    }
+
+    // Callback system
+    on(event, callback) {
+        if (!this.callbacks.has(event)) {
+            this.callbacks.set(event, []);
+        }
+        this.callbacks.get(event).push(callback);
+    }
+
+    triggerCallback(event, data = {}) {
+        if (this.callbacks.has(event)) {
+            for (const callback of this.callbacks.get(event)) {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`[UpgradeTreeView] Error in callback for ${event}:`, error);
+                }
+            }
+        }
+    }
+}
+
+export default UpgradeTreeView;
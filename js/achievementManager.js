@@ -118,6 +118,51 @@ class AchievementManager {
                 requirements: { defense_types_used: 6 },
                 reward: { dharma: 100, bandwidth: 50, anonymity: 50 },
                 icon: '🎯'
+            },
+            {
+                id: 'spell_weaver',
+                name: 'Spell Weaver',
+                description: 'Cast 25 spells',
+                category: 'strategy',
+                requirements: { spells_cast: 25 },
+                reward: { anonymity: 75 },
+                icon: '🕉️'
+            },
+            {
+                id: 'mantra_master',
+                name: 'Mantra Master',
+                description: 'Destroy 5 enemies with a single spell',
+                category: 'skill',
+                requirements: { spell_multi_kills: 1 },
+                reward: { dharma: 150 },
+                icon: '🌟'
+            },
+            {
+                id: 'nirvana_attained',
+                name: 'Nirvana Attained',
+                description: 'Complete a level on Nirvana difficulty',
+                category: 'skill',
+                requirements: { nirvana_levels: 1 },
+                reward: { dharma: 300, bandwidth: 100, anonymity: 100 },
+                icon: '☸️'
+            },
+            {
+                id: 'ascetic_path',
+                name: 'Path of the Ascetic',
+                description: 'Complete a level with three or more mutators active',
+                category: 'skill',
+                requirements: { ascetic_levels: 1 },
+                reward: { dharma: 200, anonymity: 75 },
+                icon: '📿'
+            },
+            {
+                id: 'clear_sight',
+                name: 'Clear Sight',
+                description: 'Complete a level under the Fog of War mutator',
+                category: 'strategy',
+                requirements: { fog_levels: 1 },
+                reward: { bandwidth: 100 },
+                icon: '🌫️'
             }
         ];
 
@@ -276,7 +321,12 @@ class AchievementManager {
             'fast_level_completion': ['level_completed'],
             'level_reached': ['level_completed'],
             'pause_used': ['game_paused'],
-            'defense_types_used': ['defense_placed']
+            'defense_types_used': ['defense_placed'],
+            'spells_cast': ['spell_cast'],
+            'spell_multi_kills': ['spell_multi_kill'],
+            'nirvana_levels': ['nirvana_level_completed'],
+            'ascetic_levels': ['ascetic_level_completed'],
+            'fog_levels': ['fog_level_completed']
         };
 
         const relevantEvents = eventMappings[requirement] || [];
@@ -525,6 +575,27 @@ class AchievementManager {
         this.trackEvent('game_paused');
     }
 
+    trackSpellCast(spellId, kills = 0) {
+        this.trackEvent('spell_cast', { spell: spellId, kills });
+        if (kills >= 5) {
+            this.trackEvent('spell_multi_kill', { spell: spellId, kills });
+        }
+    }
+
+    // A level won under difficulty settings ({ preset, mutators }, see
+    // js/difficulty.js)
+    trackChallengeComplete(settings) {
+        if (settings.preset === 'nirvana') {
+            this.trackEvent('nirvana_level_completed', { ...settings });
+        }
+        if (settings.mutators.length >= 3) {
+            this.trackEvent('ascetic_level_completed', { ...settings });
+        }
+        if (settings.mutators.includes('fogOfWar')) {
+            this.trackEvent('fog_level_completed', { ...settings });
+        }
+    }
+
     // Callback management
     onAchievementUnlocked(callback) {
         this.notificationCallbacks.push(callback);
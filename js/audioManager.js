@@ -335,6 +335,7 @@ class AudioManager {
             this.createBeepSound('defense_place', 400, 0.2);
             this.createBeepSound('enemy_hit', 200, 0.15);
             this.createBeepSound('wave_start', 1000, 0.3);
+            this.createBeepSound('spell_cast', 1200, 0.25);
         } catch (error) {
             console.warn('Failed to create fallback sounds:', error);
         }
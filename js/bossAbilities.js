@@ -0,0 +1,247 @@
+// Boss abilities named in the phases of CONFIG.BOSS_TYPES (see
+// js/bossDefinitions.js). Each entry has
+//   name                            - shown in the warning before it lands
+//   defaults                        - the parameters a phase's entry may set;
+//                                     cooldown (ms between uses) is always one
+//   telegraph                       - optional area marked on the field for
+//                                     its wind-up (see js/bossTelegraphs.js);
+//                                     a phase's entry may adjust it
+//   trigger(boss, context, params)  - uses the ability once
+//
+// params is the defaults with the phase's entry laid over them. context is
+// { defenses, enemies, area }, area being the telegraphed area when the
+// ability has one; it then hits what stands inside it rather than around the
+// boss. Spawning abilities take minions: { type, count, health?, speed?,
+// reward? }, placed in a ring spread px around the boss.
+
+const bossDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const defensesAround = (boss, defenses, radius) =>
+    defenses.filter(defense => bossDistance(boss, defense) <= radius);
+
+// Defenses the ability hits: inside its telegraph, else within radius
+const defensesHit = (boss, context, params) => (context.area
+    ? BossTelegraphs.within(context.area, context.defenses)
+    : defensesAround(boss, context.defenses, params.radius));
+
+const summonMinions = (boss, context, params) => {
+    boss.spawnMinions(params.minions, params.spread);
+};
+
+const corruptDefenses = (source) => (boss, context, params) => {
+    defensesHit(boss, context, params).forEach(defense => {
+        StatusEffects.applyTo(defense, 'corruption', { duration: params.duration, strength: params.strength, source });
+    });
+};
+
+const healBoss = (boss, share) => {
+    boss.health += Math.min(boss.maxHealth * share, boss.maxHealth - boss.health);
+};
+
+const BOSS_ABILITIES = {
+    spawn_minions: {
+        name: 'Minion Spawn',
+        defaults: { cooldown: 8000, minions: { type: 'scriptKiddie', count: 2 }, spread: 80 },
+        trigger: summonMinions
+    },
+    drone_swarm: {
+        name: 'Drone Swarm',
+        defaults: { cooldown: 10000, minions: { type: 'aiSurveillance', count: 3 }, spread: 80 },
+        trigger: summonMinions
+    },
+    mass_deployment: {
+        name: 'Mass Deployment',
+        defaults: { cooldown: 15000, minions: { type: 'corporateSaboteur', count: 5 }, spread: 100 },
+        trigger: summonMinions
+    },
+
+    // Knock out nearby defenses for a while
+    emp_burst: {
+        name: 'EMP Burst',
+        defaults: { cooldown: 12000, radius: 150, duration: 3000 },
+        telegraph: { shape: 'circle', target: 'self', windUp: 1500 },
+        trigger: (boss, context, params) => {
+            defensesHit(boss, context, params).forEach(defense => {
+                StatusEffects.applyTo(defense, 'emp', { duration: params.duration });
+            });
+            if (window.uiManager) {
+                window.uiManager.flashScreen('#0080ff', 300);
+            }
+        }
+    },
+    // Every defense on the field, wherever it stands
+    system_crash: {
+        name: 'System Crash',
+        defaults: { cooldown: 20000, duration: 4000 },
+        trigger: (boss, context, params) => {
+            context.defenses.forEach(defense => {
+                StatusEffects.applyTo(defense, 'emp', { duration: params.duration });
+            });
+            if (window.uiManager) {
+                window.uiManager.flashScreen('#ff0040', 500);
+            }
+        }
+    },
+    meditation_storm: {
+        name: 'Meditation Storm',
+        defaults: { cooldown: 22000, radius: 180, duration: 4000 },
+        telegraph: { shape: 'circle', target: 'self' },
+        trigger: (boss, context, params) => {
+            defensesHit(boss, context, params).forEach(defense => {
+                StatusEffects.applyTo(defense, 'stun', { duration: params.duration });
+            });
+            if (window.particleSystem) {
+                window.particleSystem.emit('explosion', boss.x, boss.y, {
+                    count: 25,
+                    color: ['#ff6600', '#ffaa33']
+                });
+            }
+        }
+    },
+
+    // Weaken defenses (see the corruption effect in js/statusEffects.js): a
+    // cone toward the thickest cluster, or a pool dropped on one
+    data_corruption: {
+        name: 'Data Corruption',
+        defaults: { cooldown: 15000, radius: 200, duration: 5000, strength: 0.5 },
+        telegraph: { shape: 'cone', target: 'cluster', arc: Math.PI / 2 },
+        trigger: corruptDefenses('data_corruption')
+    },
+    corruption_field: {
+        name: 'Corruption Field',
+        defaults: { cooldown: 18000, radius: 200, duration: 5000, strength: 0.5 },
+        telegraph: { shape: 'circle', target: 'cluster', radius: 100, range: 250 },
+        trigger: corruptDefenses('corruption_field')
+    },
+
+    // Turn one defense against its neighbours: the one the beam was aimed at
+    // if it is still in the beam, else the nearest one hit
+    hostile_takeover: {
+        name: 'Hostile Takeover',
+        defaults: { cooldown: 30000, radius: 100, duration: 8000 },
+        telegraph: { shape: 'line', target: 'highestValue', range: 160, length: 160, width: 50 },
+        trigger: (boss, context, params) => {
+            const aim = context.area && context.area.target ? context.area.target : boss;
+            const nearby = defensesHit(boss, context, params)
+                .sort((a, b) => bossDistance(aim, a) - bossDistance(aim, b));
+            if (nearby.length > 0) {
+                StatusEffects.applyTo(nearby[0], 'takeover', { duration: params.duration });
+            }
+        }
+    },
+
+    // Wipes out a share of everything banked (CONFIG.ECONOMY.marketCrash);
+    // lost bandwidth also lowers the shot cap
+    market_crash: {
+        name: 'Market Crash',
+        defaults: { cooldown: 25000 },
+        trigger: () => {
+            if (!window.game) return;
+
+            const lost = window.game.drainResources(Economy.getCrashLosses(window.game.resources));
+            window.game.updateUI();
+
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    `Market Crash! -${lost.dharma} Dharma, -${lost.bandwidth} Bandwidth, -${lost.anonymity} Anonymity`,
+                    'warning'
+                );
+            }
+        }
+    },
+
+    // heal: share of max health restored
+    shield_regen: {
+        name: 'Shield Regeneration',
+        defaults: { cooldown: 20000, heal: 0.1 },
+        trigger: (boss, context, params) => {
+            boss.statusEffects.cleanse('debuff');
+            healBoss(boss, params.heal);
+
+            if (window.particleSystem) {
+                window.particleSystem.emit('heal', boss.x, boss.y, {
+                    count: 10,
+                    color: ['#00ff88']
+                });
+            }
+        }
+    },
+    healing_aura: {
+        name: 'Healing Aura',
+        defaults: { cooldown: 6000, radius: 120, heal: 0.2 },
+        trigger: (boss, context, params) => {
+            context.enemies.forEach(enemy => {
+                if (enemy !== boss && enemy.isAlive && bossDistance(boss, enemy) <= params.radius) {
+                    healBoss(enemy, params.heal);
+                }
+            });
+        }
+    },
+
+    // Jump ahead along the boss's path, to the end of the telegraphed stretch
+    teleport: {
+        name: 'Teleport',
+        defaults: { cooldown: 12000, waypoints: 2 },
+        telegraph: { shape: 'path', target: 'self', windUp: 1000 },
+        trigger: (boss, context, params) => {
+            const path = boss.getPath();
+            if (!path || boss.pathIndex >= path.length - 1) return;
+
+            const landing = context.area && context.area.pathIndex !== undefined
+                ? context.area.pathIndex
+                : boss.pathIndex + params.waypoints;
+            boss.pathIndex = Math.min(path.length - 1, Math.max(boss.pathIndex, landing));
+            boss.x = path[boss.pathIndex].x;
+            boss.y = path[boss.pathIndex].y;
+
+            if (window.particleSystem) {
+                window.particleSystem.emit('upgrade', boss.x, boss.y, {
+                    count: 15,
+                    color: ['#ff44ff', '#ffffff']
+                });
+            }
+        }
+    }
+};
+
+const BossAbilities = {
+    get(ability) {
+        return BOSS_ABILITIES[ability] || null;
+    },
+
+    getNames() {
+        return Object.keys(BOSS_ABILITIES);
+    },
+
+    // The ability's defaults with a phase entry's parameters laid over them
+    getParams(ability, entry = {}) {
+        const definition = this.get(ability);
+        return { ...(definition ? definition.defaults : { cooldown: 10000 }), ...entry };
+    },
+
+    getName(ability) {
+        const definition = this.get(ability);
+        return definition && definition.name ? definition.name : ability;
+    },
+
+    // The ability's telegraph with a phase entry's adjustments laid over it;
+    // null when it lands without warning
+    getTelegraph(ability, entry = {}) {
+        const definition = this.get(ability);
+        const base = definition && definition.telegraph;
+        if (!base && !entry.telegraph) return null;
+        return { ...(base || { shape: 'circle', target: 'self' }), ...(entry.telegraph || {}) };
+    },
+
+    trigger(boss, ability, context, params) {
+        const definition = this.get(ability);
+        if (definition) definition.trigger(boss, context, params);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BossAbilities, BOSS_ABILITIES };
+} else {
+    window.BossAbilities = BossAbilities;
+    window.BOSS_ABILITIES = BOSS_ABILITIES;
+}
@@ -0,0 +1,313 @@
+// Boss definitions from CONFIG.BOSS_TYPES: stats, phases and each phase's
+// abilities, checked once on first use. validate() works like
+// WaveScript.validate: a list of problems, each naming the offending field,
+// e.g. "megaCorp.phases.2.abilities.drone_swarm.cooldown must be a number > 0".
+// A boss with problems is logged and left out, so wave scripts that name it
+// fail their own validation instead of spawning a half-built boss.
+
+const BOSS_DEFINITION_FIELDS = ['name', 'health', 'speed', 'size', 'color', 'reward', 'resistances', 'phases'];
+const BOSS_PHASE_FIELDS = ['description', 'healthThreshold', 'speedMultiplier', 'damageReduction', 'color', 'resistances', 'abilities'];
+const BOSS_MINION_FIELDS = ['type', 'count', 'health', 'speed', 'reward'];
+const BOSS_REWARD_RESOURCES = ['dharma', 'bandwidth', 'anonymity'];
+
+// Stand-in when CONFIG is not loaded (pages that run without js/config.js)
+const BOSS_FALLBACK_TYPES = {
+    raidTeam: {
+        name: 'Raid Team',
+        health: 1000,
+        speed: 0.5,
+        size: 40,
+        color: '#ff0080',
+        reward: { dharma: 200, bandwidth: 100, anonymity: 50 },
+        phases: {
+            1: { abilities: { spawn_minions: {}, emp_burst: {} } },
+            2: { speedMultiplier: 1.2, damageReduction: 0.1, abilities: { spawn_minions: {}, emp_burst: {} } },
+            3: { speedMultiplier: 1.5, damageReduction: 0.2, abilities: { spawn_minions: {}, emp_burst: {}, teleport: {} } }
+        }
+    },
+    megaCorp: {
+        name: 'MegaCorp',
+        health: 1500,
+        speed: 0.3,
+        size: 50,
+        color: '#800080',
+        reward: { dharma: 300, bandwidth: 150, anonymity: 100 },
+        phases: {
+            1: { abilities: { drone_swarm: {}, shield_regen: {} } },
+            2: { speedMultiplier: 1.2, damageReduction: 0.1, abilities: { drone_swarm: {}, shield_regen: {} } },
+            3: { speedMultiplier: 1.5, damageReduction: 0.2, abilities: { drone_swarm: {}, market_crash: {} } },
+            4: { speedMultiplier: 2, damageReduction: 0.3, abilities: { mass_deployment: {}, system_crash: {} } }
+        }
+    },
+    corruptedMonk: {
+        name: 'Corrupted Monk',
+        health: 800,
+        speed: 0.7,
+        size: 35,
+        color: '#ff6600',
+        reward: { dharma: 250, bandwidth: 50, anonymity: 150 },
+        phases: {
+            1: { abilities: { healing_aura: {}, corruption_field: {} } },
+            2: { speedMultiplier: 1.2, damageReduction: 0.1, abilities: { healing_aura: {}, corruption_field: {} } },
+            3: { speedMultiplier: 1.5, damageReduction: 0.2, abilities: { healing_aura: {}, meditation_storm: {} } }
+        }
+    }
+};
+
+const isBossObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBossNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const checkBossFields = (object, allowed, path, errors) => {
+    Object.keys(object).forEach(field => {
+        if (!allowed.includes(field)) {
+            errors.push(`${path}.${field} is not a recognised field (expected one of: ${allowed.join(', ')})`);
+        }
+    });
+};
+
+const checkBossResistances = (resistances, path, errors) => {
+    if (!isBossObject(resistances)) {
+        errors.push(`${path} must be an object of damage multipliers`);
+        return;
+    }
+    Object.keys(resistances).forEach(damageType => {
+        if (typeof DamageTypes !== 'undefined' && !DamageTypes.isDamageType(damageType)) {
+            errors.push(`${path}.${damageType} is not a damage type (expected one of: ${DamageTypes.TYPES.join(', ')})`);
+        } else if (!(isBossNumber(resistances[damageType]) && resistances[damageType] >= 0)) {
+            errors.push(`${path}.${damageType} must be a multiplier >= 0`);
+        }
+    });
+};
+
+// The CONFIG.BOSS_TYPES object the cache was built from, and the bosses in
+// it that passed validation
+let bossDefinitionsSource = null;
+let bossDefinitionsCache = {};
+
+const BossDefinitions = {
+    // Problems with a whole CONFIG.BOSS_TYPES table; empty when it is valid
+    validate(definitions) {
+        if (!isBossObject(definitions)) return ['BOSS_TYPES must be an object keyed by boss type'];
+
+        const errors = [];
+        Object.keys(definitions).forEach(type => this.validateBoss(type, definitions[type], errors));
+        return errors;
+    },
+
+    validateBoss(type, definition, errors) {
+        if (!isBossObject(definition)) {
+            errors.push(`${type} must be an object`);
+            return;
+        }
+        checkBossFields(definition, BOSS_DEFINITION_FIELDS, type, errors);
+
+        if (typeof definition.name !== 'string' || definition.name === '') {
+            errors.push(`${type}.name must be a non-empty string`);
+        }
+        ['health', 'speed', 'size'].forEach(field => {
+            if (!(isBossNumber(definition[field]) && definition[field] > 0)) {
+                errors.push(`${type}.${field} must be a number > 0`);
+            }
+        });
+        if (typeof definition.color !== 'string') {
+            errors.push(`${type}.color must be a CSS color string`);
+        }
+        if (!isBossObject(definition.reward) ||
+            !BOSS_REWARD_RESOURCES.every(resource => isBossNumber(definition.reward[resource] || 0) && (definition.reward[resource] || 0) >= 0)) {
+            errors.push(`${type}.reward must be an object like { "dharma": 200, "bandwidth": 100, "anonymity": 50 }`);
+        }
+        if (definition.resistances !== undefined) {
+            checkBossResistances(definition.resistances, `${type}.resistances`, errors);
+        }
+
+        if (!isBossObject(definition.phases) || Object.keys(definition.phases).length === 0) {
+            errors.push(`${type}.phases must be an object keyed by phase number, starting at 1`);
+            return;
+        }
+
+        const numbers = Object.keys(definition.phases).map(Number).sort((a, b) => a - b);
+        if (!numbers.every((number, index) => number === index + 1)) {
+            errors.push(`${type}.phases must be numbered 1, 2, 3... with no gaps (got ${Object.keys(definition.phases).join(', ')})`);
+            return;
+        }
+
+        let previousThreshold = 1;
+        numbers.forEach(number => {
+            const phasePath = `${type}.phases.${number}`;
+            const phase = definition.phases[number];
+            if (!isBossObject(phase)) {
+                errors.push(`${phasePath} must be an object`);
+                return;
+            }
+            checkBossFields(phase, BOSS_PHASE_FIELDS, phasePath, errors);
+
+            if (phase.description !== undefined && typeof phase.description !== 'string') {
+                errors.push(`${phasePath}.description must be a string`);
+            }
+            if (phase.healthThreshold !== undefined) {
+                if (number === 1) {
+                    errors.push(`${phasePath}.healthThreshold cannot be set: phase 1 is the boss at full health`);
+                } else if (!(isBossNumber(phase.healthThreshold) && phase.healthThreshold > 0 && phase.healthThreshold < previousThreshold)) {
+                    errors.push(`${phasePath}.healthThreshold must be a fraction of max health between 0 and ${previousThreshold} (below the phase before it)`);
+                } else {
+                    previousThreshold = phase.healthThreshold;
+                }
+            }
+            if (phase.speedMultiplier !== undefined && !(isBossNumber(phase.speedMultiplier) && phase.speedMultiplier > 0)) {
+                errors.push(`${phasePath}.speedMultiplier must be a number > 0`);
+            }
+            if (phase.damageReduction !== undefined &&
+                !(isBossNumber(phase.damageReduction) && phase.damageReduction >= 0 && phase.damageReduction < 1)) {
+                errors.push(`${phasePath}.damageReduction must be a fraction from 0 up to (not including) 1`);
+            }
+            if (phase.color !== undefined && typeof phase.color !== 'string') {
+                errors.push(`${phasePath}.color must be a CSS color string`);
+            }
+            if (phase.resistances !== undefined) {
+                checkBossResistances(phase.resistances, `${phasePath}.resistances`, errors);
+            }
+
+            if (!isBossObject(phase.abilities)) {
+                errors.push(`${phasePath}.abilities must be an object of ability entries (use {} for none)`);
+                return;
+            }
+            Object.keys(phase.abilities).forEach(ability => {
+                this.validateAbility(ability, phase.abilities[ability], `${phasePath}.abilities.${ability}`, errors);
+            });
+        });
+    },
+
+    validateAbility(ability, entry, path, errors) {
+        const known = BossAbilities.get(ability);
+        if (!known) {
+            errors.push(`${path} is not a boss ability (expected one of: ${BossAbilities.getNames().join(', ')})`);
+            return;
+        }
+        if (!isBossObject(entry)) {
+            errors.push(`${path} must be an object like { "cooldown": 8000 }`);
+            return;
+        }
+        checkBossFields(entry, [...Object.keys(known.defaults), 'telegraph'], path, errors);
+
+        if (entry.cooldown !== undefined && !(isBossNumber(entry.cooldown) && entry.cooldown > 0)) {
+            errors.push(`${path}.cooldown must be a number > 0`);
+        }
+        Object.keys(entry).forEach(param => {
+            if (param === 'cooldown' || param === 'minions' || param === 'telegraph' || !(param in known.defaults)) return;
+            if (!(isBossNumber(entry[param]) && entry[param] >= 0)) {
+                errors.push(`${path}.${param} must be a number >= 0`);
+            }
+        });
+        if (entry.minions !== undefined) {
+            this.validateMinions(entry.minions, `${path}.minions`, errors);
+        }
+        if (entry.telegraph !== undefined) {
+            this.validateTelegraph(entry.telegraph, `${path}.telegraph`, errors);
+        }
+
+        // The warning has to fit between uses
+        const telegraph = BossAbilities.getTelegraph(ability, entry);
+        const cooldown = BossAbilities.getParams(ability, entry).cooldown;
+        if (telegraph && isBossNumber(cooldown) && BossTelegraphs.getWindUp(telegraph) >= cooldown) {
+            errors.push(`${path}.telegraph.windUp must be shorter than the cooldown (${cooldown})`);
+        }
+    },
+
+    // An ability entry's telegraph, laid over the ability's own (see
+    // js/bossTelegraphs.js for the fields)
+    validateTelegraph(telegraph, path, errors) {
+        if (!isBossObject(telegraph)) {
+            errors.push(`${path} must be an object like { "shape": "circle", "target": "nearest", "windUp": 1500 }`);
+            return;
+        }
+        checkBossFields(telegraph, BossTelegraphs.FIELDS, path, errors);
+
+        if (telegraph.shape !== undefined && !BossTelegraphs.SHAPES.includes(telegraph.shape)) {
+            errors.push(`${path}.shape must be one of: ${BossTelegraphs.SHAPES.join(', ')}`);
+        }
+        if (telegraph.target !== undefined && !BossTelegraphs.TARGETS.includes(telegraph.target)) {
+            errors.push(`${path}.target must be one of: ${BossTelegraphs.TARGETS.join(', ')}`);
+        }
+        Object.keys(telegraph).forEach(field => {
+            if (field === 'shape' || field === 'target' || !BossTelegraphs.FIELDS.includes(field)) return;
+            if (!(isBossNumber(telegraph[field]) && telegraph[field] >= 0)) {
+                errors.push(`${path}.${field} must be a number >= 0`);
+            }
+        });
+    },
+
+    validateMinions(minions, path, errors) {
+        if (!isBossObject(minions)) {
+            errors.push(`${path} must be an object like { "type": "scriptKiddie", "count": 2 }`);
+            return;
+        }
+        checkBossFields(minions, BOSS_MINION_FIELDS, path, errors);
+
+        const enemyTypes = typeof CONFIG !== 'undefined' && CONFIG.ENEMY_TYPES ? CONFIG.ENEMY_TYPES : {};
+        const minionTypes = Object.keys(enemyTypes).filter(type => !enemyTypes[type].isBoss);
+        if (!minionTypes.includes(minions.type)) {
+            errors.push(`${path}.type must be a regular enemy type (expected one of: ${minionTypes.join(', ')})`);
+        }
+        if (!(Number.isInteger(minions.count) && minions.count > 0)) {
+            errors.push(`${path}.count must be a positive integer`);
+        }
+        ['health', 'speed'].forEach(field => {
+            if (minions[field] !== undefined && !(isBossNumber(minions[field]) && minions[field] > 0)) {
+                errors.push(`${path}.${field} must be a number > 0`);
+            }
+        });
+        if (minions.reward !== undefined && !(isBossNumber(minions.reward) && minions.reward >= 0)) {
+            errors.push(`${path}.reward must be a number >= 0`);
+        }
+    },
+
+    // Validated bosses from CONFIG.BOSS_TYPES, rebuilt when the table is
+    // replaced (or on reload())
+    load() {
+        const source = (typeof CONFIG !== 'undefined' && CONFIG.BOSS_TYPES) || BOSS_FALLBACK_TYPES;
+        if (source === bossDefinitionsSource) return bossDefinitionsCache;
+
+        bossDefinitionsSource = source;
+        bossDefinitionsCache = {};
+
+        Object.keys(source).forEach(type => {
+            const errors = [];
+            this.validateBoss(type, source[type], errors);
+            if (errors.length > 0) {
+                console.error(`[BossDefinitions] ${type} left out:`, errors);
+            } else {
+                bossDefinitionsCache[type] = source[type];
+            }
+        });
+        return bossDefinitionsCache;
+    },
+
+    reload() {
+        bossDefinitionsSource = null;
+        return this.load();
+    },
+
+    get(type) {
+        return this.load()[type] || null;
+    },
+
+    getTypes() {
+        return Object.keys(this.load());
+    },
+
+    getPhaseCount(type) {
+        const definition = this.get(type);
+        return definition ? Object.keys(definition.phases).length : 0;
+    },
+
+    getPhase(type, phase) {
+        const definition = this.get(type);
+        return (definition && definition.phases[phase]) || null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BossDefinitions;
+} else {
+    window.BossDefinitions = BossDefinitions;
+}
@@ -0,0 +1,308 @@
+// Boss encounters with more than one boss on the field (see the Boss fields
+// in js/waveScript.js):
+//   escorts - squads from CONFIG.BOSS_ESCORTS that spawn around a boss and
+//             buff it while any of their members live. A shield squad has to
+//             be wiped out before the boss can be hurt at all.
+//   link    - bosses in a wave with the same link name share one phase
+//             schedule (BossLink). Their combined health sets the phase and
+//             all of them change phase together. Bosses count from the
+//             moment they enter the field.
+// Squads are checked once on first use, like the boss definitions; a squad
+// with problems is logged and left out.
+
+const BOSS_ESCORT_FIELDS = ['name', 'type', 'count', 'health', 'speed', 'reward', 'spread', 'buff'];
+const BOSS_ESCORT_BUFFS = ['shield', 'damageReduction', 'regeneration'];
+
+// Phase and escort damage reduction together stop short of immunity; only
+// a shield squad makes a boss untouchable
+const BOSS_MAX_DAMAGE_REDUCTION = 0.9;
+
+// Stand-in when CONFIG is not loaded (pages that run without js/config.js)
+const BOSS_FALLBACK_ESCORTS = {
+    shieldGenerators: { name: 'Shield Generators', type: 'aiSurveillance', count: 2, health: 150, spread: 60, buff: { shield: true } },
+    securityDetail: { name: 'Security Detail', type: 'federalAgent', count: 3, spread: 70, buff: { damageReduction: 0.3 } },
+    acolytes: { name: 'Acolytes', type: 'corruptedMonk', count: 2, health: 120, spread: 60, buff: { regeneration: 0.02 } }
+};
+
+const isEscortObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isEscortNumber = (value) => typeof value === 'number' && isFinite(value);
+
+// The CONFIG.BOSS_ESCORTS object the cache was built from, and the squads in
+// it that passed validation
+let bossEscortsSource = null;
+let bossEscortsCache = {};
+
+// Bosses sharing a phase schedule. The first boss to join sets the health
+// thresholds; each phase starts once the bosses' combined health falls to
+// its share of their combined max health.
+class BossLink {
+    constructor(name) {
+        this.name = name;
+        this.bosses = [];
+        this.phase = 1;
+        // Max health of linked bosses that left before a save was loaded
+        this.fallenMaxHealth = 0;
+    }
+
+    // A boss joining late catches up with the link's phase
+    add(boss) {
+        if (this.bosses.includes(boss)) return;
+
+        this.bosses.push(boss);
+        boss.link = this;
+        if (boss.phase < this.phase) {
+            boss.initializePhase(Math.min(this.phase, boss.maxPhases));
+        }
+    }
+
+    // Killed bosses and bosses that broke through count as empty
+    isOnField(boss) {
+        return boss.isAlive && !boss.reachedEnd;
+    }
+
+    getHealthRatio() {
+        let health = 0;
+        let maxHealth = this.fallenMaxHealth;
+        this.bosses.forEach(boss => {
+            health += this.isOnField(boss) ? Math.max(0, boss.health) : 0;
+            maxHealth += boss.maxHealth;
+        });
+        return maxHealth > 0 ? health / maxHealth : 0;
+    }
+
+    // Shares of combined max health the later phases start at
+    getThresholds() {
+        const lead = this.bosses[0];
+        return lead ? lead.phaseThresholds.map(threshold => threshold / lead.maxHealth) : [];
+    }
+
+    getMaxPhases() {
+        return this.bosses.reduce((max, boss) => Math.max(max, boss.maxPhases), 1);
+    }
+
+    // One phase at a time, like a single boss; bosses with fewer phases
+    // stay in their last one
+    update() {
+        const ratio = this.getHealthRatio();
+        const reached = 1 + this.getThresholds().filter(threshold => ratio <= threshold).length;
+        if (reached <= this.phase || this.phase >= this.getMaxPhases()) return false;
+
+        this.phase++;
+        this.bosses.forEach(boss => {
+            if (this.isOnField(boss)) boss.initializePhase(Math.min(this.phase, boss.maxPhases));
+        });
+        return true;
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            phase: this.phase,
+            fallenMaxHealth: this.bosses.reduce(
+                (total, boss) => total + (this.isOnField(boss) ? 0 : boss.maxHealth), this.fallenMaxHealth)
+        };
+    }
+
+    // Every restored boss of the link carries the same state
+    restore(boss, state) {
+        this.phase = Math.max(this.phase, state.phase || 1);
+        this.fallenMaxHealth = state.fallenMaxHealth || 0;
+        this.add(boss);
+    }
+}
+
+const BossEncounters = {
+    MAX_DAMAGE_REDUCTION: BOSS_MAX_DAMAGE_REDUCTION,
+
+    // Problems with a whole CONFIG.BOSS_ESCORTS table; empty when it is valid
+    validate(squads) {
+        if (!isEscortObject(squads)) return ['BOSS_ESCORTS must be an object keyed by squad id'];
+
+        const errors = [];
+        Object.keys(squads).forEach(id => this.validateSquad(id, squads[id], errors));
+        return errors;
+    },
+
+    validateSquad(id, squad, errors) {
+        if (!isEscortObject(squad)) {
+            errors.push(`${id} must be an object`);
+            return;
+        }
+        Object.keys(squad).forEach(field => {
+            if (!BOSS_ESCORT_FIELDS.includes(field)) {
+                errors.push(`${id}.${field} is not a recognised field (expected one of: ${BOSS_ESCORT_FIELDS.join(', ')})`);
+            }
+        });
+
+        if (typeof squad.name !== 'string' || squad.name.length === 0) {
+            errors.push(`${id}.name must be a non-empty string`);
+        }
+
+        // Without CONFIG there is no enemy table to check the type against
+        const enemyTypes = typeof CONFIG !== 'undefined' && CONFIG.ENEMY_TYPES ? CONFIG.ENEMY_TYPES : null;
+        if (enemyTypes) {
+            const escortTypes = Object.keys(enemyTypes).filter(type => !enemyTypes[type].isBoss);
+            if (!escortTypes.includes(squad.type)) {
+                errors.push(`${id}.type must be a regular enemy type (expected one of: ${escortTypes.join(', ')})`);
+            }
+        } else if (typeof squad.type !== 'string') {
+            errors.push(`${id}.type must be an enemy type`);
+        }
+
+        if (!(Number.isInteger(squad.count) && squad.count > 0)) {
+            errors.push(`${id}.count must be a positive integer`);
+        }
+        ['health', 'speed'].forEach(field => {
+            if (squad[field] !== undefined && !(isEscortNumber(squad[field]) && squad[field] > 0)) {
+                errors.push(`${id}.${field} must be a number > 0`);
+            }
+        });
+        ['reward', 'spread'].forEach(field => {
+            if (squad[field] !== undefined && !(isEscortNumber(squad[field]) && squad[field] >= 0)) {
+                errors.push(`${id}.${field} must be a number >= 0`);
+            }
+        });
+
+        this.validateBuff(squad.buff, `${id}.buff`, errors);
+    },
+
+    validateBuff(buff, path, errors) {
+        if (!isEscortObject(buff) || Object.keys(buff).length === 0) {
+            errors.push(`${path} must be an object with at least one of: ${BOSS_ESCORT_BUFFS.join(', ')}`);
+            return;
+        }
+        Object.keys(buff).forEach(field => {
+            if (!BOSS_ESCORT_BUFFS.includes(field)) {
+                errors.push(`${path}.${field} is not a recognised buff (expected one of: ${BOSS_ESCORT_BUFFS.join(', ')})`);
+            }
+        });
+
+        if (buff.shield !== undefined && typeof buff.shield !== 'boolean') {
+            errors.push(`${path}.shield must be true or false`);
+        }
+        if (buff.damageReduction !== undefined &&
+            !(isEscortNumber(buff.damageReduction) && buff.damageReduction > 0 && buff.damageReduction < 1)) {
+            errors.push(`${path}.damageReduction must be a fraction between 0 and 1`);
+        }
+        if (buff.regeneration !== undefined && !(isEscortNumber(buff.regeneration) && buff.regeneration > 0)) {
+            errors.push(`${path}.regeneration must be a share of max health per second > 0`);
+        }
+    },
+
+    // Validated squads from CONFIG.BOSS_ESCORTS, rebuilt when the table is
+    // replaced (or on reload())
+    load() {
+        const source = (typeof CONFIG !== 'undefined' && CONFIG.BOSS_ESCORTS) || BOSS_FALLBACK_ESCORTS;
+        if (source === bossEscortsSource) return bossEscortsCache;
+
+        bossEscortsSource = source;
+        bossEscortsCache = {};
+
+        Object.keys(source).forEach(id => {
+            const errors = [];
+            this.validateSquad(id, source[id], errors);
+            if (errors.length > 0) {
+                console.error(`[BossEncounters] ${id} left out:`, errors);
+            } else {
+                bossEscortsCache[id] = source[id];
+            }
+        });
+        return bossEscortsCache;
+    },
+
+    reload() {
+        bossEscortsSource = null;
+        return this.load();
+    },
+
+    getSquad(id) {
+        return this.load()[id] || null;
+    },
+
+    getSquadIds() {
+        return Object.keys(this.load());
+    },
+
+    // Spawn the boss's escort squads around it (see Boss.spawnMinions)
+    deploy(boss) {
+        const deployed = [];
+        boss.escortSquads.forEach(id => {
+            const squad = this.getSquad(id);
+            if (!squad) return;
+
+            const minions = {
+                type: squad.type,
+                count: squad.count,
+                speed: squad.speed !== undefined ? squad.speed : boss.baseSpeed
+            };
+            ['health', 'reward'].forEach(field => {
+                if (squad[field] !== undefined) minions[field] = squad[field];
+            });
+
+            boss.spawnMinions(minions, squad.spread !== undefined ? squad.spread : 60).forEach(escort => {
+                this.attach(boss, escort, id);
+                deployed.push(escort);
+            });
+        });
+        return deployed;
+    },
+
+    attach(boss, escort, id) {
+        escort.escortOf = boss;
+        escort.escortSquad = id;
+        if (!boss.escorts.includes(escort)) boss.escorts.push(escort);
+    },
+
+    // Buffs of every squad with a member still alive
+    getBuffs(boss) {
+        const buffs = { shield: false, damageReduction: 0, regeneration: 0 };
+        const squads = new Set(boss.escorts.filter(escort => escort.isAlive).map(escort => escort.escortSquad));
+
+        squads.forEach(id => {
+            const squad = this.getSquad(id);
+            if (!squad) return;
+            buffs.shield = buffs.shield || !!squad.buff.shield;
+            buffs.damageReduction += squad.buff.damageReduction || 0;
+            buffs.regeneration += squad.buff.regeneration || 0;
+        });
+        return buffs;
+    },
+
+    // The wave's link of that name (see LevelManager.getBossLink)
+    join(boss, name) {
+        const levelManager = window.game && window.game.systemManager
+            ? window.game.systemManager.getLevelManager()
+            : null;
+        const link = levelManager && typeof levelManager.getBossLink === 'function'
+            ? levelManager.getBossLink(name)
+            : null;
+        if (link) link.add(boss);
+        return link;
+    },
+
+    // Rebuild links and escort ties after a load. states are the saved
+    // enemies, in the same order as enemies; an escort names its boss by
+    // index (see Game.captureBattlefield).
+    restore(enemies, states, levelManager) {
+        states.forEach((state, index) => {
+            const enemy = enemies[index];
+            if (!enemy) return;
+
+            if (enemy.isBoss && state.link && levelManager && typeof levelManager.getBossLink === 'function') {
+                levelManager.getBossLink(state.link.name).restore(enemy, state.link);
+            }
+
+            const boss = typeof state.escortOf === 'number' ? enemies[state.escortOf] : null;
+            if (boss && boss.isBoss && Array.isArray(boss.escorts)) {
+                this.attach(boss, enemy, state.escortSquad);
+            }
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BossEncounters, BossLink };
+} else {
+    window.BossEncounters = BossEncounters;
+    window.BossLink = BossLink;
+}
@@ -0,0 +1,200 @@
+// Boss phase cinematics: what the player sees when a boss changes phase.
+// Game time slows down for a moment while the camera closes in on the boss
+// and a title card names the new phase (Boss.getPhaseDescription). Tuned by
+// CONFIG.BOSS_WARNINGS.cinematic:
+//   duration    - ms of real time the slow motion lasts
+//   timeScale   - game speed multiplier while it does
+//   zoom        - camera zoom factor on the boss
+//   followSpeed - how quickly the camera closes in (and glides back)
+//   shake       - { intensity, duration } of the camera shake
+//   returnTime  - ms the camera has to glide back to where the player left it
+// Clicking the field or pressing Enter skips it. With reduced motion
+// (CONFIG.ACCESSIBILITY, CONFIG.GRAPHICS or the browser's
+// prefers-reduced-motion) the camera stays put and the title card appears
+// without animation; the slow motion still leaves time to read it.
+//
+// The cinematic counts real time, so it lasts as long at 2x speed as at 1x
+// and waits while the game is paused. Every change to the time scale goes
+// through Game.onTimeScaleChanged, which lets the boss warning synchronizer
+// rebase its warnings the way it does for a game speed change. In
+// deterministic mode the slow motion only means fewer fixed ticks per
+// frame, so replays stay the same.
+
+const BOSS_CINEMATIC_DEFAULTS = {
+    duration: 1800,
+    timeScale: 0.25,
+    zoom: 1.5,
+    followSpeed: 0.12,
+    shake: { intensity: 12, duration: 500 },
+    returnTime: 500
+};
+
+const getCinematicSettings = () => {
+    const warnings = typeof CONFIG !== 'undefined' ? CONFIG.BOSS_WARNINGS : null;
+    return Object.assign({}, BOSS_CINEMATIC_DEFAULTS, warnings && warnings.cinematic);
+};
+
+const getCinematicSound = () => {
+    const warnings = typeof CONFIG !== 'undefined' ? CONFIG.BOSS_WARNINGS : null;
+    return (warnings && warnings.soundEffects && warnings.soundEffects.phaseTransition) || 'bossPhaseTransition';
+};
+
+class BossPhaseCinematics {
+    constructor(game) {
+        this.game = game;
+        // The boss being presented; null between cinematics
+        this.boss = null;
+        this.remaining = 0;
+        this.timeScale = 1;
+        this.reducedMotion = false;
+        // Camera as the player left it, until it is back there
+        this.cameraState = null;
+        this.returning = 0;
+    }
+
+    getCamera() {
+        return typeof window !== 'undefined' && window.camera ? window.camera : null;
+    }
+
+    isReducedMotion() {
+        if (typeof CONFIG !== 'undefined') {
+            if ((CONFIG.ACCESSIBILITY && CONFIG.ACCESSIBILITY.reducedMotion) ||
+                (CONFIG.GRAPHICS && CONFIG.GRAPHICS.reducedMotion)) {
+                return true;
+            }
+        }
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    isPlaying() {
+        return this.boss !== null;
+    }
+
+    getTimeScale() {
+        return this.timeScale;
+    }
+
+    setTimeScale(timeScale) {
+        if (timeScale === this.timeScale) return;
+
+        this.timeScale = timeScale;
+        if (typeof this.game.onTimeScaleChanged === 'function') {
+            this.game.onTimeScaleChanged();
+        }
+    }
+
+    // Linked bosses change phase on the same tick; the first one to do so
+    // is presented and the rest are left to their particles
+    play(boss) {
+        if (this.isPlaying()) return false;
+
+        const settings = getCinematicSettings();
+        this.boss = boss;
+        this.remaining = settings.duration;
+        this.reducedMotion = this.isReducedMotion();
+        this.setTimeScale(settings.timeScale);
+
+        if (!this.reducedMotion) {
+            this.focusCamera(boss, settings);
+        }
+
+        const phase = boss.getPhaseDescription();
+        if (window.uiManager && typeof window.uiManager.showBossPhaseTitle === 'function') {
+            window.uiManager.showBossPhaseTitle(phase.title, phase.description, !this.reducedMotion);
+        }
+        if (window.audioManager) {
+            window.audioManager.playSound(getCinematicSound());
+        }
+        return true;
+    }
+
+    focusCamera(boss, settings) {
+        const camera = this.getCamera();
+        if (!camera) return;
+
+        // A cinematic that starts while the camera is still gliding back
+        // returns it to where the player had it, not to mid-glide
+        if (!this.cameraState) {
+            this.cameraState = camera.getState();
+        }
+        this.returning = 0;
+
+        const screen = camera.worldToScreen(boss.x, boss.y);
+        camera.zoomToPoint(screen.x, screen.y, settings.zoom);
+        camera.follow(boss, settings.followSpeed);
+        camera.shake(settings.shake.intensity, settings.shake.duration);
+    }
+
+    // Real (unscaled) ms since the last frame
+    update(deltaTime) {
+        if (this.returning > 0) {
+            this.returning -= deltaTime;
+            if (this.returning <= 0) this.restoreCamera();
+        }
+        if (!this.isPlaying()) return;
+
+        this.remaining -= deltaTime;
+        // A boss that falls or breaks through takes the focus with it
+        if (this.remaining <= 0 || !this.boss.isAlive || this.boss.reachedEnd) {
+            this.end(false);
+        }
+    }
+
+    // False when no cinematic is playing; the camera gliding back afterwards
+    // is not held up by a click meant for the field
+    skip() {
+        if (!this.isPlaying()) return false;
+
+        this.end(true);
+        return true;
+    }
+
+    // Drop everything at once (new level, game over, back to the menu)
+    stop() {
+        if (this.isPlaying()) {
+            this.end(true);
+        } else if (this.cameraState) {
+            this.restoreCamera();
+        }
+    }
+
+    // Skipping puts the camera straight back; otherwise it glides there
+    end(immediate) {
+        const settings = getCinematicSettings();
+        this.boss = null;
+        this.remaining = 0;
+        this.setTimeScale(1);
+
+        if (window.uiManager && typeof window.uiManager.hideBossPhaseTitle === 'function') {
+            window.uiManager.hideBossPhaseTitle();
+        }
+
+        const camera = this.getCamera();
+        if (!camera || !this.cameraState) return;
+
+        if (immediate) {
+            this.restoreCamera();
+            return;
+        }
+        camera.follow({ x: this.cameraState.x, y: this.cameraState.y }, settings.followSpeed);
+        camera.setZoom(this.cameraState.targetZoom);
+        this.returning = settings.returnTime;
+    }
+
+    restoreCamera() {
+        const camera = this.getCamera();
+        if (camera && this.cameraState) {
+            camera.stopFollowing();
+            camera.setState(this.cameraState);
+        }
+        this.cameraState = null;
+        this.returning = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BossPhaseCinematics;
+} else {
+    window.BossPhaseCinematics = BossPhaseCinematics;
+}
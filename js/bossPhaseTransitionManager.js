@@ -8,12 +8,19 @@
  * 2. Phase transition validation to prevent skipping phases
  * 3. Synchronization points with UI and achievement systems
  * 4. Rollback mechanisms for failed phase transitions
+ * 5. Transitions carried over to linked bosses (js/bossEncounters.js)
+ *
+ * The player sees a transition through the game's boss phase cinematic
+ * (js/bossPhaseCinematics.js), which Boss.initializePhase starts. It runs
+ * alongside the queue: no transition waits for it to finish.
  */
 
 class BossPhaseTransitionManager {
     constructor(boss, game) {
         this.boss = boss;
         this.game = game;
+        // Linked bosses reach each other's managers through the boss
+        this.boss.phaseTransitionManager = this;
         
         // Phase transition queue system
         this.transitionQueue = [];
@@ -67,7 +74,7 @@ class BossPhaseTransitionManager {
     
     generateValidPhaseSequence() {
         const bossType = this.boss.type;
-        const phaseConfig = CONFIG.BOSS_PHASES?.[bossType];
+        const phaseConfig = CONFIG.BOSS_TYPES?.[bossType]?.phases;
         
         if (!phaseConfig) {
             console.warn(`[BossPhaseTransitionManager] No phase config for boss type: ${bossType}`);
@@ -160,7 +167,7 @@ class BossPhaseTransitionManager {
             console.log(`[BossPhaseTransitionManager] Queuing phase transition to ${targetPhase} (trigger: ${trigger})`);
             
             // Validate transition request
-            const validation = this.validatePhaseTransition(this.boss.phase, targetPhase);
+            const validation = this.validatePhaseTransition(this.boss.phase, targetPhase, trigger);
             if (!validation.valid) {
                 console.error(`[BossPhaseTransitionManager] Invalid transition request: ${validation.reason}`);
                 return false;
@@ -251,7 +258,7 @@ class BossPhaseTransitionManager {
     /**
      * Comprehensive phase transition validation
      */
-    validatePhaseTransition(currentPhase, targetPhase) {
+    validatePhaseTransition(currentPhase, targetPhase, trigger = 'manual') {
         const validation = {
             valid: true,
             reason: '',
@@ -279,8 +286,11 @@ class BossPhaseTransitionManager {
                 return validation;
             }
             
+            // A linked transition follows a boss that already passed these
+            const followsLink = trigger === 'linked';
+            
             // Health threshold validation
-            const healthValidation = this.validateHealthThreshold(targetPhase);
+            const healthValidation = followsLink ? { valid: true } : this.validateHealthThreshold(targetPhase);
             if (!healthValidation.valid) {
                 validation.valid = false;
                 validation.reason = healthValidation.reason;
@@ -288,7 +298,7 @@ class BossPhaseTransitionManager {
             }
             
             // Cooldown validation
-            if (!this.validateTransitionCooldown()) {
+            if (!followsLink && !this.validateTransitionCooldown()) {
                 validation.valid = false;
                 validation.reason = 'Phase transition cooldown active';
                 return validation;
@@ -341,13 +351,16 @@ class BossPhaseTransitionManager {
     }
     
     validateHealthThreshold(targetPhase) {
-        const phaseConfig = CONFIG.BOSS_PHASES?.[this.boss.type]?.[targetPhase];
+        const phaseConfig = CONFIG.BOSS_TYPES?.[this.boss.type]?.phases?.[targetPhase];
         
         if (!phaseConfig || !phaseConfig.healthThreshold) {
             return { valid: true }; // No threshold requirement
         }
         
-        const currentHealthPercent = this.boss.health / this.boss.maxHealth;
+        // Linked bosses go by their combined health (see js/bossEncounters.js)
+        const currentHealthPercent = this.boss.link
+            ? this.boss.link.getHealthRatio()
+            : this.boss.health / this.boss.maxHealth;
         const requiredHealthPercent = phaseConfig.healthThreshold;
         
         if (currentHealthPercent > requiredHealthPercent) {
@@ -382,7 +395,7 @@ class BossPhaseTransitionManager {
             return { valid: false, reason: 'Boss death animation in progress' };
         }
         
-        if (this.boss.stunned && this.boss.stunnedTime > 1000) {
+        if (this.boss.statusEffects && this.boss.statusEffects.getRemaining('stun') > 1000) {
             return { valid: false, reason: 'Boss heavily stunned' };
         }
         
@@ -504,6 +517,31 @@ class BossPhaseTransitionManager {
         }
     }
     
+    // Pre-transition synchronization: run together before the phase
+    // changes; one that throws fails the transition and rolls it back
+    
+    async syncUIPreTransition(transitionRequest) {
+        this.pendingSyncOperations.set(`uiPreTransition_${transitionRequest.id}`, {
+            syncPoint: 'uiPreTransition',
+            phase: transitionRequest.targetPhase,
+            transitionId: transitionRequest.id,
+            startTime: Date.now()
+        });
+    }
+    
+    async syncAchievementsPreTransition(transitionRequest) {
+        if (this.boss.health <= 0) {
+            throw new Error(`Boss defeated before reaching phase ${transitionRequest.targetPhase}`);
+        }
+    }
+    
+    async syncAudioPreTransition(transitionRequest) {
+        // Linked bosses follow silently; the boss that led plays the cue
+        if (transitionRequest.trigger !== 'linked' && this.game && this.game.playSfx) {
+            this.game.playSfx('bossWarning', 0.6, 1);
+        }
+    }
+    
     async executeCoreTransition(transitionRequest) {
         console.log(`[BossPhaseTransitionManager] Executing core transition for ${transitionRequest.id}`);
         
@@ -511,8 +549,13 @@ class BossPhaseTransitionManager {
             const oldPhase = this.boss.phase;
             const newPhase = transitionRequest.targetPhase;
             
-            // Update boss phase
-            this.boss.phase = newPhase;
+            // Update boss phase; a Boss applies the new phase's stats and
+            // abilities itself
+            if (typeof this.boss.initializePhase === 'function') {
+                this.boss.initializePhase(newPhase);
+            } else {
+                this.boss.phase = newPhase;
+            }
             
             // Apply phase-specific changes
             if (this.boss.applyPhaseChanges) {
@@ -914,8 +957,9 @@ class BossPhaseTransitionManager {
                 defense.disabled = wasDisabled;
                 if (!wasDisabled) {
                     defense.disabledTime = 0;
-                    defense.stunned = false;
-                    defense.stunnedTime = 0;
+                    if (defense.statusEffects) {
+                        defense.statusEffects.remove('stun');
+                    }
                 }
             });
         }
@@ -1031,6 +1075,35 @@ class BossPhaseTransitionManager {
         });
         
         console.log(`[BossPhaseTransitionManager] Transition recorded: ${transitionRequest.currentPhase} -> ${transitionRequest.targetPhase}`);
+        
+        this.synchronizeLinkedTransitions(transitionRequest);
+    }
+    
+    // 5. LINKED BOSS SYNCHRONIZATION
+    
+    /**
+     * Managers of the other living bosses on this boss's link
+     */
+    getLinkedManagers() {
+        if (!this.boss.link) return [];
+        
+        return this.boss.link.bosses
+            .filter(boss => boss !== this.boss && boss.isAlive && boss.phaseTransitionManager)
+            .map(boss => boss.phaseTransitionManager);
+    }
+    
+    /**
+     * Move linked bosses that are behind into the next phase with this one.
+     * Their transitions carry the 'linked' trigger, so they are not passed
+     * back; returns the queued transition ids.
+     */
+    synchronizeLinkedTransitions(transitionRequest) {
+        if (transitionRequest.trigger === 'linked') return [];
+        
+        return this.getLinkedManagers()
+            .filter(manager => manager.boss.phase < transitionRequest.targetPhase && manager.isValidPhase(manager.boss.phase + 1))
+            .map(manager => manager.queuePhaseTransition(manager.boss.phase + 1, 'linked', 2))
+            .filter(Boolean);
     }
     
     handleFailedTransition(transitionRequest) {
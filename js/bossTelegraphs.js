@@ -0,0 +1,213 @@
+// Telegraphs: the marked area a boss ability shows on the field before it
+// lands. An ability declares one in BOSS_ABILITIES (js/bossAbilities.js) and
+// a boss definition's ability entry can adjust it:
+//   shape   - circle:  radius around the target point
+//             cone:    from the boss toward the target, radius long and arc
+//                      radians wide
+//             line:    from the boss toward the target, length long and
+//                      width wide
+//             path:    the stretch of the boss's path from where it stands to
+//                      waypoints ahead, width wide
+//   target  - self:         the boss itself
+//             nearest:      the nearest defense in range
+//             highestValue: the defense in range with the most spent on it
+//             cluster:      the defense in range with the most others within
+//                           the area's radius
+//   range   - how far from the boss a target may be (default: the
+//             ability's radius); with nothing in range the boss aims at itself
+//   windUp  - ms the area shows before the ability fires (default:
+//             CONFIG.BOSS_WARNINGS.telegraphDuration)
+//
+// The area is fixed when the wind-up starts and the ability hits what is
+// inside it when it fires, so towers sold in time are spared.
+
+const TELEGRAPH_SHAPES = ['circle', 'cone', 'line', 'path'];
+const TELEGRAPH_TARGETS = ['self', 'nearest', 'highestValue', 'cluster'];
+const TELEGRAPH_FIELDS = ['shape', 'target', 'range', 'windUp', 'radius', 'arc', 'length', 'width', 'waypoints'];
+
+const getWarningStyle = () => (typeof CONFIG !== 'undefined' && CONFIG.BOSS_WARNINGS) || {
+    telegraphDuration: 2000,
+    warningOpacity: 0.3,
+    warningColor: '#ff0000'
+};
+
+const telegraphDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Everything spent on a defense, all resources counted alike
+const defenseWorth = (defense) => {
+    const manager = window.game && window.game.defenseManager;
+    if (manager && typeof manager.calculateSellValue === 'function' && manager.defenseTypes && manager.defenseTypes[defense.type]) {
+        const value = manager.calculateSellValue(defense);
+        return value.dharma + value.bandwidth + value.anonymity;
+    }
+    return defense.level || 1;
+};
+
+// The highest-scoring defense; ties go to the earliest placed
+const bestBy = (defenses, score) => defenses.reduce((best, defense) => {
+    if (!best) return defense;
+    return score(defense) > score(best) ? defense : best;
+}, null);
+
+// Shortest distance from a point to the segment a-b
+const segmentDistance = (point, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+const angleBetween = (a, b) => {
+    const difference = Math.abs(a - b) % (Math.PI * 2);
+    return difference > Math.PI ? Math.PI * 2 - difference : difference;
+};
+
+const BossTelegraphs = {
+    SHAPES: TELEGRAPH_SHAPES,
+    TARGETS: TELEGRAPH_TARGETS,
+    FIELDS: TELEGRAPH_FIELDS,
+
+    getStyle: getWarningStyle,
+
+    getWindUp(telegraph) {
+        return telegraph.windUp !== undefined ? telegraph.windUp : getWarningStyle().telegraphDuration;
+    },
+
+    // The point the ability aims at
+    selectTarget(boss, telegraph, defenses, radius) {
+        const range = telegraph.range !== undefined ? telegraph.range : radius;
+        const candidates = defenses.filter(defense => telegraphDistance(boss, defense) <= range);
+        let target = null;
+
+        switch (telegraph.target) {
+            case 'nearest':
+                target = bestBy(candidates, defense => -telegraphDistance(boss, defense));
+                break;
+            case 'highestValue':
+                target = bestBy(candidates, defenseWorth);
+                break;
+            case 'cluster':
+                target = bestBy(candidates, defense =>
+                    defenses.filter(other => telegraphDistance(defense, other) <= radius).length);
+                break;
+        }
+
+        return target ? { x: target.x, y: target.y } : { x: boss.x, y: boss.y };
+    },
+
+    // A fixed area from the boss's position and the defenses on the field;
+    // params supplies the sizes the telegraph leaves out (radius, length)
+    create(boss, ability, telegraph, params, defenses) {
+        const radius = telegraph.radius !== undefined ? telegraph.radius : (params.radius || 100);
+        const windUp = this.getWindUp(telegraph);
+        const area = { ability, shape: telegraph.shape, windUp, x: boss.x, y: boss.y };
+
+        if (telegraph.shape === 'path') {
+            const path = boss.getPath() || [];
+            const end = Math.min(path.length - 1, boss.pathIndex + (telegraph.waypoints || params.waypoints || 1));
+            area.points = [{ x: boss.x, y: boss.y }, ...path.slice(boss.pathIndex, end + 1).map(point => ({ x: point.x, y: point.y }))];
+            area.pathIndex = Math.max(boss.pathIndex, end);
+            area.width = telegraph.width || 40;
+            return area;
+        }
+
+        const target = this.selectTarget(boss, telegraph, defenses, radius);
+        area.target = target;
+        area.angle = Math.atan2(target.y - boss.y, target.x - boss.x);
+
+        switch (telegraph.shape) {
+            case 'circle':
+                area.x = target.x;
+                area.y = target.y;
+                area.radius = radius;
+                break;
+            case 'cone':
+                area.radius = radius;
+                area.arc = telegraph.arc || Math.PI / 2;
+                break;
+            case 'line':
+                area.length = telegraph.length || radius;
+                area.width = telegraph.width || 40;
+                break;
+        }
+        return area;
+    },
+
+    contains(area, point) {
+        switch (area.shape) {
+            case 'circle':
+                return telegraphDistance(area, point) <= area.radius;
+            case 'cone':
+                return telegraphDistance(area, point) <= area.radius &&
+                    (telegraphDistance(area, point) === 0 ||
+                        angleBetween(Math.atan2(point.y - area.y, point.x - area.x), area.angle) <= area.arc / 2);
+            case 'line': {
+                const end = {
+                    x: area.x + Math.cos(area.angle) * area.length,
+                    y: area.y + Math.sin(area.angle) * area.length
+                };
+                return segmentDistance(point, area, end) <= area.width / 2;
+            }
+            case 'path':
+                return area.points.some((start, index) =>
+                    index < area.points.length - 1 && segmentDistance(point, start, area.points[index + 1]) <= area.width / 2);
+            default:
+                return false;
+        }
+    },
+
+    within(area, units) {
+        return units.filter(unit => this.contains(area, unit));
+    },
+
+    // progress: 0 when the wind-up starts, 1 when the ability fires. The
+    // fill deepens as it nears and an outline marks the edge throughout.
+    render(ctx, area, progress) {
+        const style = getWarningStyle();
+        const pulse = 0.5 + 0.5 * Math.sin(progress * Math.PI * 6);
+
+        ctx.save();
+        ctx.fillStyle = style.warningColor;
+        ctx.strokeStyle = style.warningColor;
+        ctx.globalAlpha = style.warningOpacity * (0.4 + 0.6 * progress);
+        ctx.lineWidth = 2;
+
+        ctx.beginPath();
+        switch (area.shape) {
+            case 'circle':
+                ctx.arc(area.x, area.y, area.radius, 0, Math.PI * 2);
+                break;
+            case 'cone':
+                ctx.moveTo(area.x, area.y);
+                ctx.arc(area.x, area.y, area.radius, area.angle - area.arc / 2, area.angle + area.arc / 2);
+                ctx.closePath();
+                break;
+            case 'line':
+                ctx.translate(area.x, area.y);
+                ctx.rotate(area.angle);
+                ctx.rect(0, -area.width / 2, area.length, area.width);
+                break;
+            case 'path':
+                // Drawn as a wide stroke rather than a filled shape
+                ctx.lineWidth = area.width;
+                ctx.lineCap = 'round';
+                ctx.lineJoin = 'round';
+                area.points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+                ctx.stroke();
+                ctx.restore();
+                return;
+        }
+        ctx.fill();
+
+        ctx.globalAlpha = Math.min(1, style.warningOpacity * 2 + pulse * 0.3);
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BossTelegraphs;
+} else {
+    window.BossTelegraphs = BossTelegraphs;
+}
@@ -34,14 +34,15 @@ class BossWarningSynchronizer {
      */
     synchronizeWarningToCooldown(boss, abilityType, warningDuration = 3000) {
         try {
-            if (!boss || !boss.abilityTimer === undefined) {
-                console.warn('[BossWarningSynchronizer] Invalid boss or missing abilityTimer');
+            if (!boss || (boss.abilityTimers === undefined && boss.abilityTimer === undefined)) {
+                console.warn('[BossWarningSynchronizer] Invalid boss or missing ability timers');
                 return null;
             }
 
             const warningId = `${boss.type}_${abilityType}_${Date.now()}`;
-            const currentCooldown = this.getBossAbilityCooldown(boss);
-            const remainingCooldown = Math.max(0, currentCooldown - boss.abilityTimer);
+            const currentCooldown = this.getBossAbilityCooldown(boss, abilityType);
+            const bossAbilityTimer = this.getBossAbilityTimer(boss, abilityType);
+            const remainingCooldown = Math.max(0, currentCooldown - bossAbilityTimer);
             
             // Calculate synchronized timing
             const warningStartTime = Math.max(0, remainingCooldown - warningDuration);
@@ -54,10 +55,11 @@ class BossWarningSynchronizer {
                 abilityType,
                 targetCooldown: currentCooldown,
                 warningDuration: actualWarningDuration,
+                syncedAt: Date.now(),
                 startTime: Date.now() + warningStartTime,
                 endTime: Date.now() + remainingCooldown,
-                bossAbilityTimer: boss.abilityTimer,
-                gameSpeed: this.game.gameSpeed || 1,
+                bossAbilityTimer,
+                gameSpeed: this.getGameSpeed(),
                 isPaused: false,
                 pausedAt: null,
                 pausedDuration: 0,
@@ -76,7 +78,7 @@ class BossWarningSynchronizer {
                 // Schedule warning for later
                 const timeoutId = setTimeout(() => {
                     this.displaySynchronizedWarning(syncData);
-                }, warningStartTime / (this.game.gameSpeed || 1));
+                }, warningStartTime / this.getGameSpeed());
                 
                 this.warningIntervals.set(warningId, { type: 'timeout', id: timeoutId });
             }
@@ -153,7 +155,7 @@ class BossWarningSynchronizer {
                         const delay = syncData.startTime - currentTime;
                         const timeoutId = setTimeout(() => {
                             this.displaySynchronizedWarning(syncData);
-                        }, delay / (this.game.gameSpeed || 1));
+                        }, delay / this.getGameSpeed());
                         
                         this.warningIntervals.set(warningId, { type: 'timeout', id: timeoutId });
                     } else if (this.isWarningActive(syncData)) {
@@ -182,6 +184,12 @@ class BossWarningSynchronizer {
             for (const [warningId, syncData] of this.syncedWarnings) {
                 if (syncData.gameSpeed !== speedMultiplier) {
                     const oldSpeed = syncData.gameSpeed;
+                    if (!syncData.isPaused) {
+                        // Time up to now ran at the old speed
+                        syncData.bossAbilityTimer = this.calculateExpectedBossTimer(syncData, currentTime);
+                        syncData.syncedAt = currentTime;
+                        syncData.pausedDuration = 0;
+                    }
                     syncData.gameSpeed = speedMultiplier;
                     
                     // Recalculate timing based on new speed
@@ -228,7 +236,7 @@ class BossWarningSynchronizer {
                 if (this.isWarningActive(syncData)) {
                     // Check synchronization with boss ability timer
                     const expectedBossTimer = this.calculateExpectedBossTimer(syncData, currentTime);
-                    const actualBossTimer = syncData.boss.abilityTimer || 0;
+                    const actualBossTimer = this.getBossAbilityTimer(syncData.boss, syncData.abilityType);
                     const timeDifference = Math.abs(expectedBossTimer - actualBossTimer);
                     
                     if (timeDifference > this.desyncDetectionThreshold) {
@@ -289,8 +297,8 @@ class BossWarningSynchronizer {
     recalibrateWarning(warningId, syncData) {
         try {
             const currentTime = Date.now();
-            const currentBossTimer = syncData.boss.abilityTimer || 0;
-            const targetCooldown = this.getBossAbilityCooldown(syncData.boss);
+            const currentBossTimer = this.getBossAbilityTimer(syncData.boss, syncData.abilityType);
+            const targetCooldown = this.getBossAbilityCooldown(syncData.boss, syncData.abilityType);
             const remainingCooldown = Math.max(0, targetCooldown - currentBossTimer);
             
             // Adjust warning end time
@@ -319,8 +327,8 @@ class BossWarningSynchronizer {
     resetWarningToBossTimer(warningId, syncData) {
         try {
             const currentTime = Date.now();
-            const currentBossTimer = syncData.boss.abilityTimer || 0;
-            const targetCooldown = this.getBossAbilityCooldown(syncData.boss);
+            const currentBossTimer = this.getBossAbilityTimer(syncData.boss, syncData.abilityType);
+            const targetCooldown = this.getBossAbilityCooldown(syncData.boss, syncData.abilityType);
             const remainingCooldown = Math.max(0, targetCooldown - currentBossTimer);
             
             // Reset synchronization data
@@ -451,7 +459,12 @@ class BossWarningSynchronizer {
     /**
      * Utility methods
      */
-    getBossAbilityCooldown(boss) {
+    // Bosses keep a cooldown and timer per ability (js/Boss.js); a single
+    // shared timer is still accepted
+    getBossAbilityCooldown(boss, abilityType) {
+        if (boss.abilityParams && boss.abilityParams[abilityType]) {
+            return boss.abilityParams[abilityType].cooldown;
+        }
         if (boss.getPhaseAbilityCooldown) {
             return boss.getPhaseAbilityCooldown();
         }
@@ -459,10 +472,27 @@ class BossWarningSynchronizer {
         return 4000 - ((boss.phase || 1) * 500);
     }
 
+    getBossAbilityTimer(boss, abilityType) {
+        if (boss.abilityTimers && boss.abilityTimers.has(abilityType)) {
+            return boss.abilityTimers.get(abilityType);
+        }
+        return boss.abilityTimer || 0;
+    }
+
+    // Includes a boss phase cinematic's slow motion (Game.getTimeScale)
+    getGameSpeed() {
+        if (typeof this.game.getTimeScale === 'function') {
+            return this.game.getTimeScale() || 1;
+        }
+        const gameState = this.game.gameState;
+        return (gameState ? gameState.gameSpeed : this.game.gameSpeed) || 1;
+    }
+
+    // The boss timer runs in game time: wall time since the warning was
+    // synced, less time spent paused, scaled by the game speed
     calculateExpectedBossTimer(syncData, currentTime) {
-        const elapsedTime = currentTime - (syncData.startTime - syncData.warningDuration);
-        const adjustedElapsed = elapsedTime * syncData.gameSpeed - syncData.pausedDuration;
-        return syncData.bossAbilityTimer + adjustedElapsed;
+        const elapsedTime = currentTime - syncData.syncedAt - syncData.pausedDuration;
+        return syncData.bossAbilityTimer + elapsedTime * syncData.gameSpeed;
     }
 
     isWarningActive(syncData) {
@@ -607,4 +637,6 @@ class BossWarningSynchronizer {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BossWarningSynchronizer;
+} else {
+    window.BossWarningSynchronizer = BossWarningSynchronizer;
 }
@@ -14,12 +14,178 @@ const CONFIG = {
     IS_MOBILE: window.innerWidth <= 768,
     IS_TOUCH: 'ontouchstart' in window || navigator.maxTouchPoints > 0,
     
-    // Game settings
-    INITIAL_DHARMA: 100,
+    // Game settings (starting resources before the difficulty preset's
+    // startingResources multiplier)
+    INITIAL_DHARMA: 250,
     INITIAL_BANDWIDTH: 50,
     INITIAL_ANONYMITY: 75,
-    
-    // Defense types with enhanced abilities
+
+    // What each resource is for (rules applied by js/economy.js). Dharma
+    // comes from destroyed enemies and wave rewards. Bandwidth and anonymity
+    // trickle in while a wave is running, faster for every defense listed in
+    // perDefense. Rates are per second.
+    ECONOMY: {
+        bandwidth: {
+            regen: 0.5,
+            perDefense: { distributor: 0.5 },
+            // Shots all defenses together may fire per second:
+            // base + banked bandwidth * perBandwidth, at most max
+            shotCap: { base: 4, perBandwidth: 0.1, max: 20 }
+        },
+        anonymity: {
+            regen: 0.2,
+            perDefense: { anonymity: 0.3 },
+            // Below this much anonymity AI Surveillance scans further, up to
+            // maxDetection times its normal reach at zero
+            lowThreshold: 25,
+            maxDetection: 2
+        },
+        // Share of each resource a boss's market crash wipes out
+        marketCrash: { dharma: 0.3, bandwidth: 0.25, anonymity: 0.2 }
+    },
+
+    // Payouts when a wave ends, on top of the base wave reward (js/rewards.js)
+    WAVE_ECONOMY: {
+        // Share of the dharma banked when the wave ends, at most cap
+        interest: { rate: 0.05, cap: 50 },
+        // Calling the next wave within window ms of the last one ending pays
+        // up to maxBonus dharma, shrinking to nothing as the window runs out
+        earlyCall: { window: 30000, maxBonus: 40 },
+        // Every enemy of the wave destroyed, none escaped
+        perfectWave: { dharma: 25, bandwidth: 5, anonymity: 5 },
+        // Wave and level payouts (not interest) grow by this share per
+        // difficulty point above 1
+        difficultyScaling: 0.5
+    },
+
+    // Difficulty presets picked before a run (js/difficulty.js). Multipliers
+    // stack on top of each level's own difficulty: enemyHealth, enemySpeed and
+    // enemyCount scale every wave, startingResources the INITIAL_* amounts,
+    // rewards kill, wave and level payouts; the final score is multiplied by
+    // scoreMultiplier.
+    DEFAULT_DIFFICULTY: 'monk',
+    DIFFICULTY_PRESETS: {
+        novice: {
+            name: 'Novice',
+            description: 'Fewer, weaker threats and a richer start',
+            enemyHealth: 0.75,
+            enemySpeed: 0.9,
+            enemyCount: 0.8,
+            startingResources: 1.5,
+            rewards: 1.2,
+            scoreMultiplier: 0.5
+        },
+        monk: {
+            name: 'Monk',
+            description: 'The balance the campaign was built around',
+            enemyHealth: 1,
+            enemySpeed: 1,
+            enemyCount: 1,
+            startingResources: 1,
+            rewards: 1,
+            scoreMultiplier: 1
+        },
+        bodhisattva: {
+            name: 'Bodhisattva',
+            description: 'Tougher, more numerous threats and leaner income',
+            enemyHealth: 1.3,
+            enemySpeed: 1.1,
+            enemyCount: 1.25,
+            startingResources: 0.8,
+            rewards: 0.9,
+            scoreMultiplier: 1.5
+        },
+        nirvana: {
+            name: 'Nirvana',
+            description: 'For those who have let go of everything, including hope',
+            enemyHealth: 1.75,
+            enemySpeed: 1.2,
+            enemyCount: 1.5,
+            startingResources: 0.6,
+            rewards: 0.8,
+            scoreMultiplier: 2.5
+        }
+    },
+
+    // Optional rules stacked on any preset; each multiplies the score.
+    //   enemyRegeneration - share of max health enemies heal per second
+    //   bossHealth        - multiplier on boss health
+    //   noSelling         - defenses cannot be sold
+    //   fogOfWar          - enemies are only seen within a defense's range
+    //                       plus visionBonus
+    //   bannedTowers      - defense types picked at random each level that
+    //                       cannot be built
+    MUTATORS: {
+        regeneration: {
+            name: 'Regenerating Threats',
+            description: 'Enemies heal 2% of their health every second',
+            enemyRegeneration: 0.02,
+            scoreMultiplier: 1.2
+        },
+        noSelling: {
+            name: 'No Selling',
+            description: 'Defenses cannot be sold once placed',
+            noSelling: true,
+            scoreMultiplier: 1.1
+        },
+        titanBosses: {
+            name: 'Titan Bosses',
+            description: 'Bosses have double health',
+            bossHealth: 2,
+            scoreMultiplier: 1.25
+        },
+        fogOfWar: {
+            name: 'Fog of War',
+            description: 'Enemies are hidden unless a defense can see them',
+            fogOfWar: { visionBonus: 40 },
+            scoreMultiplier: 1.2
+        },
+        towerBans: {
+            name: 'Random Tower Bans',
+            description: 'Two random defense types cannot be built each level',
+            bannedTowers: 2,
+            scoreMultiplier: 1.15
+        }
+    },
+
+    // Endless mode (js/endless.js): waves built from a seed with no cap.
+    //   level         - campaign level whose map and rules the run uses
+    //   pathEvery     - a new path is laid after every pathEvery-th wave
+    //   bossEvery     - boss waves; bosses take turns in the bosses order and
+    //                   each full rotation adds one more boss to the wave,
+    //                   linked with the others
+    //   modifierEvery - every modifierEvery waves one more WAVE_MODIFIERS
+    //                   entry is stacked on the wave's groups
+    //   groups        - enemy groups per wave: base, one more every `every`
+    //                   waves, at most max
+    //   count         - enemies per group: base plus perWave for each wave
+    //   growth        - per-wave growth: health compounds, speed and reward
+    //                   grow linearly (speed up to maxSpeed times the base)
+    //   roster        - wave-1 stats of each enemy type and the wave it
+    //                   first appears (from)
+    ENDLESS: {
+        level: 1,
+        pathEvery: 10,
+        bossEvery: 5,
+        bosses: ['raidTeam', 'megaCorp', 'corruptedMonk'],
+        modifierEvery: 4,
+        groups: { base: 2, every: 3, max: 6 },
+        count: { base: 4, perWave: 0.5 },
+        growth: { health: 0.09, speed: 0.015, maxSpeed: 2, reward: 0.05 },
+        roster: {
+            scriptKiddie: { from: 1, health: 25, speed: 0.4, reward: 10, interval: 3000 },
+            federalAgent: { from: 1, health: 37.5, speed: 0.32, reward: 15, interval: 4000 },
+            corporateSaboteur: { from: 3, health: 37.5, speed: 0.4, reward: 12, interval: 3600 },
+            aiSurveillance: { from: 6, health: 60, speed: 0.36, reward: 18, interval: 5000 },
+            quantumHacker: { from: 9, health: 100, speed: 0.28, reward: 25, interval: 6000 },
+            corruptedMonk: { from: 12, health: 75, speed: 0.24, reward: 20, interval: 8000 }
+        },
+        boss: { health: 250, speed: 0.28, reward: { dharma: 100, bandwidth: 10, anonymity: 5 } }
+    },
+
+    // Defense types with enhanced abilities (damageType: see js/damageTypes.js;
+    // onHitEffects: status effects each shot applies, see js/statusEffects.js;
+    // noise: anonymity each shot gives away, see js/economy.js)
     DEFENSE_TYPES: {
         firewall: {
             name: 'Firewall Fortress',
@@ -27,6 +193,8 @@ const CONFIG = {
             damage: 15,
             range: 200,
             fireRate: 1500, // ms - slower firing
+            damageType: 'kinetic',
+            noise: 0.1,
             color: '#ff6b6b',
             description: 'Basic blocking defense with Buddhist prayer flag aesthetics',
             abilities: ['armor_piercing_upgrade', 'explosive_shots_upgrade']
@@ -37,6 +205,8 @@ const CONFIG = {
             damage: 25,
             range: 250,
             fireRate: 1200, // ms - slower firing
+            damageType: 'cipher',
+            onHitEffects: [{ type: 'slow', duration: 1500, strength: 0.7 }],
             color: '#4ecdc4',
             description: 'Scrambles data packets with rotating cipher algorithms',
             abilities: ['slow_field', 'multi_shot']
@@ -47,6 +217,8 @@ const CONFIG = {
             damage: 0,
             range: 300,
             fireRate: 0,
+            damageType: 'kinetic',
+            noise: 0.2,
             color: '#45b7d1',
             description: 'False targets that misdirect attacks',
             abilities: ['confusion', 'redirect', 'path_manipulation']
@@ -57,6 +229,8 @@ const CONFIG = {
             damage: 30,
             range: 220,
             fireRate: 1800, // ms - slower firing
+            damageType: 'reflection',
+            noise: 0.5,
             color: '#f9ca24',
             description: 'Reflects attacks back to sender using reflection meditation',
             abilities: ['reflection_boost', 'perfect_reflection', 'homing_shots']
@@ -67,6 +241,7 @@ const CONFIG = {
             damage: 0,
             range: 350,
             fireRate: 0,
+            damageType: 'cipher',
             color: '#6c5ce7',
             description: 'Cloaks network traffic from surveillance',
             abilities: ['stealth_field', 'misdirection', 'invisibility_aura']
@@ -77,13 +252,19 @@ const CONFIG = {
             damage: 0,
             range: 400,
             fireRate: 0,
+            damageType: 'dharma',
+            noise: 0.2,
             color: '#ffd700',
             description: 'Boosts delivery speed and success rates',
             abilities: ['boost_aura', 'resource_generation', 'network_acceleration']
         }
     },
     
-    // Enemy types with enhanced AI configurations
+    // Enemy types with enhanced AI configurations (resistances: damage
+    // multipliers per damage type, see js/damageTypes.js; statusImmunities:
+    // status effect types or tags that never apply, see js/statusEffects.js;
+    // behaviors: raids, scans, decoy pulls, fleeing and regrouping, see
+    // js/enemyBehaviors.js)
     ENEMY_TYPES: {
         scriptKiddie: {
             name: 'Script Kiddie',
@@ -93,7 +274,9 @@ const CONFIG = {
             color: '#ff7675',
             size: 15,
             armor: 0,
+            resistances: { cipher: 1.25 },
             abilities: ['erratic_movement'],
+            behaviors: { lure: true, flee: { threshold: 0.4 }, regroup: true },
             description: 'Fast but weak attackers with unpredictable movement patterns'
         },
         federalAgent: {
@@ -104,7 +287,9 @@ const CONFIG = {
             color: '#2d3436',
             size: 20,
             armor: 2,
+            resistances: { kinetic: 0.75, cipher: 1.25 },
             abilities: ['persistent_pathfinding', 'armor'],
+            behaviors: { raid: { effectDuration: 600, interval: 1500 }, lure: { maxTime: 1500 } },
             description: 'Heavily armored agents that find alternate routes when blocked'
         },
         corporateSaboteur: {
@@ -115,7 +300,9 @@ const CONFIG = {
             color: '#636e72',
             size: 18,
             armor: 1,
+            resistances: { reflection: 1.5, dharma: 0.75 },
             abilities: ['stealth_mode'],
+            behaviors: { raid: { effect: 'emp', interval: 2000 }, lure: true, flee: true },
             description: 'Can become invisible and move faster temporarily'
         },
         aiSurveillance: {
@@ -126,8 +313,10 @@ const CONFIG = {
             color: '#74b9ff',
             size: 16,
             armor: 0,
+            resistances: { cipher: 0.5, corruption: 1.5 },
             abilities: ['scanning_beam', 'mark_targets'],
-            description: 'Marks defenses for increased damage and has scanning capabilities'
+            behaviors: { scan: true, lure: true },
+            description: 'Scans for defenses and marks them, weakening their shots'
         },
         raidTeam: {
             name: 'Raid Team',
@@ -137,6 +326,8 @@ const CONFIG = {
             color: '#e17055',
             size: 30,
             armor: 5,
+            resistances: { kinetic: 0.75, reflection: 1.25 },
+            statusImmunities: ['control'],
             abilities: ['boss_mechanics', 'spawn_minions', 'emp_burst', 'teleport'],
             description: 'Powerful boss enemy with multiple phases and special abilities',
             isBoss: true
@@ -150,7 +341,10 @@ const CONFIG = {
             color: '#00b894',
             size: 18,
             armor: 1,
+            resistances: { cipher: 0.5, kinetic: 1.25 },
+            statusImmunities: ['movement'],
             abilities: ['phase_shift', 'quantum_tunneling'],
+            behaviors: { lure: { maxTime: 1500 }, flee: { threshold: 0.25, maxBacktrack: 1 } },
             description: 'Advanced hacker that can phase through defenses temporarily'
         },
         corruptedMonk: {
@@ -161,7 +355,10 @@ const CONFIG = {
             color: '#6c5ce7',
             size: 22,
             armor: 3,
+            resistances: { corruption: 0, dharma: 1.5 },
+            statusImmunities: ['corruption'],
             abilities: ['healing_aura', 'corruption_spread'],
+            behaviors: { raid: { effect: 'corruption', effectDuration: 3000, leash: 60 }, lure: true },
             description: 'Corrupted Buddhist monk that heals nearby enemies and spreads corruption'
         },
         megaCorp: {
@@ -172,13 +369,15 @@ const CONFIG = {
             color: '#fd79a8',
             size: 40,
             armor: 10,
+            resistances: { reflection: 0.75, dharma: 1.25 },
+            statusImmunities: ['control', 'movement'],
             abilities: ['boss_mechanics', 'deploy_drones', 'corporate_takeover', 'shield_regeneration'],
             description: 'Massive corporate entity with drone swarms and regenerative capabilities',
             isBoss: true
         }
     },
     
-    // Wave configuration
+    // Legacy wave list. Levels now play the wave scripts in js/waveScripts.js.
     WAVES: [
         {
             enemies: [
@@ -298,7 +497,7 @@ const CONFIG = {
         }
     ],
     
-    // Maximum number of waves
+    // Maximum number of waves (endless mode has no cap, see ENDLESS)
     MAX_WAVES: 10,
     
     // Path points for enemy movement
@@ -433,6 +632,16 @@ const CONFIG = {
             }
         }
         
+        // Validate damage type
+        if (upgrade.damageType !== undefined && !this.isDamageType(upgrade.damageType)) {
+            errors.push(`Unknown damage type '${upgrade.damageType}' for ${defenseType} level ${level}`);
+        }
+        
+        // Validate cost multiplier
+        if (upgrade.costMultiplier !== undefined && !(typeof upgrade.costMultiplier === 'number' && upgrade.costMultiplier > 0)) {
+            errors.push(`Invalid cost multiplier for ${defenseType} level ${level}: ${upgrade.costMultiplier}`);
+        }
+        
         // Validate abilities
         if (upgrade.abilities) {
             if (!Array.isArray(upgrade.abilities)) {
@@ -475,6 +684,10 @@ const CONFIG = {
         return { errors, warnings };
     },
     
+    isDamageType(type) {
+        return typeof DamageTypes === 'undefined' || DamageTypes.isDamageType(type);
+    },
+    
     validateUpgradeChoice(choice, defenseType, level, choiceIndex) {
         const errors = [];
         const warnings = [];
@@ -509,6 +722,16 @@ const CONFIG = {
             }
         }
         
+        // Validate choice damage type
+        if (choice.damageType !== undefined && !this.isDamageType(choice.damageType)) {
+            errors.push(`Unknown damage type '${choice.damageType}' for ${defenseType} level ${level} choice ${choiceIndex}`);
+        }
+        
+        // Validate choice cost multiplier
+        if (choice.costMultiplier !== undefined && !(typeof choice.costMultiplier === 'number' && choice.costMultiplier > 0)) {
+            errors.push(`Invalid choice cost multiplier for ${defenseType} level ${level} choice ${choiceIndex}: ${choice.costMultiplier}`);
+        }
+        
         // Validate choice abilities
         if (choice.abilities) {
             if (!Array.isArray(choice.abilities)) {
@@ -519,7 +742,8 @@ const CONFIG = {
         return { errors, warnings };
     },
     
-    // Phase 2: Upgrade Trees Configuration
+    // Phase 2: Upgrade Trees Configuration (applied by js/upgradeTrees.js;
+    // fireRate modifiers scale the time between shots)
     UPGRADE_TREES: {
         firewall: {
             2: {
@@ -535,6 +759,7 @@ const CONFIG = {
                     {
                         name: "Explosive Rounds",
                         description: "Area damage on impact",
+                        costMultiplier: 1.25,
                         abilities: ['explosive_rounds']
                     },
                     {
@@ -551,6 +776,7 @@ const CONFIG = {
             5: {
                 description: "Fortress of Dharma",
                 modifiers: { damage: 2.0, range: 1.5, size: 1.5 },
+                damageType: 'dharma',
                 abilities: ['fortress_mode', 'dharma_blessing']
             }
         },
@@ -577,6 +803,8 @@ const CONFIG = {
                     {
                         name: "Viral Encryption",
                         description: "Spreads to nearby enemies",
+                        costMultiplier: 1.2,
+                        damageType: 'corruption',
                         abilities: ['viral_spread']
                     }
                 ]
@@ -627,6 +855,7 @@ const CONFIG = {
             5: {
                 description: "Perfect Mirror of Truth",
                 abilities: ['perfect_reflection', 'truth_revelation'],
+                damageType: 'dharma',
                 modifiers: { damage: 2.2, range: 1.3 }
             }
         },
@@ -675,62 +904,347 @@ const CONFIG = {
         }
     },
     
-    // Phase 2: Boss Phase Configurations
-    BOSS_PHASES: {
+    // What each defense ability does (behaviour in js/defenseAbilities.js),
+    // for the defense panel and the upgrade tree screen
+    ABILITY_DESCRIPTIONS: {
+        armor_piercing_upgrade: "Shots ignore half of enemy armor",
+        explosive_shots_upgrade: "Every fourth shot explodes",
+        improved_targeting: "Shots home in on their target",
+        armor_piercing: "Shots ignore enemy armor",
+        explosive_rounds: "Shots explode, damaging nearby enemies",
+        fortress_mode: "Immune to EMP, takeover and surveillance marks",
+        dharma_blessing: "Every fifth shot stuns its target for a second",
+        slow_field: "Slows enemies inside its range",
+        multi_shot: "Each shot also fires at two more enemies for 60% damage",
+        quantum_bypass: "A quarter of shots ignore all armor",
+        viral_spread: "Hits infect the target and two nearby enemies with corruption",
+        wisdom_aura: "Nearby defenses deal 15% more damage",
+        enlightenment_burst: "Every 5s, damages every enemy in range",
+        path_manipulation: "Every 3s, lures the nearest enemy toward the decoy",
+        confusion: "Every 4s, sends the nearest enemy wandering backwards",
+        redirect: "Every 6s, sends the leading enemy in range back along its route",
+        holographic_decoy: "Every 3s, lures two more enemies toward the decoy",
+        mass_confusion: "Every 8s, confuses every enemy in range",
+        phantom_army: "Every 3s, phantom defenders strike every enemy in range",
+        homing_shots: "Shots home in on their target",
+        reflection_boost: "Shots bounce to a nearby enemy for half damage",
+        omni_reflection: "Shots bounce to two more nearby enemies",
+        perfect_reflection: "Reflections deal full damage",
+        truth_revelation: "Reveals stealthed enemies in range",
+        invisibility_aura: "Hides itself and close defenses from enemy scanning",
+        stealth_field: "Hides defenses in range from enemy scanning",
+        misdirection: "Enemies in range cannot scan or corrupt defenses",
+        advanced_cloak: "Hidden defenses in range deal 15% more damage",
+        perfect_anonymity: "Hides defenses in twice its range",
+        invisibility_cloak: "Purges EMP, takeover and marks from defenses in range",
+        boost_aura: "Nearby defenses deal 20% more damage",
+        network_acceleration: "Nearby defenses fire 15% faster",
+        resource_generation: "Generates 5 dharma and 2 bandwidth every 10s",
+        network_boost: "Nearby defenses fire 30% faster",
+        mass_boost: "Defenses in range, itself included, deal 10% more damage and fire 10% faster",
+        dharma_fountain: "Generates 10 extra dharma every 10s"
+    },
+
+    // Powers the player casts (behaviour in js/SpellManager.js). A spell
+    // affects 'enemies' or 'defenses': with targeting 'point' those within
+    // radius of a spot aimed on the canvas, with 'none' all of them at once.
+    // It deals damage and/or applies a status effect. Cooldowns are in ms.
+    PLAYER_SPELLS: {
+        mantraPulse: {
+            name: 'Mantra Pulse',
+            icon: '🕉️',
+            color: '#ffd700',
+            hotkey: 'q',
+            description: 'A wave of chanted code that damages every enemy around the chosen spot',
+            cost: { dharma: 60, bandwidth: 10, anonymity: 0 },
+            cooldown: 20000,
+            targeting: 'point',
+            affects: 'enemies',
+            radius: 90,
+            damage: 80,
+            damageType: 'dharma'
+        },
+        networkBlackout: {
+            name: 'Network Blackout',
+            icon: '🌑',
+            color: '#6c5ce7',
+            hotkey: 'w',
+            description: 'Cuts the network, slowing every enemy on the field',
+            cost: { dharma: 0, bandwidth: 30, anonymity: 10 },
+            cooldown: 30000,
+            targeting: 'none',
+            affects: 'enemies',
+            effect: { type: 'slow', duration: 4000, strength: 0.5 }
+        },
+        sanctuary: {
+            name: 'Sanctuary',
+            icon: '☸️',
+            color: '#ffeaa7',
+            hotkey: 'e',
+            description: 'Shields every defense from boss EMP bursts for a few seconds and ends any EMP already on them',
+            cost: { dharma: 40, bandwidth: 0, anonymity: 20 },
+            cooldown: 35000,
+            targeting: 'none',
+            affects: 'defenses',
+            effect: { type: 'sanctuary', duration: 6000 }
+        }
+    },
+
+    // Tower pairings (behaviour in js/synergies.js). A defense gets the bonus
+    // while a partner defense stands within its range:
+    //   damage / fireRate - multipliers on its shots
+    //   crit              - { chance, multiplier, against }: shots at enemies
+    //                       with the `against` status effect may crit
+    //   bounces           - extra mirror reflections per shot
+    DEFENSE_SYNERGIES: [
+        {
+            id: 'frozen_breach',
+            name: 'Frozen Breach',
+            description: 'Firewall shots may crit for double damage against enemies slowed by an Encryption Monastery',
+            defense: 'firewall',
+            partner: 'encryption',
+            bonus: { crit: { chance: 0.25, multiplier: 2, against: 'slow' } }
+        },
+        {
+            id: 'cipher_prism',
+            name: 'Cipher Prism',
+            description: 'A Mirror Server next to an Encryption Monastery reflects each shot once more',
+            defense: 'mirror',
+            partner: 'encryption',
+            bonus: { bounces: 1 }
+        },
+        {
+            id: 'ambush',
+            name: 'Ambush',
+            description: 'Firewall shots may crit for triple damage against enemies confused by a Decoy Temple',
+            defense: 'firewall',
+            partner: 'decoy',
+            bonus: { crit: { chance: 0.35, multiplier: 3, against: 'confused' } }
+        },
+        {
+            id: 'silent_guard',
+            name: 'Silent Guard',
+            description: 'A Firewall covered by an Anonymity Shroud deals 15% more damage',
+            defense: 'firewall',
+            partner: 'anonymity',
+            bonus: { damage: 1.15 }
+        },
+        {
+            id: 'key_exchange',
+            name: 'Key Exchange',
+            description: 'An Encryption Monastery near a Dharma Distributor fires 20% faster',
+            defense: 'encryption',
+            partner: 'distributor',
+            bonus: { fireRate: 1.2 }
+        }
+    ],
+    
+    // Boss definitions, read through js/bossDefinitions.js (validated on
+    // first use; a boss with errors is left out and the errors logged).
+    // Adding a boss is a new entry here plus an ENEMY_TYPES entry for its
+    // resistances and status immunities; Boss.js needs no changes.
+    //   name, health, speed, size, color, reward: the boss's base stats
+    //   resistances: laid over its ENEMY_TYPES resistances (optional)
+    //   phases: keyed "1".."n" with no gaps. Each phase may set
+    //     description: shown in the phase warning
+    //     healthThreshold: share of max health the phase starts at
+    //       (phase 1 starts at full health; later phases default to an
+    //       even split)
+    //     speedMultiplier, damageReduction, color, resistances
+    //     abilities: { id: { cooldown, ...params } }, ids from
+    //       js/bossAbilities.js. cooldown is ms between uses; params replace
+    //       the ability's defaults, e.g. minions: { type, count, health,
+    //       speed, reward } for the spawning abilities. telegraph: { shape,
+    //       target, windUp, ... } adjusts the warning area the ability marks
+    //       before it lands (js/bossTelegraphs.js)
+    BOSS_TYPES: {
         raidTeam: {
-            1: {
-                description: "Initial assault phase",
-                healthThreshold: 1.0,
-                abilities: ['emp_burst'],
-                cooldowns: { emp_burst: 8000 }
-            },
-            2: {
-                description: "Tactical advancement",
-                healthThreshold: 0.7,
-                speedMultiplier: 1.2,
-                abilities: ['emp_burst', 'shield_regen'],
-                cooldowns: { emp_burst: 6000, shield_regen: 10000 }
-            },
-            3: {
-                description: "Desperate measures",
-                healthThreshold: 0.3,
-                speedMultiplier: 1.3,
-                spawnMinions: { type: 'scriptKiddie', count: 3 },
-                abilities: ['emp_burst', 'shield_regen', 'teleport'],
-                cooldowns: { emp_burst: 4000, shield_regen: 8000, teleport: 12000 }
+            name: 'Raid Team',
+            health: 1000,
+            speed: 0.5,
+            size: 40,
+            color: '#ff0080',
+            reward: { dharma: 200, bandwidth: 100, anonymity: 50 },
+            phases: {
+                1: {
+                    description: 'Initial assault phase',
+                    abilities: {
+                        spawn_minions: { cooldown: 13600, minions: { type: 'scriptKiddie', count: 2 } },
+                        emp_burst: { cooldown: 20400 },
+                        data_corruption: { cooldown: 25500 }
+                    }
+                },
+                2: {
+                    description: 'Tactical advancement',
+                    healthThreshold: 0.7,
+                    speedMultiplier: 1.2,
+                    damageReduction: 0.1,
+                    color: '#ff40a0',
+                    resistances: { kinetic: 0.5, cipher: 1.25 },
+                    abilities: {
+                        spawn_minions: { cooldown: 11200, minions: { type: 'scriptKiddie', count: 3 } },
+                        emp_burst: { cooldown: 16800 },
+                        data_corruption: { cooldown: 21000 },
+                        shield_regen: { cooldown: 10000 }
+                    }
+                },
+                3: {
+                    description: 'Desperate measures',
+                    healthThreshold: 0.3,
+                    speedMultiplier: 1.5,
+                    damageReduction: 0.2,
+                    color: '#ff40a0',
+                    resistances: { kinetic: 1, reflection: 1.5 },
+                    abilities: {
+                        spawn_minions: { cooldown: 8800, minions: { type: 'scriptKiddie', count: 3 } },
+                        emp_burst: { cooldown: 13200, telegraph: { windUp: 1000 } },
+                        data_corruption: { cooldown: 16500 },
+                        shield_regen: { cooldown: 8000 },
+                        teleport: { cooldown: 12000 }
+                    }
+                }
             }
         },
         megaCorp: {
-            1: {
-                description: "Corporate infiltration",
-                healthThreshold: 1.0,
-                abilities: ['data_corruption'],
-                cooldowns: { data_corruption: 10000 }
-            },
-            2: {
-                description: "Hostile takeover",
-                healthThreshold: 0.75,
-                speedMultiplier: 1.1,
-                abilities: ['data_corruption', 'corporate_takeover'],
-                cooldowns: { data_corruption: 8000, corporate_takeover: 12000 }
-            },
-            3: {
-                description: "Market domination",
-                healthThreshold: 0.5,
-                speedMultiplier: 1.1,
-                abilities: ['data_corruption', 'corporate_takeover', 'mass_deployment'],
-                cooldowns: { data_corruption: 6000, corporate_takeover: 10000, mass_deployment: 15000 }
-            },
-            4: {
-                description: "System monopoly",
-                healthThreshold: 0.25,
-                speedMultiplier: 1.2,
-                abilities: ['system_crash', 'mass_deployment'],
-                cooldowns: { system_crash: 20000, mass_deployment: 10000 }
+            name: 'MegaCorp',
+            health: 1500,
+            speed: 0.3,
+            size: 50,
+            color: '#800080',
+            reward: { dharma: 300, bandwidth: 150, anonymity: 100 },
+            phases: {
+                1: {
+                    description: 'Corporate infiltration',
+                    abilities: {
+                        drone_swarm: { cooldown: 17000 },
+                        shield_regen: { cooldown: 34000 },
+                        market_crash: { cooldown: 42500 },
+                        data_corruption: { cooldown: 10000 }
+                    }
+                },
+                2: {
+                    description: 'Hostile takeover',
+                    healthThreshold: 0.75,
+                    speedMultiplier: 1.2,
+                    damageReduction: 0.1,
+                    color: '#a040a0',
+                    resistances: { cipher: 0.5 },
+                    abilities: {
+                        drone_swarm: { cooldown: 14000 },
+                        shield_regen: { cooldown: 28000 },
+                        market_crash: { cooldown: 35000 },
+                        data_corruption: { cooldown: 8000 },
+                        hostile_takeover: { cooldown: 12000 }
+                    }
+                },
+                3: {
+                    description: 'Market domination',
+                    healthThreshold: 0.5,
+                    speedMultiplier: 1.5,
+                    damageReduction: 0.2,
+                    color: '#a040a0',
+                    abilities: {
+                        drone_swarm: { cooldown: 11000 },
+                        shield_regen: { cooldown: 22000 },
+                        market_crash: { cooldown: 27500 },
+                        hostile_takeover: { cooldown: 10000 },
+                        mass_deployment: { cooldown: 15000 }
+                    }
+                },
+                4: {
+                    description: 'System monopoly',
+                    healthThreshold: 0.25,
+                    speedMultiplier: 2,
+                    damageReduction: 0.3,
+                    color: '#ffffff',
+                    resistances: { kinetic: 0.5, reflection: 1, dharma: 1.5 },
+                    abilities: {
+                        shield_regen: { cooldown: 16000 },
+                        mass_deployment: { cooldown: 10000 },
+                        system_crash: { cooldown: 20000 }
+                    }
+                }
+            }
+        },
+        corruptedMonk: {
+            name: 'Corrupted Monk',
+            health: 800,
+            speed: 0.7,
+            size: 35,
+            color: '#ff6600',
+            reward: { dharma: 250, bandwidth: 50, anonymity: 150 },
+            phases: {
+                1: {
+                    description: 'The battle begins...',
+                    abilities: {
+                        healing_aura: { cooldown: 10200 },
+                        corruption_field: { cooldown: 30600 },
+                        meditation_storm: { cooldown: 37400 }
+                    }
+                },
+                2: {
+                    description: 'Growing more aggressive!',
+                    speedMultiplier: 1.2,
+                    damageReduction: 0.1,
+                    color: '#ff8833',
+                    abilities: {
+                        healing_aura: { cooldown: 8400 },
+                        corruption_field: { cooldown: 25200 },
+                        meditation_storm: { cooldown: 30800 }
+                    }
+                },
+                3: {
+                    description: 'Unleashing full power!',
+                    speedMultiplier: 1.5,
+                    damageReduction: 0.2,
+                    color: '#ff8833',
+                    abilities: {
+                        healing_aura: { cooldown: 6600 },
+                        corruption_field: { cooldown: 19800 },
+                        meditation_storm: { cooldown: 24200 }
+                    }
+                }
             }
         }
     },
-    
+
+    // Escort squads a wave script boss entry can bring along with escorts:
+    // ["<id>", ...] (read through js/bossEncounters.js). The squad spawns
+    // around the boss when it enters the field and buffs it while any of
+    // its members live:
+    //   type, count: the escorts, a regular ENEMY_TYPES type
+    //   health, speed, reward: override the type's (speed defaults to the
+    //     boss's own, so the squad keeps pace)
+    //   spread: px from the boss the squad spawns at
+    //   buff: shield - the boss takes no damage at all
+    //         damageReduction - added to the phase's own
+    //         regeneration - share of the boss's max health healed per second
+    BOSS_ESCORTS: {
+        shieldGenerators: {
+            name: 'Shield Generators',
+            type: 'aiSurveillance',
+            count: 2,
+            health: 150,
+            spread: 60,
+            buff: { shield: true }
+        },
+        securityDetail: {
+            name: 'Security Detail',
+            type: 'federalAgent',
+            count: 3,
+            spread: 70,
+            buff: { damageReduction: 0.3 }
+        },
+        acolytes: {
+            name: 'Acolytes',
+            type: 'corruptedMonk',
+            count: 2,
+            health: 120,
+            spread: 60,
+            buff: { regeneration: 0.02 }
+        }
+    },
+
     // Phase 2: Path Generation Parameters
     PATH_GENERATION: {
         complexity: {
@@ -1026,7 +1540,9 @@ const CONFIG = {
         }
     },
     
-    // Phase 2: Boss Warning System
+    // Phase 2: Boss Warning System. Telegraphed ability areas are drawn in
+    // warningColor at warningOpacity; telegraphDuration is the wind-up of a
+    // telegraph that does not set its own
     BOSS_WARNINGS: {
         telegraphDuration: 2000,
         warningOpacity: 0.3,
@@ -1035,6 +1551,17 @@ const CONFIG = {
             warning: 'bossWarning',
             phaseTransition: 'bossPhaseTransition',
             defeated: 'bossDefeated'
+        },
+        // Boss phase change presentation (js/bossPhaseCinematics.js): game
+        // time runs at timeScale for duration ms of real time while the
+        // camera zooms in on the boss
+        cinematic: {
+            duration: 1800,
+            timeScale: 0.25,
+            zoom: 1.5,
+            followSpeed: 0.12,
+            shake: { intensity: 12, duration: 500 },
+            returnTime: 500
         }
     },
     
@@ -1060,6 +1587,7 @@ const CONFIG = {
     
     // Phase 2: Performance Settings
     PERFORMANCE: {
+        // Open-field grid routing, see js/pathfinding.js
         pathfinding: {
             updateInterval: 200,
             maxIterations: 1000,
@@ -1073,6 +1601,13 @@ const CONFIG = {
             maxNotificationQueue: 5,
             notificationDuration: 4000
         }
+    },
+
+    // Deterministic simulation (enabled with ?seed=<n>, see js/simulation.js)
+    SIMULATION: {
+        fixedTimestep: 1000 / 60,   // ms per simulation tick
+        maxStepsPerFrame: 5,        // ticks run per rendered frame before dropping time
+        defaultSeed: 1
     }
 };
 
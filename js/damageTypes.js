@@ -0,0 +1,110 @@
+// Elemental damage types and the resistances that scale them. Each defense
+// deals one damage type: CONFIG.DEFENSE_TYPES[type].damageType, replaced by
+// any UPGRADE_TREES level (or chosen upgrade choice) that names its own.
+// Enemies list resistances in CONFIG.ENEMY_TYPES[type].resistances. A boss
+// definition (js/bossDefinitions.js) can lay its own resistances over that
+// table, and each phase's resistances go on top while the phase lasts.
+//
+// A resistance is a damage multiplier: 0 is immune, below 1 resists, above 1
+// is a weakness. Types missing from a table, and the older special kinds
+// passed to takeDamage ('armor_piercing', 'chain', ...), deal full damage.
+
+const DAMAGE_TYPES = {
+    kinetic: { name: 'Kinetic', color: '#ff6b6b' },
+    cipher: { name: 'Cipher', color: '#4ecdc4' },
+    reflection: { name: 'Reflection', color: '#f9ca24' },
+    corruption: { name: 'Corruption', color: '#a29bfe' },
+    dharma: { name: 'Dharma', color: '#ffd700' }
+};
+
+const DEFAULT_DAMAGE_TYPE = 'kinetic';
+
+const getConfig = () => (typeof CONFIG !== 'undefined' ? CONFIG : null);
+
+const DamageTypes = {
+    TYPES: Object.keys(DAMAGE_TYPES),
+    DEFAULT: DEFAULT_DAMAGE_TYPE,
+
+    isDamageType(type) {
+        return Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, type);
+    },
+
+    getName(type) {
+        return DAMAGE_TYPES[type] ? DAMAGE_TYPES[type].name : type;
+    },
+
+    getColor(type) {
+        return DAMAGE_TYPES[type] ? DAMAGE_TYPES[type].color : '#ffffff';
+    },
+
+    // Damage type of a defense at the given level. choices are the upgrade
+    // choices taken so far, as [{ level, index }].
+    forDefense(type, level = 1, choices = []) {
+        const config = getConfig();
+        let damageType = config?.DEFENSE_TYPES?.[type]?.damageType || DEFAULT_DAMAGE_TYPE;
+
+        const tree = config?.UPGRADE_TREES?.[type] || {};
+        for (let upgradeLevel = 2; upgradeLevel <= level; upgradeLevel++) {
+            const upgrade = tree[upgradeLevel];
+            if (!upgrade) continue;
+
+            if (upgrade.damageType) {
+                damageType = upgrade.damageType;
+            }
+
+            const taken = choices.find(choice => choice.level === upgradeLevel);
+            const choice = taken && upgrade.choices ? upgrade.choices[taken.index] : null;
+            if (choice && choice.damageType) {
+                damageType = choice.damageType;
+            }
+        }
+
+        return damageType;
+    },
+
+    forEnemy(type) {
+        return { ...(getConfig()?.ENEMY_TYPES?.[type]?.resistances || {}) };
+    },
+
+    forBossPhase(type, phase) {
+        const definition = typeof BossDefinitions !== 'undefined' ? BossDefinitions.get(type) : null;
+        return {
+            ...this.forEnemy(type),
+            ...(definition?.resistances || {}),
+            ...(definition?.phases?.[phase]?.resistances || {})
+        };
+    },
+
+    getMultiplier(resistances, damageType) {
+        const multiplier = resistances ? resistances[damageType] : undefined;
+        return typeof multiplier === 'number' ? multiplier : 1;
+    },
+
+    // 'immune', 'resisted', 'weak' or 'neutral'
+    getMatchup(resistances, damageType) {
+        const multiplier = this.getMultiplier(resistances, damageType);
+        if (multiplier === 0) return 'immune';
+        if (multiplier < 1) return 'resisted';
+        if (multiplier > 1) return 'weak';
+        return 'neutral';
+    },
+
+    // Non-neutral entries of a resistance table, weaknesses first
+    describe(resistances) {
+        return this.TYPES
+            .filter(type => this.getMultiplier(resistances, type) !== 1)
+            .map(type => ({
+                type,
+                name: this.getName(type),
+                multiplier: this.getMultiplier(resistances, type),
+                matchup: this.getMatchup(resistances, type)
+            }))
+            .sort((a, b) => b.multiplier - a.multiplier);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DamageTypes;
+} else {
+    window.DamageTypes = DamageTypes;
+}
@@ -12,14 +12,17 @@ class Defense {
         this.baseDamage = this.config.damage;
         this.baseRange = this.config.range;
         this.baseFireRate = this.config.fireRate;
+        this.damageType = this.config.damageType || 'kinetic';
+        this.onHitEffects = this.config.onHitEffects || [];
         this.color = this.config.color;
         this.cost = this.config.cost;
         this.size = 20;
 
-        // Upgrade system - simplified
+        // Upgrade path through CONFIG.UPGRADE_TREES (see js/upgradeTrees.js)
         this.level = 1;
         this.maxLevel = 5;
-        this.upgradeMultiplier = 1.2;
+        this.upgradeChoices = [];
+        this.baseSize = this.size;
 
         // Current stats (affected by upgrades)
         this.damage = this.baseDamage;
@@ -30,9 +33,10 @@ class Defense {
         this.target = null;
         this.lastFireTime = 0;
         this.targetingMode = 'closest';
+        this.targetingPriority = [];
 
         // Special abilities - simplified
-        this.abilities = this.config.abilities || [];
+        this.abilities = [...(this.config.abilities || [])];
         this.abilityTimers = {};
 
         // Visual effects
@@ -42,8 +46,7 @@ class Defense {
 
         // State management
         this.isActive = true;
-        this.stunned = false;
-        this.stunnedTime = 0;
+        this.statusEffects = new StatusEffects(this);
 
         // Statistics
         this.kills = 0;
@@ -53,6 +56,15 @@ class Defense {
         this.initializeAbilities();
     }
 
+    // Simulation clock and RNG (seeded in deterministic mode, see js/simulation.js)
+    now() {
+        return window.simulation ? window.simulation.now() : performance.now();
+    }
+
+    random() {
+        return window.simulation ? window.simulation.random() : Math.random();
+    }
+
     getDefenseConfig(type) {
         // Fallback config if CONFIG is not available
         const fallbackConfigs = {
@@ -114,64 +126,60 @@ class Defense {
     }
 
     initializeAbilities() {
-        // Initialize ability-specific properties
-        this.abilities.forEach(ability => {
-            this.abilityTimers[ability] = 0;
+        this.abilities.forEach(ability => this.initializeAbility(ability));
+        DefenseAbilities.refresh(this);
+    }
 
-            switch (ability) {
-                case 'armor_piercing':
-                    this.armorPiercing = true;
-                    break;
-                case 'chain_attack':
-                    this.chainTargets = 2;
-                    this.chainRange = 60;
-                    break;
-                case 'stealth':
-                    this.stealthed = false;
-                    this.stealthDuration = 3000;
-                    break;
-                case 'reflect':
-                    this.reflectChance = 0.3;
-                    break;
-                case 'distraction':
-                    this.distractionRadius = this.range * 1.2;
-                    break;
-            }
-        });
+    // Initialize ability-specific properties
+    initializeAbility(ability) {
+        this.abilityTimers[ability] = 0;
+
+        switch (ability) {
+            case 'armor_piercing':
+                this.armorPiercing = true;
+                break;
+            case 'chain_attack':
+                this.chainTargets = 2;
+                this.chainRange = 60;
+                break;
+            case 'stealth':
+                this.stealthDuration = 3000;
+                break;
+            case 'reflect':
+                this.reflectChance = 0.3;
+                break;
+            case 'distraction':
+                this.distractionRadius = this.range * 1.2;
+                break;
+        }
     }
 
-    update(deltaTime, enemies) {
+    // defenses: every defense on the field, for auras
+    update(deltaTime, enemies, defenses = []) {
         if (!this.isActive) return;
 
         // Update status effects
-        this.updateStatusEffects(deltaTime);
+        this.statusEffects.update(deltaTime);
+
+        if (this.statusEffects.isDisabled()) return;
 
-        if (this.stunned) return;
+        const context = this.getAbilityContext(enemies, defenses);
 
         // Update targeting
         this.updateTargeting(enemies);
 
         // Update abilities
-        this.updateAbilities(deltaTime, enemies);
+        this.updateAbilities(deltaTime, enemies, context);
 
         // Try to fire
         if (this.canFire() && this.target) {
-            this.fire();
+            this.fire(context);
         }
 
         // Update animations
         this.updateAnimations(deltaTime);
     }
 
-    updateStatusEffects(deltaTime) {
-        if (this.stunned) {
-            this.stunnedTime -= deltaTime;
-            if (this.stunnedTime <= 0) {
-                this.stunned = false;
-            }
-        }
-    }
-
     updateTargeting(enemies) {
         // Clear target if dead or out of range
         if (this.target && (!this.target.isAlive || this.getDistanceToTarget() > this.range)) {
@@ -190,8 +198,26 @@ class Defense {
         }
     }
 
-    updateAbilities(deltaTime, enemies) {
+    // What ability hooks see (see js/defenseAbilities.js)
+    getAbilityContext(enemies, defenses = []) {
+        return {
+            enemies,
+            defenses: defenses.includes(this) ? defenses : [this, ...defenses],
+            random: () => this.random(),
+            grantResources: (defense, amount) => {
+                if (window.game && typeof window.game.addResources === 'function') {
+                    window.game.addResources(amount);
+                }
+            }
+        };
+    }
+
+    updateAbilities(deltaTime, enemies, context = this.getAbilityContext(enemies)) {
+        // Abilities from js/defenseAbilities.js keep their own timers
+        DefenseAbilities.update(this, deltaTime, context);
+
         this.abilities.forEach(ability => {
+            if (DefenseAbilities.get(ability)) return;
             this.abilityTimers[ability] += deltaTime;
 
             switch (ability) {
@@ -215,7 +241,7 @@ class Defense {
         // Decoy defenses attract nearby enemies
         enemies.forEach(enemy => {
             const distance = Math.hypot(enemy.x - this.x, enemy.y - this.y);
-            if (distance <= this.distractionRadius && Math.random() < 0.1) {
+            if (distance <= this.distractionRadius && this.random() < 0.1) {
                 enemy.distractedBy = this;
                 enemy.distractedTime = 2000;
             }
@@ -223,10 +249,7 @@ class Defense {
     }
 
     activateStealth() {
-        this.stealthed = true;
-        setTimeout(() => {
-            this.stealthed = false;
-        }, this.stealthDuration);
+        this.statusEffects.apply('stealth', { duration: this.stealthDuration });
     }
 
     updateAnimations(deltaTime) {
@@ -236,58 +259,21 @@ class Defense {
         }
     }
 
+    // Modes and priority rules live in js/targeting.js
     findTarget(enemies) {
-        const validTargets = enemies.filter(enemy => {
-            if (!enemy.isAlive) return false;
-            const distance = Math.hypot(enemy.x - this.x, enemy.y - this.y);
-            return distance <= this.range;
-        });
-
-        if (validTargets.length === 0) return null;
-
-        switch (this.targetingMode) {
-            case 'closest':
-                return validTargets.reduce((closest, enemy) => {
-                    const closestDist = Math.hypot(closest.x - this.x, closest.y - this.y);
-                    const enemyDist = Math.hypot(enemy.x - this.x, enemy.y - this.y);
-                    return enemyDist < closestDist ? enemy : closest;
-                });
-
-            case 'strongest':
-                return validTargets.reduce((strongest, enemy) => {
-                    return enemy.maxHealth > strongest.maxHealth ? enemy : strongest;
-                });
-
-            case 'weakest':
-                return validTargets.reduce((weakest, enemy) => {
-                    return enemy.health < weakest.health ? enemy : weakest;
-                });
-
-            case 'first':
-                return validTargets.reduce((first, enemy) => {
-                    return enemy.pathProgress > first.pathProgress ? enemy : first;
-                });
-
-            case 'last':
-                return validTargets.reduce((last, enemy) => {
-                    return enemy.pathProgress < last.pathProgress ? enemy : last;
-                });
-
-            default:
-                return validTargets[0];
-        }
+        return Targeting.select(this, enemies);
     }
 
     canFire() {
-        const now = performance.now();
-        const fireInterval = 1000 / this.fireRate;
+        const now = this.now();
+        const fireInterval = 1000 / (this.fireRate * this.statusEffects.getFireRateMultiplier());
         return (now - this.lastFireTime) >= fireInterval;
     }
 
-    fire() {
+    fire(context = this.getAbilityContext(window.game?.enemies || [])) {
         if (!this.target) return null;
 
-        this.lastFireTime = performance.now();
+        this.lastFireTime = this.now();
         this.fireAnimation = 200;
         this.shotsFired++;
 
@@ -295,8 +281,14 @@ class Defense {
         let projectile = null;
         if (window.projectilePool) {
             projectile = window.projectilePool.getProjectile(
-                this.x, this.y, this.target, this.damage, 260, 'normal', this.type
+                this.x, this.y, this.target, this.damage * this.statusEffects.getDamageMultiplier(),
+                260, 'normal', this.type, this.damageType
             );
+            if (projectile) {
+                projectile.effects = this.onHitEffects;
+                projectile.source = this;
+                DefenseAbilities.onFire(this, projectile, context);
+            }
         }
 
         // Handle special abilities
@@ -319,11 +311,11 @@ class Defense {
     }
 
     handleSpecialAttacks(target) {
-        if (this.abilities.includes('chain_attack') && Math.random() < 0.3) {
+        if (this.abilities.includes('chain_attack') && this.random() < 0.3) {
             this.executeChainAttack(target);
         }
 
-        if (this.abilities.includes('reflect') && Math.random() < this.reflectChance) {
+        if (this.abilities.includes('reflect') && this.random() < this.reflectChance) {
             this.executeReflectAttack(target);
         }
     }
@@ -373,15 +365,18 @@ class Defense {
         }
     }
 
-    upgrade() {
+    // Levels with choices need choiceIndex (see getUpgradeChoices)
+    upgrade(choiceIndex = null) {
         if (this.level >= this.maxLevel) return false;
 
-        this.level++;
+        const nextLevel = this.level + 1;
+        if (UpgradeTrees.requiresChoice(this.type, nextLevel)) {
+            if (!UpgradeTrees.isValidChoice(this.type, nextLevel, choiceIndex)) return false;
+            this.upgradeChoices.push({ level: nextLevel, index: choiceIndex });
+        }
 
-        // Apply upgrade multipliers
-        this.damage = Math.floor(this.baseDamage * Math.pow(this.upgradeMultiplier, this.level - 1));
-        this.range = Math.floor(this.baseRange * Math.pow(1.1, this.level - 1));
-        this.fireRate = this.baseFireRate * Math.pow(1.1, this.level - 1);
+        this.level = nextLevel;
+        this.applyUpgradePath();
 
         // Visual feedback
         if (window.particleSystem) {
@@ -399,41 +394,50 @@ class Defense {
         return true;
     }
 
-    getUpgradeCost() {
-        if (this.level >= this.maxLevel) return null;
+    // Stats, abilities and damage type from the base config and the path taken
+    applyUpgradePath() {
+        const modifiers = UpgradeTrees.getModifiers(this.type, this.level, this.upgradeChoices);
+        this.damage = Math.floor(this.baseDamage * modifiers.damage);
+        this.range = Math.floor(this.baseRange * modifiers.range);
+        this.fireRate = this.baseFireRate / modifiers.fireRate;
+        this.size = this.baseSize * modifiers.size;
+
+        UpgradeTrees.getAbilities(this.type, this.level, this.upgradeChoices).forEach(ability => {
+            if (!this.abilities.includes(ability)) {
+                this.abilities.push(ability);
+                this.initializeAbility(ability);
+            }
+        });
+        DefenseAbilities.refresh(this);
 
-        const multiplier = Math.pow(1.5, this.level - 1);
-        return {
-            dharma: Math.floor(this.cost.dharma * multiplier),
-            bandwidth: Math.floor(this.cost.bandwidth * multiplier),
-            anonymity: Math.floor(this.cost.anonymity * multiplier)
-        };
+        if (typeof DamageTypes !== 'undefined') {
+            this.damageType = DamageTypes.forDefense(this.type, this.level, this.upgradeChoices);
+        }
+    }
+
+    // Choices offered by the next level, empty when it has none
+    getUpgradeChoices() {
+        return this.level >= this.maxLevel ? [] : UpgradeTrees.getChoices(this.type, this.level + 1);
+    }
+
+    getUpgradeCost(choiceIndex = null) {
+        if (this.level >= this.maxLevel) return null;
+        return UpgradeTrees.getStepCost(this.type, this.getBaseCost(), this.level + 1, choiceIndex);
     }
 
     getSellValue() {
-        const sellRatio = 0.7;
-        const totalLevels = this.level;
-        let totalValue = { dharma: 0, bandwidth: 0, anonymity: 0 };
-
-        for (let i = 1; i <= totalLevels; i++) {
-            const levelMultiplier = Math.pow(1.5, i - 1);
-            totalValue.dharma += Math.floor(this.cost.dharma * levelMultiplier);
-            totalValue.bandwidth += Math.floor(this.cost.bandwidth * levelMultiplier);
-            totalValue.anonymity += Math.floor(this.cost.anonymity * levelMultiplier);
-        }
+        return UpgradeTrees.getSellValue(this.type, this.getBaseCost(), this.level, this.upgradeChoices);
+    }
 
-        return {
-            dharma: Math.floor(totalValue.dharma * sellRatio),
-            bandwidth: Math.floor(totalValue.bandwidth * sellRatio),
-            anonymity: Math.floor(totalValue.anonymity * sellRatio)
-        };
+    // CONFIG.DEFENSE_TYPES costs are plain dharma amounts
+    getBaseCost() {
+        return typeof this.cost === 'number' ? { dharma: this.cost, bandwidth: 0, anonymity: 0 } : this.cost;
     }
 
     takeDamage(damage, damageType = 'normal') {
         // Defenses can be damaged by special enemy abilities
         if (damageType === 'stun') {
-            this.stunned = true;
-            this.stunnedTime = 2000;
+            this.statusEffects.apply('stun', { duration: 2000 });
         }
 
         // Defenses are generally immune to damage in this game
@@ -452,8 +456,9 @@ class Defense {
         if (window.spriteManager) {
             const spriteName = `defense_${this.type}_level${this.level}`;
             if (window.spriteManager.hasSprite(spriteName)) {
-                const scale = this.stealthed ? 0.7 : 1.0;
-                const alpha = this.stealthed ? 0.5 : 1.0;
+                const stealthed = this.statusEffects.has('stealth');
+                const scale = stealthed ? 0.7 : 1.0;
+                const alpha = stealthed ? 0.5 : 1.0;
 
                 window.spriteManager.drawSpriteScaled(ctx, spriteName,
                     this.x - this.size / 2, this.y - this.size / 2,
@@ -468,12 +473,12 @@ class Defense {
         ctx.save();
 
         // Apply stealth effect
-        if (this.stealthed) {
+        if (this.statusEffects.has('stealth')) {
             ctx.globalAlpha = 0.5;
         }
 
-        // Apply stun effect
-        if (this.stunned) {
+        // Apply stun, EMP and takeover effects
+        if (this.statusEffects.isDisabled()) {
             ctx.filter = 'brightness(0.5)';
         }
 
@@ -532,6 +537,8 @@ class Defense {
             ctx.stroke();
             ctx.globalAlpha = 1;
         }
+
+        this.statusEffects.render(ctx, this.x, this.y - this.size / 2 - 6);
     }
 
     showRangeIndicator(show = true) {
@@ -539,23 +546,30 @@ class Defense {
     }
 
     setTargetingMode(mode) {
-        const validModes = ['closest', 'strongest', 'weakest', 'first', 'last'];
-        if (validModes.includes(mode)) {
+        if (Targeting.isValidMode(mode)) {
             this.targetingMode = mode;
+            this.targetingPriority = [];
         }
     }
 
+    // Ordered rules such as ['boss', 'healer', 'first']
+    setTargetingPriority(priority) {
+        this.targetingPriority = Targeting.normalizePriority(priority);
+    }
+
     getStats() {
         return {
             type: this.type,
             level: this.level,
             damage: this.damage,
+            damageType: this.damageType,
             range: this.range,
             fireRate: this.fireRate,
             kills: this.kills,
             totalDamageDealt: this.totalDamageDealt,
             shotsFired: this.shotsFired,
             abilities: this.abilities,
+            upgradeChoices: [...this.upgradeChoices],
             cost: this.cost,
             upgradeCost: this.getUpgradeCost(),
             sellValue: this.getSellValue()
@@ -582,35 +596,44 @@ class Defense {
     }
 }
 
-// Simple upgrade tree validation without caching
+// Upgrade validation against CONFIG.UPGRADE_TREES, without caching
 class UpgradeValidator {
-    static validateUpgrade(defense, upgradeType) {
+    // choiceIndex is required on levels with choices and ignored elsewhere
+    static validateUpgrade(defense, choiceIndex = null) {
         if (!defense || defense.level >= defense.maxLevel) {
             return { valid: false, reason: 'Max level reached' };
         }
 
-        switch (upgradeType) {
-            case 'damage':
-                return { valid: true, cost: defense.getUpgradeCost() };
-            case 'range':
-                return { valid: true, cost: defense.getUpgradeCost() };
-            case 'speed':
-                return { valid: true, cost: defense.getUpgradeCost() };
-            default:
-                return { valid: false, reason: 'Unknown upgrade type' };
+        const nextLevel = defense.level + 1;
+        if (!UpgradeTrees.requiresChoice(defense.type, nextLevel)) {
+            return { valid: true, cost: defense.getUpgradeCost() };
         }
+        if (!UpgradeTrees.isValidChoice(defense.type, nextLevel, choiceIndex)) {
+            return { valid: false, reason: 'Choose an upgrade path' };
+        }
+        return { valid: true, cost: defense.getUpgradeCost(choiceIndex) };
     }
 
+    // The next level as one option, or one option per choice
     static getAvailableUpgrades(defense) {
         if (!defense || defense.level >= defense.maxLevel) {
             return [];
         }
 
-        return [
-            { type: 'damage', name: 'Damage Boost', cost: defense.getUpgradeCost() },
-            { type: 'range', name: 'Range Extension', cost: defense.getUpgradeCost() },
-            { type: 'speed', name: 'Fire Rate Boost', cost: defense.getUpgradeCost() }
-        ];
+        const nextLevel = defense.level + 1;
+        const upgrade = UpgradeTrees.getUpgrade(defense.type, nextLevel) || {};
+        const choices = UpgradeTrees.getChoices(defense.type, nextLevel);
+        if (choices.length === 0) {
+            return [{ level: nextLevel, choice: null, name: upgrade.description || `Level ${nextLevel}`, cost: defense.getUpgradeCost() }];
+        }
+
+        return choices.map((choice, index) => ({
+            level: nextLevel,
+            choice: index,
+            name: choice.name,
+            description: choice.description,
+            cost: defense.getUpgradeCost(index)
+        }));
     }
 }
 
@@ -0,0 +1,407 @@
+// Defense abilities shared by DefenseManager's defenses and the Defense
+// class. A defense lists ability names in defense.abilities; each name here
+// says what it does through optional hooks, all called by the owner:
+//   update(defense, context, deltaTime) - every tick the defense is active
+//   interval + trigger(defense, context) - every interval ms while active
+//   onFire(defense, projectile, context) - each shot, before it flies
+//   onHit(defense, projectile, target, killed) - each shot that lands
+//   immunities                           - status effect types or tags the
+//                                          defense ignores while it has it
+//   bounces / reflectRatio               - mirror reflections: shots that land
+//                                          bounce to this many more nearby
+//                                          enemies, at this share of damage
+//
+// context is { enemies, defenses, random, grantResources(defense, amount) }.
+// Auras work through short status effects (see js/statusEffects.js) that are
+// refreshed every tick, so they fade out shortly after their source goes.
+// A defense with the stealth status is hidden from enemy scanning.
+
+// How long an aura effect outlives its last refresh
+const AURA_DURATION = 250;
+
+// Reflections and viral spread reach enemies this close to the one hit
+const REFLECT_RANGE = 80;
+const SPREAD_RANGE = 60;
+
+// Phantom strikes for defenses that deal little damage of their own
+const PHANTOM_MIN_DAMAGE = 20;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Aura effects from one defense and ability stack with everyone else's
+const sourceId = (defense, ability) => `${defense.id || `${defense.type}@${defense.x},${defense.y}`}:${ability}`;
+
+const enemiesInRange = (origin, enemies, radius) =>
+    enemies.filter(enemy => enemy.isAlive && distance(origin, enemy) <= radius);
+
+const defensesInRange = (defense, defenses, radius, includeSelf = false) =>
+    defenses.filter(other => (includeSelf || other !== defense) && distance(defense, other) <= radius);
+
+const nearestFirst = (origin, units) => [...units].sort((a, b) => distance(origin, a) - distance(origin, b));
+
+// Decoy tricks move regular enemies only; bosses and control-immune enemies
+// keep walking
+const canControl = (enemy) => !enemy.isBoss && enemy.statusEffects && !enemy.statusEffects.isImmune('confused');
+
+const applyAura = (defense, units, type, strength, ability) => {
+    units.forEach(unit => StatusEffects.applyTo(unit, type, {
+        duration: AURA_DURATION,
+        strength,
+        source: sourceId(defense, ability)
+    }));
+};
+
+const hide = (defense, context, radius, ability) => {
+    applyAura(defense, defensesInRange(defense, context.defenses, radius, true), 'stealth', 1, ability);
+};
+
+// Damage from an ability rather than a projectile; reported like a
+// projectile hit, with the damage actually dealt, for the balance stats
+const strike = (defense, enemy, amount) => {
+    const multiplier = defense.statusEffects ? defense.statusEffects.getDamageMultiplier() : 1;
+    const healthBefore = enemy.health;
+    const killed = enemy.takeDamage(amount * multiplier, defense.damageType);
+
+    if (window.game && typeof window.game.onDefenseDamage === 'function') {
+        window.game.onDefenseDamage({
+            defenseType: defense.type,
+            target: enemy,
+            damage: Math.max(0, healthBefore - Math.max(0, enemy.health)),
+            killed
+        });
+    }
+};
+
+// Pull the nearest enemies in range toward the decoy for a while
+const lure = (defense, context, count, duration) => {
+    const candidates = enemiesInRange(defense, context.enemies, defense.range)
+        .filter(enemy => canControl(enemy) && !enemy.distractedBy);
+    nearestFirst(defense, candidates).slice(0, count).forEach(enemy => {
+        enemy.distractedBy = defense;
+        enemy.distractedTime = duration;
+    });
+};
+
+const confuse = (enemies, duration) => {
+    enemies.forEach(enemy => StatusEffects.applyTo(enemy, 'confused', { duration }));
+};
+
+// Every nth shot of a defense, counting from its first
+const everyNthShot = (defense, n) => defense.shotsFired > 0 && defense.shotsFired % n === 0;
+
+// Bounce a landed shot to the nearest other enemies; bounces come from
+// abilities and from synergies (defense.synergyBonus, see js/synergies.js)
+const reflect = (defense, projectile, target) => {
+    const definitions = defense.abilities.map(ability => DEFENSE_ABILITIES[ability]).filter(Boolean);
+    const bounces = definitions.reduce((total, definition) => total + (definition.bounces || 0), 0) +
+        ((defense.synergyBonus && defense.synergyBonus.bounces) || 0);
+    if (bounces === 0) return;
+
+    const ratio = definitions.reduce((best, definition) => Math.max(best, definition.reflectRatio || 0), 0.5);
+    const enemies = window.game?.enemies || [];
+    const nearby = enemiesInRange(target, enemies, REFLECT_RANGE).filter(enemy => enemy !== target);
+    nearestFirst(target, nearby).slice(0, bounces).forEach(enemy => {
+        projectile.damageTarget(enemy, projectile.damage * ratio);
+    });
+};
+
+const DEFENSE_ABILITIES = {
+    // Firewall
+    armor_piercing_upgrade: {
+        onFire: (defense, projectile) => {
+            projectile.armorPiercing = Math.max(projectile.armorPiercing, 0.5);
+        }
+    },
+    explosive_shots_upgrade: {
+        onFire: (defense, projectile) => {
+            if (everyNthShot(defense, 4)) projectile.explosive = true;
+        }
+    },
+    improved_targeting: {
+        onFire: (defense, projectile) => {
+            projectile.homing = true;
+        }
+    },
+    armor_piercing: {
+        onFire: (defense, projectile) => {
+            projectile.armorPiercing = 1;
+        }
+    },
+    // Shots come from explosive projectiles (see applyUpgradePath in
+    // js/DefenseManager.js); this makes sure Defense shots explode too
+    explosive_rounds: {
+        onFire: (defense, projectile) => {
+            projectile.explosive = true;
+        }
+    },
+    fortress_mode: {
+        immunities: ['electronic']
+    },
+    dharma_blessing: {
+        onFire: (defense, projectile) => {
+            if (everyNthShot(defense, 5)) {
+                projectile.effects = [...projectile.effects, { type: 'stun', duration: 1000 }];
+            }
+        }
+    },
+
+    // Encryption
+    slow_field: {
+        update: (defense, context) => {
+            applyAura(defense, enemiesInRange(defense, context.enemies, defense.range), 'slow', 0.8, 'slow_field');
+        }
+    },
+    multi_shot: {
+        onFire: (defense, projectile, context) => {
+            const pool = window.projectilePool;
+            if (!pool) return;
+
+            const others = enemiesInRange(defense, context.enemies, defense.range)
+                .filter(enemy => enemy !== projectile.target);
+            nearestFirst(defense, others).slice(0, 2).forEach(enemy => {
+                const extra = pool.getProjectile(defense.x, defense.y, enemy, projectile.damage * 0.6,
+                    projectile.speed, projectile.type, defense.type, projectile.damageType);
+                if (extra) {
+                    extra.effects = projectile.effects;
+                    extra.source = defense;
+                    extra.armorPiercing = projectile.armorPiercing;
+                    extra.homing = projectile.homing;
+                }
+            });
+        }
+    },
+    quantum_bypass: {
+        onFire: (defense, projectile, context) => {
+            if (context.random() < 0.25) projectile.armorPiercing = 1;
+        }
+    },
+    viral_spread: {
+        onHit: (defense, projectile, target, killed) => {
+            const enemies = window.game?.enemies || [];
+            const infected = nearestFirst(target, enemiesInRange(target, enemies, SPREAD_RANGE)
+                .filter(enemy => enemy !== target)).slice(0, 2);
+            if (!killed) infected.push(target);
+
+            infected.forEach(enemy => StatusEffects.applyTo(enemy, 'corruption', {
+                duration: 3000,
+                source: sourceId(defense, 'viral_spread')
+            }));
+        }
+    },
+    wisdom_aura: {
+        update: (defense, context) => {
+            applyAura(defense, defensesInRange(defense, context.defenses, defense.range), 'boosted', 1.15, 'wisdom_aura');
+        }
+    },
+    enlightenment_burst: {
+        interval: 5000,
+        trigger: (defense, context) => {
+            enemiesInRange(defense, context.enemies, defense.range).forEach(enemy => strike(defense, enemy, defense.damage));
+        }
+    },
+
+    // Decoy
+    path_manipulation: {
+        interval: 3000,
+        trigger: (defense, context) => lure(defense, context, 1, 1500)
+    },
+    holographic_decoy: {
+        interval: 3000,
+        trigger: (defense, context) => lure(defense, context, 2, 2500)
+    },
+    confusion: {
+        interval: 4000,
+        trigger: (defense, context) => {
+            const candidates = enemiesInRange(defense, context.enemies, defense.range)
+                .filter(enemy => canControl(enemy) && !enemy.statusEffects.has('confused'));
+            confuse(nearestFirst(defense, candidates).slice(0, 1), 2000);
+        }
+    },
+    mass_confusion: {
+        interval: 8000,
+        trigger: (defense, context) => {
+            confuse(enemiesInRange(defense, context.enemies, defense.range).filter(canControl), 1500);
+        }
+    },
+    redirect: {
+        interval: 6000,
+        trigger: (defense, context) => {
+            const candidates = enemiesInRange(defense, context.enemies, defense.range)
+                .filter(enemy => canControl(enemy) && typeof enemy.setBack === 'function');
+            if (candidates.length === 0) return;
+
+            const leader = candidates.reduce((a, b) => (b.pathIndex > a.pathIndex ? b : a));
+            leader.setBack(2);
+        }
+    },
+    phantom_army: {
+        interval: 3000,
+        trigger: (defense, context) => {
+            const damage = Math.max(defense.damage, PHANTOM_MIN_DAMAGE);
+            enemiesInRange(defense, context.enemies, defense.range).forEach(enemy => strike(defense, enemy, damage));
+        }
+    },
+
+    // Mirror
+    homing_shots: {
+        onFire: (defense, projectile) => {
+            projectile.homing = true;
+        }
+    },
+    reflection_boost: {
+        bounces: 1
+    },
+    omni_reflection: {
+        bounces: 2
+    },
+    perfect_reflection: {
+        reflectRatio: 1
+    },
+    truth_revelation: {
+        update: (defense, context) => {
+            enemiesInRange(defense, context.enemies, defense.range)
+                .forEach(enemy => enemy.statusEffects && enemy.statusEffects.cleanse('stealth'));
+        }
+    },
+
+    // Anonymity
+    invisibility_aura: {
+        update: (defense, context) => hide(defense, context, defense.range * 0.5, 'invisibility_aura')
+    },
+    stealth_field: {
+        update: (defense, context) => hide(defense, context, defense.range, 'stealth_field')
+    },
+    perfect_anonymity: {
+        update: (defense, context) => hide(defense, context, defense.range * 2, 'perfect_anonymity')
+    },
+    misdirection: {
+        update: (defense, context) => {
+            applyAura(defense, enemiesInRange(defense, context.enemies, defense.range), 'misdirected', 1, 'misdirection');
+        }
+    },
+    advanced_cloak: {
+        update: (defense, context) => {
+            const hidden = defensesInRange(defense, context.defenses, defense.range, true)
+                .filter(other => DefenseAbilities.isHidden(other));
+            applyAura(defense, hidden, 'boosted', 1.15, 'advanced_cloak');
+        }
+    },
+    invisibility_cloak: {
+        update: (defense, context) => {
+            defensesInRange(defense, context.defenses, defense.range, true)
+                .forEach(other => other.statusEffects && other.statusEffects.cleanse('electronic'));
+        }
+    },
+
+    // Distributor
+    boost_aura: {
+        update: (defense, context) => {
+            applyAura(defense, defensesInRange(defense, context.defenses, defense.range), 'boosted', 1.2, 'boost_aura');
+        }
+    },
+    network_acceleration: {
+        update: (defense, context) => {
+            applyAura(defense, defensesInRange(defense, context.defenses, defense.range), 'accelerated', 1.15, 'network_acceleration');
+        }
+    },
+    network_boost: {
+        update: (defense, context) => {
+            applyAura(defense, defensesInRange(defense, context.defenses, defense.range), 'accelerated', 1.3, 'network_boost');
+        }
+    },
+    mass_boost: {
+        update: (defense, context) => {
+            const everyone = defensesInRange(defense, context.defenses, defense.range, true);
+            applyAura(defense, everyone, 'boosted', 1.1, 'mass_boost');
+            applyAura(defense, everyone, 'accelerated', 1.1, 'mass_boost');
+        }
+    },
+    resource_generation: {
+        interval: 10000,
+        trigger: (defense, context) => context.grantResources(defense, { dharma: 5, bandwidth: 2, anonymity: 0 })
+    },
+    dharma_fountain: {
+        interval: 10000,
+        trigger: (defense, context) => context.grantResources(defense, { dharma: 10, bandwidth: 0, anonymity: 0 })
+    }
+};
+
+const DefenseAbilities = {
+    get(ability) {
+        return DEFENSE_ABILITIES[ability] || null;
+    },
+
+    // CONFIG.DEFENSE_TYPES abilities the type's upgrade tree never grants;
+    // the rest arrive at the level (or choice) that lists them
+    getInnateAbilities(type) {
+        const config = typeof CONFIG !== 'undefined' && CONFIG.DEFENSE_TYPES ? CONFIG.DEFENSE_TYPES[type] : null;
+        const tree = typeof CONFIG !== 'undefined' && CONFIG.UPGRADE_TREES ? CONFIG.UPGRADE_TREES[type] || {} : {};
+        const unlocked = Object.values(tree).flatMap(upgrade => [
+            ...(upgrade.abilities || []),
+            ...(upgrade.choices || []).flatMap(choice => choice.abilities || [])
+        ]);
+        return ((config && config.abilities) || []).filter(ability => !unlocked.includes(ability));
+    },
+
+    isHidden(defense) {
+        return Boolean(defense.statusEffects && defense.statusEffects.has('stealth'));
+    },
+
+    // Sync timers and immunities after defense.abilities changes
+    refresh(defense) {
+        defense.abilityTimers = defense.abilityTimers || {};
+        defense.abilities.forEach(ability => {
+            if (defense.abilityTimers[ability] === undefined) defense.abilityTimers[ability] = 0;
+        });
+
+        if (defense.statusEffects) {
+            defense.statusEffects.immunities = [...new Set(
+                defense.abilities.flatMap(ability => (this.get(ability) && this.get(ability).immunities) || [])
+            )];
+        }
+    },
+
+    update(defense, deltaTime, context) {
+        defense.abilities.forEach(ability => {
+            const definition = this.get(ability);
+            if (!definition) return;
+
+            if (definition.update) {
+                definition.update(defense, context, deltaTime);
+            }
+            if (definition.interval) {
+                defense.abilityTimers[ability] = (defense.abilityTimers[ability] || 0) + deltaTime;
+                if (defense.abilityTimers[ability] >= definition.interval) {
+                    defense.abilityTimers[ability] -= definition.interval;
+                    definition.trigger(defense, context);
+                }
+            }
+        });
+    },
+
+    onFire(defense, projectile, context) {
+        if (!projectile) return;
+        defense.abilities.forEach(ability => {
+            const definition = this.get(ability);
+            if (definition && definition.onFire) definition.onFire(defense, projectile, context);
+        });
+    },
+
+    // Called by Projectile for shots whose source defense is known
+    onHit(projectile, target, killed) {
+        const defense = projectile.source;
+        if (!defense || !defense.abilities) return;
+        defense.abilities.forEach(ability => {
+            const definition = this.get(ability);
+            if (definition && definition.onHit) definition.onHit(defense, projectile, target, killed);
+        });
+        reflect(defense, projectile, target);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DefenseAbilities, DEFENSE_ABILITIES };
+} else {
+    window.DefenseAbilities = DefenseAbilities;
+    window.DEFENSE_ABILITIES = DEFENSE_ABILITIES;
+}
@@ -0,0 +1,179 @@
+// Difficulty presets and mutators from CONFIG.DIFFICULTY_PRESETS and
+// CONFIG.MUTATORS. A run's settings are { preset, mutators }: one preset id
+// and any number of mutator ids. getModifiers() folds them into one set of
+// multipliers and rules:
+//   - LevelManager.generateWaveData() runs each wave through applyToWave(),
+//     and Enemy.fromSpawnData() applies the result to the unit it builds
+//   - Game and the headless runner take starting resources, reward and
+//     score multipliers and tower bans from here
+//   - DefenseManager enforces bans and no selling (setRules), Game draws the
+//     fog of war
+
+const DIFFICULTY_NEUTRAL = {
+    enemyHealth: 1,
+    enemySpeed: 1,
+    enemyCount: 1,
+    bossHealth: 1,
+    startingResources: 1,
+    rewards: 1,
+    scoreMultiplier: 1,
+    enemyRegeneration: 0,
+    noSelling: false,
+    fogOfWar: null,
+    bannedTowers: 0
+};
+
+const getDifficultyPresets = () => (typeof CONFIG !== 'undefined' && CONFIG.DIFFICULTY_PRESETS) || {};
+
+const getMutatorConfigs = () => (typeof CONFIG !== 'undefined' && CONFIG.MUTATORS) || {};
+
+const getDefaultPreset = () => (typeof CONFIG !== 'undefined' && CONFIG.DEFAULT_DIFFICULTY) || 'monk';
+
+const Difficulty = {
+    getPresets() {
+        return Object.keys(getDifficultyPresets());
+    },
+
+    getPreset(id) {
+        return getDifficultyPresets()[id] || null;
+    },
+
+    getMutators() {
+        return Object.keys(getMutatorConfigs());
+    },
+
+    getMutator(id) {
+        return getMutatorConfigs()[id] || null;
+    },
+
+    // Known preset (or the default) and known mutators, each once, in
+    // CONFIG order so equal settings compare equal
+    normalize(settings = {}) {
+        const source = settings || {};
+        const preset = this.getPreset(source.preset) ? source.preset : getDefaultPreset();
+        const chosen = Array.isArray(source.mutators) ? source.mutators : [];
+        return { preset, mutators: this.getMutators().filter(id => chosen.includes(id)) };
+    },
+
+    getModifiers(settings) {
+        const { preset, mutators } = this.normalize(settings);
+        const modifiers = { ...DIFFICULTY_NEUTRAL, ...this.getPreset(preset) };
+
+        mutators.forEach(id => {
+            const mutator = this.getMutator(id);
+            modifiers.scoreMultiplier *= mutator.scoreMultiplier || 1;
+            modifiers.bossHealth *= mutator.bossHealth || 1;
+            modifiers.enemyRegeneration += mutator.enemyRegeneration || 0;
+            modifiers.bannedTowers += mutator.bannedTowers || 0;
+            modifiers.noSelling = modifiers.noSelling || !!mutator.noSelling;
+            modifiers.fogOfWar = mutator.fogOfWar || modifiers.fogOfWar;
+        });
+
+        return modifiers;
+    },
+
+    getScoreMultiplier(settings) {
+        return this.getModifiers(settings).scoreMultiplier;
+    },
+
+    // CONFIG.INITIAL_* scaled by the preset
+    getStartingResources(settings) {
+        const scale = this.getModifiers(settings).startingResources;
+        const initial = typeof CONFIG !== 'undefined' ? CONFIG : {};
+        return {
+            dharma: Math.floor((initial.INITIAL_DHARMA || 0) * scale),
+            bandwidth: Math.floor((initial.INITIAL_BANDWIDTH || 0) * scale),
+            anonymity: Math.floor((initial.INITIAL_ANONYMITY || 0) * scale)
+        };
+    },
+
+    // Resolved wave data (WaveScript.resolveWave) with group counts scaled
+    // and a difficulty entry on every group for the units it spawns
+    applyToWave(waveData, settings) {
+        const modifiers = this.getModifiers(settings);
+
+        const enemies = waveData.enemies.map(group => ({
+            ...group,
+            count: group.isBoss ? group.count : Math.max(1, Math.round(group.count * modifiers.enemyCount)),
+            difficulty: {
+                health: modifiers.enemyHealth * (group.isBoss ? modifiers.bossHealth : 1),
+                speed: modifiers.enemySpeed,
+                reward: modifiers.rewards,
+                regeneration: modifiers.enemyRegeneration
+            }
+        }));
+
+        return {
+            ...waveData,
+            enemies,
+            totalEnemies: enemies.reduce((total, group) => total + group.count, 0)
+        };
+    },
+
+    // Scale a freshly built Enemy or Boss by a group's difficulty entry.
+    // Rewards are a dharma amount or a { dharma, bandwidth, anonymity } bundle.
+    applyToEnemy(enemy, effects) {
+        enemy.maxHealth *= effects.health;
+        enemy.health = enemy.maxHealth;
+        enemy.speed *= effects.speed;
+        enemy.baseSpeed *= effects.speed;
+
+        if (typeof enemy.reward === 'number') {
+            enemy.reward = Math.ceil(enemy.reward * effects.reward);
+        } else if (enemy.reward) {
+            const scaled = {};
+            Object.keys(enemy.reward).forEach(resource => {
+                scaled[resource] = Math.floor(enemy.reward[resource] * effects.reward);
+            });
+            enemy.reward = scaled;
+        }
+
+        enemy.regeneration = effects.regeneration || 0;
+    },
+
+    // Heal a unit with a regeneration share (applyToEnemy) over deltaTime ms
+    regenerate(unit, deltaTime) {
+        if (!(unit.regeneration > 0) || unit.health >= unit.maxHealth) return;
+        unit.health = Math.min(unit.maxHealth, unit.health + unit.maxHealth * unit.regeneration * deltaTime / 1000);
+    },
+
+    // Defense types this level bans, drawn with random() (the simulation
+    // RNG, so replays ban the same types)
+    pickBannedTowers(settings, types, random) {
+        const remaining = [...types];
+        const banned = [];
+        const count = Math.min(this.getModifiers(settings).bannedTowers, Math.max(0, remaining.length - 1));
+
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(random() * remaining.length);
+            banned.push(remaining.splice(index, 1)[0]);
+        }
+        return banned;
+    },
+
+    // Circles the player can see enemies in under fog of war, or null when
+    // there is no fog
+    getVision(settings, defenses) {
+        const fog = this.getModifiers(settings).fogOfWar;
+        if (!fog) return null;
+        return defenses.map(defense => ({ x: defense.x, y: defense.y, radius: defense.range + (fog.visionBonus || 0) }));
+    },
+
+    isVisible(unit, vision) {
+        return !vision || vision.some(circle => Math.hypot(unit.x - circle.x, unit.y - circle.y) <= circle.radius);
+    },
+
+    // "Bodhisattva + No Selling, Fog of War (score ×1.98)"
+    describe(settings) {
+        const { preset, mutators } = this.normalize(settings);
+        const names = mutators.map(id => this.getMutator(id).name);
+        const multiplier = Math.round(this.getScoreMultiplier(settings) * 100) / 100;
+        return `${(this.getPreset(preset) || { name: preset }).name}${names.length > 0 ? ` + ${names.join(', ')}` : ''} (score ×${multiplier})`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Difficulty;
+} else {
+    window.Difficulty = Difficulty;
+}
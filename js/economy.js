@@ -0,0 +1,110 @@
+// The rules that give each resource its own job, from CONFIG.ECONOMY:
+//   dharma    - earned from destroyed enemies and wave rewards; pays for
+//               defenses, upgrades and spells
+//   bandwidth - trickles in during waves (faster with Load Distributors);
+//               what is banked sets how many shots all defenses together may
+//               fire per second, so spending it slows the whole network
+//   anonymity - trickles in during waves (faster with Anonymity Cloaks);
+//               every shot from a loud defense gives some away, and when it
+//               runs low AI Surveillance scans further
+// A boss's market crash wipes out a share of each.
+//
+// Game and the headless runner apply income and noise; DefenseManager
+// enforces the shot cap and js/enemy.js the detection range.
+
+const ECONOMY_RESOURCES = ['dharma', 'bandwidth', 'anonymity'];
+
+const getEconomyRules = () => (typeof CONFIG !== 'undefined' && CONFIG.ECONOMY
+    ? CONFIG.ECONOMY
+    : {
+        bandwidth: { regen: 0, perDefense: {}, shotCap: { base: Infinity, perBandwidth: 0, max: Infinity } },
+        anonymity: { regen: 0, perDefense: {}, lowThreshold: 0, maxDetection: 1 },
+        marketCrash: {}
+    });
+
+const formatRate = (rate) => `+${Math.round(rate * 10) / 10}/sec`;
+
+const Economy = {
+    RESOURCES: ECONOMY_RESOURCES,
+
+    getRules: getEconomyRules,
+
+    // Shots per second the whole network can carry with this much bandwidth
+    getShotCap(bandwidth) {
+        const cap = getEconomyRules().bandwidth.shotCap;
+        return Math.min(cap.max, Math.floor(cap.base + Math.max(0, bandwidth) * cap.perBandwidth));
+    },
+
+    // Anonymity one shot from a defense of this type gives away
+    getNoise(type) {
+        const config = typeof CONFIG !== 'undefined' && CONFIG.DEFENSE_TYPES ? CONFIG.DEFENSE_TYPES[type] : null;
+        return (config && config.noise) || 0;
+    },
+
+    // Passive income per second for the defenses on the field
+    getIncomeRates(defenses) {
+        const rules = getEconomyRules();
+        const rateFor = (resource) => defenses.reduce(
+            (rate, defense) => rate + (rules[resource].perDefense[defense.type] || 0),
+            rules[resource].regen
+        );
+        return { dharma: 0, bandwidth: rateFor('bandwidth'), anonymity: rateFor('anonymity') };
+    },
+
+    // Income over deltaTime ms
+    getIncome(defenses, deltaTime) {
+        const rates = this.getIncomeRates(defenses);
+        const income = {};
+        ECONOMY_RESOURCES.forEach(resource => { income[resource] = rates[resource] * deltaTime / 1000; });
+        return income;
+    },
+
+    // Surveillance reach multiplier: 1 at or above the low threshold,
+    // rising to maxDetection as anonymity reaches zero
+    getDetectionMultiplier(anonymity) {
+        const rules = getEconomyRules().anonymity;
+        if (anonymity >= rules.lowThreshold) return 1;
+        const exposure = (rules.lowThreshold - Math.max(0, anonymity)) / rules.lowThreshold;
+        return 1 + (rules.maxDetection - 1) * exposure;
+    },
+
+    getCrashLosses(resources) {
+        const shares = getEconomyRules().marketCrash;
+        const losses = {};
+        ECONOMY_RESOURCES.forEach(resource => {
+            losses[resource] = Math.floor(Math.max(0, resources[resource]) * (shares[resource] || 0));
+        });
+        return losses;
+    },
+
+    // Take amount out of resources without going below zero; returns what
+    // was actually lost
+    drain(resources, amount) {
+        const lost = {};
+        ECONOMY_RESOURCES.forEach(resource => {
+            const taken = Math.min(Math.max(0, resources[resource]), amount[resource] || 0);
+            resources[resource] -= taken;
+            lost[resource] = taken;
+        });
+        return lost;
+    },
+
+    // One line per resource for the HUD. shotsLastSecond: DefenseManager.getShotLoad()
+    describe(resources, defenses, shotsLastSecond) {
+        const rates = this.getIncomeRates(defenses);
+        const detection = this.getDetectionMultiplier(resources.anonymity);
+        return {
+            dharma: 'From destroyed threats',
+            bandwidth: `${formatRate(rates.bandwidth)} · ${shotsLastSecond}/${this.getShotCap(resources.bandwidth)} shots/sec`,
+            anonymity: detection > 1
+                ? `${formatRate(rates.anonymity)} · Exposed: scans ×${detection.toFixed(1)}`
+                : `${formatRate(rates.anonymity)} · Hidden`
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Economy;
+} else {
+    window.Economy = Economy;
+}
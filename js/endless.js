@@ -0,0 +1,183 @@
+// Endless mode from CONFIG.ENDLESS: waves generated from a seed with no
+// wave cap. generateWave() builds a wave in the wave script format
+// (js/waveScript.js) from its own random stream keyed on the seed and the
+// wave number, so a wave comes out the same for the next-wave preview, when
+// it starts, after a load and in a replay, and one seed is always one run:
+//   - enemy types join the roster as the run goes on; each wave draws its
+//     groups from it
+//   - health, speed, group size and rewards grow every wave
+//   - every bossEvery waves the next boss in the rotation arrives; once
+//     bosses come in pairs or more they share a linked phase schedule
+//     (js/bossEncounters.js)
+//   - every modifierEvery waves one more wave modifier (shielded, hasted...)
+//     is stacked on the groups
+//   - after every pathEvery-th wave LevelManager lays a new path, seeded
+//     with getPathSeed()
+
+const ENDLESS_SCRIPT_FORMAT = 'dharmapala_waves';
+
+const getEndlessRules = () => (typeof CONFIG !== 'undefined' && CONFIG.ENDLESS) || {
+    level: 1,
+    pathEvery: 10,
+    bossEvery: 5,
+    bosses: ['raidTeam'],
+    modifierEvery: 4,
+    groups: { base: 2, every: 3, max: 6 },
+    count: { base: 4, perWave: 0.5 },
+    growth: { health: 0.09, speed: 0.015, maxSpeed: 2, reward: 0.05 },
+    roster: { scriptKiddie: { from: 1, health: 25, speed: 0.4, reward: 10, interval: 3000 } },
+    boss: { health: 250, speed: 0.28, reward: { dharma: 100, bandwidth: 10, anonymity: 5 } }
+};
+
+const getEndlessModifierTypes = () => (typeof WaveScript !== 'undefined' ? WaveScript.getModifierTypes() : []);
+
+// Mix a seed and a number into one 32-bit seed
+const mixEndlessSeed = (seed, value) => (Math.imul(seed ^ 0x9E3779B9, 0x85EBCA6B) + Math.imul(value, 0xC2B2AE35)) >>> 0;
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const Endless = {
+    getRules: getEndlessRules,
+
+    // A seed entered by the player (number or numeric string), or a fresh one
+    normalizeSeed(seed) {
+        const value = typeof seed === 'string' && seed.trim() !== '' ? Number(seed) : seed;
+        if (Number.isInteger(value) && value >= 0) return value >>> 0;
+        return Math.floor(Math.random() * 1000000);
+    },
+
+    // The random stream for one wave of a run
+    createRandom(seed, wave) {
+        const random = new SeededRandom(mixEndlessSeed(seed, wave));
+        return () => random.next();
+    },
+
+    // Seed for the path laid after this wave (0: the starting path)
+    getPathSeed(seed, wave) {
+        return mixEndlessSeed(seed, 0x10000 + Math.floor(wave / getEndlessRules().pathEvery));
+    },
+
+    isPathWave(wave) {
+        return wave > 0 && wave % getEndlessRules().pathEvery === 0;
+    },
+
+    isBossWave(wave) {
+        return wave > 0 && wave % getEndlessRules().bossEvery === 0;
+    },
+
+    // Multipliers on the roster's wave-1 stats
+    getGrowth(wave) {
+        const growth = getEndlessRules().growth;
+        const steps = wave - 1;
+        return {
+            health: (1 + growth.health) ** steps,
+            speed: Math.min(growth.maxSpeed, 1 + growth.speed * steps),
+            reward: 1 + growth.reward * steps
+        };
+    },
+
+    // Enemy types that can appear in this wave
+    getRoster(wave) {
+        const roster = getEndlessRules().roster;
+        return Object.keys(roster).filter(type => roster[type].from <= wave);
+    },
+
+    // Bosses arriving on this wave, in order
+    getBosses(wave) {
+        if (!this.isBossWave(wave)) return [];
+
+        const rules = getEndlessRules();
+        const index = wave / rules.bossEvery - 1;
+        const count = 1 + Math.floor(index / rules.bosses.length);
+        const bosses = [];
+        for (let i = 0; i < count; i++) {
+            bosses.push(rules.bosses[(index + i) % rules.bosses.length]);
+        }
+        return bosses;
+    },
+
+    getModifierCount(wave) {
+        return Math.floor(wave / getEndlessRules().modifierEvery);
+    },
+
+    generateWave(wave, seed) {
+        const rules = getEndlessRules();
+        const random = this.createRandom(seed, wave);
+        const growth = this.getGrowth(wave);
+
+        // Which types make up the wave: a shuffled pick from the roster
+        const roster = this.getRoster(wave);
+        for (let i = roster.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [roster[i], roster[j]] = [roster[j], roster[i]];
+        }
+        const groupCount = Math.min(roster.length, rules.groups.max,
+            rules.groups.base + Math.floor((wave - 1) / rules.groups.every));
+
+        const baseCount = rules.count.base + rules.count.perWave * (wave - 1);
+        const groups = roster.slice(0, groupCount).map((type, index) => {
+            const stats = rules.roster[type];
+            const group = {
+                type,
+                count: Math.max(1, Math.round(baseCount * (0.75 + random() * 0.5))),
+                interval: stats.interval,
+                health: roundTo(stats.health * growth.health, 1),
+                speed: roundTo(stats.speed * growth.speed, 3),
+                reward: Math.round(stats.reward * growth.reward)
+            };
+            if (index > 0) {
+                group.delay = 1000 + Math.floor(random() * 2000);
+            }
+            return group;
+        });
+
+        // Each modifier lands on a random group that does not have it yet
+        const modifierTypes = getEndlessModifierTypes();
+        for (let i = 0; i < this.getModifierCount(wave) && modifierTypes.length > 0; i++) {
+            const group = groups[Math.floor(random() * groups.length)];
+            const available = modifierTypes.filter(name => !(group.modifiers || []).includes(name));
+            if (available.length === 0) continue;
+            group.modifiers = [...(group.modifiers || []), available[Math.floor(random() * available.length)]];
+        }
+
+        const result = { id: `endless-${wave}`, groups };
+
+        const bosses = this.getBosses(wave);
+        if (bosses.length > 0) {
+            result.bosses = bosses.map((type, index) => {
+                const reward = {};
+                Object.keys(rules.boss.reward).forEach(resource => {
+                    reward[resource] = Math.floor(rules.boss.reward[resource] * growth.reward);
+                });
+                const boss = {
+                    type,
+                    delay: index * 4000,
+                    health: Math.round(rules.boss.health * growth.health),
+                    speed: roundTo(rules.boss.speed * growth.speed, 3),
+                    reward
+                };
+                if (bosses.length > 1) boss.link = 'rotation';
+                return boss;
+            });
+        }
+
+        return result;
+    },
+
+    // A valid wave script for the run; LevelManager asks generateWave() for
+    // every wave, the script only carries the run's name
+    createScript(seed) {
+        return {
+            format: ENDLESS_SCRIPT_FORMAT,
+            version: 1,
+            name: `Endless (seed ${seed})`,
+            waves: [this.generateWave(1, seed)]
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Endless;
+} else {
+    window.Endless = Endless;
+}
@@ -15,6 +15,8 @@ class Enemy {
         this.size = this.config.size;
         this.color = this.config.color;
         this.reward = this.config.reward;
+        // Share of max health healed per second (Regenerating Threats mutator)
+        this.regeneration = 0;
 
         // Path following
         this.pathIndex = 0;
@@ -30,17 +32,20 @@ class Enemy {
         this.isAlive = true;
         this.reachedEnd = false;
 
-        // Status effects - simplified
-        this.stunned = false;
-        this.stunnedTime = 0;
-        this.slowEffect = 1.0;
-        this.slowEffectTime = 0;
+        // Status effects (slow, stun, stealth, ...; see js/statusEffects.js)
+        this.statusEffects = new StatusEffects(this, this.config.statusImmunities || []);
         this.distractedBy = null;
         this.distractedTime = 0;
 
         // Combat
         this.lastDamageTime = 0;
         this.armor = this.config.armor || 0;
+        this.resistances = { ...(this.config.resistances || {}) };
+
+        // Damage soak granted by the "shielded" wave-script modifier
+        this.shield = 0;
+        this.maxShield = 0;
+        this.modifiers = [];
 
         // Visual effects
         this.flashTime = 0;
@@ -50,6 +55,15 @@ class Enemy {
         this.initializeBehavior();
     }
 
+    // Simulation clock and RNG (seeded in deterministic mode, see js/simulation.js)
+    now() {
+        return window.simulation ? window.simulation.now() : performance.now();
+    }
+
+    random() {
+        return window.simulation ? window.simulation.random() : Math.random();
+    }
+
     getEnemyConfig(type) {
         const enemyConfigs = {
             scriptKiddie: {
@@ -59,7 +73,8 @@ class Enemy {
                 color: '#ff4444',
                 reward: { dharma: 15, bandwidth: 2, anonymity: 1 },
                 armor: 0,
-                abilities: ['erratic_movement']
+                abilities: ['erratic_movement'],
+                behaviors: { lure: true, flee: { threshold: 0.4 }, regroup: true }
             },
             federalAgent: {
                 health: 80,
@@ -68,7 +83,8 @@ class Enemy {
                 color: '#4444ff',
                 reward: { dharma: 25, bandwidth: 5, anonymity: 3 },
                 armor: 2,
-                abilities: ['persistent']
+                abilities: ['persistent'],
+                behaviors: { raid: { effectDuration: 600, interval: 1500 }, lure: { maxTime: 1500 } }
             },
             corporateSaboteur: {
                 health: 75,
@@ -77,7 +93,8 @@ class Enemy {
                 color: '#44ff44',
                 reward: { dharma: 15, bandwidth: 2, anonymity: 5 },
                 armor: 1,
-                abilities: ['stealth']
+                abilities: ['stealth'],
+                behaviors: { raid: { effect: 'emp', interval: 2000 }, lure: true, flee: true }
             },
             aiSurveillance: {
                 health: 120,
@@ -86,7 +103,8 @@ class Enemy {
                 color: '#ffff44',
                 reward: { dharma: 25, bandwidth: 5, anonymity: 3 },
                 armor: 3,
-                abilities: ['scanning', 'adaptive']
+                abilities: ['scanning', 'adaptive'],
+                behaviors: { scan: true, lure: true }
             },
             quantumHacker: {
                 health: 200,
@@ -95,7 +113,8 @@ class Enemy {
                 color: '#ff44ff',
                 reward: { dharma: 40, bandwidth: 8, anonymity: 10 },
                 armor: 2,
-                abilities: ['phase_shift', 'teleport']
+                abilities: ['phase_shift', 'teleport'],
+                behaviors: { lure: { maxTime: 1500 }, flee: { threshold: 0.25, maxBacktrack: 1 } }
             },
             corruptedMonk: {
                 health: 150,
@@ -104,7 +123,8 @@ class Enemy {
                 color: '#ff8844',
                 reward: { dharma: 35, bandwidth: 4, anonymity: 8 },
                 armor: 1,
-                abilities: ['healing_aura', 'corruption']
+                abilities: ['healing_aura', 'corruption'],
+                behaviors: { raid: { effect: 'corruption', effectDuration: 3000, leash: 60 }, lure: true }
             }
         };
 
@@ -126,18 +146,18 @@ class Enemy {
             switch (ability) {
                 case 'erratic_movement':
                     this.erraticTimer = 0;
-                    this.erraticDirection = Math.random() * Math.PI * 2;
+                    this.erraticDirection = this.random() * Math.PI * 2;
                     break;
                 case 'persistent':
                     this.detectionRadius = 100;
                     this.targetLocked = false;
                     break;
                 case 'stealth':
-                    this.stealthMode = false;
+                case 'stealth_mode':
                     this.stealthTimer = 0;
-                    this.originalColor = this.color;
                     break;
                 case 'scanning':
+                case 'scanning_beam':
                     this.scanAngle = 0;
                     this.scanRadius = 80;
                     break;
@@ -158,22 +178,32 @@ class Enemy {
             }
         });
 
-        // Store path reference (will be set when spawned)
+        // Behavior in progress, cooldowns and use counts (js/enemyBehaviors.js)
+        this.behaviorState = { active: null, cooldowns: {}, uses: {} };
+
+        // Store path reference (will be set when spawned); lane is the
+        // level lane the path came from, kept so saves can reattach it
+        this.lane = 0;
         this.storedPath = null;
         this.cachedPath = null;
         this.pathCacheTime = 0;
         this.pathCacheTimeout = 5000; // Cache path for 5 seconds
+
+        // Grid route on open-field levels (see getOpenFieldRoute)
+        this.route = null;
+        this.routeVersion = -1;
+        this.routeTime = -Infinity;
     }
 
     setPath(path) {
         this.storedPath = path;
         this.cachedPath = path;
-        this.pathCacheTime = performance.now();
+        this.pathCacheTime = this.now();
         console.log(`[Enemy] Path set for ${this.type} with ${path ? path.length : 0} points`);
     }
 
     getCachedPath() {
-        const currentTime = performance.now();
+        const currentTime = this.now();
 
         // Return cached path if still valid
         if (this.cachedPath && (currentTime - this.pathCacheTime) < this.pathCacheTimeout) {
@@ -190,15 +220,15 @@ class Enemy {
             // Try accessing through game (expensive fallback)
             if (window.game?.systemManager?.getLevelManager) {
                 const levelManager = window.game.systemManager.getLevelManager();
-                if (levelManager && typeof levelManager.getCurrentPath === 'function') {
-                    path = levelManager.getCurrentPath();
+                if (levelManager && typeof levelManager.getLane === 'function') {
+                    path = levelManager.getLane(this.lane);
                 }
             }
 
             // Try direct access to levelManager (fallback)
             if (!path && window.levelManager) {
-                if (typeof window.levelManager.getCurrentPath === 'function') {
-                    path = window.levelManager.getCurrentPath();
+                if (typeof window.levelManager.getLane === 'function') {
+                    path = window.levelManager.getLane(this.lane);
                 }
             }
         }
@@ -220,10 +250,16 @@ class Enemy {
 
         // Update status effects
         this.updateStatusEffects(deltaTime);
+        if (typeof Difficulty !== 'undefined') {
+            Difficulty.regenerate(this, deltaTime);
+        }
 
-        // Update movement (unless stunned)
-        if (!this.stunned) {
-            this.updateMovement(deltaTime);
+        // Update movement (unless stunned or otherwise disabled); a behavior
+        // can take over from the path for a while
+        if (!this.statusEffects.isDisabled()) {
+            if (!this.updateBehaviors(deltaTime, defenses, enemies)) {
+                this.updateMovement(deltaTime);
+            }
             this.updateSpecialAbilities(deltaTime, defenses, enemies);
         }
 
@@ -235,21 +271,7 @@ class Enemy {
     }
 
     updateStatusEffects(deltaTime) {
-        // Update stun
-        if (this.stunned) {
-            this.stunnedTime -= deltaTime;
-            if (this.stunnedTime <= 0) {
-                this.stunned = false;
-            }
-        }
-
-        // Update slow effect
-        if (this.slowEffectTime > 0) {
-            this.slowEffectTime -= deltaTime;
-            if (this.slowEffectTime <= 0) {
-                this.slowEffect = 1.0;
-            }
-        }
+        this.statusEffects.update(deltaTime);
 
         // Update distraction
         if (this.distractedTime > 0) {
@@ -261,17 +283,19 @@ class Enemy {
     }
 
     updateMovement(deltaTime) {
-        // Get cached path (much more efficient)
-        const path = this.getCachedPath();
+        // Open-field levels route around defenses; otherwise use the cached
+        // lane path (much more efficient)
+        const path = this.getOpenFieldRoute() || this.getCachedPath();
 
         if (!path || path.length === 0) {
             console.warn('[Enemy] No path available for movement');
             return;
         }
 
-        // Handle distraction (decoy defense effect)
-        if (this.distractedBy) {
-            this.moveToward(this.distractedBy.x, this.distractedBy.y, deltaTime);
+        // Confused enemies wander back toward the waypoint they last passed
+        if (this.statusEffects.has('confused')) {
+            const previous = path[Math.max(0, Math.min(this.pathIndex, path.length) - 1)];
+            this.moveToward(previous.x, previous.y, deltaTime);
             return;
         }
 
@@ -279,6 +303,40 @@ class Enemy {
         this.followPath(path, deltaTime);
     }
 
+    // Raids, scans, decoy pulls, fleeing and regrouping (see
+    // js/enemyBehaviors.js); true when one moved the enemy this tick
+    updateBehaviors(deltaTime, defenses, enemies) {
+        if (typeof EnemyBehaviors === 'undefined') return false;
+        return EnemyBehaviors.update(this, deltaTime, { defenses, enemies });
+    }
+
+    // On open-field levels the route is re-planned from where the enemy
+    // stands whenever the defenses change, at most once per
+    // pathfinding.updateInterval. Enemies with persistent_pathfinding also
+    // steer around defense ranges where the maze leaves room.
+    getOpenFieldRoute() {
+        const levelManager = window.game?.systemManager?.getLevelManager?.();
+        const pathfinder = levelManager && levelManager.pathfinder;
+        if (!pathfinder) return null;
+
+        const now = this.now();
+        const stale = this.routeVersion !== pathfinder.version && now - this.routeTime >= pathfinder.updateInterval;
+        if (!this.route || stale) {
+            const route = levelManager.findRoute(this.x, this.y, this.lane, {
+                avoidZones: this.abilities.includes('persistent_pathfinding')
+            });
+            this.routeVersion = pathfinder.version;
+            this.routeTime = now;
+
+            // Walled in: keep walking the last route
+            if (route) {
+                this.route = route;
+                this.pathIndex = 0;
+            }
+        }
+        return this.route;
+    }
+
     followPath(path, deltaTime) {
         if (this.pathIndex >= path.length) {
             this.reachedEnd = true;
@@ -303,12 +361,22 @@ class Enemy {
         this.moveToward(target.x, target.y, deltaTime);
     }
 
+    // Send the enemy back along its route by some waypoints (decoy redirect)
+    setBack(waypoints) {
+        const path = this.route || this.getCachedPath();
+        this.pathIndex = Math.max(0, this.pathIndex - waypoints);
+        if (path && path.length > 0) {
+            this.pathProgress = this.pathIndex / path.length;
+        }
+    }
+
     moveToward(targetX, targetY, deltaTime) {
         const angle = Math.atan2(targetY - this.y, targetX - this.x);
-        const currentSpeed = this.speed * this.slowEffect * deltaTime * 0.1;
+        const speedMultiplier = this.statusEffects.getSpeedMultiplier();
+        const currentSpeed = this.speed * speedMultiplier * deltaTime * 0.1;
 
         // Update per-second velocity components for aiming prediction
-        const perSecondSpeed = this.speed * this.slowEffect * 100; // units per second
+        const perSecondSpeed = this.speed * speedMultiplier * 100; // units per second
         this.velocityX = Math.cos(angle) * perSecondSpeed;
         this.velocityY = Math.sin(angle) * perSecondSpeed;
 
@@ -328,10 +396,12 @@ class Enemy {
                     this.updatePersistent(defenses);
                     break;
                 case 'stealth':
+                case 'stealth_mode':
                     this.updateStealth(deltaTime);
                     break;
                 case 'scanning':
-                    this.updateScanning(deltaTime, defenses);
+                case 'scanning_beam':
+                    this.updateScanning(deltaTime, defenses, ability);
                     break;
                 case 'phase_shift':
                     this.updatePhaseShift(deltaTime);
@@ -353,7 +423,7 @@ class Enemy {
         this.erraticTimer += deltaTime;
 
         if (this.erraticTimer > 2000) { // Change direction every 2 seconds
-            this.erraticDirection = Math.random() * Math.PI * 2;
+            this.erraticDirection = this.random() * Math.PI * 2;
             this.erraticTimer = 0;
         }
 
@@ -378,23 +448,46 @@ class Enemy {
     }
 
     updateStealth(deltaTime) {
-        this.stealthTimer += deltaTime;
+        // Visible for 5 seconds, then stealthed for 5 seconds
+        if (this.statusEffects.has('stealth')) {
+            this.stealthTimer = 0;
+            return;
+        }
 
-        if (this.stealthTimer > 5000) { // Toggle stealth every 5 seconds
-            this.stealthMode = !this.stealthMode;
-            this.color = this.stealthMode ? '#88888888' : this.originalColor;
+        this.stealthTimer += deltaTime;
+        if (this.stealthTimer > 5000) {
+            this.statusEffects.apply('stealth', { duration: 5000 });
             this.stealthTimer = 0;
         }
     }
 
-    updateScanning(deltaTime) {
+    updateScanning(deltaTime, defenses = [], ability = 'scanning') {
         this.scanAngle += deltaTime * 0.002; // Slow rotation
 
         // AI Surveillance enemies adapt to defense patterns
-        if (this.abilityTimers.scanning > 8000) {
+        if (this.abilityTimers[ability] > 8000) {
             this.speed = Math.min(this.baseSpeed * 1.2, this.speed + 0.1);
-            this.abilityTimers.scanning = 0;
+            this.abilityTimers[ability] = 0;
         }
+
+        // Mark every defense the scan finds; stealthed defenses (anonymity
+        // fields) stay hidden and misdirected scanners find nothing
+        if (!this.abilities.includes('mark_targets') || this.statusEffects.has('misdirected')) return;
+
+        const reach = this.getScanReach();
+        defenses.forEach(defense => {
+            const hidden = defense.statusEffects && defense.statusEffects.has('stealth');
+            if (!hidden && Math.hypot(defense.x - this.x, defense.y - this.y) <= reach) {
+                StatusEffects.applyTo(defense, 'marked', { duration: 3000 });
+            }
+        });
+    }
+
+    // Scans reach further while the player's anonymity is low (see js/economy.js)
+    getScanReach() {
+        const resources = window.game && window.game.resources;
+        if (!resources || typeof Economy === 'undefined') return this.scanRadius;
+        return this.scanRadius * Economy.getDetectionMultiplier(resources.anonymity);
     }
 
     updatePhaseShift(deltaTime) {
@@ -417,7 +510,7 @@ class Enemy {
     updateTeleport(deltaTime) {
         this.teleportCooldown -= deltaTime;
 
-        if (this.teleportCooldown <= 0 && Math.random() < 0.02) { // 2% chance per update
+        if (this.teleportCooldown <= 0 && this.random() < 0.02) { // 2% chance per update
             this.performTeleport();
             this.teleportCooldown = 8000; // 8 second cooldown
         }
@@ -471,15 +564,14 @@ class Enemy {
     }
 
     updateCorruption(defenses) {
+        if (this.statusEffects.has('misdirected')) return;
+
         // Corrupted monks weaken nearby defenses
         defenses.forEach(defense => {
             const distance = Math.hypot(defense.x - this.x, defense.y - this.y);
             if (distance <= this.corruptionRadius) {
-                // Apply corruption effect (already handled in defense update)
-                if (!defense.corruptedBy || defense.corruptedBy === this) {
-                    defense.corruptedBy = this;
-                    defense.corruptedTime = 1000; // Refresh corruption
-                }
+                // Refreshed every frame while in range, so it lingers 1s after
+                StatusEffects.applyTo(defense, 'corruption', { duration: 1000, source: 'corruption_aura' });
             }
         });
     }
@@ -507,11 +599,13 @@ class Enemy {
         }
     }
 
-    takeDamage(amount, damageType = 'normal') {
+    // options.armorPiercing: share of armor the hit ignores (0-1)
+    takeDamage(amount, damageType = 'normal', options = {}) {
         if (!this.isAlive) return false;
 
         // Apply armor reduction
-        let actualDamage = Math.max(1, amount - this.armor);
+        const armor = this.armor * (1 - (options.armorPiercing || 0));
+        let actualDamage = Math.max(1, amount - armor);
 
         // Handle special damage types
         switch (damageType) {
@@ -526,19 +620,27 @@ class Enemy {
                 break;
         }
 
+        // Resistances and weaknesses to the damage type
+        actualDamage *= this.getResistance(damageType);
+
         // Phase-shifted enemies take reduced damage
         if (this.phaseShifted) {
             actualDamage *= 0.5;
         }
 
-        // Stealthed enemies take less damage from non-scanning defenses
-        if (this.stealthMode && damageType !== 'scanning') {
-            actualDamage *= 0.7;
+        // Status effects such as stealth change damage taken
+        actualDamage *= this.statusEffects.getDamageTakenMultiplier(damageType);
+
+        // Shields soak damage before health
+        if (this.shield > 0) {
+            const absorbed = Math.min(this.shield, actualDamage);
+            this.shield -= absorbed;
+            actualDamage -= absorbed;
         }
 
         this.health -= actualDamage;
         this.flashTime = 200;
-        this.lastDamageTime = performance.now();
+        this.lastDamageTime = this.now();
 
         // Visual feedback
         if (window.particleSystem) {
@@ -556,6 +658,11 @@ class Enemy {
         return false;
     }
 
+    // Damage multiplier for a damage type (see js/damageTypes.js)
+    getResistance(damageType) {
+        return typeof DamageTypes !== 'undefined' ? DamageTypes.getMultiplier(this.resistances, damageType) : 1;
+    }
+
     die() {
         this.isAlive = false;
         console.log(`[Enemy] ${this.type} killed`);
@@ -597,7 +704,7 @@ class Enemy {
             const spriteName = `enemy_${this.type}`;
             if (window.spriteManager.hasSprite(spriteName)) {
                 const flashMultiplier = this.flashTime > 0 ? 1.3 : 1.0;
-                const alpha = this.stealthMode ? 0.5 : (this.phaseShifted ? 0.7 : 1.0);
+                const alpha = this.statusEffects.has('stealth') ? 0.5 : (this.phaseShifted ? 0.7 : 1.0);
 
                 // Calculate proper scale: desired size / sprite native size
                 const sprite = window.spriteManager.getSprite(spriteName);
@@ -618,7 +725,8 @@ class Enemy {
         ctx.save();
 
         // Apply visual effects
-        if (this.stealthMode) {
+        const stealthed = this.statusEffects.has('stealth');
+        if (stealthed) {
             ctx.globalAlpha = 0.5;
         } else if (this.phaseShifted) {
             ctx.globalAlpha = 0.7;
@@ -626,7 +734,7 @@ class Enemy {
             ctx.shadowColor = this.color;
         }
 
-        if (this.stunned) {
+        if (this.statusEffects.isDisabled()) {
             ctx.filter = 'brightness(0.6)';
         }
 
@@ -634,7 +742,7 @@ class Enemy {
         if (this.flashTime > 0) {
             ctx.fillStyle = '#ffffff';
         } else {
-            ctx.fillStyle = this.color;
+            ctx.fillStyle = stealthed ? '#88888888' : this.color;
         }
 
         // Enemy body
@@ -678,15 +786,27 @@ class Enemy {
     }
 
     renderEffects(ctx) {
+        // Shield ring, thinning out as the shield is worn down
+        if (this.shield > 0) {
+            ctx.save();
+            ctx.strokeStyle = '#4ecdc4';
+            ctx.lineWidth = 1 + 2 * (this.shield / this.maxShield);
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size + 4, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
         // Render ability-specific effects
-        if (this.abilities.includes('scanning')) {
+        if (this.scanRadius) {
             // Scanner beam
             ctx.save();
             ctx.strokeStyle = '#ffff44';
             ctx.lineWidth = 2;
             ctx.globalAlpha = 0.5;
 
-            const beamLength = this.scanRadius;
+            const beamLength = this.getScanReach();
             const endX = this.x + Math.cos(this.scanAngle) * beamLength;
             const endY = this.y + Math.sin(this.scanAngle) * beamLength;
 
@@ -720,6 +840,13 @@ class Enemy {
             ctx.stroke();
             ctx.restore();
         }
+
+        if (typeof EnemyBehaviors !== 'undefined') {
+            EnemyBehaviors.render(ctx, this);
+        }
+
+        // Status effect icons above the health bar
+        this.statusEffects.render(ctx, this.x, this.y - this.size - 10);
     }
 
     renderDeathAnimation(ctx) {
@@ -751,9 +878,158 @@ class Enemy {
         };
     }
 
+    // Get enemy state for saving/loading
+    getState() {
+        return {
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            speed: this.speed,
+            baseSpeed: this.baseSpeed,
+            reward: this.reward,
+            armor: this.armor,
+            shield: this.shield,
+            maxShield: this.maxShield,
+            modifiers: [...this.modifiers],
+            regeneration: this.regeneration,
+            lane: this.lane,
+            pathIndex: this.pathIndex,
+            pathProgress: this.pathProgress,
+            statusEffects: this.statusEffects.getState(),
+            behaviors: typeof EnemyBehaviors !== 'undefined' ? EnemyBehaviors.getState(this) : null,
+            abilityTimers: { ...this.abilityTimers },
+            abilityState: {
+                erraticTimer: this.erraticTimer,
+                erraticDirection: this.erraticDirection,
+                stealthTimer: this.stealthTimer,
+                scanAngle: this.scanAngle,
+                phaseShifted: this.phaseShifted,
+                phaseTimer: this.phaseTimer,
+                teleportCooldown: this.teleportCooldown,
+                healingTimer: this.healingTimer
+            }
+        };
+    }
+
+    // Restore enemy state from saved data
+    setState(state) {
+        const numericFields = [
+            'x', 'y', 'health', 'maxHealth', 'speed', 'baseSpeed', 'armor', 'shield', 'maxShield',
+            'regeneration', 'lane', 'pathIndex', 'pathProgress'
+        ];
+        numericFields.forEach(field => {
+            if (typeof state[field] === 'number') this[field] = state[field];
+        });
+
+        if (state.reward !== undefined) this.reward = state.reward;
+        if (Array.isArray(state.modifiers)) this.modifiers = [...state.modifiers];
+
+        if (state.abilityTimers) {
+            Object.keys(this.abilityTimers).forEach(ability => {
+                if (typeof state.abilityTimers[ability] === 'number') {
+                    this.abilityTimers[ability] = state.abilityTimers[ability];
+                }
+            });
+        }
+
+        // Only restore fields for abilities this enemy type actually has
+        const { stealthMode, ...abilityState } = state.abilityState || {};
+        Object.keys(abilityState).forEach(field => {
+            if (abilityState[field] !== undefined && this[field] !== undefined) {
+                this[field] = abilityState[field];
+            }
+        });
+
+        if (state.statusEffects) {
+            this.statusEffects.setState(state.statusEffects);
+        } else {
+            this.restoreLegacyStatus(state, stealthMode);
+        }
+
+        if (state.behaviors && typeof EnemyBehaviors !== 'undefined') {
+            EnemyBehaviors.setState(this, state.behaviors);
+        }
+    }
+
+    // Saves from before js/statusEffects.js kept stun, slow and stealth as
+    // separate fields
+    restoreLegacyStatus(state, stealthMode) {
+        this.statusEffects.clear();
+        if (state.stunned && state.stunnedTime > 0) {
+            this.statusEffects.apply('stun', { duration: state.stunnedTime });
+        }
+        if (state.slowEffectTime > 0 && state.slowEffect < 1) {
+            this.statusEffects.apply('slow', { duration: state.slowEffectTime, strength: state.slowEffect });
+        }
+        if (stealthMode) {
+            this.statusEffects.apply('stealth', { duration: Math.max(0, 5000 - (this.stealthTimer || 0)) });
+            this.stealthTimer = 0;
+        }
+    }
+
+    // Apply combined wave-script modifier effects (WaveScript.getModifierEffects)
+    // on top of the spawn stats
+    applyModifiers(modifiers, effects) {
+        this.modifiers = [...modifiers];
+
+        this.maxHealth *= effects.healthMultiplier;
+        this.health = this.maxHealth;
+        this.speed *= effects.speedMultiplier;
+        this.baseSpeed *= effects.speedMultiplier;
+        this.reward = Math.ceil(this.reward * effects.rewardMultiplier);
+        this.armor += effects.armorBonus;
+
+        this.maxShield = this.maxHealth * effects.shieldRatio;
+        this.shield = this.maxShield;
+    }
+
+    // Build an enemy from a LevelManager spawn event. Script boss entries
+    // become Boss instances; everything else is a regular Enemy.
+    static fromSpawnData(enemyData, spawnPoint, path) {
+        const enemy = enemyData.isBoss && typeof Boss !== 'undefined'
+            ? new Boss(enemyData.type, spawnPoint.x, spawnPoint.y)
+            : new Enemy(enemyData.type, spawnPoint.x, spawnPoint.y);
+
+        enemy.lane = enemyData.lane || 0;
+        if (typeof enemy.setPath === 'function') {
+            enemy.setPath(path);
+        }
+
+        // Override with specific spawn data if provided
+        if (enemyData.health !== undefined) {
+            enemy.health = enemyData.health;
+            enemy.maxHealth = enemyData.health;
+        }
+        if (enemyData.speed !== undefined) {
+            enemy.speed = enemyData.speed;
+            enemy.baseSpeed = enemyData.speed;
+        }
+        if (enemyData.reward !== undefined) {
+            enemy.reward = enemyData.reward;
+        }
+
+        if (enemyData.difficulty && typeof Difficulty !== 'undefined') {
+            Difficulty.applyToEnemy(enemy, enemyData.difficulty);
+        }
+        if (enemyData.modifierEffects && typeof enemy.applyModifiers === 'function') {
+            enemy.applyModifiers(enemyData.modifiers || [], enemyData.modifierEffects);
+        }
+        // Bosses recompute their phase thresholds from the overridden health
+        if (typeof enemy.applyPhaseOverrides === 'function') {
+            enemy.applyPhaseOverrides(enemyData.phases || {});
+        }
+        if (typeof enemy.setEncounter === 'function') {
+            enemy.setEncounter({ link: enemyData.link, escorts: enemyData.escorts });
+        }
+
+        return enemy;
+    }
+
     // Static factory method for creating different enemy types
     static create(type, x, y) {
-        if (type === 'raidTeam' || type === 'megaCorp' || type === 'corruptedMonk') {
+        if (Enemy.getBossTypes().includes(type)) {
             // These are bosses, create Boss instance instead
             return new Boss(type, x, y);
         }
@@ -766,8 +1042,11 @@ class Enemy {
         return ['scriptKiddie', 'federalAgent', 'corporateSaboteur', 'aiSurveillance', 'quantumHacker', 'corruptedMonk'];
     }
 
+    // Bosses defined in CONFIG.BOSS_TYPES (see js/bossDefinitions.js)
     static getBossTypes() {
-        return ['raidTeam', 'megaCorp', 'corruptedMonk'];
+        return typeof BossDefinitions !== 'undefined'
+            ? BossDefinitions.getTypes()
+            : ['raidTeam', 'megaCorp', 'corruptedMonk'];
     }
 }
 
@@ -0,0 +1,427 @@
+// Enemy behaviors: what an enemy does besides walking its path. Each enemy
+// type lists the behaviors it uses in CONFIG.ENEMY_TYPES[type].behaviors,
+// keyed by behavior id, with true for the defaults below or an object
+// overriding some of them:
+//   raid    - leave the path for a visible defense nearby and harry it with
+//             a status effect (stun, emp, corruption, ...)
+//   scan    - stop while stealthed defenses are near, then strip their
+//             stealth and leave them revealed for a while
+//   lure    - walk toward the decoy that distracted it (enemy.distractedBy)
+//   flee    - at low health, back off along the path a few waypoints
+//   regroup - hold back until a tank ally leads the way: a regular enemy
+//             (bosses bring escorts of their own) with tankHealth times its
+//             max health
+// Every behavior also takes:
+//   maxTime  - ms it runs at most
+//   cooldown - ms before it can start again
+//   limit    - how many times it can start per enemy (0: no limit)
+// and the ones that leave the path never stray further than leash from the
+// point where they left it. An enemy runs one behavior at a time, the first
+// in ENEMY_BEHAVIOR_ORDER that can start, and walks back to its path once it
+// ends, so the path stays the way to the exit.
+//
+// Behaviors are checked once per enemy type on first use; a type whose
+// behaviors have problems is logged and keeps to its path. Confusion (a
+// decoy effect) ends the current behavior, and misdirected enemies
+// (anonymity fields) find nothing to raid or scan.
+
+const ENEMY_BEHAVIOR_ORDER = ['flee', 'lure', 'raid', 'scan', 'regroup'];
+
+const ENEMY_BEHAVIOR_COMMON = { limit: 0 };
+
+const isBehaviorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const behaviorGap = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const isConcealed = (defense) => Boolean(defense.statusEffects && defense.statusEffects.has('stealth'));
+
+// Stand still; velocity feeds the defenses' aim prediction
+const holdStill = (enemy) => {
+    enemy.velocityX = 0;
+    enemy.velocityY = 0;
+};
+
+// Move toward a point, stopping stopAt short of it; true once there
+const stepToward = (enemy, point, deltaTime, stopAt = 0) => {
+    const gap = behaviorGap(enemy, point);
+    if (gap <= stopAt) {
+        holdStill(enemy);
+        return true;
+    }
+
+    const fromX = enemy.x;
+    const fromY = enemy.y;
+    enemy.moveToward(point.x, point.y, deltaTime);
+    if (Math.hypot(enemy.x - fromX, enemy.y - fromY) < gap - stopAt) return false;
+
+    // Arrived this tick: do not overshoot
+    const scale = stopAt / gap;
+    enemy.x = point.x + (fromX - point.x) * scale;
+    enemy.y = point.y + (fromY - point.y) * scale;
+    return true;
+};
+
+const keepOnLeash = (enemy, anchor, leash) => {
+    const gap = behaviorGap(enemy, anchor);
+    if (gap <= leash) return;
+
+    enemy.x = anchor.x + (enemy.x - anchor.x) * leash / gap;
+    enemy.y = anchor.y + (enemy.y - anchor.y) * leash / gap;
+};
+
+// The route (open field) or lane the unit is walking; bosses have their own
+const getBehaviorPath = (unit) => {
+    if (unit.route) return unit.route;
+    if (typeof unit.getCachedPath === 'function') return unit.getCachedPath();
+    return typeof unit.getPath === 'function' ? unit.getPath() : null;
+};
+
+// Distance left along the unit's path to the exit
+const pathRemaining = (unit) => {
+    const path = getBehaviorPath(unit);
+    if (!path || unit.pathIndex >= path.length) return 0;
+
+    let total = behaviorGap(unit, path[unit.pathIndex]);
+    for (let i = unit.pathIndex + 1; i < path.length; i++) {
+        total += behaviorGap(path[i - 1], path[i]);
+    }
+    return total;
+};
+
+// Hooks: start(enemy, params, context) returns the run's own fields, or null
+// when the behavior has nothing to do; update(enemy, run, context,
+// deltaTime) returns false, before moving the enemy, once it is done;
+// stop(enemy, run) tidies up however it ended. run holds params, elapsed
+// (ms, this tick included), anchor (where the enemy stood when it started)
+// and the start fields. context is { defenses, enemies }.
+const ENEMY_BEHAVIORS = {
+    flee: {
+        defaults: { threshold: 0.3, maxBacktrack: 2, maxTime: 2500, cooldown: 0, limit: 1 },
+        validate: (params, path, errors) => {
+            if (params.threshold !== undefined && !(params.threshold > 0 && params.threshold < 1)) {
+                errors.push(`${path}.threshold must be a share of max health between 0 and 1`);
+            }
+        },
+        start: (enemy, params) => {
+            if (enemy.health > enemy.maxHealth * params.threshold || enemy.pathIndex === 0) return null;
+            return { floor: Math.max(0, enemy.pathIndex - params.maxBacktrack) };
+        },
+        update: (enemy, run, context, deltaTime) => {
+            const path = getBehaviorPath(enemy);
+            const previous = enemy.pathIndex - 1;
+            if (!path || previous < run.floor) return false;
+
+            if (stepToward(enemy, path[previous], deltaTime)) {
+                enemy.pathIndex = previous;
+                enemy.pathProgress = previous / path.length;
+            }
+            return true;
+        }
+    },
+
+    lure: {
+        defaults: { reach: 30, leash: 150, maxTime: 2500, cooldown: 2000 },
+        start: (enemy) => (enemy.distractedBy ? { decoy: enemy.distractedBy } : null),
+        update: (enemy, run, context, deltaTime) => {
+            if (enemy.distractedBy !== run.decoy) return false;
+
+            stepToward(enemy, run.decoy, deltaTime, run.params.reach);
+            return true;
+        },
+        // Pulled for maxTime at most, however long the decoy asked for
+        stop: (enemy, run) => {
+            if (enemy.distractedBy === run.decoy) {
+                enemy.distractedBy = null;
+                enemy.distractedTime = 0;
+            }
+        }
+    },
+
+    raid: {
+        defaults: {
+            sightRange: 120,
+            leash: 100,
+            attackRange: 30,
+            effect: 'stun',
+            effectDuration: 1000,
+            interval: 1000,
+            maxTime: 3000,
+            cooldown: 8000
+        },
+        validate: (params, path, errors) => {
+            if (params.effect === undefined) return;
+            const types = typeof STATUS_EFFECT_TYPES !== 'undefined' ? Object.keys(STATUS_EFFECT_TYPES) : null;
+            if (typeof params.effect !== 'string' || (types && !types.includes(params.effect))) {
+                errors.push(`${path}.effect must be a status effect type${types ? ` (expected one of: ${types.join(', ')})` : ''}`);
+            }
+        },
+        // Only defenses it can reach without breaking the leash
+        start: (enemy, params, context) => {
+            if (enemy.statusEffects.has('misdirected')) return null;
+
+            const reach = Math.min(params.sightRange, params.leash + params.attackRange);
+            const targets = context.defenses.filter(defense =>
+                !isConcealed(defense) && behaviorGap(enemy, defense) <= reach);
+            if (targets.length === 0) return null;
+
+            const target = targets.reduce((a, b) => (behaviorGap(enemy, b) < behaviorGap(enemy, a) ? b : a));
+            return { target, timer: params.interval };
+        },
+        update: (enemy, run, context, deltaTime) => {
+            const target = run.target;
+            if (!context.defenses.includes(target) || isConcealed(target)) return false;
+            if (!stepToward(enemy, target, deltaTime, run.params.attackRange)) return true;
+
+            run.timer += deltaTime;
+            if (run.timer >= run.params.interval) {
+                run.timer = 0;
+                StatusEffects.applyTo(target, run.params.effect, { duration: run.params.effectDuration });
+            }
+            return true;
+        },
+        render: (ctx, enemy, run) => {
+            ctx.save();
+            ctx.strokeStyle = '#ff4444';
+            ctx.lineWidth = 1;
+            ctx.globalAlpha = 0.6;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(enemy.x, enemy.y);
+            ctx.lineTo(run.target.x, run.target.y);
+            ctx.stroke();
+            ctx.restore();
+        }
+    },
+
+    // Stands still for maxTime, then reveals what it found
+    scan: {
+        defaults: { radius: 100, revealTime: 4000, maxTime: 1500, cooldown: 6000 },
+        start: (enemy, params, context) => {
+            if (enemy.statusEffects.has('misdirected')) return null;
+
+            const hidden = context.defenses.some(defense =>
+                isConcealed(defense) && behaviorGap(enemy, defense) <= params.radius);
+            return hidden ? {} : null;
+        },
+        update: (enemy, run, context) => {
+            holdStill(enemy);
+            if (run.elapsed < run.params.maxTime) return true;
+
+            context.defenses.forEach(defense => {
+                if (isConcealed(defense) && behaviorGap(enemy, defense) <= run.params.radius) {
+                    defense.statusEffects.cleanse('stealth');
+                    StatusEffects.applyTo(defense, 'revealed', { duration: run.params.revealTime });
+                }
+            });
+            return true;
+        },
+        render: (ctx, enemy, run) => {
+            ctx.save();
+            ctx.strokeStyle = '#ffff44';
+            ctx.lineWidth = 2;
+            ctx.globalAlpha = 0.4;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, run.params.radius * Math.min(1, run.elapsed / run.params.maxTime), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    },
+
+    // Waits on the path until the tank is spacing ahead of it
+    regroup: {
+        defaults: { radius: 120, spacing: 40, tankHealth: 2, maxTime: 3000, cooldown: 3000 },
+        start: (enemy, params, context) => {
+            const remaining = pathRemaining(enemy);
+            const tanks = context.enemies.filter(ally =>
+                ally !== enemy && !ally.isBoss && ally.isAlive && !ally.reachedEnd &&
+                ally.maxHealth >= enemy.maxHealth * params.tankHealth &&
+                behaviorGap(enemy, ally) <= params.radius &&
+                remaining < pathRemaining(ally) + params.spacing);
+            if (tanks.length === 0) return null;
+
+            return { tank: tanks.reduce((a, b) => (behaviorGap(enemy, b) < behaviorGap(enemy, a) ? b : a)) };
+        },
+        update: (enemy, run) => {
+            const tank = run.tank;
+            if (!tank.isAlive || tank.reachedEnd || behaviorGap(enemy, tank) > run.params.radius) return false;
+            if (pathRemaining(enemy) >= pathRemaining(tank) + run.params.spacing) return false;
+
+            holdStill(enemy);
+            return true;
+        }
+    }
+};
+
+// Validated behavior lists per enemy config object
+let enemyBehaviorCache = new WeakMap();
+
+const EnemyBehaviors = {
+    ORDER: ENEMY_BEHAVIOR_ORDER,
+
+    // Problems with one enemy type's behaviors; empty when they are valid
+    validate(type, behaviors) {
+        const path = `${type}.behaviors`;
+        if (!isBehaviorObject(behaviors)) return [`${path} must be an object keyed by behavior id`];
+
+        const errors = [];
+        Object.keys(behaviors).forEach(id => {
+            const definition = ENEMY_BEHAVIORS[id];
+            if (!definition) {
+                errors.push(`${path}.${id} is not a behavior (expected one of: ${ENEMY_BEHAVIOR_ORDER.join(', ')})`);
+                return;
+            }
+
+            const params = behaviors[id];
+            if (params === true) return;
+            if (!isBehaviorObject(params)) {
+                errors.push(`${path}.${id} must be true or an object of settings`);
+                return;
+            }
+
+            const defaults = Object.assign({}, ENEMY_BEHAVIOR_COMMON, definition.defaults);
+            Object.keys(params).forEach(field => {
+                if (defaults[field] === undefined) {
+                    errors.push(`${path}.${id}.${field} is not a recognised setting (expected one of: ${Object.keys(defaults).join(', ')})`);
+                } else if (typeof defaults[field] === 'number' &&
+                    !(typeof params[field] === 'number' && isFinite(params[field]) && params[field] >= 0)) {
+                    errors.push(`${path}.${id}.${field} must be a number >= 0`);
+                }
+            });
+            if (params.limit !== undefined && !Number.isInteger(params.limit)) {
+                errors.push(`${path}.${id}.limit must be a whole number`);
+            }
+            if (definition.validate) definition.validate(params, `${path}.${id}`, errors);
+        });
+        return errors;
+    },
+
+    // The enemy's behaviors in the order they get to start, with every
+    // setting filled in
+    getBehaviors(enemy) {
+        const config = enemy.config;
+        if (!config || config.behaviors === undefined) return [];
+        if (enemyBehaviorCache.has(config)) return enemyBehaviorCache.get(config);
+
+        let behaviors = [];
+        const errors = this.validate(enemy.type, config.behaviors);
+        if (errors.length > 0) {
+            console.error(`[EnemyBehaviors] ${enemy.type} behaviors left out:`, errors);
+        } else {
+            behaviors = ENEMY_BEHAVIOR_ORDER
+                .filter(id => config.behaviors[id] !== undefined)
+                .map(id => ({
+                    id,
+                    params: Object.assign({}, ENEMY_BEHAVIOR_COMMON, ENEMY_BEHAVIORS[id].defaults,
+                        config.behaviors[id] === true ? {} : config.behaviors[id])
+                }));
+        }
+        enemyBehaviorCache.set(config, behaviors);
+        return behaviors;
+    },
+
+    // Check every enemy config again (after CONFIG.ENEMY_TYPES is edited)
+    reload() {
+        enemyBehaviorCache = new WeakMap();
+    },
+
+    getActive(enemy) {
+        const run = enemy.behaviorState && enemy.behaviorState.active;
+        return run ? run.id : null;
+    },
+
+    // True when a behavior moved (or held) the enemy this tick, in place of
+    // its path
+    update(enemy, deltaTime, context) {
+        const behaviors = this.getBehaviors(enemy);
+        if (behaviors.length === 0 || !enemy.behaviorState) return false;
+
+        const runtime = enemy.behaviorState;
+        Object.keys(runtime.cooldowns).forEach(id => {
+            runtime.cooldowns[id] = Math.max(0, runtime.cooldowns[id] - deltaTime);
+        });
+
+        if (enemy.statusEffects.has('confused')) {
+            this.stop(enemy);
+            return false;
+        }
+
+        const fullContext = { defenses: context.defenses || [], enemies: context.enemies || [] };
+        if (!runtime.active) this.start(enemy, behaviors, fullContext);
+
+        const run = runtime.active;
+        if (!run) return false;
+
+        // A behavior that finds itself done hands the tick back to the path
+        run.elapsed += deltaTime;
+        if (!ENEMY_BEHAVIORS[run.id].update(enemy, run, fullContext, deltaTime)) {
+            this.stop(enemy);
+            return false;
+        }
+
+        if (run.params.leash !== undefined) {
+            keepOnLeash(enemy, run.anchor, run.params.leash);
+        }
+        if (run.elapsed >= run.params.maxTime) this.stop(enemy);
+        return true;
+    },
+
+    start(enemy, behaviors, context) {
+        const runtime = enemy.behaviorState;
+        for (const { id, params } of behaviors) {
+            const used = runtime.uses[id] || 0;
+            if (runtime.cooldowns[id] > 0 || (params.limit > 0 && used >= params.limit)) continue;
+
+            const fields = ENEMY_BEHAVIORS[id].start(enemy, params, context);
+            if (!fields) continue;
+
+            runtime.uses[id] = used + 1;
+            runtime.active = Object.assign({ id, params, elapsed: 0, anchor: { x: enemy.x, y: enemy.y } }, fields);
+            return;
+        }
+    },
+
+    // End the current behavior; its cooldown starts now
+    stop(enemy) {
+        const runtime = enemy.behaviorState;
+        const run = runtime && runtime.active;
+        if (!run) return;
+
+        const definition = ENEMY_BEHAVIORS[run.id];
+        if (definition.stop) definition.stop(enemy, run);
+        runtime.cooldowns[run.id] = run.params.cooldown;
+        runtime.active = null;
+    },
+
+    render(ctx, enemy) {
+        const run = enemy.behaviorState && enemy.behaviorState.active;
+        if (run && ENEMY_BEHAVIORS[run.id].render) {
+            ENEMY_BEHAVIORS[run.id].render(ctx, enemy, run);
+        }
+    },
+
+    // Cooldowns and use counts; a behavior running at save time is dropped
+    // and the loaded enemy carries on along its path
+    getState(enemy) {
+        const runtime = enemy.behaviorState;
+        return { cooldowns: { ...runtime.cooldowns }, uses: { ...runtime.uses } };
+    },
+
+    setState(enemy, state) {
+        const runtime = enemy.behaviorState;
+        runtime.active = null;
+        ['cooldowns', 'uses'].forEach(field => {
+            const saved = state[field] || {};
+            runtime[field] = {};
+            Object.keys(saved).forEach(id => {
+                if (ENEMY_BEHAVIORS[id] && typeof saved[id] === 'number') runtime[field][id] = saved[id];
+            });
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnemyBehaviors, ENEMY_BEHAVIORS };
+} else {
+    window.EnemyBehaviors = EnemyBehaviors;
+    window.ENEMY_BEHAVIORS = ENEMY_BEHAVIORS;
+}
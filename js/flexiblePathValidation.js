@@ -21,11 +21,7 @@ class FlexiblePathValidation {
         this.themeAdjustments = new Map();
         this.validationHistory = [];
         
-        // Initialize validation profiles
-        this.initializeValidationProfiles();
-        this.initializeThemeAdjustments();
-        
-        // Statistics tracking
+        // Statistics tracking (before the profiles, which register their usage counters)
         this.validationStats = {
             totalValidations: 0,
             warningsGenerated: 0,
@@ -34,6 +30,10 @@ class FlexiblePathValidation {
             profileUsage: {}
         };
         
+        // Initialize validation profiles
+        this.initializeValidationProfiles();
+        this.initializeThemeAdjustments();
+        
         console.log('FlexiblePathValidation system initialized with', Object.keys(this.validationProfiles).length, 'profiles');
     }
     
@@ -939,4 +939,6 @@ class FlexiblePathValidation {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = FlexiblePathValidation;
+} else {
+    window.FlexiblePathValidation = FlexiblePathValidation;
 }
@@ -1,11 +1,13 @@
 import GameSystemManager from './GameSystemManager.js';
 import ScreenManager from './ScreenManager.js';
 import DefenseManager from './DefenseManager.js';
+import SpellManager from './SpellManager.js';
 import UIManager from './UIManager.js';
 import { camera } from './camera.js';
 import { inputManager } from './input.js';
 import { particleSystem } from './particle.js';
 import { projectilePool } from './Projectile.js';
+import Rewards from './rewards.js';
 import { spriteManager } from './sprite.js';
 import Utils from './utils.js';
 
@@ -18,6 +20,7 @@ class Game {
         this.systemManager = systemManager;
         this.screenManager = screenManager;
         this.defenseManager = new DefenseManager();
+        this.spellManager = new SpellManager();
         this.uiManager = uiManager;
 
         // Game state
@@ -46,6 +49,18 @@ class Game {
             anonymity: 75
         };
 
+        // Income earned during the current wave, by source, for the wave
+        // summary: [{ id, label, amount }]
+        this.waveIncome = [];
+
+        // Difficulty preset and mutators for the run (js/difficulty.js), and
+        // the defense types the current level bans
+        this.difficulty = window.Difficulty.normalize();
+        this.bannedTowers = [];
+
+        // { seed } while an endless run is being played (js/endless.js)
+        this.endless = null;
+
         // Game objects
         this.enemies = [];
         this.projectiles = [];
@@ -55,6 +70,14 @@ class Game {
         this.lastUpdate = 0;
         this.deltaTime = 0;
 
+        // Unsimulated time carried between frames in deterministic mode
+        this.simulationAccumulator = 0;
+
+        // Player commands waiting for the next simulation tick (deterministic
+        // mode only), and whether each level run is recorded as a replay
+        this.pendingCommands = [];
+        this.recordReplays = false;
+
         // Canvas resize control
         this.canvasResizeEnabled = false;
         this.resizeRetryCount = 0;
@@ -106,7 +129,19 @@ class Game {
             lastCanvasSize: { width: 0, height: 0 }
         };
 
+        // Offscreen layer for the Fog of War mutator, created on first use
+        this.fogCanvas = null;
+
+        // Times the warning shown for each telegraphed boss ability to the
+        // boss's cooldown (js/bossWarningSynchronizer.js)
+        this.bossWarningSynchronizer = window.BossWarningSynchronizer ? new window.BossWarningSynchronizer(this) : null;
+
+        // Slow motion, camera and title card when a boss changes phase
+        // (js/bossPhaseCinematics.js)
+        this.bossPhaseCinematics = window.BossPhaseCinematics ? new window.BossPhaseCinematics(this) : null;
+
         this.initializeDebugMode();
+        this.initializeSimulationMode();
         this.initializeBackgroundCache();
         this.setupEventListeners();
     }
@@ -132,6 +167,49 @@ class Game {
         }
     }
 
+    // Deterministic mode: ?seed=<n> runs the simulation on a fixed tick with a
+    // seeded RNG so identical inputs reproduce identical outcomes.
+    initializeSimulationMode() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const seedParam = urlParams.get('seed');
+
+        if (seedParam !== null) {
+            const seed = parseInt(seedParam, 10);
+            this.setDeterministicMode(true, isNaN(seed) ? undefined : seed);
+        }
+
+        // ?record=1 records every level run; replays need a fixed tick, so
+        // pick a seed if none was given
+        const recordParam = urlParams.get('record');
+        if (recordParam === 'true' || recordParam === '1') {
+            if (!this.isDeterministic()) {
+                this.setDeterministicMode(true, Date.now() % 1000000);
+            }
+            this.recordReplays = true;
+        }
+    }
+
+    setDeterministicMode(enabled, seed) {
+        if (!window.simulation) {
+            console.warn('[Game] Simulation module not loaded, deterministic mode unavailable');
+            return false;
+        }
+
+        if (enabled) {
+            const defaultSeed = window.CONFIG?.SIMULATION?.defaultSeed ?? 1;
+            window.simulation.enableDeterministic(seed !== undefined ? seed : defaultSeed);
+        } else {
+            window.simulation.disableDeterministic();
+        }
+
+        this.simulationAccumulator = 0;
+        return true;
+    }
+
+    isDeterministic() {
+        return !!(window.simulation && window.simulation.deterministic);
+    }
+
     logDebug(message, data = null, category = 'general') {
         if (!this.debugConfig.enabled) return;
 
@@ -284,10 +362,15 @@ class Game {
     setupManagerCallbacks() {
         // Screen manager callbacks
         console.log('[Game] Setting up screen manager callbacks');
-        this.screenManager.on('startNewGame', () => {
+        this.screenManager.on('startNewGame', (data) => {
             console.log('[Game] startNewGame callback triggered');
+            if (data && data.difficulty) this.setDifficulty(data.difficulty);
             this.startNewGame();
         });
+        this.screenManager.on('startEndless', (data) => {
+            if (data && data.difficulty) this.setDifficulty(data.difficulty);
+            this.startEndless(data ? data.seed : null);
+        });
         this.screenManager.on('continueGame', () => {
             console.log('[Game] continueGame callback triggered');
             this.continueGame();
@@ -298,22 +381,70 @@ class Game {
 
         // Victory / defeat / level-select screen actions
         this.screenManager.on('nextLevel', () => {
+            this.clearCustomLevel();
+            this.endless = null;
             this.startLevel(Math.min(this.gameState.level + 1, this.totalLevels));
         });
         this.screenManager.on('replayLevel', () => this.startLevel(this.gameState.level));
         this.screenManager.on('retryLevel', () => this.startLevel(this.gameState.level));
         this.screenManager.on('startLevel', (data) => {
             const level = data && data.level ? data.level : 1;
+            if (data && data.difficulty) this.setDifficulty(data.difficulty);
+            this.clearCustomLevel();
+            this.endless = null;
             this.gameState.score = 0;
             this.startLevel(level);
         });
 
+        // Level editor playtests
+        this.screenManager.on('playCustomLevel', (data) => this.playCustomLevel(data.level));
+
+        // Replays
+        this.screenManager.on('playReplay', (data) => this.playReplay(data.replay));
+        this.screenManager.on('downloadReplay', () => this.downloadReplay());
+
         // Defense manager callbacks
         this.defenseManager.on('checkResources', (data) => this.checkResources(data.cost));
         this.defenseManager.on('deductResources', (data) => this.deductResources(data.cost));
         this.defenseManager.on('refundResources', (data) => this.refundResources(data.refund));
+        this.defenseManager.on('generateResources', (data) => {
+            this.addResources(data.amount);
+            this.recordIncome('abilities', 'Defense abilities', data.amount);
+        });
+        this.defenseManager.on('getResources', () => this.resources);
+        this.defenseManager.on('drainResources', (data) => this.drainResources(data.amount));
         this.defenseManager.on('defensePlace', (data) => this.onDefensePlace(data));
+        this.defenseManager.on('placementFailure', (data) => {
+            if (data.reason === 'blocks_route') {
+                this.uiManager.showNotification('That would block the enemy route', 'warning');
+            } else if (data.reason === 'banned') {
+                this.uiManager.showNotification(`${this.defenseManager.defenseTypes[data.type].name} is banned this level`, 'warning');
+            }
+        });
+        this.defenseManager.on('sellFailure', (data) => {
+            if (data.reason === 'no_selling') {
+                this.uiManager.showNotification('Selling is disabled by the No Selling mutator', 'warning');
+            }
+        });
         this.defenseManager.on('defenseFireProjectile', (data) => this.onDefenseFireProjectile(data));
+        this.defenseManager.on('playerCommand', (command) => this.issueCommand(command.type, command.data));
+        this.defenseManager.on('showUpgradeTree', (data) => this.screenManager.showUpgradeTree(data.defense, this.defenseManager));
+        this.defenseManager.on('defenseUpgraded', (data) => this.screenManager.refreshUpgradeTree(data.defense));
+
+        // Spell manager callbacks
+        this.spellManager.on('checkResources', (data) => this.checkResources(data.cost));
+        this.spellManager.on('deductResources', (data) => this.deductResources(data.cost));
+        this.spellManager.on('playerCommand', (command) => this.issueCommand(command.type, command.data));
+        this.spellManager.on('getField', () => this.getSpellField());
+        this.spellManager.on('spellCast', (data) => this.onSpellCast(data));
+        this.spellManager.on('castFailure', (data) => {
+            const spell = this.spellManager.getSpell(data.spell);
+            const message = data.reason === 'cooldown'
+                ? `${spell.name} is recharging`
+                : `Not enough resources for ${spell.name}`;
+            this.uiManager.showNotification(message, 'warning');
+        });
+        this.screenManager.on('castSpell', (data) => this.spellManager.selectSpell(data.spell));
 
         // Level manager callbacks
         const levelManager = this.systemManager.getLevelManager();
@@ -324,7 +455,9 @@ class Game {
                 onLevelComplete: (data) => this.onLevelComplete(data),
                 onEnemySpawn: (data) => this.onEnemySpawn(data),
                 // onEnemyKilled removed to prevent recursion loops
-                onEnemySpawnRequest: (enemyData, spawnPoint, path) => this.spawnEnemy(enemyData, spawnPoint, path)
+                onEnemySpawnRequest: (enemyData, spawnPoint, path) => this.spawnEnemy(enemyData, spawnPoint, path),
+                onWaveContextRequest: () => this.getWaveContext(),
+                onPathChanged: (data) => this.onPathChanged(data)
             });
         }
     }
@@ -451,7 +584,7 @@ class Game {
     setupEventListeners() {
         // Game control events
         document.addEventListener('gameSpeedChange', (e) => {
-            this.gameState.gameSpeed = e.detail.speed;
+            this.issueCommand('setGameSpeed', { speed: e.detail.speed });
         });
 
         document.addEventListener('togglePause', () => {
@@ -459,12 +592,20 @@ class Game {
         });
 
         document.addEventListener('startNextWave', () => {
-            this.startNextWave();
+            this.issueCommand('startWave');
+        });
+
+        document.addEventListener('skipCinematic', () => {
+            this.skipBossPhaseCinematic();
         });
 
         document.addEventListener('selectDefenseType', (e) => {
             this.defenseManager.selectDefenseType(e.detail.type);
         });
+
+        document.addEventListener('castSpell', (e) => {
+            this.spellManager.selectSpell(e.detail.spell);
+        });
     }
 
     // Game Flow Methods
@@ -473,9 +614,77 @@ class Game {
         // A brand-new campaign run resets the cumulative score; per-level state
         // is handled by startLevel().
         this.gameState.score = 0;
+        this.clearCustomLevel();
+        this.endless = null;
         this.startLevel(1);
     }
 
+    // An endless run on the CONFIG.ENDLESS map. The same seed plays the same
+    // waves and paths; without one a new seed is drawn. Retry replays it.
+    startEndless(seed = null) {
+        this.endless = { seed: window.Endless.normalizeSeed(seed) };
+        this.gameState.score = 0;
+        this.clearCustomLevel();
+        this.startLevel(window.Endless.getRules().level);
+    }
+
+    // Play a level file from the level editor (see js/level.js). Retry and
+    // Replay keep playing it until another level is chosen.
+    playCustomLevel(levelFile) {
+        const levelManager = this.systemManager.getLevelManager();
+        if (!levelManager) return false;
+
+        const errors = levelManager.setCustomLevel(levelFile);
+        if (errors.length > 0) {
+            this.uiManager.showNotification(`Level file rejected: ${errors[0]}`, 'error');
+            return false;
+        }
+
+        this.gameState.score = 0;
+        this.endless = null;
+        this.startLevel(levelFile.level);
+        return true;
+    }
+
+    clearCustomLevel() {
+        const levelManager = this.systemManager.getLevelManager();
+        if (levelManager) {
+            levelManager.clearCustomLevel();
+        }
+    }
+
+    // Difficulty preset and mutators ({ preset, mutators }) used from the
+    // next level started on
+    setDifficulty(settings) {
+        this.difficulty = window.Difficulty.normalize(settings);
+    }
+
+    // Hand the difficulty rules to the managers for a fresh or loaded
+    // level. Tower bans are drawn from the simulation RNG, straight after
+    // startLevel() resets it, unless a save already fixed them.
+    applyDifficulty(bannedTowers = null) {
+        const difficulty = window.Difficulty;
+        const types = Object.keys(this.defenseManager.defenseTypes);
+
+        this.bannedTowers = bannedTowers
+            ? bannedTowers.filter(type => types.includes(type))
+            : difficulty.pickBannedTowers(this.difficulty, types, () => window.simulation.random());
+        this.defenseManager.setRules({
+            bannedTypes: this.bannedTowers,
+            noSelling: difficulty.getModifiers(this.difficulty).noSelling
+        });
+
+        const levelManager = this.systemManager.getLevelManager();
+        if (levelManager) {
+            levelManager.setDifficultySettings(this.difficulty);
+        }
+
+        if (this.bannedTowers.length > 0) {
+            const names = this.bannedTowers.map(type => this.defenseManager.defenseTypes[type].name);
+            this.uiManager.showNotification(`Banned this level: ${names.join(', ')}`, 'warning', 5000);
+        }
+    }
+
     // Begin (or restart) a specific campaign level. Used by New Game, the
     // victory screen's "Next Level"/"Replay", the defeat screen's "Retry",
     // and level select. Resets per-level state but preserves cumulative score.
@@ -491,26 +700,45 @@ class Game {
         this.gameState.maxLives = 10;
         this.gameState.ended = false;
 
-        this.resources = {
-            dharma: 250,
-            bandwidth: 50,
-            anonymity: 75
-        };
+        this.resources = window.Difficulty.getStartingResources(this.difficulty);
 
         // Clear game objects
         this.enemies.length = 0;
         this.projectiles.length = 0;
         this.effects.length = 0;
+        if (this.bossWarningSynchronizer) {
+            this.bossWarningSynchronizer.clearAllWarnings();
+        }
+        if (this.bossPhaseCinematics) {
+            this.bossPhaseCinematics.stop();
+        }
+        this.uiManager.clearBossHealthBars();
         this.castleFlash = 0;
 
+        // Same seed, same level run
+        this.pendingCommands.length = 0;
+        if (this.isDeterministic()) {
+            window.simulation.reset();
+            this.simulationAccumulator = 0;
+            this.startReplayRecording(levelNumber);
+        }
+
         // Reset managers
         this.defenseManager.clear();
+        this.spellManager.clear();
+        this.waveIncome = [];
         if (particleSystem) particleSystem.clear();
         if (projectilePool) projectilePool.clear();
 
         // Initialize level
+        this.applyDifficulty();
         const levelManager = this.systemManager.getLevelManager();
         if (levelManager) {
+            // A replay lays the path it was recorded on
+            const replaySystem = window.replaySystem;
+            const replay = replaySystem && replaySystem.isPlaying() ? replaySystem.replay : null;
+            levelManager.setEndless(this.endless);
+            levelManager.setPathSeed(replay && replay.pathSeed !== undefined ? replay.pathSeed : null);
             levelManager.initializeLevel(levelNumber);
         }
 
@@ -565,15 +793,57 @@ class Game {
 
     pauseGame() {
         this.gameState.paused = true;
+        if (this.bossWarningSynchronizer) {
+            this.bossWarningSynchronizer.pauseWarnings();
+        }
         console.log('[Game] Game paused');
     }
 
     resumeGame() {
         this.gameState.paused = false;
         this.lastUpdate = Utils.performance.now();
+        if (this.bossWarningSynchronizer) {
+            this.bossWarningSynchronizer.resumeWarnings();
+        }
         console.log('[Game] Game resumed');
     }
 
+    // A telegraphed boss ability is winding up (called by the warning
+    // synchronizer); the area itself is drawn on the canvas by the boss
+    showBossWarning(boss, abilityType, duration) {
+        if (!this.uiManager) return;
+
+        const seconds = Math.max(1, Math.ceil(duration / 1000));
+        this.uiManager.showNotification(`⚠ ${boss.name}: ${window.BossAbilities.getName(abilityType)} in ${seconds}s`, 'warning', duration);
+    }
+
+    // Called by a boss entering a new phase; false when there is nothing to
+    // present it with and the boss should announce itself
+    playBossPhaseCinematic(boss) {
+        if (!this.bossPhaseCinematics) return false;
+
+        this.bossPhaseCinematics.play(boss);
+        return true;
+    }
+
+    skipBossPhaseCinematic() {
+        return this.bossPhaseCinematics ? this.bossPhaseCinematics.skip() : false;
+    }
+
+    // Game speed with any boss phase slow motion applied: the rate game
+    // time actually runs at
+    getTimeScale() {
+        const slowMotion = this.bossPhaseCinematics ? this.bossPhaseCinematics.getTimeScale() : 1;
+        return this.gameState.gameSpeed * slowMotion;
+    }
+
+    // Boss warnings count game time, so they are rebased on every change
+    onTimeScaleChanged() {
+        if (this.bossWarningSynchronizer) {
+            this.bossWarningSynchronizer.adjustWarningSpeedMultiplier(this.getTimeScale());
+        }
+    }
+
     togglePause() {
         if (this.gameState.paused) {
             this.resumeGame();
@@ -583,6 +853,15 @@ class Game {
     }
 
     returnToMenu() {
+        // Keep the run resumable from the main menu's Continue button
+        if (this.gameState.running && !this.gameState.ended) {
+            this.saveGame();
+        }
+        this.finishReplay('abandoned');
+        if (this.bossPhaseCinematics) {
+            this.bossPhaseCinematics.stop();
+        }
+
         this.gameState.running = false;
         this.canvasResizeEnabled = false; // Disable canvas resize when returning to menu
         console.log('[Game] Returned to menu');
@@ -614,10 +893,26 @@ class Game {
         this.adaptPerformanceSettings();
 
         // Game update and render
-        const scaledDeltaTime = Math.min(deltaTime * this.gameState.gameSpeed, 33.33); // Cap at 30fps equivalent
+        if (this.isDeterministic()) {
+            this.runFixedSteps(deltaTime);
+        } else {
+            const scaledDeltaTime = Math.min(deltaTime * this.getTimeScale(), 33.33); // Cap at 30fps equivalent
+
+            if (!this.gameState.paused) {
+                this.update(scaledDeltaTime);
+            }
+        }
 
+        // The camera and boss phase cinematics run on real time: they move
+        // the same however fast game time runs, and never touch the
+        // simulation
         if (!this.gameState.paused) {
-            this.update(scaledDeltaTime);
+            if (this.bossPhaseCinematics) {
+                this.bossPhaseCinematics.update(deltaTime);
+            }
+            if (camera) {
+                camera.update(deltaTime);
+            }
         }
 
         // Conditional rendering based on performance
@@ -629,6 +924,50 @@ class Game {
         requestAnimationFrame((time) => this.gameLoop(time));
     }
 
+    // Deterministic mode: wall-clock time only decides how many fixed ticks to
+    // run; the simulation itself always sees the same deltaTime. Game speed
+    // (and boss phase slow motion) changes the number of ticks per frame,
+    // never the tick length.
+    runFixedSteps(frameDeltaTime) {
+        if (this.gameState.paused) {
+            this.simulationAccumulator = 0;
+            return;
+        }
+
+        const simulation = window.simulation;
+        const step = simulation.fixedTimestep;
+        const timeScale = this.getTimeScale();
+
+        this.simulationAccumulator += frameDeltaTime * timeScale;
+
+        let steps = 0;
+        while (this.simulationAccumulator >= step && steps < simulation.maxStepsPerFrame * timeScale) {
+            this.stepSimulation();
+            this.simulationAccumulator -= step;
+            steps++;
+        }
+
+        // Too far behind (tab was hidden, slow device): drop the backlog
+        // rather than spiralling. Dropped wall-clock time never reaches the
+        // simulation, so determinism is unaffected.
+        if (this.simulationAccumulator >= step) {
+            this.simulationAccumulator = 0;
+        }
+    }
+
+    // Advance the simulation by exactly one fixed tick. Player commands are
+    // applied at the start of the tick, so a replay feeding the same commands
+    // on the same ticks reproduces the run.
+    stepSimulation() {
+        const simulation = window.simulation;
+        simulation.step();
+        this.applyCommands(simulation.tick);
+        this.update(simulation.fixedTimestep);
+
+        // A tick can end the run (defeat/victory); later ticks are no-ops
+        return this.gameState.running;
+    }
+
     updateFrameStats(currentTime, deltaTime) {
         this.frameStats.frameCount++;
         this.frameStats.frameTimeAccumulator += deltaTime;
@@ -726,16 +1065,13 @@ class Game {
             inputManager.update();
         }
 
-        // Update camera
-        if (camera) {
-            camera.update(deltaTime);
-        }
-
         // Update enemies
         this.updateEnemies(deltaTime);
 
         // Update defenses
         this.defenseManager.update(deltaTime, this.enemies);
+        this.spellManager.update(deltaTime);
+        this.updateEconomy(deltaTime);
 
         // Update projectiles
         this.updateProjectiles(deltaTime);
@@ -767,7 +1103,7 @@ class Game {
             const enemy = this.enemies[i];
 
             if (enemy.update) {
-                enemy.update(deltaTime);
+                enemy.update(deltaTime, this.defenseManager.defenses, this.enemies);
             }
 
             // Remove dead enemies
@@ -814,10 +1150,13 @@ class Game {
         this.renderPath();
         this.renderCastle();
 
+        this.renderBossTelegraphs();
         this.renderEnemies();
         this.defenseManager.render(this.ctx);
         this.renderProjectiles();
+        this.spellManager.render(this.ctx);
         this.renderParticles();
+        this.renderFog();
 
         // Restore camera
         if (restoreCamera) {
@@ -863,23 +1202,41 @@ class Game {
             return;
         }
 
-        const path = levelManager.getCurrentPath();
-        if (!path || path.length < 2) {
-            this.logDebug('Invalid path for rendering', { pathLength: path?.length }, 'warn');
+        const lanes = levelManager.getLanes().filter(lane => lane && lane.length >= 2);
+        if (lanes.length === 0) {
+            this.logDebug('Invalid path for rendering', { laneCount: levelManager.getLanes().length }, 'warn');
             return;
         }
 
         // Debug logging (rate limited)
         this.logDebug('Path rendered', {
-            pathLength: path.length,
-            firstPoint: path[0],
-            lastPoint: path[path.length - 1]
+            laneCount: lanes.length,
+            pathLength: lanes[0].length,
+            firstPoint: lanes[0][0],
+            lastPoint: lanes[0][lanes[0].length - 1]
         }, 'performance');
 
+        const strokeLanes = () => {
+            for (const path of lanes) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(path[0].x, path[0].y);
+                for (let i = 1; i < path.length; i++) {
+                    this.ctx.lineTo(path[i].x, path[i].y);
+                }
+                this.ctx.stroke();
+            }
+        };
+
         // Save context for path rendering
         this.ctx.save();
 
-        // Create a glowing, cyberpunk-style path
+        // Open-field levels show the build grid under the current routes
+        if (levelManager.pathfinder) {
+            this.renderBuildGrid(levelManager.pathfinder);
+        }
+
+        // Create a glowing, cyberpunk-style path. Each layer is drawn for
+        // every lane before the next, so merging lanes blend into one road.
         // 1. Draw outer glow/shadow
         this.ctx.globalAlpha = 0.3;
         this.ctx.strokeStyle = '#00d4ff';
@@ -888,13 +1245,7 @@ class Game {
         this.ctx.lineJoin = 'round';
         this.ctx.shadowBlur = 15;
         this.ctx.shadowColor = '#00d4ff';
-
-        this.ctx.beginPath();
-        this.ctx.moveTo(path[0].x, path[0].y);
-        for (let i = 1; i < path.length; i++) {
-            this.ctx.lineTo(path[i].x, path[i].y);
-        }
-        this.ctx.stroke();
+        strokeLanes();
 
         // 2. Draw main path body
         this.ctx.globalAlpha = 0.8;
@@ -902,89 +1253,87 @@ class Game {
         this.ctx.lineWidth = 14;
         this.ctx.shadowBlur = 8;
         this.ctx.shadowColor = '#0088cc';
-
-        this.ctx.beginPath();
-        this.ctx.moveTo(path[0].x, path[0].y);
-        for (let i = 1; i < path.length; i++) {
-            this.ctx.lineTo(path[i].x, path[i].y);
-        }
-        this.ctx.stroke();
+        strokeLanes();
 
         // 3. Draw bright center line
         this.ctx.globalAlpha = 1.0;
         this.ctx.strokeStyle = '#ffffff';
         this.ctx.lineWidth = 4;
         this.ctx.shadowBlur = 0;
-
-        this.ctx.beginPath();
-        this.ctx.moveTo(path[0].x, path[0].y);
-        for (let i = 1; i < path.length; i++) {
-            this.ctx.lineTo(path[i].x, path[i].y);
-        }
-        this.ctx.stroke();
+        strokeLanes();
 
         // 4. Add data flow effect dots (only in quality mode for performance)
         if (this.performanceConfig.performanceMode !== 'performance') {
             this.ctx.globalAlpha = 0.9;
             const time = Date.now() * 0.003;
-            for (let i = 0; i < path.length - 1; i++) {
-                const segment = i / (path.length - 1);
-                const flowOffset = (time + segment * 2) % 1;
-
-                const startX = path[i].x;
-                const startY = path[i].y;
-                const endX = path[i + 1].x;
-                const endY = path[i + 1].y;
-
-                const dotX = startX + (endX - startX) * flowOffset;
-                const dotY = startY + (endY - startY) * flowOffset;
-
-                this.ctx.fillStyle = '#ffd60a';
-                this.ctx.shadowBlur = 5;
-                this.ctx.shadowColor = '#ffd60a';
-                this.ctx.beginPath();
-                this.ctx.arc(dotX, dotY, 3, 0, Math.PI * 2);
-                this.ctx.fill();
+            for (const path of lanes) {
+                for (let i = 0; i < path.length - 1; i++) {
+                    const segment = i / (path.length - 1);
+                    const flowOffset = (time + segment * 2) % 1;
+
+                    const startX = path[i].x;
+                    const startY = path[i].y;
+                    const endX = path[i + 1].x;
+                    const endY = path[i + 1].y;
+
+                    const dotX = startX + (endX - startX) * flowOffset;
+                    const dotY = startY + (endY - startY) * flowOffset;
+
+                    this.ctx.fillStyle = '#ffd60a';
+                    this.ctx.shadowBlur = 5;
+                    this.ctx.shadowColor = '#ffd60a';
+                    this.ctx.beginPath();
+                    this.ctx.arc(dotX, dotY, 3, 0, Math.PI * 2);
+                    this.ctx.fill();
+                }
             }
         }
 
-        // 5. Add path endpoint markers
-        this.ctx.shadowBlur = 10;
+        // 5. Add path endpoint markers for every lane
+        for (const path of lanes) {
+            this.renderPathMarker(path[0], '#00ff88');
+            this.renderPathMarker(path[path.length - 1], '#ff4444');
+        }
 
-        // Start point (spawn)
-        this.ctx.fillStyle = '#00ff88';
-        this.ctx.shadowColor = '#00ff88';
-        this.ctx.beginPath();
-        this.ctx.arc(path[0].x, path[0].y, 12, 0, Math.PI * 2);
-        this.ctx.fill();
+        // Restore context
+        this.ctx.restore();
+    }
 
-        // Inner glow for start
-        this.ctx.globalAlpha = 0.6;
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.shadowBlur = 0;
+    renderBuildGrid(pathfinder) {
+        const width = pathfinder.cols * pathfinder.cellSize;
+        const height = pathfinder.rows * pathfinder.cellSize;
+
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.strokeStyle = 'rgba(0, 212, 255, 0.08)';
+        this.ctx.lineWidth = 1;
         this.ctx.beginPath();
-        this.ctx.arc(path[0].x, path[0].y, 6, 0, Math.PI * 2);
-        this.ctx.fill();
+        for (let x = 0; x <= width; x += pathfinder.cellSize) {
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+        }
+        for (let y = 0; y <= height; y += pathfinder.cellSize) {
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(width, y);
+        }
+        this.ctx.stroke();
+    }
 
-        // End point (exit)
+    // Spawn (green) and exit (red) marker with a white inner glow
+    renderPathMarker(point, color) {
         this.ctx.globalAlpha = 1.0;
-        this.ctx.fillStyle = '#ff4444';
+        this.ctx.fillStyle = color;
         this.ctx.shadowBlur = 10;
-        this.ctx.shadowColor = '#ff4444';
+        this.ctx.shadowColor = color;
         this.ctx.beginPath();
-        this.ctx.arc(path[path.length - 1].x, path[path.length - 1].y, 12, 0, Math.PI * 2);
+        this.ctx.arc(point.x, point.y, 12, 0, Math.PI * 2);
         this.ctx.fill();
 
-        // Inner glow for end
         this.ctx.globalAlpha = 0.6;
         this.ctx.fillStyle = '#ffffff';
         this.ctx.shadowBlur = 0;
         this.ctx.beginPath();
-        this.ctx.arc(path[path.length - 1].x, path[path.length - 1].y, 6, 0, Math.PI * 2);
+        this.ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
         this.ctx.fill();
-
-        // Restore context
-        this.ctx.restore();
     }
 
     // The castle (temple/stupa) the player defends, drawn at the path's exit.
@@ -1080,12 +1429,26 @@ class Game {
         ctx.restore();
     }
 
+    // Warning areas are drawn even under fog of war: a hidden boss still
+    // shows where it is about to strike
+    renderBossTelegraphs() {
+        this.enemies.forEach(enemy => {
+            if (enemy && enemy.isBoss && enemy.renderTelegraphs) {
+                enemy.renderTelegraphs(this.ctx);
+            }
+        });
+    }
+
     renderEnemies() {
         // Debug logging (rate limited)
         this.logDebug('Enemies rendered', { count: this.enemies.length }, 'performance');
 
+        // Under fog of war only enemies a defense can see are drawn
+        const vision = window.Difficulty.getVision(this.difficulty, this.defenseManager.defenses);
+
         for (let i = 0; i < this.enemies.length; i++) {
             const enemy = this.enemies[i];
+            if (enemy && !window.Difficulty.isVisible(enemy, vision)) continue;
             if (enemy && enemy.render) {
                 enemy.render(this.ctx);
             } else {
@@ -1106,28 +1469,65 @@ class Game {
         }
     }
 
+    // Darken the field outside what the defenses can see (Fog of War mutator)
+    renderFog() {
+        const vision = window.Difficulty.getVision(this.difficulty, this.defenseManager.defenses);
+        if (!vision) return;
+
+        if (!this.fogCanvas) {
+            this.fogCanvas = document.createElement('canvas');
+        }
+        const fog = this.fogCanvas;
+        if (fog.width !== this.canvas.width || fog.height !== this.canvas.height) {
+            fog.width = this.canvas.width;
+            fog.height = this.canvas.height;
+        }
+
+        const fogCtx = fog.getContext('2d');
+        fogCtx.globalCompositeOperation = 'source-over';
+        fogCtx.clearRect(0, 0, fog.width, fog.height);
+        fogCtx.fillStyle = 'rgba(5, 5, 15, 0.75)';
+        fogCtx.fillRect(0, 0, fog.width, fog.height);
+
+        // Cut out each defense's sight, with a soft edge
+        fogCtx.globalCompositeOperation = 'destination-out';
+        vision.forEach(circle => {
+            const gradient = fogCtx.createRadialGradient(circle.x, circle.y, circle.radius * 0.7, circle.x, circle.y, circle.radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            fogCtx.fillStyle = gradient;
+            fogCtx.beginPath();
+            fogCtx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
+            fogCtx.fill();
+        });
+
+        this.ctx.drawImage(fog, 0, 0);
+    }
+
     renderUI() {
         // UI is handled by UIManager, just render any game-specific overlays here
     }
 
     // Event Handlers
     handleMouseDown(data) {
+        // A click on the field during a boss phase cinematic only skips it
+        if (this.skipBossPhaseCinematic()) return;
+
         if (this.defenseManager.placementMode) {
-            const placed = this.defenseManager.placeDefense(data.worldX, data.worldY);
-            if (!placed) {
-                // Show error feedback
-                if (this.systemManager.getAudioManager()) {
-                    this.systemManager.getAudioManager().playSound('ui_error');
-                }
-            }
+            this.issueCommand('placeDefense', {
+                x: data.worldX,
+                y: data.worldY,
+                type: this.defenseManager.selectedDefenseType
+            });
         } else {
-            // Check for defense selection
+            // Check for defense selection, then for an enemy to inspect
             const clickedDefense = this.findDefenseAt(data.worldX, data.worldY);
             if (clickedDefense) {
                 this.defenseManager.selectDefense(clickedDefense);
             } else {
                 this.defenseManager.deselectDefense();
             }
+            this.uiManager.showEnemyInfo(clickedDefense ? null : this.findEnemyAt(data.worldX, data.worldY));
         }
     }
 
@@ -1145,12 +1545,172 @@ class Game {
         return null;
     }
 
+    findEnemyAt(x, y) {
+        for (const enemy of this.enemies) {
+            if (!enemy.isAlive) continue;
+            const distance = Utils.math.distance(x, y, enemy.x, enemy.y);
+            if (distance <= (enemy.size || 15)) {
+                return enemy;
+            }
+        }
+        return null;
+    }
+
+    // Player Commands
+    // Every action that changes the simulation goes through issueCommand().
+    // In deterministic mode commands wait for the next tick (and are recorded
+    // if a replay is running); otherwise they apply immediately.
+    issueCommand(type, data = {}) {
+        const replaySystem = window.replaySystem;
+
+        // The replay is in control during playback
+        if (replaySystem && replaySystem.isPlaying()) {
+            return true;
+        }
+
+        if (this.isDeterministic()) {
+            this.pendingCommands.push({ type, data });
+        } else {
+            this.executeCommand({ type, data });
+        }
+        return true;
+    }
+
+    applyCommands(tick) {
+        const replaySystem = window.replaySystem;
+        const commands = replaySystem && replaySystem.isPlaying()
+            ? replaySystem.takeCommands(tick)
+            : this.pendingCommands.splice(0);
+
+        for (const queued of commands) {
+            const command = this.defenseManager.resolveCommand(queued);
+            if (replaySystem) {
+                replaySystem.recordCommand(tick, command);
+            }
+            this.executeCommand(command);
+        }
+    }
+
+    executeCommand({ type, data }) {
+        switch (type) {
+            case 'placeDefense': {
+                const placed = this.defenseManager.executeCommand(type, data);
+                if (!placed && this.systemManager.getAudioManager()) {
+                    // Show error feedback
+                    this.systemManager.getAudioManager().playSound('ui_error');
+                }
+                return placed;
+            }
+            case 'sellDefense':
+            case 'upgradeDefense':
+            case 'setTargeting':
+                return this.defenseManager.executeCommand(type, data);
+            case 'castSpell':
+                return this.spellManager.executeCommand(type, data, this.getSpellField());
+            case 'startWave':
+                return this.startNextWave();
+            case 'setGameSpeed':
+                this.gameState.gameSpeed = data.speed;
+                this.onTimeScaleChanged();
+                return true;
+            default:
+                console.warn(`[Game] Unknown command: ${type}`);
+                return false;
+        }
+    }
+
+    // Replays
+    startReplayRecording(levelNumber) {
+        const replaySystem = window.replaySystem;
+        if (!replaySystem || !this.recordReplays || replaySystem.isPlaying()) return;
+
+        // Restarting mid-run keeps the abandoned attempt as its own replay
+        this.finishReplay('abandoned');
+
+        const levelManager = this.systemManager.getLevelManager();
+        const customLevel = levelManager && levelManager.isCustomLevel(levelNumber);
+        replaySystem.startRecording({
+            seed: window.simulation.seed,
+            level: levelNumber,
+            fixedTimestep: window.simulation.fixedTimestep,
+            difficulty: this.difficulty,
+            endless: this.endless,
+            pathSeed: levelManager && !this.endless && !customLevel ? levelManager.getPathSeed(levelNumber) : null,
+            customLevel: customLevel ? levelManager.customLevel : null
+        });
+    }
+
+    finishReplay(result) {
+        const replaySystem = window.replaySystem;
+        if (!replaySystem) return;
+
+        if (replaySystem.isRecording()) {
+            replaySystem.stopRecording(window.simulation.tick, result);
+        } else if (replaySystem.isPlaying()) {
+            replaySystem.stopPlayback();
+        }
+    }
+
+    // Accepts a replay object or the JSON text of a replay file
+    playReplay(replay) {
+        const replaySystem = window.replaySystem;
+        if (!replaySystem || !window.simulation) {
+            console.warn('[Game] Replay system not loaded');
+            return false;
+        }
+
+        const parsed = typeof replay === 'string' ? replaySystem.importReplay(replay) : replay;
+        if (!parsed) return false;
+
+        this.finishReplay('abandoned');
+        this.clearCustomLevel();
+        if (parsed.customLevel) {
+            const levelManager = this.systemManager.getLevelManager();
+            const errors = levelManager ? levelManager.setCustomLevel(parsed.customLevel) : ['Level manager not loaded'];
+            if (errors.length > 0) {
+                this.uiManager.showNotification(`Replay level rejected: ${errors[0]}`, 'error');
+                return false;
+            }
+        }
+        this.endless = parsed.endless ? { seed: parsed.endless.seed } : null;
+        this.setDifficulty(parsed.difficulty);
+        this.setDeterministicMode(true, parsed.seed);
+        window.simulation.fixedTimestep = parsed.fixedTimestep;
+
+        if (!replaySystem.startPlayback(parsed)) return false;
+
+        this.gameState.score = 0;
+        this.startLevel(parsed.level);
+        return true;
+    }
+
+    downloadReplay() {
+        const replaySystem = window.replaySystem;
+        const json = replaySystem ? replaySystem.exportReplay() : null;
+        if (!json) {
+            console.warn('[Game] No recorded replay to download');
+            return false;
+        }
+
+        const replay = replaySystem.lastReplay;
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dharmapala-replay-level${replay.level}-seed${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
     // Game Logic
     startNextWave() {
         const levelManager = this.systemManager.getLevelManager();
         if (levelManager && levelManager.canStartNextWave()) {
             levelManager.startWave();
+            return true;
         }
+        return false;
     }
 
     checkGameOver() {
@@ -1167,15 +1727,28 @@ class Game {
         if (this.gameState.ended) return;
         this.gameState.ended = true;
         this.gameState.running = false;
+        if (this.bossPhaseCinematics) {
+            this.bossPhaseCinematics.stop();
+        }
 
         console.log(`[Game] Game Over - ${victory ? 'Victory' : 'Defeat'}`);
+        this.finishReplay(victory ? 'victory' : 'defeat');
 
+        const saveSystem = this.systemManager.getSaveSystem();
         const event = new CustomEvent('gameOver', {
             detail: {
                 victory,
                 score: this.gameState.score,
                 level: this.gameState.level,
-                hasNextLevel: false
+                difficulty: window.Difficulty.describe(this.difficulty),
+                hasNextLevel: false,
+                endless: this.endless
+                    ? {
+                        seed: this.endless.seed,
+                        wave: this.gameState.wave,
+                        best: saveSystem ? saveSystem.getEndlessBest(this.endless.seed) : this.gameState.wave
+                    }
+                    : null
             }
         });
         document.dispatchEvent(event);
@@ -1189,23 +1762,31 @@ class Game {
         if (this.gameState.ended) return;
         this.gameState.ended = true;
         this.gameState.running = false;
+        if (this.bossPhaseCinematics) {
+            this.bossPhaseCinematics.stop();
+        }
 
         const completedLevel = (data && data.level) || this.gameState.level;
-        const hasNextLevel = completedLevel < this.totalLevels;
+        const levelManager = this.systemManager.getLevelManager();
+        const isCustomLevel = !!levelManager && levelManager.isCustomLevel(completedLevel);
+        const hasNextLevel = !isCustomLevel && completedLevel < this.totalLevels;
 
         console.log(`[Game] Level ${completedLevel} cleared (hasNextLevel=${hasNextLevel})`);
+        this.finishReplay('victory');
 
         const event = new CustomEvent('gameOver', {
             detail: {
                 victory: true,
                 score: this.gameState.score,
                 level: completedLevel,
+                difficulty: window.Difficulty.describe(this.difficulty),
                 hasNextLevel
             }
         });
         document.dispatchEvent(event);
 
         this.trackGameOverAchievements(true);
+        this.trackDifficultyAchievements();
     }
 
     // Resource Management
@@ -1240,12 +1821,49 @@ class Game {
         this.updateUI();
     }
 
+    // Losses (defense noise, market crashes) stop at zero; the UI catches
+    // up on the next frame
+    drainResources(amount) {
+        return window.Economy.drain(this.resources, amount);
+    }
+
+    // Bandwidth and anonymity trickle in while a wave is running (see js/economy.js)
+    updateEconomy(deltaTime) {
+        const levelManager = this.systemManager.getLevelManager();
+        if (!levelManager || !levelManager.isWaveInProgress()) return;
+
+        const income = window.Economy.getIncome(this.defenseManager.defenses, deltaTime);
+        window.Economy.RESOURCES.forEach(resource => {
+            this.resources[resource] += income[resource];
+        });
+        this.recordIncome('regeneration', 'Regeneration', income);
+    }
+
+    recordIncome(id, label, amount) {
+        let entry = this.waveIncome.find(item => item.id === id);
+        if (!entry) {
+            entry = { id, label, amount: { dharma: 0, bandwidth: 0, anonymity: 0 } };
+            this.waveIncome.push(entry);
+        }
+        Object.keys(entry.amount).forEach(resource => {
+            entry.amount[resource] += amount[resource] || 0;
+        });
+    }
+
     // Wave/Level Events
     onWaveStart(data) {
         console.log(`[Game] Wave ${data.wave} started`);
         this.gameState.wave = data.wave;
+        this.waveIncome = [];
+        this.uiManager.hideWaveSummary();
         this.updateUI();
 
+        // Endless runs keep the best wave reached per seed
+        const saveSystem = this.systemManager.getSaveSystem();
+        if (this.endless && saveSystem) {
+            saveSystem.recordEndlessWave(this.endless.seed, data.wave);
+        }
+
         // Trigger enemy spawning based on wave data
         if (data.waveData && data.waveData.enemies) {
             console.log(`[Game] Starting enemy spawning for wave ${data.wave}`);
@@ -1259,11 +1877,18 @@ class Game {
     onWaveComplete(data) {
         console.log(`[Game] Wave ${data.wave} completed`);
 
-        // Reward player
-        const reward = this.calculateWaveReward(data);
+        // Reward player: base reward, early call, perfect wave and interest
+        const payouts = this.calculateWavePayouts(data);
+        const reward = Rewards.total(payouts);
         this.addResources(reward);
 
-        // Show completion notification
+        // Show where this wave's income came from
+        this.uiManager.showWaveSummary({
+            wave: data.wave,
+            earned: this.waveIncome,
+            payouts,
+            total: Rewards.total([...this.waveIncome, ...payouts])
+        });
         this.uiManager.showNotification(`Wave ${data.wave} Complete! +${reward.dharma} Dharma`, 'success');
 
         if (this.systemManager.getAudioManager()) {
@@ -1284,6 +1909,20 @@ class Game {
         this.winLevel(data);
     }
 
+    // An endless run laid a new path: move the defenses standing on it
+    onPathChanged(data) {
+        const { moved, refunded } = this.defenseManager.relocateDefenses();
+        const parts = [];
+        if (moved.length > 0) parts.push(`${moved.length} defense${moved.length === 1 ? '' : 's'} moved`);
+        if (refunded.length > 0) parts.push(`${refunded.length} refunded`);
+
+        this.uiManager.showNotification(
+            `The path has shifted after wave ${data.wave}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`,
+            'warning',
+            5000
+        );
+    }
+
     spawnEnemy(enemyData, spawnPoint, path) {
         try {
             // Create enemy instance using Enemy factory
@@ -1298,26 +1937,8 @@ class Game {
                 return false;
             }
 
-            // Create enemy with correct parameters (type, x, y)
-            const enemy = new Enemy(enemyData.type, spawnPoint.x, spawnPoint.y);
-
-            // Set the path for the enemy
-            if (enemy.setPath && typeof enemy.setPath === 'function') {
-                enemy.setPath(path);
-            }
-
-            // Override with specific spawn data if provided
-            if (enemyData.health !== undefined) {
-                enemy.health = enemyData.health;
-                enemy.maxHealth = enemyData.health;
-            }
-            if (enemyData.speed !== undefined) {
-                enemy.speed = enemyData.speed;
-                enemy.baseSpeed = enemyData.speed;
-            }
-            if (enemyData.reward !== undefined) {
-                enemy.reward = enemyData.reward;
-            }
+            // Create the enemy (or boss) with its path, stats and modifiers
+            const enemy = Enemy.fromSpawnData(enemyData, spawnPoint, path);
 
             // Add enemy to game
             this.enemies.push(enemy);
@@ -1348,6 +1969,35 @@ class Game {
         }
     }
 
+    // A minion summoned by a boss ability (see js/bossAbilities.js). It
+    // walks the boss's lane from the boss's waypoint and counts towards the
+    // wave like any other enemy.
+    spawnMinion(boss, enemyData, x, y) {
+        const levelManager = this.systemManager.getLevelManager();
+        const path = levelManager ? levelManager.getLane(boss.lane) : null;
+        if (!path || path.length === 0) return null;
+
+        const minion = Enemy.fromSpawnData({ ...enemyData, lane: boss.lane }, { x, y }, path);
+        minion.pathIndex = boss.pathIndex;
+        minion.isBossMinion = true;
+
+        this.enemies.push(minion);
+        levelManager.onMinionSpawned();
+        return minion;
+    }
+
+    // Player state for wave-script branch conditions (see js/waveScript.js)
+    getWaveContext() {
+        return {
+            defenses: this.defenseManager ? this.defenseManager.getDefenseCount() : 0,
+            lives: this.gameState.lives,
+            score: this.gameState.score,
+            dharma: this.resources.dharma,
+            bandwidth: this.resources.bandwidth,
+            anonymity: this.resources.anonymity
+        };
+    }
+
     handleCanvasResize(dimensions) {
         try {
             console.log('[Game] Handling canvas resize:', dimensions);
@@ -1391,12 +2041,17 @@ class Game {
     }
 
     onEnemyKilled(data) {
-        // Award resources for kill
+        // Award resources for kill; bosses paid their own bundle in Boss.die()
         const reward = this.calculateKillReward(data.enemy);
         this.addResources(reward);
+        if (data.enemy.isBoss) {
+            this.recordIncome('bosses', 'Bosses defeated', data.enemy.reward);
+        } else {
+            this.recordIncome('kills', 'Enemies destroyed', reward);
+        }
 
         // Update score
-        this.gameState.score += reward.dharma * 10;
+        this.addScore(reward.dharma * 10);
 
         // Create death effect
         if (particleSystem) {
@@ -1421,6 +2076,9 @@ class Game {
         // Enemy reached the end, the castle takes a hit and loses a life
         this.gameState.lives--;
         this.castleFlash = 12;
+        if (enemy.isBoss) {
+            this.uiManager.removeBossHealthBar(enemy);
+        }
 
         if (this.gameState.lives > 0) {
             this.uiManager.showNotification('Enemy escaped! Life lost.', 'warning');
@@ -1449,6 +2107,28 @@ class Game {
         }
     }
 
+    // What player spells can reach
+    getSpellField() {
+        return { enemies: this.enemies, defenses: this.defenseManager.defenses };
+    }
+
+    onSpellCast(data) {
+        const achievementManager = this.systemManager.getAchievementManager();
+        if (achievementManager) {
+            achievementManager.trackSpellCast(data.spell, data.kills);
+        }
+
+        if (this.systemManager.getAudioManager()) {
+            this.systemManager.getAudioManager().playSound('spell_cast');
+        }
+
+        if (particleSystem && data.x !== null) {
+            particleSystem.emit('explosion', data.x, data.y);
+        }
+
+        this.updateUI();
+    }
+
     onDefenseFireProjectile(data) {
         // Projectile is handled by the projectile pool
         if (this.systemManager.getAudioManager()) {
@@ -1456,32 +2136,35 @@ class Game {
         }
     }
 
-    // Reward Calculations
+    // Reward Calculations (formulas live in rewards.js)
     calculateKillReward(enemy) {
-        const baseReward = enemy.reward || 10;
-        return {
-            dharma: baseReward,
-            bandwidth: Math.floor(baseReward * 0.1),
-            anonymity: Math.floor(baseReward * 0.05)
-        };
+        return Rewards.kill(enemy);
     }
 
-    calculateWaveReward(data) {
-        const baseReward = 50 + (data.wave * 10);
-        return {
-            dharma: baseReward,
-            bandwidth: Math.floor(baseReward * 0.2),
-            anonymity: Math.floor(baseReward * 0.1)
-        };
+    calculateWavePayouts(data) {
+        return Rewards.wavePayouts(data, {
+            banked: this.resources.dharma,
+            difficulty: this.getDifficulty(),
+            rewardMultiplier: this.getRewardMultiplier()
+        });
     }
 
     calculateLevelReward(data) {
-        const baseReward = 200 + (data.level * 50);
-        return {
-            dharma: baseReward,
-            bandwidth: Math.floor(baseReward * 0.3),
-            anonymity: Math.floor(baseReward * 0.2)
-        };
+        return Rewards.level(data, this.getDifficulty(), this.getRewardMultiplier());
+    }
+
+    getDifficulty() {
+        const levelManager = this.systemManager.getLevelManager();
+        return levelManager ? levelManager.getDifficulty() : 1;
+    }
+
+    getRewardMultiplier() {
+        return window.Difficulty.getModifiers(this.difficulty).rewards;
+    }
+
+    // Score is scaled by the difficulty preset and mutators
+    addScore(points) {
+        this.gameState.score += Math.round(points * window.Difficulty.getScoreMultiplier(this.difficulty));
     }
 
     // Achievement Tracking (Simplified)
@@ -1492,6 +2175,13 @@ class Game {
         }
     }
 
+    trackDifficultyAchievements() {
+        const achievementManager = this.systemManager.getAchievementManager();
+        if (achievementManager) {
+            achievementManager.trackChallengeComplete(this.difficulty);
+        }
+    }
+
     trackGameOverAchievements(victory) {
         const achievementManager = this.systemManager.getAchievementManager();
         if (achievementManager) {
@@ -1506,13 +2196,19 @@ class Game {
     // UI Updates
     updateUI() {
         this.uiManager.updateResources(this.resources);
+        this.uiManager.updateEconomy(window.Economy.describe(
+            this.resources, this.defenseManager.defenses, this.defenseManager.getShotLoad()));
         this.uiManager.updateGameState(this.gameState);
+        this.screenManager.updateSpellBar(this.spellManager.getStatus());
 
         const levelManager = this.systemManager.getLevelManager();
         if (levelManager) {
             const canStartWave = levelManager.canStartNextWave();
             const nextWave = levelManager.getNextWavePreview();
-            this.uiManager.updateWaveButton(canStartWave, nextWave);
+            const earlyBonus = Rewards.earlyCallBonus(
+                levelManager.getEarlyCallShare(), levelManager.getDifficulty(), this.getRewardMultiplier()
+            );
+            this.uiManager.updateWaveButton(canStartWave, nextWave, earlyBonus);
 
             if (levelManager.isWaveInProgress()) {
                 const progress = levelManager.getWaveProgress();
@@ -1526,9 +2222,36 @@ class Game {
         this.gameState.level = saveData.level || 1;
         this.gameState.wave = saveData.wave || 1;
         this.gameState.score = saveData.statistics?.totalScore || 0;
-        this.gameState.lives = 10; // Reset lives on load
+        this.gameState.ended = false;
 
         this.resources = saveData.resources || this.resources;
+
+        // Start from an empty field either way
+        this.enemies.length = 0;
+        this.defenseManager.clear();
+        this.spellManager.clear();
+        this.waveIncome = [];
+        if (projectilePool) projectilePool.clear();
+        if (particleSystem) particleSystem.clear();
+
+        // Saves from before difficulty settings play as the default preset
+        this.setDifficulty(saveData.difficulty);
+        this.applyDifficulty(saveData.difficulty ? saveData.difficulty.bannedTowers : []);
+        this.endless = saveData.endless ? { seed: saveData.endless.seed } : null;
+
+        if (saveData.battlefield) {
+            this.restoreBattlefield(saveData.battlefield);
+        } else {
+            this.gameState.lives = this.gameState.maxLives;
+
+            const levelManager = this.systemManager.getLevelManager();
+            if (levelManager) {
+                levelManager.setEndless(this.endless);
+                levelManager.initializeLevel(this.gameState.level);
+            }
+        }
+
+        this.updateUI();
     }
 
     saveGame() {
@@ -1538,10 +2261,14 @@ class Game {
                 level: this.gameState.level,
                 wave: this.gameState.wave,
                 resources: this.resources,
+                difficulty: { ...this.difficulty, bannedTowers: [...this.bannedTowers] },
+                endless: this.endless,
                 statistics: {
                     totalScore: this.gameState.score,
                     totalPlayTime: Date.now() // Simplified
-                }
+                },
+                // Only an unfinished level has a battlefield worth resuming
+                battlefield: this.gameState.ended ? null : this.captureBattlefield()
             };
 
             return saveSystem.quickSave(saveData);
@@ -1549,6 +2276,84 @@ class Game {
         return false;
     }
 
+    // Snapshot of everything needed to resume mid-wave. Projectile targets
+    // are stored as indices into the saved enemy list.
+    captureBattlefield() {
+        const levelManager = this.systemManager.getLevelManager();
+        if (!levelManager) return null;
+
+        const enemies = this.enemies.filter(enemy => enemy.isAlive && typeof enemy.getState === 'function');
+        const projectiles = projectilePool ? projectilePool.active.filter(projectile => projectile.isActive) : [];
+
+        return {
+            gameState: {
+                lives: this.gameState.lives,
+                maxLives: this.gameState.maxLives,
+                score: this.gameState.score
+            },
+            defenses: this.defenseManager.getState(),
+            spells: this.spellManager.getState(),
+            // Escorts name their boss by index, like projectile targets
+            enemies: enemies.map(enemy => (enemy.escortOf
+                ? { ...enemy.getState(), escortOf: enemies.indexOf(enemy.escortOf), escortSquad: enemy.escortSquad }
+                : enemy.getState())),
+            projectiles: projectiles.map(projectile => ({
+                ...projectile.getState(),
+                targetIndex: enemies.indexOf(projectile.target)
+            })),
+            levelState: levelManager.getState(),
+            simulation: this.isDeterministic() ? window.simulation.getState() : null
+        };
+    }
+
+    restoreBattlefield(battlefield) {
+        this.gameState.maxLives = battlefield.gameState.maxLives;
+        this.gameState.lives = battlefield.gameState.lives;
+        this.gameState.score = battlefield.gameState.score;
+
+        // Restore the clock first: spawn queue and cooldowns are relative to it
+        if (battlefield.simulation && window.simulation) {
+            window.simulation.setState(battlefield.simulation);
+        }
+
+        const levelManager = this.systemManager.getLevelManager();
+        if (levelManager) {
+            levelManager.setState(battlefield.levelState);
+            this.gameState.wave = levelManager.currentWave;
+        }
+
+        this.defenseManager.setState(battlefield.defenses);
+        this.spellManager.setState(battlefield.spells);
+
+        for (const state of battlefield.enemies) {
+            const enemy = state.isBoss && typeof Boss !== 'undefined'
+                ? new Boss(state.type, state.x, state.y)
+                : new Enemy(state.type, state.x, state.y);
+
+            enemy.setState(state);
+            const path = levelManager ? levelManager.getLane(enemy.lane) : null;
+            if (path && typeof enemy.setPath === 'function') {
+                enemy.setPath(path);
+            }
+            this.enemies.push(enemy);
+        }
+        if (typeof BossEncounters !== 'undefined') {
+            BossEncounters.restore(this.enemies, battlefield.enemies, levelManager);
+        }
+
+        if (projectilePool) {
+            for (const state of battlefield.projectiles) {
+                const target = state.targetIndex >= 0 ? this.enemies[state.targetIndex] : null;
+                const projectile = projectilePool.getProjectile(
+                    state.x, state.y, target, state.damage, state.speed, state.type, state.defenseType
+                );
+                projectile.setState(state);
+            }
+        }
+
+        console.log(`[Game] Battlefield restored: ${this.enemies.length} enemies, ${this.defenseManager.getDefenseCount()} defenses`);
+    }
+
     // Error Handling
     handleInitializationError(error) {
         console.error('[Game] Critical initialization error:', error);
@@ -1570,6 +2375,7 @@ class Game {
         this.gameState.running = false;
 
         if (this.defenseManager) this.defenseManager.destroy();
+        if (this.spellManager) this.spellManager.destroy();
         if (this.screenManager) this.screenManager.destroy();
         if (this.uiManager) this.uiManager.destroy();
         if (this.systemManager) this.systemManager.shutdown();
@@ -1,4 +1,7 @@
 
+// A touch that moves less than this many pixels is a tap
+const TAP_SLOP = 10;
+
 class InputManager {
     constructor() {
         this.mouse = {
@@ -35,6 +38,9 @@ class InputManager {
         this.listeners = new Map();
         this.eventQueue = [];
 
+        // Aim in progress (see beginTargeting), or null
+        this.targeting = null;
+
         // Bind event handlers once so the same references can be removed later
         this.onMouseDown = this.onMouseDown.bind(this);
         this.onMouseMove = this.onMouseMove.bind(this);
@@ -387,10 +393,71 @@ class InputManager {
         this.eventQueue.length = 0;
 
         for (const event of events) {
+            if (this.handleTargetingEvent(event.type, event.data)) continue;
             this.dispatchEvent(event.type, event.data);
         }
     }
 
+    // Aiming, e.g. a player spell: the next left click or tap on the canvas
+    // confirms at its world position instead of reaching the game, while a
+    // right click, Escape or cancelTargeting() abandons it.
+    // options: { radius, color, onConfirm({ x, y }), onCancel() }
+    beginTargeting(options) {
+        this.cancelTargeting();
+        this.targeting = { radius: 0, color: '#ffffff', ...options };
+    }
+
+    cancelTargeting() {
+        const targeting = this.targeting;
+        if (!targeting) return false;
+
+        this.targeting = null;
+        if (targeting.onCancel) targeting.onCancel();
+        return true;
+    }
+
+    confirmTargeting(x, y) {
+        const targeting = this.targeting;
+        if (!targeting) return false;
+
+        this.targeting = null;
+        if (targeting.onConfirm) targeting.onConfirm({ x, y });
+        return true;
+    }
+
+    isTargeting() {
+        return this.targeting !== null;
+    }
+
+    getTargeting() {
+        return this.targeting;
+    }
+
+    // True when the event was used to confirm or cancel an aim
+    handleTargetingEvent(type, data) {
+        if (!this.targeting) return false;
+
+        switch (type) {
+            case 'mousedown':
+                if (data.button === 2) {
+                    this.cancelTargeting();
+                } else {
+                    this.confirmTargeting(data.worldX, data.worldY);
+                }
+                return true;
+            case 'touchend':
+                if (Math.hypot(data.deltaX, data.deltaY) > TAP_SLOP) return false;
+                this.confirmTargeting(data.worldX, data.worldY);
+                return true;
+            case 'keydown':
+                if (data.key !== 'escape') return false;
+                this.cancelTargeting();
+                return true;
+            default:
+                return false;
+        }
+    }
+
     addEventListener(type, callback) {
         if (!this.listeners.has(type)) {
             this.listeners.set(type, []);
@@ -474,6 +541,7 @@ class InputManager {
 
         this.listeners.clear();
         this.eventQueue.length = 0;
+        this.targeting = null;
     }
 }
 
@@ -1,20 +1,51 @@
 
+// Level files are written by the level editor (js/LevelEditor.js) and played
+// with LevelManager.setCustomLevel():
+//   { format: "dharmapala_level", version: 1, level, name?, theme, pathMode,
+//     path: [{x,y}], extraLanes?: [[{x,y}]], spawnPoints: [{x,y}],
+//     exitPoints: [{x,y}], openField?: boolean, waveScript }
+// path is lane 0 and extraLanes are lanes 1, 2, ...; wave script groups pick
+// a lane with their lane field. Spawn point N is where lane N starts unless a
+// group names another spawn point.
+// On an openField level defenses may be built anywhere, one per grid cell,
+// and enemies find their own way (js/pathfinding.js) from the start of their
+// lane to its end; the drawn lanes are only the routes on an empty field.
+// The path is played exactly as drawn, whatever the pathMode; theme and
+// pathMode are carried over so the path tools validate it the same way as
+// the campaign levels in CONFIG.LEVEL_PATHS.
+const LEVEL_FILE_FORMAT = 'dharmapala_level';
+const LEVEL_FILE_VERSION = 1;
+const LEVEL_THEMES = ['cyber', 'urban', 'forest', 'mountain'];
+const LEVEL_PATH_MODES = ['static', 'dynamic', 'hybrid'];
+
 class LevelManager {
     constructor() {
         this.currentLevel = 1;
         this.currentWave = 1;
-        // 10 waves per level to match CONFIG.WAVES / MAX_WAVES and keep a level a
-        // reasonable, completable length. Boss waves fall on 5 and 10.
+        // Set from the level's wave script (10 waves, bosses on 5 and 10, for
+        // the built-in campaign); branches that insert waves can extend it.
         this.maxWaves = 10;
         this.waveInProgress = false;
         this.waveStartTime = 0;
         this.waveEndTime = 0;
         this.nextWaveDelay = 3000;
+        // Share of the early-call window left when the current wave started
+        this.earlyCallShare = 0;
+        // Difficulty preset and mutators ({ preset, mutators }, see
+        // js/difficulty.js); kept across levels until the game changes it
+        this.difficultySettings = null;
+        // { seed } during an endless run (js/endless.js): waves are generated
+        // with no cap and the path is relaid every few waves
+        this.endless = null;
 
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.enemiesRemaining = 0;
 
+        // Boss links of the current wave by link name (see
+        // js/bossEncounters.js); bosses join theirs as they enter the field
+        this.bossLinks = new Map();
+
         // Spawn queue system
         this.spawnQueue = [];
         this.nextSpawnTime = 0;
@@ -22,11 +53,33 @@ class LevelManager {
 
         this.pathGenerator = null;
         this.currentPath = null;
+        // Every path enemies can walk; lane 0 is also currentPath
+        this.lanes = [];
         this.spawnPoints = [];
         this.exitPoints = [];
 
+        // GridPathfinder on open-field levels (see isOpenField), with the
+        // current route of every lane cached per grid version
+        this.pathfinder = null;
+        this.openFieldRoutes = [];
+        this.openFieldRoutesVersion = -1;
+
         this.levelConfig = null;
-        this.waveConfig = null;
+
+        // Wave scripts (see js/waveScript.js). customWaveScripts holds scripts
+        // installed with setWaveScript(); waveSequence is the active script's
+        // waves plus any inserted by branches.
+        this.customWaveScripts = {};
+        this.waveScript = null;
+        this.waveSequence = [];
+
+        // Level file installed with setCustomLevel(); replaces the path, spawn
+        // and exit points and waves of the level number it names
+        this.customLevel = null;
+
+        // Seed for generated campaign paths set with setPathSeed() (a
+        // replay's recorded seed); null derives it from the simulation seed
+        this.pathSeed = null;
 
         this.callbacks = {
             onWaveStart: null,
@@ -35,21 +88,40 @@ class LevelManager {
             onGameComplete: null,
             onEnemySpawn: null,
             onEnemyKilled: null,
-            onEnemySpawnRequest: null
+            onEnemySpawnRequest: null,
+            onWaveContextRequest: null,
+            onPathChanged: null
         };
 
         this.loadLevelConfiguration();
     }
 
+    // Simulation clock and RNG (seeded in deterministic mode, see js/simulation.js)
+    now() {
+        return window.simulation ? window.simulation.now() : performance.now();
+    }
+
+    random() {
+        return window.simulation ? window.simulation.random() : Math.random();
+    }
+
+    getPathSeed(levelNumber = this.currentLevel) {
+        if (this.pathSeed !== null) return this.pathSeed;
+        return window.simulation ? window.simulation.getPathSeed(levelNumber) : null;
+    }
+
+    setPathSeed(seed) {
+        this.pathSeed = Number.isInteger(seed) ? seed >>> 0 : null;
+    }
+
+    // Level presentation and rules. Enemy counts and stats for each wave are
+    // in the level's wave script (js/waveScripts.js).
     loadLevelConfiguration() {
         this.levelConfig = {
             1: {
                 name: "Meditation Garden",
                 description: "A peaceful beginning where digital demons first appear",
                 difficulty: 1,
-                baseEnemyHealth: 25,
-                baseEnemySpeed: 0.4,
-                baseReward: 10,
                 specialRules: [],
                 backgroundColor: "#1a1a2e",
                 pathStyle: "curved"
@@ -58,9 +130,6 @@ class LevelManager {
                 name: "Temple Servers",
                 description: "The sanctuary's digital infrastructure under siege",
                 difficulty: 1.5,
-                baseEnemyHealth: 150,
-                baseEnemySpeed: 1.1,
-                baseReward: 15,
                 specialRules: ["faster_enemies"],
                 backgroundColor: "#16213e",
                 pathStyle: "zigzag"
@@ -69,29 +138,11 @@ class LevelManager {
                 name: "Cyber Monastery",
                 description: "Where ancient wisdom meets quantum processing",
                 difficulty: 2.0,
-                baseEnemyHealth: 200,
-                baseEnemySpeed: 1.2,
-                baseReward: 20,
                 specialRules: ["armored_enemies"],
                 backgroundColor: "#2a1810",
-                pathStyle: "spiral"
-            }
-        };
-
-        this.waveConfig = {
-            enemy_types: [
-                { type: "scriptKiddie", count: 5, health_multiplier: 1.0, speed_multiplier: 1.0, reward_multiplier: 1.0 },
-                { type: "federalAgent", count: 4, health_multiplier: 1.5, speed_multiplier: 0.8, reward_multiplier: 1.5 },
-                { type: "corporateSaboteur", count: 4, health_multiplier: 1.5, speed_multiplier: 1.0, reward_multiplier: 1.2 },
-                { type: "aiSurveillance", count: 3, health_multiplier: 2.4, speed_multiplier: 0.9, reward_multiplier: 1.8 },
-                { type: "quantumHacker", count: 2, health_multiplier: 4.0, speed_multiplier: 0.7, reward_multiplier: 2.5 },
-                { type: "corruptedMonk", count: 1, health_multiplier: 3.0, speed_multiplier: 0.6, reward_multiplier: 2.0 }
-            ],
-            boss_waves: [5, 10, 15, 20],
-            difficulty_progression: {
-                health_increase: 0.1,
-                speed_increase: 0.02,
-                count_increase: 0.1
+                pathStyle: "spiral",
+                // Two lanes that join before the exit; see js/waveScripts.js
+                lanes: { count: 2, layout: "merge" }
             }
         };
     }
@@ -100,17 +151,193 @@ class LevelManager {
         this.currentLevel = levelNumber;
         this.currentWave = 0; // Start at 0 so first wave is wave 1
         this.waveInProgress = false;
+        this.earlyCallShare = 0;
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.enemiesRemaining = 0;
 
+        this.loadWaveScript(levelNumber);
         this.generateLevelPath();
+        this.setupGrid();
         this.triggerCallback('onLevelStart', { level: levelNumber });
 
         console.log(`[LevelManager] Level ${levelNumber} initialized, ready for wave 1`);
     }
 
+    // Install a custom wave script for a level, replacing the built-in one the
+    // next time that level starts. Returns the validation errors; an invalid
+    // script is rejected and the level keeps its current waves.
+    setWaveScript(levelNumber, script) {
+        const errors = WaveScript.validate(script);
+        if (errors.length > 0) {
+            console.error(`[LevelManager] Rejected wave script for level ${levelNumber}:`, errors);
+            return errors;
+        }
+
+        this.customWaveScripts[levelNumber] = JSON.parse(JSON.stringify(script));
+        return errors;
+    }
+
+    getWaveScript(levelNumber) {
+        if (this.customLevel && this.customLevel.level === levelNumber) {
+            return this.customLevel.waveScript;
+        }
+        return this.customWaveScripts[levelNumber] || WAVE_SCRIPTS[levelNumber] || WAVE_SCRIPTS[1];
+    }
+
+    // Play a level file (see the top of this file) the next time its level
+    // number starts. Returns the validation errors; an invalid file is
+    // rejected and any previously installed custom level is kept.
+    setCustomLevel(levelFile) {
+        const errors = LevelManager.validateLevelFile(levelFile);
+        if (errors.length > 0) {
+            console.error('[LevelManager] Rejected level file:', errors);
+            return errors;
+        }
+
+        this.customLevel = JSON.parse(JSON.stringify(levelFile));
+        console.log(`[LevelManager] Custom level installed for level ${levelFile.level}`);
+        return errors;
+    }
+
+    clearCustomLevel() {
+        this.customLevel = null;
+    }
+
+    isCustomLevel(levelNumber = this.currentLevel) {
+        return !!this.customLevel && this.customLevel.level === levelNumber;
+    }
+
+    // Stamp level data with the current file format and version
+    static createLevelFile({ level, name, theme, pathMode, path, extraLanes = [], spawnPoints, exitPoints, openField = false, waveScript }) {
+        return {
+            format: LEVEL_FILE_FORMAT,
+            version: LEVEL_FILE_VERSION,
+            level,
+            name,
+            theme,
+            pathMode,
+            path,
+            extraLanes,
+            spawnPoints,
+            exitPoints,
+            openField,
+            waveScript
+        };
+    }
+
+    static validateLevelFile(levelFile) {
+        const errors = [];
+        const isNumber = (v) => typeof v === 'number' && !isNaN(v);
+        const isPoint = (p) => !!p && isNumber(p.x) && isNumber(p.y);
+        const checkPoints = (points, field, minimum) => {
+            if (!Array.isArray(points) || points.length < minimum) {
+                errors.push(`${field} must be an array of at least ${minimum} point${minimum === 1 ? '' : 's'}`);
+                return;
+            }
+            points.forEach((point, index) => {
+                if (!isPoint(point)) errors.push(`${field}[${index}] must be an {x, y} point`);
+            });
+        };
+
+        if (!levelFile || typeof levelFile !== 'object' || Array.isArray(levelFile)) {
+            return ['Level file must be an object'];
+        }
+        if (levelFile.format !== LEVEL_FILE_FORMAT) {
+            errors.push(`format must be "${LEVEL_FILE_FORMAT}" (got ${JSON.stringify(levelFile.format)})`);
+        }
+        if (levelFile.version !== LEVEL_FILE_VERSION) {
+            errors.push(`version ${levelFile.version} is not supported (expected ${LEVEL_FILE_VERSION})`);
+        }
+        if (!Number.isInteger(levelFile.level) || levelFile.level < 1) {
+            errors.push('level must be a positive integer');
+        }
+        if (levelFile.name !== undefined && typeof levelFile.name !== 'string') {
+            errors.push('name must be a string');
+        }
+        if (!LEVEL_THEMES.includes(levelFile.theme)) {
+            errors.push(`theme must be one of: ${LEVEL_THEMES.join(', ')}`);
+        }
+        if (!LEVEL_PATH_MODES.includes(levelFile.pathMode)) {
+            errors.push(`pathMode must be one of: ${LEVEL_PATH_MODES.join(', ')}`);
+        }
+
+        checkPoints(levelFile.path, 'path', 2);
+        if (levelFile.extraLanes !== undefined) {
+            if (!Array.isArray(levelFile.extraLanes)) {
+                errors.push('extraLanes must be an array of paths');
+            } else {
+                levelFile.extraLanes.forEach((lane, index) => checkPoints(lane, `extraLanes[${index}]`, 2));
+            }
+        }
+        checkPoints(levelFile.spawnPoints, 'spawnPoints', 1);
+        checkPoints(levelFile.exitPoints, 'exitPoints', 1);
+        if (levelFile.openField !== undefined && typeof levelFile.openField !== 'boolean') {
+            errors.push('openField must be true or false');
+        }
+
+        const scriptErrors = WaveScript.validate(levelFile.waveScript);
+        scriptErrors.forEach(error => errors.push(`waveScript: ${error}`));
+
+        // Groups and bosses pick lanes and spawn points by index
+        if (scriptErrors.length === 0 && Array.isArray(levelFile.spawnPoints)) {
+            const laneCount = 1 + (Array.isArray(levelFile.extraLanes) ? levelFile.extraLanes.length : 0);
+            const script = levelFile.waveScript;
+            const waves = [
+                ...script.waves.map((wave, index) => [`waves[${index}]`, wave]),
+                ...Object.entries(script.library || {}).map(([id, wave]) => [`library.${id}`, wave])
+            ];
+            waves.forEach(([field, wave]) => {
+                [...wave.groups, ...(wave.bosses || [])].forEach(entry => {
+                    const lane = entry.lane || 0;
+                    const spawnPoint = entry.spawnPoint !== undefined ? entry.spawnPoint : lane;
+                    if (lane >= laneCount) {
+                        errors.push(`waveScript: ${field} uses lane ${lane} but the level has ${laneCount}`);
+                    }
+                    if (spawnPoint >= levelFile.spawnPoints.length) {
+                        errors.push(`waveScript: ${field} uses spawn point ${spawnPoint} but the level has ${levelFile.spawnPoints.length}`);
+                    }
+                });
+            });
+        }
+
+        return errors;
+    }
+
+    loadWaveScript(levelNumber) {
+        if (this.endless) {
+            this.waveScript = Endless.createScript(this.endless.seed);
+            this.waveSequence = [];
+            this.maxWaves = Infinity;
+            return;
+        }
+
+        this.waveScript = this.getWaveScript(levelNumber);
+        this.waveSequence = [...this.waveScript.waves];
+        this.maxWaves = this.waveSequence.length;
+    }
+
+    // Player state that wave-script branch conditions are tested against
+    getWaveContext() {
+        const context = { wave: this.currentWave, level: this.currentLevel };
+
+        if (this.callbacks.onWaveContextRequest && typeof this.callbacks.onWaveContextRequest === 'function') {
+            Object.assign(context, this.callbacks.onWaveContextRequest());
+        }
+
+        return context;
+    }
+
     generateLevelPath() {
+        if (this.isCustomLevel()) {
+            const copyPath = (path) => path.map(point => ({ x: point.x, y: point.y }));
+            this.lanes = [this.customLevel.path, ...(this.customLevel.extraLanes || [])].map(copyPath);
+            this.currentPath = this.lanes[0];
+            this.spawnPoints = this.customLevel.spawnPoints.map(point => ({ x: point.x, y: point.y }));
+            this.exitPoints = this.customLevel.exitPoints.map(point => ({ x: point.x, y: point.y }));
+            return;
+        }
+
         if (!this.pathGenerator) {
             console.warn('PathGenerator not available, using fallback path');
             this.createFallbackPath();
@@ -124,12 +351,21 @@ class LevelManager {
             // Map pathStyle values to valid PathGenerator themes
             const mappedTheme = this.mapPathStyleToTheme(pathStyle);
 
-            this.currentPath = this.pathGenerator.generateBasePath(this.currentLevel, null, mappedTheme, 'hybrid');
+            const laneConfig = levelData.lanes || { count: 1, layout: 'parallel' };
 
-            // Extract spawn and exit points from the generated path
+            const seed = this.endless
+                ? Endless.getPathSeed(this.endless.seed, this.currentWave)
+                : this.getPathSeed();
+            this.currentPath = this.pathGenerator.generateBasePath(this.currentLevel, seed, mappedTheme, 'hybrid', {
+                laneCount: laneConfig.count,
+                laneLayout: laneConfig.layout
+            });
+            this.lanes = this.currentPath && this.currentPath.lanes ? this.currentPath.lanes : [this.currentPath];
+
+            // Each lane's ends are its spawn and exit point
             if (this.currentPath && this.currentPath.length > 0) {
-                this.spawnPoints = [this.currentPath[0]];
-                this.exitPoints = [this.currentPath[this.currentPath.length - 1]];
+                this.spawnPoints = this.lanes.map(lane => lane[0]);
+                this.exitPoints = this.lanes.map(lane => lane[lane.length - 1]);
             } else {
                 // Handle empty or invalid path
                 this.spawnPoints = [];
@@ -203,6 +439,8 @@ class LevelManager {
             { x: 750, y: 300 }     // Final position - right side
         ];
 
+        this.lanes = [this.currentPath];
+
         // Spawn and exit points
         this.spawnPoints = [{ x: 0, y: 300 }];
         this.exitPoints = [{ x: 800, y: 300 }];
@@ -242,7 +480,7 @@ class LevelManager {
             return;
         }
 
-        const currentTime = performance.now();
+        const currentTime = this.now();
 
         // Process all spawn events that are ready
         for (let i = this.spawnQueue.length - 1; i >= 0; i--) {
@@ -257,15 +495,14 @@ class LevelManager {
 
     executeSpawnEvent(spawnEvent) {
         try {
-            // Get spawn point (use first available or random)
-            const spawnPoint = this.getSpawnPoint();
+            // Wave scripts pick a lane and spawn point per group
+            const spawnPoint = this.getSpawnPoint(spawnEvent.enemyData.spawnPoint);
             if (!spawnPoint) {
                 console.warn('[LevelManager] No spawn point available for enemy spawn');
                 return;
             }
 
-            // Get current path
-            const path = this.getCurrentPath();
+            const path = this.getLane(spawnEvent.enemyData.lane);
             if (!path || path.length === 0) {
                 console.warn('[LevelManager] No path available for enemy spawn');
                 return;
@@ -289,10 +526,10 @@ class LevelManager {
         }
     }
 
-    getSpawnPoint() {
+    getSpawnPoint(index = 0) {
         if (this.spawnPoints && this.spawnPoints.length > 0) {
-            // Return first spawn point or randomly select one
-            return this.spawnPoints[0];
+            // Unknown indices fall back to the first spawn point
+            return this.spawnPoints[index] || this.spawnPoints[0];
         }
 
         // Fallback: use start of path
@@ -319,14 +556,24 @@ class LevelManager {
             return false;
         }
 
+        this.earlyCallShare = this.getEarlyCallShare();
         this.currentWave++; // Increment to the actual wave number being started
         this.waveInProgress = true;
-        this.waveStartTime = performance.now();
+        this.waveStartTime = this.now();
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
+        this.bossLinks = new Map();
 
         const waveData = this.generateWaveData();
         this.currentWaveData = waveData;
+
+        // Branches may queue extra waves to play straight after this one
+        if (!this.endless) {
+            waveData.insertWaves.forEach((id, offset) => {
+                this.waveSequence.splice(this.currentWave + offset, 0, this.waveScript.library[id]);
+            });
+            this.maxWaves = this.waveSequence.length;
+        }
         this.enemiesRemaining = waveData.totalEnemies;
 
         // Populate spawn queue based on wave data
@@ -345,12 +592,13 @@ class LevelManager {
 
     populateSpawnQueue(waveData) {
         this.spawnQueue = [];
-        const baseTime = performance.now();
+        const baseTime = this.now();
         let currentSpawnTime = baseTime;
 
-        // Convert wave's enemy composition into timed spawn events
-        for (const enemyGroup of waveData.enemies) {
-            const spawnDelay = enemyGroup.spawnDelay || 1000;
+        // Convert the resolved wave script into timed spawn events. Each
+        // group waits out its delay, then spawns one enemy per interval.
+        waveData.enemies.forEach((enemyGroup, groupIndex) => {
+            currentSpawnTime += enemyGroup.delay;
 
             for (let i = 0; i < enemyGroup.count; i++) {
                 const spawnEvent = {
@@ -359,22 +607,35 @@ class LevelManager {
                         health: enemyGroup.health,
                         speed: enemyGroup.speed,
                         reward: enemyGroup.reward,
-                        spawnDelay: spawnDelay
+                        lane: enemyGroup.lane,
+                        spawnPoint: enemyGroup.spawnPoint,
+                        spawnDelay: enemyGroup.interval,
+                        difficulty: enemyGroup.difficulty
                     },
                     spawnTime: currentSpawnTime,
-                    groupIndex: waveData.enemies.indexOf(enemyGroup),
+                    groupIndex: groupIndex,
                     enemyIndex: i
                 };
 
+                if (enemyGroup.isBoss) {
+                    spawnEvent.enemyData.isBoss = true;
+                    spawnEvent.enemyData.phases = enemyGroup.phases;
+                    spawnEvent.enemyData.link = enemyGroup.link;
+                    spawnEvent.enemyData.escorts = enemyGroup.escorts;
+                } else if (enemyGroup.modifiers.length > 0) {
+                    spawnEvent.enemyData.modifiers = enemyGroup.modifiers;
+                    spawnEvent.enemyData.modifierEffects = enemyGroup.modifierEffects;
+                }
+
                 this.spawnQueue.push(spawnEvent);
 
                 // Stagger spawn times within the group
-                currentSpawnTime += spawnDelay + (Math.random() * 200 - 100); // Add some variation
+                currentSpawnTime += enemyGroup.interval;
+                if (enemyGroup.jitter > 0) {
+                    currentSpawnTime += this.random() * enemyGroup.jitter * 2 - enemyGroup.jitter; // Add some variation
+                }
             }
-
-            // Add extra delay between different enemy groups
-            currentSpawnTime += spawnDelay * 0.5;
-        }
+        });
 
         // Sort spawn queue by spawn time to ensure proper ordering
         this.spawnQueue.sort((a, b) => a.spawnTime - b.spawnTime);
@@ -382,80 +643,59 @@ class LevelManager {
         console.log(`[LevelManager] Populated spawn queue with ${this.spawnQueue.length} spawn events for wave ${this.currentWave}`);
     }
 
+    // Resolve the current wave from the level's wave script (or the endless
+    // generator), scaled by the difficulty preset and mutators
     generateWaveData() {
         const levelData = this.getLevelData();
-        const waveMultiplier = 1 + (this.currentWave - 1) * 0.1;
-        const levelMultiplier = 1 + (this.currentLevel - 1) * 0.2;
-
-        const isBossWave = this.waveConfig.boss_waves.includes(this.currentWave);
-
-        let enemies = [];
-        let totalEnemies = 0;
-
-        if (isBossWave) {
-            // Choose boss type based on wave number
-            let bossType = "raidTeam";
-            if (this.currentWave >= 15) {
-                bossType = "megaCorp";
-            } else if (this.currentWave >= 10) {
-                bossType = "corruptedMonk";
-            }
-
-            enemies.push({
-                type: bossType,
-                count: 1,
-                health: levelData.baseEnemyHealth * 10 * levelMultiplier,
-                speed: levelData.baseEnemySpeed * 0.7,
-                reward: levelData.baseReward * 10,
-                spawnDelay: 2000
-            });
-            totalEnemies = 1;
-        } else {
-            for (const enemyType of this.waveConfig.enemy_types) {
-                const count = Math.ceil(enemyType.count * waveMultiplier);
-                const health = levelData.baseEnemyHealth *
-                    enemyType.health_multiplier *
-                    Math.pow(1 + this.waveConfig.difficulty_progression.health_increase, this.currentWave - 1);
-                const speed = levelData.baseEnemySpeed *
-                    enemyType.speed_multiplier *
-                    Math.pow(1 + this.waveConfig.difficulty_progression.speed_increase * 0.6, this.currentWave - 1);
-                const reward = Math.ceil(levelData.baseReward * enemyType.reward_multiplier * levelMultiplier);
-
-                enemies.push({
-                    type: enemyType.type,
-                    count: count,
-                    health: health,
-                    speed: speed,
-                    reward: reward,
-                    spawnDelay: this.calculateSpawnDelay(enemyType.type)
-                });
-
-                totalEnemies += count;
-            }
+        const wave = this.endless
+            ? Endless.generateWave(this.currentWave, this.endless.seed)
+            : this.waveSequence[this.currentWave - 1];
+        let resolved = WaveScript.resolveWave(this.waveScript, wave, this.getWaveContext());
+        if (typeof Difficulty !== 'undefined') {
+            resolved = Difficulty.applyToWave(resolved, this.difficultySettings);
         }
 
         return {
             waveNumber: this.currentWave,
-            enemies: enemies,
-            totalEnemies: totalEnemies,
-            isBossWave: isBossWave,
+            ...resolved,
             specialRules: levelData.specialRules || []
         };
     }
 
-    calculateSpawnDelay(enemyType) {
-        const baseDelays = {
-            scriptKiddie: 3000,
-            federalAgent: 4000,
-            corporateSaboteur: 3600,
-            aiSurveillance: 5000,
-            quantumHacker: 6000,
-            corruptedMonk: 8000,
-            raidTeam: 10000,
-            megaCorp: 10000
-        };
+    setDifficultySettings(settings) {
+        this.difficultySettings = settings ? { preset: settings.preset, mutators: [...(settings.mutators || [])] } : null;
+    }
 
-        return baseDelays[enemyType] || 1000;
+    // Play the next initialized level as an endless run ({ seed }), or as
+    // the campaign level with null
+    setEndless(settings) {
+        this.endless = settings ? { seed: settings.seed } : null;
+    }
+
+    isEndless() {
+        return this.endless !== null;
+    }
+
+    // Lay a new path between endless waves. Defenses are left where they
+    // are; the onPathChanged handler moves any the new path runs through.
+    regeneratePath() {
+        if (!this.pathGenerator || this.isOpenField()) return false;
+
+        this.generateLevelPath();
+        this.setupGrid();
+        this.triggerCallback('onPathChanged', { wave: this.currentWave, lanes: this.lanes });
+
+        console.log(`[LevelManager] Path relaid after wave ${this.currentWave}`);
+        return true;
+    }
+
+    // The current wave's link of that name, made on first use
+    getBossLink(name) {
+        if (typeof BossLink === 'undefined') return null;
+        if (!this.bossLinks.has(name)) {
+            this.bossLinks.set(name, new BossLink(name));
+        }
+        return this.bossLinks.get(name);
     }
 
     onEnemySpawned() {
@@ -463,6 +703,12 @@ class LevelManager {
         console.log(`[LevelManager] Enemy spawned. Total: ${this.enemiesSpawned}, Remaining: ${this.enemiesRemaining}`);
     }
 
+    // Boss minions are not in the spawn queue, so the wave waits for them too
+    onMinionSpawned() {
+        this.enemiesSpawned++;
+        this.enemiesRemaining++;
+    }
+
     onEnemyKilled() {
         this.enemiesKilled++;
         this.enemiesRemaining = Math.max(0, this.enemiesRemaining - 1);
@@ -488,7 +734,7 @@ class LevelManager {
 
     completeWave() {
         this.waveInProgress = false;
-        this.waveEndTime = performance.now();
+        this.waveEndTime = this.now();
 
         // Clear any remaining spawn queue entries
         this.spawnQueue = [];
@@ -500,13 +746,18 @@ class LevelManager {
             enemiesKilled: this.enemiesKilled,
             enemiesSpawned: this.enemiesSpawned,
             duration: this.waveEndTime - this.waveStartTime,
-            perfect: this.enemiesKilled === this.enemiesSpawned
+            perfect: this.enemiesKilled === this.enemiesSpawned,
+            earlyCall: this.earlyCallShare
         };
 
         console.log(`[LevelManager] Wave ${this.currentWave} completed:`, waveData);
 
         this.triggerCallback('onWaveComplete', waveData);
 
+        if (this.endless && Endless.isPathWave(this.currentWave)) {
+            this.regeneratePath();
+        }
+
         if (this.currentWave >= this.maxWaves) {
             this.completeLevel();
         }
@@ -537,6 +788,79 @@ class LevelManager {
         return this.currentPath;
     }
 
+    getLanes() {
+        if (this.pathfinder) {
+            return this.getOpenFieldRoutes();
+        }
+        return this.lanes.length > 0 ? this.lanes : (this.currentPath ? [this.currentPath] : []);
+    }
+
+    // Unknown lanes fall back to the first one
+    getLane(index = 0) {
+        if (this.pathfinder) {
+            const routes = this.getOpenFieldRoutes();
+            return routes[index] || routes[0];
+        }
+        return this.lanes[index] || this.currentPath;
+    }
+
+    // Open-field levels
+    isOpenField() {
+        if (this.isCustomLevel()) {
+            return !!this.customLevel.openField;
+        }
+        return !!this.getLevelData().openField;
+    }
+
+    setupGrid() {
+        this.pathfinder = this.isOpenField() ? GridPathfinder.fromConfig(CONFIG) : null;
+        this.openFieldRoutesVersion = -1;
+    }
+
+    // Defenses block the grid cells they stand on; called by DefenseManager
+    // whenever defenses are built, sold, upgraded or restored
+    setGridObstacles(defenses) {
+        if (!this.pathfinder) return;
+        this.pathfinder.setObstacles(defenses.map(defense => ({ x: defense.x, y: defense.y, range: defense.range })));
+    }
+
+    getLaneEnds(index = 0) {
+        const lane = this.lanes[index] || this.currentPath;
+        return { start: lane[0], goal: lane[lane.length - 1] };
+    }
+
+    // Current route of every lane from its start, around the defenses. A lane
+    // with no way through (only possible in a restored save) keeps its path.
+    getOpenFieldRoutes() {
+        if (this.openFieldRoutesVersion !== this.pathfinder.version) {
+            this.openFieldRoutes = this.lanes.map((lane, index) => {
+                const { start, goal } = this.getLaneEnds(index);
+                const route = this.pathfinder.findPath(start, goal);
+                return route ? [{ x: start.x, y: start.y }, ...route] : lane;
+            });
+            this.openFieldRoutesVersion = this.pathfinder.version;
+        }
+        return this.openFieldRoutes;
+    }
+
+    // Route from (x, y) to the end of a lane, or null off open-field levels
+    // or when it is walled in
+    findRoute(x, y, lane = 0, options = {}) {
+        if (!this.pathfinder) return null;
+        return this.pathfinder.findPath({ x, y }, this.getLaneEnds(this.lanes[lane] ? lane : 0).goal, options);
+    }
+
+    // Why a defense cannot go at (x, y) on an open-field level: 'occupied',
+    // 'blocks_route' (it would cut a lane off from its exit, or sits on a
+    // lane end), or null if it can
+    getGridBlockReason(x, y) {
+        if (!this.pathfinder) return null;
+        if (this.pathfinder.isBlockedAt(x, y)) return 'occupied';
+
+        const routes = this.lanes.map((lane, index) => this.getLaneEnds(index));
+        return this.pathfinder.staysConnected(x, y, routes) ? null : 'blocks_route';
+    }
+
     getSpawnPoints() {
         return this.spawnPoints;
     }
@@ -555,6 +879,25 @@ class LevelManager {
         return canStart;
     }
 
+    // Share (0-1) of CONFIG.WAVE_ECONOMY.earlyCall.window left since the
+    // last wave ended; starting the next wave now earns that share of the
+    // early-call bonus. Nothing before the first wave or during a wave.
+    getEarlyCallShare() {
+        const earlyCall = typeof CONFIG !== 'undefined' && CONFIG.WAVE_ECONOMY ? CONFIG.WAVE_ECONOMY.earlyCall : null;
+        if (!earlyCall || this.waveInProgress || this.currentWave === 0) return 0;
+
+        const elapsed = this.now() - this.waveEndTime;
+        return Math.max(0, 1 - elapsed / earlyCall.window);
+    }
+
+    // Built-in levels' difficulty (scales income, see js/rewards.js);
+    // custom levels play at 1
+    getDifficulty() {
+        if (this.customLevel || !this.levelConfig) return 1;
+        const config = this.levelConfig[this.currentLevel];
+        return config && config.difficulty ? config.difficulty : 1;
+    }
+
     getWaveProgress() {
         if (!this.waveInProgress) return 1.0;
 
@@ -601,6 +944,8 @@ class LevelManager {
     }
 
     getState() {
+        const now = this.now();
+
         return {
             currentLevel: this.currentLevel,
             currentWave: this.currentWave,
@@ -609,23 +954,93 @@ class LevelManager {
             enemiesKilled: this.enemiesKilled,
             enemiesRemaining: this.enemiesRemaining,
             waveStartTime: this.waveStartTime,
-            spawnQueueLength: this.spawnQueue ? this.spawnQueue.length : 0
+            waveElapsed: this.waveInProgress ? now - this.waveStartTime : 0,
+            // Time since the last wave ended, for the early-call bonus
+            breakElapsed: this.waveInProgress ? 0 : now - this.waveEndTime,
+            earlyCallShare: this.earlyCallShare,
+            spawnQueueLength: this.spawnQueue ? this.spawnQueue.length : 0,
+            // Spawn times are absolute simulation-clock values, so they are
+            // stored as delays relative to the moment of saving.
+            spawnQueue: (this.spawnQueue || []).map(spawnEvent => ({
+                enemyData: { ...spawnEvent.enemyData },
+                spawnDelay: Math.max(0, spawnEvent.spawnTime - now),
+                groupIndex: spawnEvent.groupIndex,
+                enemyIndex: spawnEvent.enemyIndex
+            })),
+            currentWaveData: this.currentWaveData,
+            maxWaves: this.maxWaves,
+            waveScript: this.waveScript,
+            waveSequence: this.waveSequence,
+            endless: this.endless,
+            path: this.currentPath,
+            lanes: this.lanes,
+            spawnPoints: this.spawnPoints,
+            exitPoints: this.exitPoints,
+            customLevel: this.customLevel
         };
     }
 
     setState(state) {
+        const now = this.now();
+
         this.currentLevel = state.currentLevel || 1;
-        this.currentWave = state.currentWave || 1;
+        this.currentWave = typeof state.currentWave === 'number' ? state.currentWave : 1;
         this.waveInProgress = state.waveInProgress || false;
         this.enemiesSpawned = state.enemiesSpawned || 0;
         this.enemiesKilled = state.enemiesKilled || 0;
         this.enemiesRemaining = state.enemiesRemaining || 0;
-        this.waveStartTime = state.waveStartTime || 0;
-
-        // Reset spawn queue when loading state
-        this.spawnQueue = [];
-        this.currentWaveData = null;
+        this.waveStartTime = state.waveElapsed !== undefined ? now - state.waveElapsed : (state.waveStartTime || 0);
+        // Older saves did not keep the break; they get no early-call bonus
+        this.waveEndTime = typeof state.breakElapsed === 'number' ? now - state.breakElapsed : -Infinity;
+        this.earlyCallShare = typeof state.earlyCallShare === 'number' ? state.earlyCallShare : 0;
+
+        // Rebuild the spawn queue relative to the current clock
+        this.spawnQueue = Array.isArray(state.spawnQueue)
+            ? state.spawnQueue.map(spawnEvent => ({
+                enemyData: { ...spawnEvent.enemyData },
+                spawnTime: now + (spawnEvent.spawnDelay || 0),
+                groupIndex: spawnEvent.groupIndex,
+                enemyIndex: spawnEvent.enemyIndex
+            })).sort((a, b) => a.spawnTime - b.spawnTime)
+            : [];
+        this.currentWaveData = state.currentWaveData || null;
         this.nextSpawnTime = 0;
+
+        this.customLevel = state.customLevel && LevelManager.validateLevelFile(state.customLevel).length === 0
+            ? state.customLevel
+            : null;
+
+        this.endless = state.endless && Number.isInteger(state.endless.seed) ? { seed: state.endless.seed } : null;
+
+        // Keep playing the script the snapshot was taken with, including any
+        // waves its branches already inserted
+        if (this.endless) {
+            this.loadWaveScript(this.currentLevel);
+        } else if (state.waveScript && WaveScript.validate(state.waveScript).length === 0) {
+            this.waveScript = state.waveScript;
+        } else {
+            this.waveScript = this.getWaveScript(this.currentLevel);
+        }
+        if (!this.endless) {
+            this.waveSequence = Array.isArray(state.waveSequence) && state.waveSequence.length > 0
+                ? state.waveSequence
+                : [...this.waveScript.waves];
+            this.maxWaves = this.waveSequence.length;
+        }
+
+        // Restore the exact path the snapshot was taken on (hybrid/dynamic
+        // generation is not guaranteed to reproduce it)
+        if (Array.isArray(state.path) && state.path.length >= 2) {
+            this.currentPath = state.path;
+            this.lanes = [state.path, ...(Array.isArray(state.lanes) ? state.lanes.slice(1) : [])];
+            this.spawnPoints = state.spawnPoints && state.spawnPoints.length > 0 ? state.spawnPoints : [state.path[0]];
+            this.exitPoints = state.exitPoints && state.exitPoints.length > 0 ? state.exitPoints : [state.path[state.path.length - 1]];
+        } else if (!this.currentPath) {
+            this.generateLevelPath();
+        }
+
+        // Obstacles come back with the defenses (DefenseManager.setState)
+        this.setupGrid();
     }
 }
 
@@ -633,4 +1048,6 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = LevelManager;
 } else {
     window.LevelManager = LevelManager;
+    window.LEVEL_THEMES = LEVEL_THEMES;
+    window.LEVEL_PATH_MODES = LEVEL_PATH_MODES;
 }
\ No newline at end of file
@@ -1106,4 +1106,9 @@ class LevelBalanceChecker {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { LevelPathPreservation, PathValidator, PathPreview, LevelBalanceChecker };
+} else {
+    window.LevelPathPreservation = LevelPathPreservation;
+    window.PathValidator = PathValidator;
+    window.PathPreview = PathPreview;
+    window.LevelBalanceChecker = LevelBalanceChecker;
 }
@@ -1,4 +1,8 @@
-import Utils from './utils.js';
+// Particles are cosmetic and use Math.random(), never the simulation RNG
+// (js/simulation.js): how many get emitted depends on the maxParticles cap,
+// which follows the frame rate, so drawing from the seeded stream would make
+// seeded runs diverge.
+const particleRandomFloat = (min, max) => Math.random() * (max - min) + min;
 
 class ParticleSystem {
     constructor() {
@@ -126,14 +130,14 @@ class ParticleSystem {
         particle.y = y + (Math.random() - 0.5) * (options.spread || 10);
 
         const angle = options.angle !== undefined ? options.angle : Math.random() * Math.PI * 2;
-        const speed = Utils.math.randomFloat(config.speed.min, config.speed.max);
+        const speed = particleRandomFloat(config.speed.min, config.speed.max);
 
         particle.vx = Math.cos(angle) * speed;
         particle.vy = Math.sin(angle) * speed;
 
         particle.life = config.life + (Math.random() - 0.5) * config.life * 0.3;
         particle.maxLife = particle.life;
-        particle.size = Utils.math.randomFloat(config.size.min, config.size.max);
+        particle.size = particleRandomFloat(config.size.min, config.size.max);
         particle.initialSize = particle.size;
 
         const colorIndex = Math.floor(Math.random() * config.color.length);
@@ -11,6 +11,7 @@
 // - Performance monitoring and optimization
 // - Theme-based procedural variations
 // - Configurable smoothing intensity
+// - Multi-lane levels (parallel, merging or splitting lanes that never cross)
 
 class PathGenerator {
     // Comprehensive input validation for constructor
@@ -198,6 +199,10 @@ class PathGenerator {
             }
         };
         
+        // Multi-lane generation (see generateLaneSet)
+        this.maxLanes = 3;
+        this.laneLayouts = ['parallel', 'merge', 'split'];
+        
         // Random seed for reproducible generation
         this.seed = 0;
         this.rng = this.createSeededRNG(this.seed);
@@ -992,12 +997,17 @@ class PathGenerator {
     // ENHANCED PATH GENERATION WITH COMPREHENSIVE ERROR HANDLING
     // =============================================================================
     
-    generateBasePath(levelId, seed = null, theme = 'cyber', pathMode = 'hybrid') {
+    // options.laneCount (default 1) asks for that many lanes laid out as
+    // options.laneLayout ('parallel', 'merge' or 'split'). The first lane is
+    // returned as usual, with every lane (itself included) in path.lanes.
+    generateBasePath(levelId, seed = null, theme = 'cyber', pathMode = 'hybrid', options = {}) {
         const context = `generateBasePath(levelId: ${levelId}, theme: ${theme}, pathMode: ${pathMode})`;
+        const { laneCount = 1, laneLayout = 'parallel' } = options;
         
         try {
             // Comprehensive input validation
             this.validateGenerateBasePathInputs(levelId, seed, theme, pathMode, context);
+            this.validateLaneOptions(laneCount, laneLayout, context);
             
             let retryCount = 0;
             const maxRetries = this.errorHandlingConfig.maxPathGenerationRetries;
@@ -1011,6 +1021,23 @@ class PathGenerator {
                     const themeConfig = this.validateTheme(theme, `${context} - theme validation`);
                     
                     // Generate path with error handling
+                    if (laneCount > 1) {
+                        const lanes = this.generateLaneSet(themeConfig, laneCount, laneLayout);
+                        lanes.forEach((lane, index) => this.addPathMetadata(lane, {
+                            levelId,
+                            seed: this.seed,
+                            theme,
+                            pathMode,
+                            retryCount,
+                            context,
+                            lane: index,
+                            laneCount,
+                            laneLayout
+                        }));
+                        lanes[0].lanes = lanes;
+                        return lanes[0];
+                    }
+                    
                     const path = this.generatePathSafely(levelId, themeConfig, pathMode, context);
                     
                     // Add comprehensive metadata
@@ -1099,6 +1126,23 @@ class PathGenerator {
         }
     }
     
+    // Validate lane options for generateBasePath
+    validateLaneOptions(laneCount, laneLayout, context) {
+        if (!Number.isInteger(laneCount) || laneCount < 1 || laneCount > this.maxLanes) {
+            throw this.createValidationError(
+                `Lane count must be an integer from 1 to ${this.maxLanes}, got: ${laneCount}`,
+                `${context} - input validation`
+            );
+        }
+        
+        if (!this.laneLayouts.includes(laneLayout)) {
+            throw this.createValidationError(
+                `Lane layout must be one of: ${this.laneLayouts.join(', ')}, got: ${laneLayout}`,
+                `${context} - input validation`
+            );
+        }
+    }
+    
     // Safely setup seed with error handling
     setupSeedSafely(levelId, seed, context) {
         try {
@@ -1145,8 +1189,72 @@ class PathGenerator {
         }
     }
     
-    // Generate a simple path for testing with theme considerations
-    generateSimplePath(startPoint, endPoint, themeConfig) {
+    // Build laneCount lanes from the left edge to the right. Each lane wanders
+    // only inside its own horizontal band, so lanes cannot cross:
+    // - parallel: separate entries and exits
+    // - merge:    lanes leave their bands at 70% of the way across and join a
+    //             shared trunk to a single exit
+    // - split:    a shared trunk from a single entry fans out at 30% of the
+    //             way across into the bands
+    // Joining segments all meet at the junction point, the only shared spot
+    // outside the trunk.
+    generateLaneSet(themeConfig, laneCount, laneLayout) {
+        const entryX = 100;
+        const exitX = this.canvasWidth - 100;
+        const centerY = this.canvasHeight / 2;
+        const bandHeight = this.canvasHeight / laneCount;
+        const bandPadding = Math.min(themeConfig.pathWidth, bandHeight / 4);
+        const span = exitX - entryX;
+        
+        const bandFor = (lane, minX, maxX) => ({
+            minX,
+            maxX,
+            minY: lane * bandHeight + bandPadding,
+            maxY: (lane + 1) * bandHeight - bandPadding
+        });
+        const laneY = (lane) => lane * bandHeight + bandHeight / 2;
+        
+        if (laneLayout === 'merge') {
+            const junction = { x: entryX + span * 0.7, y: centerY };
+            const approachX = junction.x - span * 0.1;
+            const trunk = this.generateSimplePath(junction, { x: exitX, y: centerY }, themeConfig,
+                { minX: junction.x, maxX: exitX, minY: 50, maxY: this.canvasHeight - 50 });
+            
+            return Array.from({ length: laneCount }, (_, lane) => [
+                ...this.generateSimplePath({ x: entryX, y: laneY(lane) }, { x: approachX, y: laneY(lane) },
+                    themeConfig, bandFor(lane, entryX, approachX)),
+                ...trunk.map(point => ({ ...point }))
+            ]);
+        }
+        
+        if (laneLayout === 'split') {
+            const junction = { x: entryX + span * 0.3, y: centerY };
+            const departX = junction.x + span * 0.1;
+            const trunk = this.generateSimplePath({ x: entryX, y: centerY }, junction, themeConfig,
+                { minX: entryX, maxX: junction.x, minY: 50, maxY: this.canvasHeight - 50 });
+            
+            return Array.from({ length: laneCount }, (_, lane) => [
+                ...trunk.map(point => ({ ...point })),
+                ...this.generateSimplePath({ x: departX, y: laneY(lane) }, { x: exitX, y: laneY(lane) },
+                    themeConfig, bandFor(lane, departX, exitX))
+            ]);
+        }
+        
+        return Array.from({ length: laneCount }, (_, lane) =>
+            this.generateSimplePath({ x: entryX, y: laneY(lane) }, { x: exitX, y: laneY(lane) },
+                themeConfig, bandFor(lane, entryX, exitX)));
+    }
+    
+    // Generate a simple path for testing with theme considerations. Points
+    // are kept inside bounds (default: the canvas minus a 50px margin).
+    generateSimplePath(startPoint, endPoint, themeConfig, bounds = null) {
+        const { minX, maxX, minY, maxY } = bounds || {
+            minX: 50,
+            maxX: this.canvasWidth - 50,
+            minY: 50,
+            maxY: this.canvasHeight - 50
+        };
+
         const path = [{ ...startPoint }];
         const segments = Math.max(3, Math.floor(5 + this.rng() * 5)); // 3-10 segments
         
@@ -1162,8 +1270,8 @@ class PathGenerator {
             const offsetY = (this.rng() - 0.5) * variation * complexity;
             
             path.push({
-                x: Math.max(50, Math.min(this.canvasWidth - 50, x + offsetX)),
-                y: Math.max(50, Math.min(this.canvasHeight - 50, y + offsetY))
+                x: Math.max(minX, Math.min(maxX, x + offsetX)),
+                y: Math.max(minY, Math.min(maxY, y + offsetY))
             });
         }
         
@@ -0,0 +1,281 @@
+// Grid pathfinding for open-field levels (LevelManager.isOpenField()), where
+// defenses occupy grid cells and enemies route around them. The field is cut
+// into CONFIG.GRID_SIZE squares (GRID_COLS x GRID_ROWS) and routes are found
+// with A* over the free cells, moving in the four grid directions.
+//
+// CONFIG.PERFORMANCE.pathfinding drives the search budget and the caches:
+//   maxIterations  - cells a single search may expand before giving up
+//   cacheSize      - routes kept between grid changes (least recently used go)
+//   updateInterval - minimum ms between re-plans for one enemy (see Enemy)
+// Every change to the obstacles bumps version and empties the caches, so a
+// cached route is never older than the grid it was found on.
+
+// Extra step cost for each defense range covering a cell, on routes that
+// avoid defenses (the federalAgent "persistent_pathfinding" ability)
+const ZONE_STEP_COST = 4;
+
+// Right, down, left, up; the fixed order keeps routes deterministic
+const GRID_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+// Binary min-heap of [priority, tieBreak, value] entries
+class PathHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    less(a, b) {
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class GridPathfinder {
+    constructor({ cols, rows, cellSize, maxIterations = 1000, cacheSize = 100, updateInterval = 200 }) {
+        this.cols = cols;
+        this.rows = rows;
+        this.cellSize = cellSize;
+        this.maxIterations = maxIterations;
+        this.cacheSize = cacheSize;
+        this.updateInterval = updateInterval;
+
+        this.blocked = new Set();
+        this.zones = [];
+        this.zoneCosts = null;
+
+        this.version = 0;
+        this.routeCache = new Map();
+        this.connectivityCache = new Map();
+        this.stats = { searches: 0, cacheHits: 0, failures: 0 };
+    }
+
+    static fromConfig(config) {
+        const settings = (config.PERFORMANCE && config.PERFORMANCE.pathfinding) || {};
+        return new GridPathfinder({
+            cols: config.GRID_COLS,
+            rows: config.GRID_ROWS,
+            cellSize: config.GRID_SIZE,
+            maxIterations: settings.maxIterations,
+            cacheSize: settings.cacheSize,
+            updateInterval: settings.updateInterval
+        });
+    }
+
+    // Cells
+    cellAt(x, y) {
+        return {
+            col: Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize))),
+            row: Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)))
+        };
+    }
+
+    cellIndex(cell) {
+        return cell.row * this.cols + cell.col;
+    }
+
+    cellCenter(cell) {
+        return {
+            x: cell.col * this.cellSize + this.cellSize / 2,
+            y: cell.row * this.cellSize + this.cellSize / 2
+        };
+    }
+
+    // Center of the cell holding (x, y); defenses are snapped here
+    snapToCell(x, y) {
+        return this.cellCenter(this.cellAt(x, y));
+    }
+
+    isBlockedAt(x, y) {
+        return this.blocked.has(this.cellIndex(this.cellAt(x, y)));
+    }
+
+    // Obstacles are { x, y, range }: each blocks its cell, and its range is
+    // the zone that defense-avoiding routes steer clear of
+    setObstacles(obstacles) {
+        this.blocked = new Set(obstacles.map(obstacle => this.cellIndex(this.cellAt(obstacle.x, obstacle.y))));
+        this.zones = obstacles.map(({ x, y, range }) => ({ x, y, range: range || 0 }));
+        this.zoneCosts = null;
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.version++;
+        this.routeCache.clear();
+        this.connectivityCache.clear();
+    }
+
+    // Routes
+    // Cell-center waypoints from the cell holding start to goal, ending on
+    // goal itself, or null if the goal cannot be reached. The first point is
+    // the start cell's center, so movers re-center before setting off.
+    // Returned arrays are shared through the cache and must not be modified.
+    findPath(start, goal, { avoidZones = false } = {}) {
+        const from = this.cellIndex(this.cellAt(start.x, start.y));
+        const key = `${from}>${goal.x},${goal.y}${avoidZones ? ':avoid' : ''}`;
+
+        if (this.routeCache.has(key)) {
+            const route = this.routeCache.get(key);
+            this.routeCache.delete(key);
+            this.routeCache.set(key, route);
+            this.stats.cacheHits++;
+            return route;
+        }
+
+        const cells = this.search(from, this.cellIndex(this.cellAt(goal.x, goal.y)), avoidZones);
+        const route = cells
+            ? [...cells.map(index => this.cellCenter({ col: index % this.cols, row: Math.floor(index / this.cols) })),
+                { x: goal.x, y: goal.y }]
+            : null;
+
+        this.routeCache.set(key, route);
+        while (this.routeCache.size > this.cacheSize) {
+            this.routeCache.delete(this.routeCache.keys().next().value);
+        }
+        return route;
+    }
+
+    // Could every { start, goal } pair still connect with (x, y) blocked too?
+    // Endpoint cells and occupied cells can never be blocked.
+    staysConnected(x, y, routes) {
+        const index = this.cellIndex(this.cellAt(x, y));
+        if (this.connectivityCache.has(index)) {
+            return this.connectivityCache.get(index);
+        }
+
+        let connected = !this.blocked.has(index);
+        const endpoints = routes.map(({ start, goal }) => [
+            this.cellIndex(this.cellAt(start.x, start.y)),
+            this.cellIndex(this.cellAt(goal.x, goal.y))
+        ]);
+        if (connected && endpoints.some(([from, to]) => from === index || to === index)) {
+            connected = false;
+        }
+
+        if (connected) {
+            this.blocked.add(index);
+            connected = endpoints.every(([from, to]) => this.search(from, to, false) !== null);
+            this.blocked.delete(index);
+        }
+
+        this.connectivityCache.set(index, connected);
+        return connected;
+    }
+
+    // A* from cell index from to cell index to. The start cell may itself be
+    // blocked (a defense was just built under an enemy); the goal may not.
+    search(from, to, avoidZones) {
+        this.stats.searches++;
+        if (this.blocked.has(to)) {
+            this.stats.failures++;
+            return null;
+        }
+
+        const total = this.cols * this.rows;
+        const costs = avoidZones ? this.getZoneCosts() : null;
+        const gScore = new Float64Array(total).fill(Infinity);
+        const cameFrom = new Int32Array(total).fill(-1);
+        const closed = new Uint8Array(total);
+        const toCol = to % this.cols;
+        const toRow = Math.floor(to / this.cols);
+        const heuristic = (index) => Math.abs(index % this.cols - toCol) + Math.abs(Math.floor(index / this.cols) - toRow);
+
+        const open = new PathHeap();
+        let order = 0;
+        gScore[from] = 0;
+        open.push([heuristic(from), order++, from]);
+
+        let iterations = 0;
+        while (open.size > 0) {
+            const current = open.pop()[2];
+            if (closed[current]) continue;
+            if (current === to) {
+                const cells = [current];
+                while (cells[0] !== from) {
+                    cells.unshift(cameFrom[cells[0]]);
+                }
+                return cells;
+            }
+
+            if (++iterations > this.maxIterations) break;
+            closed[current] = 1;
+
+            const col = current % this.cols;
+            const row = Math.floor(current / this.cols);
+            for (const [dx, dy] of GRID_DIRECTIONS) {
+                const nextCol = col + dx;
+                const nextRow = row + dy;
+                if (nextCol < 0 || nextRow < 0 || nextCol >= this.cols || nextRow >= this.rows) continue;
+
+                const next = nextRow * this.cols + nextCol;
+                if (closed[next] || this.blocked.has(next)) continue;
+
+                const score = gScore[current] + 1 + (costs ? costs[next] : 0);
+                if (score < gScore[next]) {
+                    gScore[next] = score;
+                    cameFrom[next] = current;
+                    open.push([score + heuristic(next), order++, next]);
+                }
+            }
+        }
+
+        this.stats.failures++;
+        return null;
+    }
+
+    // Per-cell cost of the defense ranges covering each cell center
+    getZoneCosts() {
+        if (!this.zoneCosts) {
+            this.zoneCosts = new Float32Array(this.cols * this.rows);
+            for (let index = 0; index < this.zoneCosts.length; index++) {
+                const center = this.cellCenter({ col: index % this.cols, row: Math.floor(index / this.cols) });
+                for (const zone of this.zones) {
+                    if (Math.hypot(center.x - zone.x, center.y - zone.y) <= zone.range) {
+                        this.zoneCosts[index] += ZONE_STEP_COST;
+                    }
+                }
+            }
+        }
+        return this.zoneCosts;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GridPathfinder;
+} else {
+    window.GridPathfinder = GridPathfinder;
+}
@@ -0,0 +1,211 @@
+// Replay recording and playback. A replay is the seed, level, difficulty,
+// path seed, level file (for a custom level) and endless seed (if any) a run
+// started from plus every player command tagged with the simulation tick
+// it was applied on. Because deterministic mode (js/simulation.js) makes the
+// game a pure function of seed + commands, feeding the commands back at the
+// same ticks reproduces the run exactly.
+
+const REPLAY_FORMAT = 'dharmapala_replay';
+const REPLAY_VERSION = 1;
+
+const REPLAY_COMMAND_TYPES = [
+    'placeDefense',
+    'sellDefense',
+    'upgradeDefense',
+    'setTargeting',
+    'castSpell',
+    'startWave',
+    'setGameSpeed'
+];
+
+class ReplaySystem {
+    constructor() {
+        this.mode = 'idle'; // 'idle', 'recording', 'playing'
+        this.replay = null;
+        this.cursor = 0;
+
+        // Most recent finished recording, kept so it can still be exported
+        // after the run ends
+        this.lastReplay = null;
+    }
+
+    // Recording
+    // difficulty: the { preset, mutators } the level is played with;
+    // endless: the { seed } of an endless run (js/endless.js);
+    // pathSeed: the seed its campaign path was generated from;
+    // customLevel: the level file played, for a custom level (js/level.js)
+    startRecording({ seed, level, fixedTimestep, difficulty = null, endless = null, pathSeed = null, customLevel = null }) {
+        this.mode = 'recording';
+        this.cursor = 0;
+        this.replay = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            seed,
+            level,
+            fixedTimestep,
+            difficulty,
+            endless,
+            pathSeed,
+            customLevel: customLevel ? JSON.parse(JSON.stringify(customLevel)) : null,
+            commands: [],
+            endTick: null,
+            result: null
+        };
+
+        console.log(`[ReplaySystem] Recording level ${level} (seed=${seed})`);
+    }
+
+    recordCommand(tick, command) {
+        if (this.mode !== 'recording') return;
+
+        this.replay.commands.push({
+            tick,
+            type: command.type,
+            data: JSON.parse(JSON.stringify(command.data || {}))
+        });
+    }
+
+    stopRecording(endTick, result = 'abandoned') {
+        if (this.mode !== 'recording') return null;
+
+        this.replay.endTick = endTick;
+        this.replay.result = result;
+        this.lastReplay = this.replay;
+
+        this.mode = 'idle';
+        this.replay = null;
+
+        console.log(`[ReplaySystem] Recording stopped at tick ${endTick} (${result}, ${this.lastReplay.commands.length} commands)`);
+        return this.lastReplay;
+    }
+
+    // Playback
+    startPlayback(replay) {
+        const errors = this.validateReplay(replay);
+        if (errors.length > 0) {
+            console.error('[ReplaySystem] Invalid replay:', errors);
+            return false;
+        }
+
+        this.mode = 'playing';
+        this.replay = replay;
+        this.cursor = 0;
+
+        console.log(`[ReplaySystem] Playing back level ${replay.level} (seed=${replay.seed}, ${replay.commands.length} commands)`);
+        return true;
+    }
+
+    // Commands due on this tick, in recorded order. Commands are sorted by
+    // tick, so the cursor only ever moves forward.
+    takeCommands(tick) {
+        if (this.mode !== 'playing') return [];
+
+        const commands = [];
+        const recorded = this.replay.commands;
+        while (this.cursor < recorded.length && recorded[this.cursor].tick <= tick) {
+            const { type, data } = recorded[this.cursor];
+            commands.push({ type, data });
+            this.cursor++;
+        }
+        return commands;
+    }
+
+    stopPlayback() {
+        if (this.mode !== 'playing') return;
+
+        console.log(`[ReplaySystem] Playback finished (${this.cursor}/${this.replay.commands.length} commands applied)`);
+        this.mode = 'idle';
+        this.replay = null;
+        this.cursor = 0;
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    // Replay file format
+    validateReplay(replay) {
+        const errors = [];
+        const isNumber = (v) => typeof v === 'number' && !isNaN(v);
+
+        if (!replay || typeof replay !== 'object') {
+            return ['Replay must be an object'];
+        }
+        if (replay.format !== REPLAY_FORMAT) {
+            errors.push(`Unknown replay format: ${replay.format}`);
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            errors.push(`Unsupported replay version: ${replay.version}`);
+        }
+        if (!isNumber(replay.seed)) errors.push('Replay seed must be a number');
+        if (!isNumber(replay.level) || replay.level < 1) errors.push('Replay level must be a positive number');
+        if (!isNumber(replay.fixedTimestep) || replay.fixedTimestep <= 0) {
+            errors.push('Replay fixedTimestep must be a positive number');
+        }
+        if (replay.endless && !Number.isInteger(replay.endless.seed)) {
+            errors.push('Replay endless seed must be an integer');
+        }
+        if (replay.pathSeed !== undefined && replay.pathSeed !== null && !Number.isInteger(replay.pathSeed)) {
+            errors.push('Replay pathSeed must be an integer');
+        }
+        if (replay.customLevel && replay.customLevel.level !== replay.level) {
+            errors.push('Replay customLevel must be for the replayed level');
+        }
+
+        if (!Array.isArray(replay.commands)) {
+            errors.push('Replay commands must be an array');
+            return errors;
+        }
+
+        let lastTick = 0;
+        replay.commands.forEach((command, index) => {
+            if (!command || !isNumber(command.tick) || command.tick < lastTick) {
+                errors.push(`Command ${index} has an invalid or out-of-order tick`);
+                return;
+            }
+            if (!REPLAY_COMMAND_TYPES.includes(command.type)) {
+                errors.push(`Command ${index} has unknown type: ${command.type}`);
+            }
+            lastTick = command.tick;
+        });
+
+        return errors;
+    }
+
+    exportReplay(replay = this.lastReplay) {
+        if (!replay) return null;
+        return JSON.stringify(replay, null, 2);
+    }
+
+    importReplay(replayString) {
+        try {
+            const replay = JSON.parse(replayString);
+            const errors = this.validateReplay(replay);
+
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+
+            return replay;
+
+        } catch (error) {
+            console.error('[ReplaySystem] Import failed:', error);
+            return null;
+        }
+    }
+}
+
+const replaySystem = new ReplaySystem();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplaySystem, replaySystem, REPLAY_COMMAND_TYPES };
+} else {
+    window.ReplaySystem = ReplaySystem;
+    window.replaySystem = replaySystem;
+    window.REPLAY_COMMAND_TYPES = REPLAY_COMMAND_TYPES;
+}
@@ -0,0 +1,102 @@
+// Reward formulas shared by Game and the headless balance runner, so batch
+// runs score a level exactly the way the browser game does.
+
+const RESOURCES = ['dharma', 'bandwidth', 'anonymity'];
+
+const getWaveEconomy = () => window.CONFIG?.WAVE_ECONOMY || {
+    interest: { rate: 0, cap: 0 },
+    earlyCall: { window: 0, maxBonus: 0 },
+    perfectWave: {},
+    difficultyScaling: 0
+};
+
+// Income multiplier for a level's difficulty (1 = no change) and the
+// difficulty preset's reward multiplier (js/difficulty.js)
+const difficultyScale = (difficulty = 1, rewardMultiplier = 1) =>
+    (1 + (difficulty - 1) * getWaveEconomy().difficultyScaling) * rewardMultiplier;
+
+const scaleAmount = (amount, scale) => {
+    const scaled = {};
+    RESOURCES.forEach(resource => { scaled[resource] = Math.floor((amount[resource] || 0) * scale); });
+    return scaled;
+};
+
+const Rewards = {
+    kill(enemy) {
+        // Bosses pay out their own resource bundle in Boss.die()
+        if (enemy.isBoss) {
+            return { dharma: 0, bandwidth: 0, anonymity: 0 };
+        }
+
+        const baseReward = enemy.reward || 10;
+        return {
+            dharma: baseReward,
+            bandwidth: Math.floor(baseReward * 0.1),
+            anonymity: Math.floor(baseReward * 0.05)
+        };
+    },
+
+    wave(data, difficulty = 1, rewardMultiplier = 1) {
+        const baseReward = 50 + (data.wave * 10);
+        return scaleAmount({
+            dharma: baseReward,
+            bandwidth: Math.floor(baseReward * 0.2),
+            anonymity: Math.floor(baseReward * 0.1)
+        }, difficultyScale(difficulty, rewardMultiplier));
+    },
+
+    level(data, difficulty = 1, rewardMultiplier = 1) {
+        const baseReward = 200 + (data.level * 50);
+        return scaleAmount({
+            dharma: baseReward,
+            bandwidth: Math.floor(baseReward * 0.3),
+            anonymity: Math.floor(baseReward * 0.2)
+        }, difficultyScale(difficulty, rewardMultiplier));
+    },
+
+    // Everything paid when a wave ends (CONFIG.WAVE_ECONOMY), as
+    // [{ id, label, amount }]. data is LevelManager's wave data (earlyCall:
+    // share of the call window left when the wave was started); banked is
+    // the dharma held as the wave ended; rewardMultiplier comes from the
+    // difficulty preset.
+    wavePayouts(data, { banked = 0, difficulty = 1, rewardMultiplier = 1 } = {}) {
+        const rules = getWaveEconomy();
+        const scale = difficultyScale(difficulty, rewardMultiplier);
+        const payouts = [{ id: 'wave', label: `Wave ${data.wave} cleared`, amount: this.wave(data, difficulty, rewardMultiplier) }];
+
+        const earlyBonus = this.earlyCallBonus(data.earlyCall, difficulty, rewardMultiplier);
+        if (earlyBonus > 0) {
+            payouts.push({ id: 'earlyCall', label: 'Called early', amount: { dharma: earlyBonus, bandwidth: 0, anonymity: 0 } });
+        }
+
+        if (data.perfect) {
+            payouts.push({ id: 'perfect', label: 'Perfect wave', amount: scaleAmount(rules.perfectWave, scale) });
+        }
+
+        const interest = Math.min(rules.interest.cap, Math.floor(Math.max(0, banked) * rules.interest.rate));
+        if (interest > 0) {
+            payouts.push({
+                id: 'interest',
+                label: `Interest (${Math.round(rules.interest.rate * 100)}% of banked dharma)`,
+                amount: { dharma: interest, bandwidth: 0, anonymity: 0 }
+            });
+        }
+
+        return payouts;
+    },
+
+    // Dharma for starting a wave with share (0-1) of the early-call window
+    // left (LevelManager.getEarlyCallShare())
+    earlyCallBonus(share = 0, difficulty = 1, rewardMultiplier = 1) {
+        return Math.floor(getWaveEconomy().earlyCall.maxBonus * share * difficultyScale(difficulty, rewardMultiplier));
+    },
+
+    // Sum of [{ amount }] entries
+    total(entries) {
+        const total = { dharma: 0, bandwidth: 0, anonymity: 0 };
+        entries.forEach(entry => RESOURCES.forEach(resource => { total[resource] += entry.amount[resource] || 0; }));
+        return total;
+    }
+};
+
+export default Rewards;
@@ -19,6 +19,7 @@ const isNumber = (v) => typeof v === 'number' && !isNaN(v);
 const isPositiveNumber = (v) => isNumber(v) && v > 0;
 const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
 const isArray = (v) => Array.isArray(v);
+const isPoint = (v) => isObject(v) && isNumber(v.x) && isNumber(v.y);
 
 class SaveSystem {
     constructor() {
@@ -60,7 +61,15 @@ class SaveSystem {
                 highestLevel: 1,
                 highestWave: 1,
                 tutorialCompleted: false
-            }
+            },
+            // Difficulty preset, mutators and this level's tower bans
+            // (js/difficulty.js). null for saves made before difficulties.
+            difficulty: null,
+            // { seed } when the save is of an endless run (js/endless.js)
+            endless: null,
+            // Mid-level snapshot (defenses, enemies, projectiles, wave state).
+            // null when the save was made between levels.
+            battlefield: null
         };
 
         this.callbacks = {
@@ -206,9 +215,174 @@ class SaveSystem {
             Object.assign(validated.progress, data.progress);
         }
 
+        if (data.difficulty && isObject(data.difficulty)) {
+            validated.difficulty = {
+                preset: isString(data.difficulty.preset) ? data.difficulty.preset : null,
+                mutators: isArray(data.difficulty.mutators) ? data.difficulty.mutators.filter(isString) : [],
+                bannedTowers: isArray(data.difficulty.bannedTowers) ? data.difficulty.bannedTowers.filter(isString) : []
+            };
+        }
+
+        if (data.endless && isObject(data.endless) && Number.isInteger(data.endless.seed)) {
+            validated.endless = { seed: data.endless.seed };
+        }
+
+        if (data.battlefield && isObject(data.battlefield)) {
+            validated.battlefield = this.validateBattlefield(data.battlefield);
+        }
+
         return validated;
     }
 
+    // Battlefield validation. Each section is repaired independently: broken
+    // entries are dropped rather than failing the whole load, but a snapshot
+    // without usable wave state is discarded (null) so the level starts fresh.
+    validateBattlefield(battlefield) {
+        const levelState = this.validateLevelState(battlefield.levelState);
+        if (!levelState) {
+            console.warn('Discarding battlefield snapshot: invalid level state');
+            return null;
+        }
+
+        const state = isObject(battlefield.gameState) ? battlefield.gameState : {};
+        const maxLives = isPositiveNumber(state.maxLives) ? Math.floor(state.maxLives) : 10;
+        const lives = isNumber(state.lives) ? Math.max(1, Math.min(maxLives, Math.floor(state.lives))) : maxLives;
+
+        // Projectile targets are indices into the saved enemy list, so note
+        // where each kept enemy ends up (-1 for the dropped ones)
+        const enemies = [];
+        const enemyIndices = [];
+        (isArray(battlefield.enemies) ? battlefield.enemies : []).forEach(enemy => {
+            const repaired = this.validateEnemyState(enemy);
+            enemyIndices.push(repaired ? enemies.length : -1);
+            if (repaired) enemies.push(repaired);
+        });
+
+        const projectiles = isArray(battlefield.projectiles)
+            ? battlefield.projectiles.map(projectile => this.validateProjectileState(projectile, enemyIndices)).filter(Boolean)
+            : [];
+
+        const defenses = isArray(battlefield.defenses)
+            ? battlefield.defenses.map(defense => this.validateDefenseState(defense)).filter(Boolean)
+            : [];
+
+        return {
+            gameState: {
+                lives,
+                maxLives,
+                score: isNumber(state.score) ? Math.max(0, state.score) : 0
+            },
+            defenses,
+            // Spell cooldowns (see SpellManager.getState); unknown spells are dropped on load
+            spells: isObject(battlefield.spells) && isObject(battlefield.spells.cooldowns)
+                ? { cooldowns: deepClone(battlefield.spells.cooldowns) }
+                : { cooldowns: {} },
+            enemies,
+            projectiles,
+            levelState,
+            // Deterministic-mode clock and RNG; opaque to the save system
+            simulation: isObject(battlefield.simulation) ? deepClone(battlefield.simulation) : null
+        };
+    }
+
+    validateDefenseState(defense) {
+        if (!isObject(defense) || !isString(defense.type) || !isNumber(defense.x) || !isNumber(defense.y)) {
+            return null;
+        }
+
+        const repaired = deepClone(defense);
+        repaired.level = isPositiveNumber(defense.level) ? Math.floor(defense.level) : 1;
+        repaired.upgradeChoices = isArray(defense.upgradeChoices) ? defense.upgradeChoices.filter(isObject) : [];
+        repaired.targetingMode = isString(defense.targetingMode) ? defense.targetingMode : 'first';
+        repaired.targetingPriority = isArray(defense.targetingPriority) ? defense.targetingPriority.filter(isString) : [];
+        repaired.kills = isNumber(defense.kills) ? Math.max(0, defense.kills) : 0;
+        repaired.totalDamage = isNumber(defense.totalDamage) ? Math.max(0, defense.totalDamage) : 0;
+        repaired.cooldown = isNumber(defense.cooldown) ? Math.max(0, defense.cooldown) : 0;
+
+        // Stats are optional (restored from config when missing) but must be sane
+        ['damage', 'range', 'fireRate'].forEach(stat => {
+            if (!isPositiveNumber(defense[stat])) delete repaired[stat];
+        });
+
+        return repaired;
+    }
+
+    validateEnemyState(enemy) {
+        if (!isObject(enemy) || !isString(enemy.type) || !isNumber(enemy.x) || !isNumber(enemy.y)) {
+            return null;
+        }
+        if (!isPositiveNumber(enemy.health)) {
+            return null; // Dead enemies are not worth restoring
+        }
+
+        const repaired = deepClone(enemy);
+        repaired.maxHealth = isPositiveNumber(enemy.maxHealth) ? Math.max(enemy.maxHealth, enemy.health) : enemy.health;
+        repaired.pathIndex = isNumber(enemy.pathIndex) ? Math.max(0, Math.floor(enemy.pathIndex)) : 0;
+        repaired.pathProgress = isNumber(enemy.pathProgress) ? Math.max(0, Math.min(1, enemy.pathProgress)) : 0;
+        repaired.isBoss = enemy.isBoss === true;
+
+        if (repaired.isBoss) {
+            repaired.phase = isPositiveNumber(enemy.phase) ? Math.floor(enemy.phase) : 1;
+        }
+
+        return repaired;
+    }
+
+    // enemyIndices maps saved enemy indices to those of the repaired list
+    validateProjectileState(projectile, enemyIndices) {
+        if (!isObject(projectile) || !isNumber(projectile.x) || !isNumber(projectile.y) || !isNumber(projectile.damage)) {
+            return null;
+        }
+
+        const repaired = deepClone(projectile);
+        repaired.velocityX = isNumber(projectile.velocityX) ? projectile.velocityX : 0;
+        repaired.velocityY = isNumber(projectile.velocityY) ? projectile.velocityY : 0;
+        repaired.age = isNumber(projectile.age) ? Math.max(0, projectile.age) : 0;
+
+        // Targets are stored as indices into the saved enemy list
+        const targetIndex = Number.isInteger(projectile.targetIndex) ? projectile.targetIndex : -1;
+        repaired.targetIndex = targetIndex >= 0 && targetIndex < enemyIndices.length ? enemyIndices[targetIndex] : -1;
+
+        return repaired;
+    }
+
+    validateLevelState(levelState) {
+        if (!isObject(levelState) || !isPositiveNumber(levelState.currentLevel)) {
+            return null;
+        }
+
+        const repaired = deepClone(levelState);
+        repaired.currentWave = isNumber(levelState.currentWave) ? Math.max(0, Math.floor(levelState.currentWave)) : 0;
+        repaired.waveInProgress = levelState.waveInProgress === true;
+
+        ['enemiesSpawned', 'enemiesKilled', 'enemiesRemaining', 'waveElapsed'].forEach(field => {
+            repaired[field] = isNumber(levelState[field]) ? Math.max(0, levelState[field]) : 0;
+        });
+
+        repaired.spawnQueue = isArray(levelState.spawnQueue)
+            ? levelState.spawnQueue.filter(event =>
+                isObject(event) && isObject(event.enemyData) && isString(event.enemyData.type))
+                .map(event => ({
+                    ...deepClone(event),
+                    spawnDelay: isNumber(event.spawnDelay) ? Math.max(0, event.spawnDelay) : 0
+                }))
+            : [];
+
+        repaired.path = isArray(levelState.path) && levelState.path.length >= 2 && levelState.path.every(isPoint)
+            ? deepClone(levelState.path)
+            : null;
+        // Enemies refer to lanes by index, so one bad lane drops them all
+        // (every lane then falls back to the main path)
+        repaired.lanes = isArray(levelState.lanes) &&
+            levelState.lanes.every(lane => isArray(lane) && lane.length >= 2 && lane.every(isPoint))
+            ? deepClone(levelState.lanes)
+            : [];
+        repaired.spawnPoints = isArray(levelState.spawnPoints) ? levelState.spawnPoints.filter(isPoint) : [];
+        repaired.exitPoints = isArray(levelState.exitPoints) ? levelState.exitPoints.filter(isPoint) : [];
+
+        return repaired;
+    }
+
     // Key-value storage methods for AchievementManager compatibility
     get(key, defaultValue = null) {
         try {
@@ -238,6 +412,27 @@ class SaveSystem {
         }
     }
 
+    // Best wave reached in endless mode, per seed. Returns true when wave is
+    // a new best for the seed.
+    recordEndlessWave(seed, wave) {
+        const records = this.getEndlessRecords();
+        if (wave <= (records[seed] || 0)) return false;
+
+        records[seed] = wave;
+        this.set('endless_records', records);
+        return true;
+    }
+
+    getEndlessBest(seed) {
+        return this.getEndlessRecords()[seed] || 0;
+    }
+
+    // { <seed>: best wave }
+    getEndlessRecords() {
+        const records = this.get('endless_records', {});
+        return isObject(records) ? records : {};
+    }
+
     deleteSave(slot) {
         try {
             if (slot < 0 || slot >= this.saveSlots) {
@@ -272,7 +467,9 @@ class SaveSystem {
                 wave: data.wave || 1,
                 timestamp: data.timestamp || 0,
                 version: data.version || 'Unknown',
-                playtime: data.statistics?.totalPlayTime || 0
+                playtime: data.statistics?.totalPlayTime || 0,
+                difficulty: data.difficulty?.preset || null,
+                endlessSeed: data.endless ? data.endless.seed : null
             };
 
         } catch (error) {
@@ -0,0 +1,147 @@
+// Deterministic simulation support: a seeded RNG and an injectable clock.
+// Gameplay code reads time and randomness through window.simulation so that
+// a seeded run with the same inputs always produces the same outcome. When
+// deterministic mode is off it falls through to performance.now()/Math.random().
+
+// mulberry32 - small, fast, and good enough for gameplay randomness
+class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+class Simulation {
+    constructor() {
+        this.deterministic = false;
+        this.seed = null;
+        this.rng = new SeededRandom(1);
+
+        // Simulation time in ms, advanced one fixed tick at a time
+        this.tick = 0;
+        this.time = 0;
+        this.fixedTimestep = 1000 / 60;
+        this.maxStepsPerFrame = 5;
+
+        // Optional injected clock (e.g. a test harness); overrides both modes
+        this.clock = null;
+
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG.SIMULATION : null;
+        if (config) {
+            this.fixedTimestep = config.fixedTimestep || this.fixedTimestep;
+            this.maxStepsPerFrame = config.maxStepsPerFrame || this.maxStepsPerFrame;
+        }
+    }
+
+    enableDeterministic(seed = 1, options = {}) {
+        this.deterministic = true;
+        if (options.fixedTimestep) this.fixedTimestep = options.fixedTimestep;
+        if (options.clock) this.clock = options.clock;
+        this.reset(seed);
+
+        console.log(`[Simulation] Deterministic mode enabled (seed=${this.seed}, tick=${this.fixedTimestep.toFixed(2)}ms)`);
+    }
+
+    disableDeterministic() {
+        this.deterministic = false;
+        this.clock = null;
+        console.log('[Simulation] Deterministic mode disabled');
+    }
+
+    // Rewind to tick 0 with a fresh RNG sequence. Called at the start of each
+    // level run so the same seed replays the same level.
+    reset(seed = this.seed) {
+        this.seed = (seed === null || seed === undefined) ? 1 : seed >>> 0;
+        this.rng.setSeed(this.seed);
+        this.tick = 0;
+        this.time = 0;
+    }
+
+    setClock(clock) {
+        this.clock = typeof clock === 'function' ? clock : null;
+    }
+
+    step(deltaTime = this.fixedTimestep) {
+        this.tick++;
+        this.time += deltaTime;
+    }
+
+    now() {
+        if (this.clock) return this.clock();
+        return this.deterministic ? this.time : performance.now();
+    }
+
+    random() {
+        return this.deterministic ? this.rng.next() : Math.random();
+    }
+
+    randomFloat(min, max) {
+        return this.random() * (max - min) + min;
+    }
+
+    randomInt(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
+    }
+
+    // Seed for a level's generated path. Fixed by the run seed in deterministic
+    // mode; null outside it, so PathGenerator picks a fresh layout each run.
+    getPathSeed(level) {
+        if (!this.deterministic) return null;
+        return (Math.imul(this.seed ^ 0x85EBCA6B, 0x9E3779B1) + Math.imul(level, 0xC2B2AE35)) >>> 0;
+    }
+
+    getState() {
+        return {
+            deterministic: this.deterministic,
+            seed: this.seed,
+            tick: this.tick,
+            time: this.time,
+            fixedTimestep: this.fixedTimestep,
+            rng: this.rng.getState()
+        };
+    }
+
+    setState(state) {
+        this.deterministic = !!state.deterministic;
+        this.seed = state.seed;
+        this.tick = state.tick || 0;
+        this.time = state.time || 0;
+        this.fixedTimestep = state.fixedTimestep || this.fixedTimestep;
+        if (state.rng) this.rng.setState(state.rng);
+    }
+}
+
+const simulation = new Simulation();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, Simulation, simulation };
+} else {
+    window.SeededRandom = SeededRandom;
+    window.Simulation = Simulation;
+    window.simulation = simulation;
+}
@@ -0,0 +1,380 @@
+// Status effects shared by enemies, bosses and defenses. Each unit owns a
+// StatusEffects container; projectiles, auras and boss abilities apply
+// effects to it by type, and the unit reads the combined result back
+// (speed, outgoing damage, damage taken, disabled) instead of keeping its
+// own timers.
+//
+// Effect types are defined in STATUS_EFFECT_TYPES:
+//   tags          - immunity and cleanse tags ('debuff', 'control', ...)
+//   stacking      - 'refresh': one instance, reapplying extends it and keeps
+//                   the stronger strength; 'stack': one instance per source
+//                   (or per application without one), up to maxStacks, with
+//                   the oldest replaced once full
+//   defaults      - { duration, strength } when the caller gives none
+//   tickInterval  - ms between onTick(unit, effect) calls
+//   speedMultiplier / damageMultiplier / fireRateMultiplier /
+//   damageTakenMultiplier(effect, damageType)
+//   disables      - the unit cannot move, attack or use abilities
+//   grantsImmunity - effect types or tags the unit ignores while it has this
+// Strength means whatever the type's multipliers make of it.
+
+// Corruption damage per stack per tick on units that can take damage
+const CORRUPTION_TICK_DAMAGE = 4;
+
+const STATUS_EFFECT_TYPES = {
+    slow: {
+        name: 'Slowed',
+        icon: '❄',
+        color: '#74b9ff',
+        tags: ['debuff', 'movement'],
+        stacking: 'refresh',
+        keep: 'lowest',
+        defaults: { duration: 2000, strength: 0.5 },
+        speedMultiplier: (effect) => effect.strength
+    },
+    stun: {
+        name: 'Stunned',
+        icon: '✦',
+        color: '#ffd60a',
+        tags: ['debuff', 'control'],
+        stacking: 'refresh',
+        defaults: { duration: 2000, strength: 1 },
+        disables: true
+    },
+    stealth: {
+        name: 'Stealthed',
+        icon: '◐',
+        color: '#b2bec3',
+        tags: ['buff', 'stealth'],
+        stacking: 'refresh',
+        defaults: { duration: 5000, strength: 0.7 },
+        // Scanning damage sees through stealth
+        damageTakenMultiplier: (effect, damageType) => (damageType === 'scanning' ? 1 : effect.strength)
+    },
+    corruption: {
+        name: 'Corrupted',
+        icon: '☣',
+        color: '#a29bfe',
+        tags: ['debuff', 'corruption'],
+        stacking: 'stack',
+        maxStacks: 3,
+        defaults: { duration: 5000, strength: 0.25 },
+        tickInterval: 1000,
+        damageMultiplier: (effect) => 1 - effect.strength,
+        onTick: (unit) => {
+            if (typeof unit.takeDamage === 'function' && unit.isAlive) {
+                unit.takeDamage(CORRUPTION_TICK_DAMAGE, 'corruption');
+            }
+        }
+    },
+    emp: {
+        name: 'EMP Disabled',
+        icon: '⚡',
+        color: '#0080ff',
+        tags: ['debuff', 'control', 'electronic'],
+        stacking: 'refresh',
+        defaults: { duration: 3000, strength: 1 },
+        disables: true
+    },
+    takeover: {
+        name: 'Hostile Takeover',
+        icon: '☠',
+        color: '#fd79a8',
+        tags: ['debuff', 'control', 'electronic'],
+        stacking: 'refresh',
+        defaults: { duration: 8000, strength: 1 },
+        disables: true
+    },
+    // Enemies walk back the way they came (decoy confusion)
+    confused: {
+        name: 'Confused',
+        icon: '?',
+        color: '#45b7d1',
+        tags: ['debuff', 'control'],
+        stacking: 'refresh',
+        defaults: { duration: 2000, strength: 1 }
+    },
+    // Enemy scanning and corruption auras find nothing (anonymity misdirection)
+    misdirected: {
+        name: 'Misdirected',
+        icon: '≈',
+        color: '#6c5ce7',
+        tags: ['debuff', 'electronic'],
+        stacking: 'refresh',
+        defaults: { duration: 250, strength: 1 }
+    },
+    // Defenses tracked by surveillance scans; their shots are anticipated
+    marked: {
+        name: 'Marked',
+        icon: '◎',
+        color: '#ff7675',
+        tags: ['debuff', 'electronic'],
+        stacking: 'refresh',
+        keep: 'lowest',
+        defaults: { duration: 3000, strength: 0.8 },
+        damageMultiplier: (effect) => effect.strength
+    },
+    // Defenses an enemy scan uncovered cannot be hidden again for a while
+    revealed: {
+        name: 'Revealed',
+        icon: '◉',
+        color: '#ffff44',
+        tags: ['debuff', 'electronic'],
+        stacking: 'refresh',
+        defaults: { duration: 4000, strength: 1 },
+        grantsImmunity: ['stealth']
+    },
+    boosted: {
+        name: 'Boosted',
+        icon: '▲',
+        color: '#ffd700',
+        tags: ['buff'],
+        stacking: 'stack',
+        defaults: { duration: 250, strength: 1.2 },
+        damageMultiplier: (effect) => effect.strength
+    },
+    accelerated: {
+        name: 'Accelerated',
+        icon: '»',
+        color: '#fdcb6e',
+        tags: ['buff'],
+        stacking: 'stack',
+        defaults: { duration: 250, strength: 1.15 },
+        fireRateMultiplier: (effect) => effect.strength
+    },
+    // Player spell: defenses shrug off EMP bursts
+    sanctuary: {
+        name: 'Sanctuary',
+        icon: '☸',
+        color: '#ffeaa7',
+        tags: ['buff'],
+        stacking: 'refresh',
+        defaults: { duration: 6000, strength: 1 },
+        grantsImmunity: ['emp']
+    }
+};
+
+class StatusEffects {
+    constructor(unit, immunities = []) {
+        this.unit = unit;
+        this.immunities = [...immunities];
+        this.effects = [];
+    }
+
+    static getDefinition(type) {
+        return STATUS_EFFECT_TYPES[type] || null;
+    }
+
+    // Apply to any unit that has a container; plain objects are skipped
+    static applyTo(unit, type, options = {}) {
+        return unit && unit.statusEffects ? unit.statusEffects.apply(type, options) : null;
+    }
+
+    // Immune to a type by name or by any of its tags, whether the unit
+    // always is or an active effect grants it
+    isImmune(type) {
+        const definition = StatusEffects.getDefinition(type);
+        if (!definition) return true;
+        const immunities = [
+            ...this.immunities,
+            ...this.effects.flatMap(effect => StatusEffects.getDefinition(effect.type).grantsImmunity || [])
+        ];
+        return immunities.includes(type) || definition.tags.some(tag => immunities.includes(tag));
+    }
+
+    // options: { duration, strength, source }. Returns the effect instance,
+    // or null if the unit is immune or the type is unknown.
+    apply(type, options = {}) {
+        if (this.isImmune(type)) return null;
+
+        const definition = StatusEffects.getDefinition(type);
+        const duration = options.duration !== undefined ? options.duration : definition.defaults.duration;
+        const strength = options.strength !== undefined ? options.strength : definition.defaults.strength;
+        if (definition.stacking === 'refresh') {
+            const existing = this.effects.find(effect => effect.type === type);
+            if (existing) {
+                existing.remaining = Math.max(existing.remaining, duration);
+                existing.strength = definition.keep === 'lowest'
+                    ? Math.min(existing.strength, strength)
+                    : Math.max(existing.strength, strength);
+                return existing;
+            }
+        } else {
+            const source = options.source || null;
+            const existing = source ? this.effects.find(effect => effect.type === type && effect.source === source) : null;
+            if (existing) {
+                existing.remaining = Math.max(existing.remaining, duration);
+                existing.strength = strength;
+                return existing;
+            }
+
+            const stacks = this.effects.filter(effect => effect.type === type);
+            if (stacks.length >= (definition.maxStacks || Infinity)) {
+                const oldest = stacks.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+                this.effects.splice(this.effects.indexOf(oldest), 1);
+            }
+        }
+
+        const effect = {
+            type,
+            remaining: duration,
+            strength,
+            source: options.source || null,
+            tickTimer: 0
+        };
+        this.effects.push(effect);
+        return effect;
+    }
+
+    update(deltaTime) {
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            const effect = this.effects[i];
+            const definition = StatusEffects.getDefinition(effect.type);
+
+            if (definition.tickInterval) {
+                effect.tickTimer += deltaTime;
+                while (effect.tickTimer >= definition.tickInterval && effect.remaining > 0) {
+                    effect.tickTimer -= definition.tickInterval;
+                    definition.onTick(this.unit, effect);
+                }
+            }
+
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                this.effects.splice(this.effects.indexOf(effect), 1);
+            }
+        }
+    }
+
+    remove(type) {
+        const before = this.effects.length;
+        this.effects = this.effects.filter(effect => effect.type !== type);
+        return before - this.effects.length;
+    }
+
+    // Remove every effect whose type or tags match; returns how many went
+    cleanse(tag = 'debuff') {
+        const before = this.effects.length;
+        this.effects = this.effects.filter(effect =>
+            effect.type !== tag && !StatusEffects.getDefinition(effect.type).tags.includes(tag));
+        return before - this.effects.length;
+    }
+
+    clear() {
+        this.effects = [];
+    }
+
+    // Queries
+    has(type) {
+        return this.effects.some(effect => effect.type === type);
+    }
+
+    getStacks(type) {
+        return this.effects.filter(effect => effect.type === type).length;
+    }
+
+    getRemaining(type) {
+        return this.effects
+            .filter(effect => effect.type === type)
+            .reduce((longest, effect) => Math.max(longest, effect.remaining), 0);
+    }
+
+    isDisabled() {
+        return this.effects.some(effect => StatusEffects.getDefinition(effect.type).disables);
+    }
+
+    getSpeedMultiplier() {
+        return this.combine('speedMultiplier');
+    }
+
+    getDamageMultiplier() {
+        return this.combine('damageMultiplier');
+    }
+
+    getFireRateMultiplier() {
+        return this.combine('fireRateMultiplier');
+    }
+
+    getDamageTakenMultiplier(damageType) {
+        return this.combine('damageTakenMultiplier', damageType);
+    }
+
+    combine(field, damageType) {
+        return this.effects.reduce((multiplier, effect) => {
+            const definition = StatusEffects.getDefinition(effect.type);
+            return definition[field] ? multiplier * definition[field](effect, damageType) : multiplier;
+        }, 1);
+    }
+
+    // One icon per effect type, centered on x with the bottom edge at y
+    render(ctx, x, y) {
+        const types = [...new Set(this.effects.map(effect => effect.type))];
+        if (types.length === 0) return;
+
+        const iconSize = 12;
+        const spacing = 2;
+        let iconX = x - (types.length * (iconSize + spacing) - spacing) / 2;
+
+        ctx.save();
+        ctx.font = '9px Orbitron, monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        types.forEach(type => {
+            const definition = StatusEffects.getDefinition(type);
+            const centerX = iconX + iconSize / 2;
+            const centerY = y - iconSize / 2;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.strokeStyle = definition.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, iconSize / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = definition.color;
+            ctx.fillText(definition.icon, centerX, centerY);
+
+            const stacks = this.getStacks(type);
+            if (stacks > 1) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(String(stacks), centerX + iconSize / 2, centerY - iconSize / 2);
+            }
+
+            iconX += iconSize + spacing;
+        });
+
+        ctx.restore();
+    }
+
+    // Save/Load
+    getState() {
+        return this.effects.map(({ type, remaining, strength, source, tickTimer }) => ({
+            type, remaining, strength, source, tickTimer
+        }));
+    }
+
+    setState(state) {
+        this.effects = [];
+        if (!Array.isArray(state)) return;
+
+        state.forEach(saved => {
+            if (!StatusEffects.getDefinition(saved.type) || !(saved.remaining > 0)) return;
+            this.effects.push({
+                type: saved.type,
+                remaining: saved.remaining,
+                strength: saved.strength,
+                source: saved.source || null,
+                tickTimer: saved.tickTimer || 0
+            });
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatusEffects, STATUS_EFFECT_TYPES };
+} else {
+    window.StatusEffects = StatusEffects;
+    window.STATUS_EFFECT_TYPES = STATUS_EFFECT_TYPES;
+}
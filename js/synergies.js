@@ -0,0 +1,86 @@
+// Tower synergies from CONFIG.DEFENSE_SYNERGIES. Each entry pairs a defense
+// type with a partner type; while a partner stands within the defense's
+// range the defense gets the entry's bonus. One partner is enough, more do
+// not stack the same synergy, but different synergies combine.
+//
+// refresh() stores the result on each defense whenever the layout changes:
+//   defense.synergies    - [{ synergy, partner }] active for it
+//   defense.synergyBonus - { damage, fireRate, bounces, crits } combined
+// Shots read synergyBonus when they fire; mirror bounces are applied by
+// js/defenseAbilities.js.
+
+const getSynergyDefinitions = () => (typeof CONFIG !== 'undefined' && Array.isArray(CONFIG.DEFENSE_SYNERGIES)
+    ? CONFIG.DEFENSE_SYNERGIES
+    : []);
+
+const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const noSynergyBonus = () => ({ damage: 1, fireRate: 1, bounces: 0, crits: [] });
+
+const Synergies = {
+    getDefinitions: getSynergyDefinitions,
+
+    get(id) {
+        return getSynergyDefinitions().find(synergy => synergy.id === id) || null;
+    },
+
+    // Synergies active for one defense, each with its nearest partner
+    find(defense, defenses) {
+        return getSynergyDefinitions()
+            .filter(synergy => synergy.defense === defense.type)
+            .map(synergy => {
+                const partners = defenses.filter(other => other !== defense &&
+                    other.type === synergy.partner && distanceBetween(defense, other) <= defense.range);
+                if (partners.length === 0) return null;
+                const partner = partners.reduce((nearest, other) =>
+                    (distanceBetween(defense, other) < distanceBetween(defense, nearest) ? other : nearest));
+                return { synergy, partner };
+            })
+            .filter(Boolean);
+    },
+
+    getBonus(active) {
+        const bonus = noSynergyBonus();
+        active.forEach(({ synergy }) => {
+            const step = synergy.bonus || {};
+            if (step.damage) bonus.damage *= step.damage;
+            if (step.fireRate) bonus.fireRate *= step.fireRate;
+            if (step.bounces) bonus.bounces += step.bounces;
+            if (step.crit) bonus.crits.push(step.crit);
+        });
+        return bonus;
+    },
+
+    refresh(defenses) {
+        defenses.forEach(defense => {
+            defense.synergies = this.find(defense, defenses);
+            defense.synergyBonus = this.getBonus(defense.synergies);
+        });
+    },
+
+    // Defenses whose synergies this defense is the partner for
+    getSupported(defense, defenses) {
+        const supported = [];
+        defenses.forEach(other => (other.synergies || []).forEach(({ synergy, partner }) => {
+            if (partner === defense) supported.push({ synergy, defense: other });
+        }));
+        return supported;
+    },
+
+    // Damage multiplier for a shot at target: the best crit whose status
+    // the target has, if the roll succeeds
+    rollCrit(defense, target, random) {
+        const crits = (defense.synergyBonus ? defense.synergyBonus.crits : [])
+            .filter(crit => target.statusEffects && target.statusEffects.has(crit.against));
+        if (crits.length === 0) return 1;
+
+        const best = crits.reduce((top, crit) => (crit.multiplier > top.multiplier ? crit : top));
+        return random() < best.chance ? best.multiplier : 1;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Synergies;
+} else {
+    window.Synergies = Synergies;
+}
@@ -0,0 +1,149 @@
+// Target selection shared by DefenseManager's defenses and the Defense class.
+// Each mode scores an enemy (higher is preferred). A defense aims with its
+// priority list, e.g. ['boss', 'healer', 'first']: enemies are compared by the
+// first rule, ties go to the next one, and so on, ending with 'first' and
+// 'closest'. Without a list (defense.targetingPriority) the defense's single
+// targetingMode is used.
+
+// Enemies this close to each other are caught by one explosion (see
+// Projectile.createExplosion)
+const CLUSTER_RADIUS = 60;
+
+const MAX_PRIORITY_RULES = 4;
+
+const enemyDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Rewards are a dharma amount or { dharma, bandwidth, anonymity }
+const totalReward = (enemy) => (typeof enemy.reward === 'number'
+    ? enemy.reward
+    : Object.values(enemy.reward || {}).reduce((sum, amount) => sum + (typeof amount === 'number' ? amount : 0), 0));
+
+const STEALTH_ABILITIES = ['stealth', 'stealth_mode'];
+
+const TARGETING_MODES = {
+    first: {
+        name: 'First',
+        description: 'Furthest along the path',
+        score: (enemy) => enemy.pathProgress || 0
+    },
+    last: {
+        name: 'Last',
+        description: 'Least far along the path',
+        score: (enemy) => -(enemy.pathProgress || 0)
+    },
+    closest: {
+        name: 'Closest',
+        description: 'Nearest to the defense',
+        score: (enemy, defense) => -enemyDistance(enemy, defense)
+    },
+    strongest: {
+        name: 'Strongest',
+        description: 'Most health left',
+        score: (enemy) => enemy.health
+    },
+    weakest: {
+        name: 'Weakest',
+        description: 'Least health left',
+        score: (enemy) => -enemy.health
+    },
+    armored: {
+        name: 'Most Armored',
+        description: 'Highest armor',
+        score: (enemy) => enemy.armor || 0
+    },
+    fastest: {
+        name: 'Fastest',
+        description: 'Highest current speed',
+        score: (enemy) => enemy.speed * (enemy.statusEffects ? enemy.statusEffects.getSpeedMultiplier() : 1)
+    },
+    boss: {
+        name: 'Bosses',
+        description: 'Bosses before everything else',
+        score: (enemy) => (enemy.isBoss ? 1 : 0)
+    },
+    healer: {
+        name: 'Healers',
+        description: 'Enemies that heal others',
+        score: (enemy) => (enemy.abilities && enemy.abilities.includes('healing_aura') ? 1 : 0)
+    },
+    revealed: {
+        name: 'Revealed Stealth',
+        description: 'Stealthy enemies while they are visible',
+        score: (enemy) => (enemy.abilities && enemy.abilities.some(ability => STEALTH_ABILITIES.includes(ability)) &&
+            !(enemy.statusEffects && enemy.statusEffects.has('stealth')) ? 1 : 0)
+    },
+    reward: {
+        name: 'Highest Reward',
+        description: 'Most resources when destroyed',
+        score: (enemy) => totalReward(enemy)
+    },
+    cluster: {
+        name: 'Cluster Center',
+        description: 'The enemy with the most others around it, for splash damage',
+        score: (enemy, defense, enemies) => enemies.filter(other => other !== enemy && other.isAlive &&
+            enemyDistance(enemy, other) <= CLUSTER_RADIUS).length
+    }
+};
+
+const Targeting = {
+    DEFAULT_MODE: 'first',
+    MAX_PRIORITY_RULES,
+
+    getModes() {
+        return Object.keys(TARGETING_MODES);
+    },
+
+    getMode(mode) {
+        return TARGETING_MODES[mode] || null;
+    },
+
+    isValidMode(mode) {
+        return Object.prototype.hasOwnProperty.call(TARGETING_MODES, mode);
+    },
+
+    // Known modes only, each once, at most MAX_PRIORITY_RULES
+    normalizePriority(priority) {
+        if (!Array.isArray(priority)) return [];
+        return [...new Set(priority.filter(mode => this.isValidMode(mode)))].slice(0, MAX_PRIORITY_RULES);
+    },
+
+    getPriority(defense) {
+        if (defense.targetingPriority && defense.targetingPriority.length > 0) {
+            return defense.targetingPriority;
+        }
+        return [this.isValidMode(defense.targetingMode) ? defense.targetingMode : this.DEFAULT_MODE];
+    },
+
+    // "Bosses → Healers → First"
+    describe(defense) {
+        return this.getPriority(defense).map(mode => TARGETING_MODES[mode].name).join(' → ');
+    },
+
+    // Best living enemy within range, or null
+    select(defense, enemies) {
+        const candidates = enemies.filter(enemy => enemy.isAlive && enemyDistance(enemy, defense) <= defense.range);
+        if (candidates.length === 0) return null;
+
+        const rules = [...new Set([...this.getPriority(defense), 'first', 'closest'])]
+            .map(mode => TARGETING_MODES[mode]);
+        const ranked = candidates.map(enemy => ({
+            enemy,
+            scores: rules.map(rule => rule.score(enemy, defense, enemies))
+        }));
+
+        const better = (a, b) => {
+            for (let i = 0; i < a.scores.length; i++) {
+                if (a.scores[i] !== b.scores[i]) return a.scores[i] > b.scores[i];
+            }
+            return false;
+        };
+        return ranked.reduce((best, entry) => (better(entry, best) ? entry : best)).enemy;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Targeting, TARGETING_MODES };
+} else {
+    window.Targeting = Targeting;
+    window.TARGETING_MODES = TARGETING_MODES;
+}
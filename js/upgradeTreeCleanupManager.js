@@ -782,4 +782,6 @@ class UpgradeTreeCleanupManager {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = UpgradeTreeCleanupManager;
+} else {
+    window.UpgradeTreeCleanupManager = UpgradeTreeCleanupManager;
 }
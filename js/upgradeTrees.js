@@ -0,0 +1,120 @@
+// Upgrade paths from CONFIG.UPGRADE_TREES. Levels 2-5 of each defense list
+// multiplicative modifiers (damage, range, fireRate, size), abilities they
+// grant and optionally mutually exclusive choices; a defense's path is its
+// level plus the choices it took, as [{ level, index }].
+//
+// fireRate modifiers scale the time between shots, so 0.7 fires faster.
+// Upgrade costs grow by 1.5x per level from the defense's base cost, and a
+// level or choice with costMultiplier scales its own step; the sell value
+// refunds part of everything spent along the path.
+
+const UPGRADE_COST_GROWTH = 1.5;
+const SELL_RATIO = 0.7;
+
+const getTrees = () => (typeof CONFIG !== 'undefined' && CONFIG.UPGRADE_TREES ? CONFIG.UPGRADE_TREES : {});
+
+const scaleCost = (cost, multiplier) => ({
+    dharma: Math.floor((cost.dharma || 0) * multiplier),
+    bandwidth: Math.floor((cost.bandwidth || 0) * multiplier),
+    anonymity: Math.floor((cost.anonymity || 0) * multiplier)
+});
+
+const UpgradeTrees = {
+    MAX_LEVEL: 5,
+
+    getUpgrade(type, level) {
+        const tree = getTrees()[type];
+        return tree && tree[level] ? tree[level] : null;
+    },
+
+    getChoices(type, level) {
+        const upgrade = this.getUpgrade(type, level);
+        return upgrade && Array.isArray(upgrade.choices) ? upgrade.choices : [];
+    },
+
+    requiresChoice(type, level) {
+        return this.getChoices(type, level).length > 0;
+    },
+
+    // Chosen branch at a level, or null
+    getChoice(type, level, choices = []) {
+        const taken = choices.find(choice => choice.level === level);
+        return taken ? this.getChoices(type, level)[taken.index] || null : null;
+    },
+
+    isValidChoice(type, level, index) {
+        return Number.isInteger(index) && index >= 0 && index < this.getChoices(type, level).length;
+    },
+
+    // The tree entries (and chosen branches) applied up to a level
+    getPath(type, level, choices = []) {
+        const path = [];
+        for (let upgradeLevel = 2; upgradeLevel <= level; upgradeLevel++) {
+            const upgrade = this.getUpgrade(type, upgradeLevel);
+            if (upgrade) {
+                path.push({ level: upgradeLevel, upgrade, choice: this.getChoice(type, upgradeLevel, choices) });
+            }
+        }
+        return path;
+    },
+
+    getModifiers(type, level, choices = []) {
+        const modifiers = { damage: 1, range: 1, fireRate: 1, size: 1 };
+        this.getPath(type, level, choices).forEach(({ upgrade, choice }) => {
+            [upgrade.modifiers, choice && choice.modifiers].forEach(step => {
+                Object.entries(step || {}).forEach(([stat, value]) => {
+                    if (modifiers[stat] !== undefined) modifiers[stat] *= value;
+                });
+            });
+        });
+        return modifiers;
+    },
+
+    getAbilities(type, level, choices = []) {
+        const abilities = [];
+        this.getPath(type, level, choices).forEach(({ upgrade, choice }) => {
+            [...(upgrade.abilities || []), ...((choice && choice.abilities) || [])].forEach(ability => {
+                if (!abilities.includes(ability)) abilities.push(ability);
+            });
+        });
+        return abilities;
+    },
+
+    // CONFIG.ABILITY_DESCRIPTIONS entry, or the ability name spelled out
+    describeAbility(ability) {
+        const descriptions = typeof CONFIG !== 'undefined' && CONFIG.ABILITY_DESCRIPTIONS ? CONFIG.ABILITY_DESCRIPTIONS : {};
+        return descriptions[ability] || ability.replace(/_/g, ' ');
+    },
+
+    // Cost of the step up to level (2-5), taking choiceIndex there if it has choices
+    getStepCost(type, baseCost, level, choiceIndex = null) {
+        const upgrade = this.getUpgrade(type, level) || {};
+        const choice = choiceIndex !== null ? this.getChoices(type, level)[choiceIndex] : null;
+        const multiplier = Math.pow(UPGRADE_COST_GROWTH, level - 2) *
+            (upgrade.costMultiplier || 1) * ((choice && choice.costMultiplier) || 1);
+        return scaleCost(baseCost, multiplier);
+    },
+
+    // Everything spent on a defense: placement plus each step of its path
+    getTotalCost(type, baseCost, level, choices = []) {
+        const total = scaleCost(baseCost, 1);
+        for (let upgradeLevel = 2; upgradeLevel <= level; upgradeLevel++) {
+            const taken = choices.find(choice => choice.level === upgradeLevel);
+            const step = this.getStepCost(type, baseCost, upgradeLevel, taken ? taken.index : null);
+            total.dharma += step.dharma;
+            total.bandwidth += step.bandwidth;
+            total.anonymity += step.anonymity;
+        }
+        return total;
+    },
+
+    getSellValue(type, baseCost, level, choices = []) {
+        return scaleCost(this.getTotalCost(type, baseCost, level, choices), SELL_RATIO);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UpgradeTrees;
+} else {
+    window.UpgradeTrees = UpgradeTrees;
+}
@@ -0,0 +1,486 @@
+// Declarative wave scripts. A level's waves are plain JSON data (the built-in
+// campaign lives in js/waveScripts.js) that LevelManager validates once and
+// resolves one wave at a time, so waves can be rebalanced or authored without
+// touching code.
+//
+// Script:  { format: "dharmapala_waves", version: 1, name?, jitter?, waves: [Wave], library?: { <id>: Wave } }
+//          jitter  - ± ms of random variation added to every spawn (default 100)
+//          library - named waves that only play when a branch pulls them in
+// Wave:    { id?, groups: [Group], bosses?: [Boss], branches?: [Branch] }
+// Group:   { type, count, interval?, delay?, lane?, spawnPoint?, health?, speed?, reward?, modifiers? }
+//          interval   - ms between spawns within the group (default 1000)
+//          delay      - ms to wait after the previous group before this one starts
+//          lane       - index into the level's lanes the group walks (default 0)
+//          spawnPoint - index into the level's spawn points (default: the lane
+//                       index, since spawn point N is where lane N starts)
+//          modifiers  - names from WAVE_MODIFIERS, e.g. ["shielded", "hasted"]
+// Boss:    { type, delay?, lane?, spawnPoint?, health?, speed?, reward?, phases?, link?, escorts? }
+//          reward  - { dharma, bandwidth, anonymity }
+//          link    - bosses of the wave with the same link name share one
+//                    phase schedule set by their combined health
+//          escorts - squad ids from CONFIG.BOSS_ESCORTS that spawn with the
+//                    boss and buff it (see js/bossEncounters.js)
+//          phases - { "<phase>": { healthThreshold?, speedMultiplier?, abilities? } }
+//                   laid over the boss's definition (js/bossDefinitions.js);
+//                   abilities are names from js/bossAbilities.js
+// Branch:  { if: { <metric>: { gt|gte|lt|lte|eq: number }, ... }, addGroups?: <id>, insertWave?: <id> }
+//          Conditions are tested against the player's state when the wave
+//          starts. addGroups merges a library wave's groups and bosses into
+//          this wave, along with what the library wave's own addGroups
+//          branches add; insertWave plays a library wave right after this one.
+
+const WAVE_SCRIPT_FORMAT = 'dharmapala_waves';
+const WAVE_SCRIPT_VERSION = 1;
+
+// Stat changes applied to an enemy when it spawns (see Enemy.applyModifiers)
+const WAVE_MODIFIERS = {
+    shielded: { shieldRatio: 0.5 },     // shield worth half its health soaks damage first
+    hasted: { speedMultiplier: 1.5 },
+    armored: { armorBonus: 3 },
+    elite: { healthMultiplier: 2, rewardMultiplier: 2 }
+};
+
+const WAVE_CONDITION_METRICS = ['wave', 'level', 'defenses', 'lives', 'score', 'dharma', 'bandwidth', 'anonymity'];
+
+const WAVE_CONDITION_OPERATORS = {
+    gt: (value, target) => value > target,
+    gte: (value, target) => value >= target,
+    lt: (value, target) => value < target,
+    lte: (value, target) => value <= target,
+    eq: (value, target) => value === target
+};
+
+const WAVE_FIELDS = ['id', 'groups', 'bosses', 'branches'];
+const GROUP_FIELDS = ['type', 'count', 'interval', 'delay', 'lane', 'spawnPoint', 'health', 'speed', 'reward', 'modifiers', 'jitter'];
+const BOSS_FIELDS = ['type', 'delay', 'lane', 'spawnPoint', 'health', 'speed', 'reward', 'phases', 'link', 'escorts'];
+const PHASE_FIELDS = ['healthThreshold', 'speedMultiplier', 'abilities'];
+
+class WaveScript {
+    // Returns a list of human-readable problems; an empty list means the
+    // script is safe to play. Every message names the offending field, e.g.
+    // "waves[2].groups[0].count must be a positive integer".
+    static validate(script) {
+        const errors = [];
+
+        if (!WaveScript.isPlainObject(script)) {
+            return ['Wave script must be an object'];
+        }
+        if (script.format !== WAVE_SCRIPT_FORMAT) {
+            errors.push(`format must be "${WAVE_SCRIPT_FORMAT}" (got ${JSON.stringify(script.format)})`);
+        }
+        if (script.version !== WAVE_SCRIPT_VERSION) {
+            errors.push(`version ${script.version} is not supported (expected ${WAVE_SCRIPT_VERSION})`);
+        }
+        if (script.jitter !== undefined && !WaveScript.isNonNegativeNumber(script.jitter)) {
+            errors.push('jitter must be a number >= 0');
+        }
+
+        const library = script.library === undefined ? {} : script.library;
+        if (!WaveScript.isPlainObject(library)) {
+            errors.push('library must be an object of named waves');
+        } else {
+            Object.keys(library).forEach(id => {
+                WaveScript.validateWave(library[id], `library.${id}`, library, true, errors);
+            });
+        }
+
+        if (!Array.isArray(script.waves) || script.waves.length === 0) {
+            errors.push('waves must be a non-empty array');
+        } else {
+            const libraryIds = WaveScript.isPlainObject(library) ? library : {};
+            script.waves.forEach((wave, index) => {
+                WaveScript.validateWave(wave, `waves[${index}]`, libraryIds, false, errors);
+            });
+        }
+
+        return errors;
+    }
+
+    // Turns a wave definition into the flat list of spawn entries that
+    // LevelManager.populateSpawnQueue() consumes, after applying any branches
+    // whose conditions hold for the given context. Does not mutate the script.
+    static resolveWave(script, wave, context = {}) {
+        const library = script.library || {};
+        const jitter = script.jitter !== undefined ? script.jitter : 100;
+
+        let groups = [...(wave.groups || [])];
+        let bosses = [...(wave.bosses || [])];
+        const insertWaves = [];
+        const appliedBranches = [];
+
+        // Library waves cannot insert waves, so only their addGroups
+        // branches apply; a wave already merged on the way there is not
+        // merged again, so library waves naming each other stop
+        const addGroups = (id, merged) => {
+            if (merged.includes(id)) return;
+
+            const extra = library[id];
+            groups = groups.concat(extra.groups || []);
+            bosses = bosses.concat(extra.bosses || []);
+            (extra.branches || []).forEach(branch => {
+                if (branch.addGroups && WaveScript.evaluateCondition(branch.if, context)) {
+                    addGroups(branch.addGroups, merged.concat(id));
+                }
+            });
+        };
+
+        (wave.branches || []).forEach((branch, index) => {
+            if (!WaveScript.evaluateCondition(branch.if, context)) return;
+
+            appliedBranches.push(index);
+            if (branch.addGroups) {
+                addGroups(branch.addGroups, []);
+            }
+            if (branch.insertWave) {
+                insertWaves.push(branch.insertWave);
+            }
+        });
+
+        const enemies = groups.map(group => ({
+            type: group.type,
+            count: group.count,
+            interval: group.interval !== undefined ? group.interval : 1000,
+            delay: group.delay || 0,
+            jitter: group.jitter !== undefined ? group.jitter : jitter,
+            lane: group.lane || 0,
+            spawnPoint: group.spawnPoint !== undefined ? group.spawnPoint : (group.lane || 0),
+            health: group.health,
+            speed: group.speed,
+            reward: group.reward,
+            modifiers: [...(group.modifiers || [])],
+            modifierEffects: WaveScript.getModifierEffects(group.modifiers || [])
+        }));
+
+        bosses.forEach(boss => {
+            enemies.push({
+                type: boss.type,
+                count: 1,
+                isBoss: true,
+                interval: 0,
+                delay: boss.delay || 0,
+                jitter: 0,
+                lane: boss.lane || 0,
+                spawnPoint: boss.spawnPoint !== undefined ? boss.spawnPoint : (boss.lane || 0),
+                health: boss.health,
+                speed: boss.speed,
+                reward: boss.reward ? { ...boss.reward } : undefined,
+                phases: boss.phases ? JSON.parse(JSON.stringify(boss.phases)) : undefined,
+                link: boss.link,
+                escorts: boss.escorts ? [...boss.escorts] : undefined
+            });
+        });
+
+        return {
+            id: wave.id || null,
+            enemies,
+            totalEnemies: enemies.reduce((total, entry) => total + entry.count, 0),
+            isBossWave: bosses.length > 0,
+            appliedBranches,
+            insertWaves
+        };
+    }
+
+    // Every metric in the condition must hold. Metrics missing from the
+    // context never match, so a branch cannot fire on incomplete data.
+    static evaluateCondition(condition, context = {}) {
+        return Object.keys(condition || {}).every(metric => {
+            const value = context[metric];
+            if (typeof value !== 'number') return false;
+
+            return Object.keys(condition[metric]).every(operator =>
+                WAVE_CONDITION_OPERATORS[operator](value, condition[metric][operator]));
+        });
+    }
+
+    // Combine named modifiers into one set of effects: multipliers stack
+    // multiplicatively, flat bonuses and shield ratios add up.
+    static getModifierEffects(modifiers) {
+        const effects = { healthMultiplier: 1, speedMultiplier: 1, rewardMultiplier: 1, armorBonus: 0, shieldRatio: 0 };
+
+        modifiers.forEach(name => {
+            const modifier = WAVE_MODIFIERS[name] || {};
+            effects.healthMultiplier *= modifier.healthMultiplier || 1;
+            effects.speedMultiplier *= modifier.speedMultiplier || 1;
+            effects.rewardMultiplier *= modifier.rewardMultiplier || 1;
+            effects.armorBonus += modifier.armorBonus || 0;
+            effects.shieldRatio += modifier.shieldRatio || 0;
+        });
+
+        return effects;
+    }
+
+    static getModifierTypes() {
+        return Object.keys(WAVE_MODIFIERS);
+    }
+
+    // Validation helpers
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    static isPositiveNumber(value) {
+        return WaveScript.isNumber(value) && value > 0;
+    }
+
+    static isNonNegativeNumber(value) {
+        return WaveScript.isNumber(value) && value >= 0;
+    }
+
+    static isPositiveInteger(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+
+    static getKnownEnemyTypes() {
+        if (typeof CONFIG !== 'undefined' && CONFIG.ENEMY_TYPES) {
+            return Object.keys(CONFIG.ENEMY_TYPES);
+        }
+        return typeof Enemy !== 'undefined' ? Enemy.getEnemyTypes().concat(Enemy.getBossTypes()) : null;
+    }
+
+    static getKnownBossTypes() {
+        return typeof Enemy !== 'undefined' ? Enemy.getBossTypes() : ['raidTeam', 'megaCorp', 'corruptedMonk'];
+    }
+
+    static checkUnknownFields(object, allowed, path, errors) {
+        Object.keys(object).forEach(field => {
+            if (!allowed.includes(field)) {
+                errors.push(`${path}.${field} is not a recognised field (expected one of: ${allowed.join(', ')})`);
+            }
+        });
+    }
+
+    static validateWave(wave, path, library, inLibrary, errors) {
+        if (!WaveScript.isPlainObject(wave)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        WaveScript.checkUnknownFields(wave, WAVE_FIELDS, path, errors);
+
+        if (wave.id !== undefined && typeof wave.id !== 'string') {
+            errors.push(`${path}.id must be a string`);
+        }
+
+        if (!Array.isArray(wave.groups)) {
+            errors.push(`${path}.groups must be an array`);
+        } else {
+            wave.groups.forEach((group, index) => WaveScript.validateGroup(group, `${path}.groups[${index}]`, errors));
+        }
+
+        if (wave.bosses !== undefined) {
+            if (!Array.isArray(wave.bosses)) {
+                errors.push(`${path}.bosses must be an array`);
+            } else {
+                wave.bosses.forEach((boss, index) => WaveScript.validateBoss(boss, `${path}.bosses[${index}]`, errors));
+            }
+        }
+
+        const groupCount = Array.isArray(wave.groups) ? wave.groups.length : 0;
+        const bossCount = Array.isArray(wave.bosses) ? wave.bosses.length : 0;
+        if (groupCount + bossCount === 0 && !inLibrary && !(Array.isArray(wave.branches) && wave.branches.length > 0)) {
+            errors.push(`${path} spawns nothing (needs at least one group or boss)`);
+        }
+
+        if (wave.branches !== undefined) {
+            if (!Array.isArray(wave.branches)) {
+                errors.push(`${path}.branches must be an array`);
+            } else {
+                wave.branches.forEach((branch, index) =>
+                    WaveScript.validateBranch(branch, `${path}.branches[${index}]`, library, inLibrary, errors));
+            }
+        }
+    }
+
+    static validateGroup(group, path, errors) {
+        if (!WaveScript.isPlainObject(group)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        WaveScript.checkUnknownFields(group, GROUP_FIELDS, path, errors);
+
+        const knownTypes = WaveScript.getKnownEnemyTypes();
+        if (typeof group.type !== 'string') {
+            errors.push(`${path}.type must be an enemy type name`);
+        } else if (knownTypes && !knownTypes.includes(group.type)) {
+            errors.push(`${path}.type "${group.type}" is not a known enemy type`);
+        }
+
+        if (!WaveScript.isPositiveInteger(group.count)) {
+            errors.push(`${path}.count must be a positive integer`);
+        }
+
+        ['interval', 'delay', 'jitter'].forEach(field => {
+            if (group[field] !== undefined && !WaveScript.isNonNegativeNumber(group[field])) {
+                errors.push(`${path}.${field} must be a number of milliseconds >= 0`);
+            }
+        });
+
+        WaveScript.validateSpawnStats(group, path, errors);
+        if (group.reward !== undefined && !WaveScript.isNonNegativeNumber(group.reward)) {
+            errors.push(`${path}.reward must be a number >= 0`);
+        }
+
+        if (group.modifiers !== undefined) {
+            if (!Array.isArray(group.modifiers)) {
+                errors.push(`${path}.modifiers must be an array of modifier names`);
+            } else {
+                group.modifiers.forEach((name, index) => {
+                    if (!WAVE_MODIFIERS[name]) {
+                        errors.push(`${path}.modifiers[${index}] "${name}" is not a known modifier (expected one of: ${Object.keys(WAVE_MODIFIERS).join(', ')})`);
+                    }
+                });
+            }
+        }
+    }
+
+    static validateBoss(boss, path, errors) {
+        if (!WaveScript.isPlainObject(boss)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        WaveScript.checkUnknownFields(boss, BOSS_FIELDS, path, errors);
+
+        const bossTypes = WaveScript.getKnownBossTypes();
+        if (!bossTypes.includes(boss.type)) {
+            errors.push(`${path}.type must be a boss type (expected one of: ${bossTypes.join(', ')})`);
+        }
+
+        if (boss.delay !== undefined && !WaveScript.isNonNegativeNumber(boss.delay)) {
+            errors.push(`${path}.delay must be a number of milliseconds >= 0`);
+        }
+
+        WaveScript.validateSpawnStats(boss, path, errors);
+
+        if (boss.link !== undefined && !(typeof boss.link === 'string' && boss.link.length > 0)) {
+            errors.push(`${path}.link must be a non-empty link name`);
+        }
+        if (boss.escorts !== undefined) {
+            if (!(Array.isArray(boss.escorts) && boss.escorts.every(id => typeof id === 'string'))) {
+                errors.push(`${path}.escorts must be an array of escort squad ids`);
+            } else if (typeof BossEncounters !== 'undefined') {
+                const squads = BossEncounters.getSquadIds();
+                boss.escorts.filter(id => !squads.includes(id)).forEach(id => {
+                    errors.push(`${path}.escorts: ${id} is not an escort squad (expected one of: ${squads.join(', ')})`);
+                });
+            }
+        }
+
+        if (boss.reward !== undefined) {
+            if (!WaveScript.isPlainObject(boss.reward) ||
+                !['dharma', 'bandwidth', 'anonymity'].every(resource => WaveScript.isNonNegativeNumber(boss.reward[resource] || 0))) {
+                errors.push(`${path}.reward must be an object like { "dharma": 100, "bandwidth": 10, "anonymity": 5 }`);
+            }
+        }
+
+        if (boss.phases !== undefined) {
+            if (!WaveScript.isPlainObject(boss.phases)) {
+                errors.push(`${path}.phases must be an object keyed by phase number`);
+                return;
+            }
+            Object.keys(boss.phases).forEach(key => {
+                const phasePath = `${path}.phases.${key}`;
+                const phase = boss.phases[key];
+
+                if (!WaveScript.isPositiveInteger(Number(key)) || Number(key) < 2) {
+                    errors.push(`${phasePath}: phase keys must be whole numbers from 2 up (phase 1 is the boss at full health)`);
+                }
+                if (!WaveScript.isPlainObject(phase)) {
+                    errors.push(`${phasePath} must be an object`);
+                    return;
+                }
+                WaveScript.checkUnknownFields(phase, PHASE_FIELDS, phasePath, errors);
+
+                if (phase.healthThreshold !== undefined &&
+                    !(WaveScript.isNumber(phase.healthThreshold) && phase.healthThreshold > 0 && phase.healthThreshold < 1)) {
+                    errors.push(`${phasePath}.healthThreshold must be a fraction of max health between 0 and 1`);
+                }
+                if (phase.speedMultiplier !== undefined && !WaveScript.isPositiveNumber(phase.speedMultiplier)) {
+                    errors.push(`${phasePath}.speedMultiplier must be a number > 0`);
+                }
+                if (phase.abilities !== undefined &&
+                    !(Array.isArray(phase.abilities) && phase.abilities.every(ability => typeof ability === 'string'))) {
+                    errors.push(`${phasePath}.abilities must be an array of ability names`);
+                } else if (phase.abilities !== undefined && typeof BossAbilities !== 'undefined') {
+                    phase.abilities.filter(ability => !BossAbilities.get(ability)).forEach(ability => {
+                        errors.push(`${phasePath}.abilities: ${ability} is not a boss ability (expected one of: ${BossAbilities.getNames().join(', ')})`);
+                    });
+                }
+            });
+        }
+    }
+
+    static validateSpawnStats(entry, path, errors) {
+        if (entry.health !== undefined && !WaveScript.isPositiveNumber(entry.health)) {
+            errors.push(`${path}.health must be a number > 0`);
+        }
+        if (entry.speed !== undefined && !WaveScript.isPositiveNumber(entry.speed)) {
+            errors.push(`${path}.speed must be a number > 0`);
+        }
+        if (entry.spawnPoint !== undefined && !(Number.isInteger(entry.spawnPoint) && entry.spawnPoint >= 0)) {
+            errors.push(`${path}.spawnPoint must be a spawn point index >= 0`);
+        }
+        if (entry.lane !== undefined && !(Number.isInteger(entry.lane) && entry.lane >= 0)) {
+            errors.push(`${path}.lane must be a lane index >= 0`);
+        }
+    }
+
+    static validateBranch(branch, path, library, inLibrary, errors) {
+        if (!WaveScript.isPlainObject(branch)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        WaveScript.checkUnknownFields(branch, ['if', 'addGroups', 'insertWave'], path, errors);
+
+        if (!WaveScript.isPlainObject(branch.if) || Object.keys(branch.if).length === 0) {
+            errors.push(`${path}.if must be a condition such as { "defenses": { "gt": 10 } }`);
+        } else {
+            Object.keys(branch.if).forEach(metric => {
+                const conditionPath = `${path}.if.${metric}`;
+                if (!WAVE_CONDITION_METRICS.includes(metric)) {
+                    errors.push(`${conditionPath} is not a known metric (expected one of: ${WAVE_CONDITION_METRICS.join(', ')})`);
+                }
+
+                const comparison = branch.if[metric];
+                if (!WaveScript.isPlainObject(comparison) || Object.keys(comparison).length === 0) {
+                    errors.push(`${conditionPath} must compare with an operator, e.g. { "gt": 10 }`);
+                    return;
+                }
+                Object.keys(comparison).forEach(operator => {
+                    if (!WAVE_CONDITION_OPERATORS[operator]) {
+                        errors.push(`${conditionPath}.${operator} is not a known operator (expected one of: ${Object.keys(WAVE_CONDITION_OPERATORS).join(', ')})`);
+                    } else if (!WaveScript.isNumber(comparison[operator])) {
+                        errors.push(`${conditionPath}.${operator} must be a number`);
+                    }
+                });
+            });
+        }
+
+        if (!branch.addGroups && !branch.insertWave) {
+            errors.push(`${path} must name a library wave in addGroups or insertWave`);
+        }
+
+        ['addGroups', 'insertWave'].forEach(action => {
+            const id = branch[action];
+            if (id === undefined) return;
+
+            if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(library, id)) {
+                errors.push(`${path}.${action} "${id}" does not match any wave in library`);
+            }
+        });
+
+        // Inserted waves could keep inserting themselves forever
+        if (inLibrary && branch.insertWave !== undefined) {
+            errors.push(`${path}.insertWave is not allowed inside library waves`);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveScript, WAVE_MODIFIERS, WAVE_SCRIPT_FORMAT, WAVE_SCRIPT_VERSION };
+} else {
+    window.WaveScript = WaveScript;
+    window.WAVE_MODIFIERS = WAVE_MODIFIERS;
+}
@@ -0,0 +1,342 @@
+// Built-in wave scripts for the campaign levels, keyed by level number. Each
+// entry is plain JSON in the format documented in js/waveScript.js, so a level
+// can be rebalanced (or replaced with LevelManager.setWaveScript()) without
+// touching code. Levels without an entry fall back to level 1.
+
+const WAVE_SCRIPTS = {
+    1: {
+        "format": "dharmapala_waves",
+        "version": 1,
+        "name": "Meditation Garden",
+        "waves": [
+            {
+                "id": "wave1",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 5, "interval": 3000, "health": 25, "speed": 0.4, "reward": 10 },
+                    { "type": "federalAgent", "count": 4, "interval": 4000, "delay": 1500, "health": 37.5, "speed": 0.32, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 4, "interval": 3600, "delay": 2000, "health": 37.5, "speed": 0.4, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 3, "interval": 5000, "delay": 1800, "health": 60, "speed": 0.36, "reward": 18 },
+                    { "type": "quantumHacker", "count": 2, "interval": 6000, "delay": 2500, "health": 100, "speed": 0.28, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 1, "interval": 8000, "delay": 3000, "health": 75, "speed": 0.24, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave2",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 27.5, "speed": 0.405, "reward": 10 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 41.3, "speed": 0.324, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 5, "interval": 3600, "delay": 2000, "health": 41.3, "speed": 0.405, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 66, "speed": 0.364, "reward": 18 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 110, "speed": 0.283, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 82.5, "speed": 0.243, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave3",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 30.3, "speed": 0.41, "reward": 10 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 45.4, "speed": 0.328, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 5, "interval": 3600, "delay": 2000, "health": 45.4, "speed": 0.41, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 72.6, "speed": 0.369, "reward": 18 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 121, "speed": 0.287, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 90.8, "speed": 0.246, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave4",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 7, "interval": 3000, "health": 33.3, "speed": 0.415, "reward": 10 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 49.9, "speed": 0.332, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 6, "interval": 3600, "delay": 2000, "health": 49.9, "speed": 0.415, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 79.9, "speed": 0.373, "reward": 18 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 133.1, "speed": 0.29, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 99.8, "speed": 0.249, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave5-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "raidTeam", "health": 250, "speed": 0.28, "reward": { "dharma": 100, "bandwidth": 10, "anonymity": 5 } }
+                ]
+            },
+            {
+                "id": "wave6",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 40.3, "speed": 0.425, "reward": 10 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 60.4, "speed": 0.34, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 6, "interval": 3600, "delay": 2000, "health": 60.4, "speed": 0.425, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 5, "interval": 5000, "delay": 1800, "health": 96.6, "speed": 0.382, "reward": 18 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 161.1, "speed": 0.297, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 120.8, "speed": 0.255, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave7",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 44.3, "speed": 0.43, "reward": 10 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 66.4, "speed": 0.344, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 7, "interval": 3600, "delay": 2000, "health": 66.4, "speed": 0.43, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 5, "interval": 5000, "delay": 1800, "health": 106.3, "speed": 0.387, "reward": 18 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 177.2, "speed": 0.301, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 132.9, "speed": 0.258, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave8",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 48.7, "speed": 0.435, "reward": 10 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 73.1, "speed": 0.348, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 7, "interval": 3600, "delay": 2000, "health": 73.1, "speed": 0.435, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 6, "interval": 5000, "delay": 1800, "health": 116.9, "speed": 0.391, "reward": 18 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 194.9, "speed": 0.304, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 146.2, "speed": 0.261, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave9",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 53.6, "speed": 0.44, "reward": 10 },
+                    { "type": "federalAgent", "count": 8, "interval": 4000, "delay": 1500, "health": 80.4, "speed": 0.352, "reward": 15 },
+                    { "type": "corporateSaboteur", "count": 8, "interval": 3600, "delay": 2000, "health": 80.4, "speed": 0.44, "reward": 12 },
+                    { "type": "aiSurveillance", "count": 6, "interval": 5000, "delay": 1800, "health": 128.6, "speed": 0.396, "reward": 18 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 214.4, "speed": 0.308, "reward": 25 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 160.8, "speed": 0.264, "reward": 20 }
+                ]
+            },
+            {
+                "id": "wave10-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "corruptedMonk", "health": 250, "speed": 0.28, "reward": { "dharma": 100, "bandwidth": 10, "anonymity": 5 } }
+                ]
+            }
+        ]
+    },
+
+    2: {
+        "format": "dharmapala_waves",
+        "version": 1,
+        "name": "Temple Servers",
+        "waves": [
+            {
+                "id": "wave1",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 5, "interval": 3000, "health": 150, "speed": 1.1, "reward": 18 },
+                    { "type": "federalAgent", "count": 4, "interval": 4000, "delay": 1500, "health": 225, "speed": 0.88, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 4, "interval": 3600, "delay": 2000, "health": 225, "speed": 1.1, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 3, "interval": 5000, "delay": 1800, "health": 360, "speed": 0.99, "reward": 33 },
+                    { "type": "quantumHacker", "count": 2, "interval": 6000, "delay": 2500, "health": 600, "speed": 0.77, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 1, "interval": 8000, "delay": 3000, "health": 450, "speed": 0.66, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave2",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 165, "speed": 1.113, "reward": 18 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 247.5, "speed": 0.891, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 5, "interval": 3600, "delay": 2000, "health": 247.5, "speed": 1.113, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 396, "speed": 1.002, "reward": 33 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 660, "speed": 0.779, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 495, "speed": 0.668, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave3",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 181.5, "speed": 1.127, "reward": 18 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 272.3, "speed": 0.901, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 5, "interval": 3600, "delay": 2000, "health": 272.3, "speed": 1.127, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 435.6, "speed": 1.014, "reward": 33 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 726, "speed": 0.789, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 544.5, "speed": 0.676, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave4",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 7, "interval": 3000, "health": 199.7, "speed": 1.14, "reward": 18 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 299.5, "speed": 0.912, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 6, "interval": 3600, "delay": 2000, "health": 299.5, "speed": 1.14, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 4, "interval": 5000, "delay": 1800, "health": 479.2, "speed": 1.026, "reward": 33 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 798.6, "speed": 0.798, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 599, "speed": 0.684, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave5-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "raidTeam", "health": 1800, "speed": 0.77, "reward": { "dharma": 150, "bandwidth": 15, "anonymity": 7 } }
+                ]
+            },
+            {
+                "id": "wave6",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 241.6, "speed": 1.168, "reward": 18 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 362.4, "speed": 0.934, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 6, "interval": 3600, "delay": 2000, "health": 362.4, "speed": 1.168, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 5, "interval": 5000, "delay": 1800, "health": 579.8, "speed": 1.051, "reward": 33 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 966.3, "speed": 0.817, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 724.7, "speed": 0.701, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave7",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 265.7, "speed": 1.182, "reward": 18 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 398.6, "speed": 0.945, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 7, "interval": 3600, "delay": 2000, "health": 398.6, "speed": 1.182, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 5, "interval": 5000, "delay": 1800, "health": 637.8, "speed": 1.063, "reward": 33 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1062.9, "speed": 0.827, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 797.2, "speed": 0.709, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave8",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 292.3, "speed": 1.196, "reward": 18 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 438.5, "speed": 0.957, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 7, "interval": 3600, "delay": 2000, "health": 438.5, "speed": 1.196, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 6, "interval": 5000, "delay": 1800, "health": 701.5, "speed": 1.076, "reward": 33 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1169.2, "speed": 0.837, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 876.9, "speed": 0.717, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave9",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 321.5, "speed": 1.21, "reward": 18 },
+                    { "type": "federalAgent", "count": 8, "interval": 4000, "delay": 1500, "health": 482.3, "speed": 0.968, "reward": 27 },
+                    { "type": "corporateSaboteur", "count": 8, "interval": 3600, "delay": 2000, "health": 482.3, "speed": 1.21, "reward": 22 },
+                    { "type": "aiSurveillance", "count": 6, "interval": 5000, "delay": 1800, "health": 771.7, "speed": 1.089, "reward": 33 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1286.2, "speed": 0.847, "reward": 45 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 964.6, "speed": 0.726, "reward": 36 }
+                ]
+            },
+            {
+                "id": "wave10-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "corruptedMonk", "health": 1800, "speed": 0.77, "reward": { "dharma": 150, "bandwidth": 15, "anonymity": 7 } }
+                ]
+            }
+        ]
+    },
+
+    3: {
+        "format": "dharmapala_waves",
+        "version": 1,
+        "name": "Cyber Monastery",
+        "waves": [
+            {
+                "id": "wave1",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 5, "interval": 3000, "health": 200, "speed": 1.2, "reward": 28 },
+                    { "type": "federalAgent", "count": 4, "interval": 4000, "delay": 1500, "health": 300, "speed": 0.96, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 4, "interval": 3600, "delay": 2000, "health": 300, "speed": 1.2, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 3, "interval": 5000, "delay": 1800, "health": 480, "speed": 1.08, "reward": 51 },
+                    { "type": "quantumHacker", "count": 2, "interval": 6000, "delay": 2500, "health": 800, "speed": 0.84, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 1, "interval": 8000, "delay": 3000, "health": 600, "speed": 0.72, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave2",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 220, "speed": 1.214, "reward": 28 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 330, "speed": 0.972, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 5, "interval": 3600, "delay": 2000, "health": 330, "speed": 1.214, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 4, "interval": 5000, "delay": 1800, "health": 528, "speed": 1.093, "reward": 51 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 880, "speed": 0.85, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 660, "speed": 0.729, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave3",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 6, "interval": 3000, "health": 242, "speed": 1.229, "reward": 28 },
+                    { "type": "federalAgent", "count": 5, "interval": 4000, "delay": 1500, "health": 363, "speed": 0.983, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 5, "interval": 3600, "delay": 2000, "health": 363, "speed": 1.229, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 4, "interval": 5000, "delay": 1800, "health": 580.8, "speed": 1.106, "reward": 51 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 968, "speed": 0.86, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 726, "speed": 0.737, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave4",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 7, "interval": 3000, "health": 266.2, "speed": 1.244, "reward": 28 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 399.3, "speed": 0.995, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 6, "interval": 3600, "delay": 2000, "health": 399.3, "speed": 1.244, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 4, "interval": 5000, "delay": 1800, "health": 638.9, "speed": 1.119, "reward": 51 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 1064.8, "speed": 0.871, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 798.6, "speed": 0.746, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave5-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "raidTeam", "health": 2800, "speed": 0.84, "reward": { "dharma": 200, "bandwidth": 20, "anonymity": 10 } }
+                ]
+            },
+            {
+                "id": "wave6",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 322.1, "speed": 1.274, "reward": 28 },
+                    { "type": "federalAgent", "count": 6, "interval": 4000, "delay": 1500, "health": 483.2, "speed": 1.019, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 6, "interval": 3600, "delay": 2000, "health": 483.2, "speed": 1.274, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 5, "interval": 5000, "delay": 1800, "health": 773, "speed": 1.146, "reward": 51 },
+                    { "type": "quantumHacker", "count": 3, "interval": 6000, "delay": 2500, "health": 1288.4, "speed": 0.892, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 966.3, "speed": 0.764, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave7",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 8, "interval": 3000, "health": 354.3, "speed": 1.289, "reward": 28 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 531.5, "speed": 1.031, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 7, "interval": 3600, "delay": 2000, "health": 531.5, "speed": 1.289, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 5, "interval": 5000, "delay": 1800, "health": 850.3, "speed": 1.16, "reward": 51 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1417.2, "speed": 0.902, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 1062.9, "speed": 0.773, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave8",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 389.7, "speed": 1.305, "reward": 28 },
+                    { "type": "federalAgent", "count": 7, "interval": 4000, "delay": 1500, "health": 584.6, "speed": 1.044, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 7, "interval": 3600, "delay": 2000, "health": 584.6, "speed": 1.305, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 6, "interval": 5000, "delay": 1800, "health": 935.4, "speed": 1.174, "reward": 51 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1559, "speed": 0.913, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 1169.2, "speed": 0.783, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave9",
+                "groups": [
+                    { "type": "scriptKiddie", "count": 9, "interval": 3000, "health": 428.7, "speed": 1.32, "reward": 28 },
+                    { "type": "federalAgent", "count": 8, "interval": 4000, "delay": 1500, "health": 643.1, "speed": 1.056, "reward": 42 },
+                    { "type": "corporateSaboteur", "lane": 1, "count": 8, "interval": 3600, "delay": 2000, "health": 643.1, "speed": 1.32, "reward": 34 },
+                    { "type": "aiSurveillance", "lane": 1, "count": 6, "interval": 5000, "delay": 1800, "health": 1028.9, "speed": 1.188, "reward": 51 },
+                    { "type": "quantumHacker", "count": 4, "interval": 6000, "delay": 2500, "health": 1714.9, "speed": 0.924, "reward": 70 },
+                    { "type": "corruptedMonk", "count": 2, "interval": 8000, "delay": 3000, "health": 1286.2, "speed": 0.792, "reward": 56 }
+                ]
+            },
+            {
+                "id": "wave10-boss",
+                "groups": [],
+                "bosses": [
+                    { "type": "corruptedMonk", "health": 2800, "speed": 0.84, "reward": { "dharma": 200, "bandwidth": 20, "anonymity": 10 } }
+                ]
+            }
+        ]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WAVE_SCRIPTS;
+} else {
+    window.WAVE_SCRIPTS = WAVE_SCRIPTS;
+}
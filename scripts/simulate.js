@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Headless balance runner: plays levels from scripted defense layouts under
+// Node (no canvas, no DOM) and prints a JSON array with one summary per run.
+//
+//   npm run simulate -- scripts/layouts/level1-firewalls.json
+//   node scripts/simulate.js layouts/*.json --seeds 1-50 > results.json
+//
+// A layout file holds one layout object or an array of them; the fields are
+// documented in js/HeadlessRunner.js.
+//
+// Options:
+//   --seeds <a-b|a,b,c>  run every layout once per seed (overrides layout.seed)
+//   --level <n>          override layout.level
+//   --difficulty <id>    override layout.difficulty's preset (CONFIG.DIFFICULTY_PRESETS)
+//   --mutators <a,b>     override layout.difficulty's mutators (CONFIG.MUTATORS)
+//   --endless <seed>     play an endless run with this seed (see js/endless.js);
+//                        pair with --max-waves to stop it
+//   --max-waves <n>      override layout.maxWaves
+//   --verbose            keep the game's console logging (on stderr)
+
+import { readFileSync } from 'node:fs';
+
+function parseSeeds(value) {
+    if (value.includes('-')) {
+        const [from, to] = value.split('-').map(Number);
+        return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    }
+    return value.split(',').map(Number);
+}
+
+function parseArgs(argv) {
+    const options = { files: [], seeds: null, level: null, preset: null, mutators: null, endless: null, maxWaves: null, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seeds') {
+            options.seeds = parseSeeds(argv[++i] || '');
+        } else if (arg === '--level') {
+            options.level = Number(argv[++i]);
+        } else if (arg === '--difficulty') {
+            options.preset = argv[++i];
+        } else if (arg === '--mutators') {
+            options.mutators = (argv[++i] || '').split(',').filter(Boolean);
+        } else if (arg === '--endless') {
+            options.endless = Number(argv[++i]);
+        } else if (arg === '--max-waves') {
+            options.maxWaves = Number(argv[++i]);
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// The game scripts read a handful of browser globals at load time
+function installBrowserGlobals() {
+    globalThis.window = globalThis;
+    window.innerWidth = 1200;
+    window.innerHeight = 800;
+    if (!globalThis.navigator) {
+        globalThis.navigator = { maxTouchPoints: 0 };
+    }
+}
+
+async function loadHeadlessRunner() {
+    // Global-style scripts register themselves on window, so order matters
+    for (const file of ['config.js', 'simulation.js', 'damageTypes.js', 'statusEffects.js', 'upgradeTrees.js', 'defenseAbilities.js', 'synergies.js', 'targeting.js', 'economy.js', 'difficulty.js', 'enemy.js', 'enemyBehaviors.js', 'bossTelegraphs.js', 'bossAbilities.js', 'bossDefinitions.js', 'bossEncounters.js', 'Boss.js', 'waveScript.js', 'waveScripts.js', 'endless.js', 'pathfinding.js', 'level.js']) {
+        await import(`../js/${file}`);
+    }
+    return (await import('../js/HeadlessRunner.js')).default;
+}
+
+function loadLayouts(options) {
+    const layouts = [];
+
+    for (const file of options.files) {
+        const parsed = JSON.parse(readFileSync(file, 'utf8'));
+        for (const layout of Array.isArray(parsed) ? parsed : [parsed]) {
+            const base = { ...layout, name: layout.name || file };
+            if (options.level) base.level = options.level;
+            if (options.endless !== null) base.endless = options.endless;
+            if (options.maxWaves) base.maxWaves = options.maxWaves;
+            if (options.preset || options.mutators) {
+                base.difficulty = {
+                    ...base.difficulty,
+                    ...(options.preset ? { preset: options.preset } : {}),
+                    ...(options.mutators ? { mutators: options.mutators } : {})
+                };
+            }
+
+            if (options.seeds) {
+                options.seeds.forEach(seed => layouts.push({ ...base, seed }));
+            } else {
+                layouts.push(base);
+            }
+        }
+    }
+
+    return layouts;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.files.length === 0) {
+        console.error('Usage: node scripts/simulate.js <layout.json>... [--seeds 1-20] [--level n] [--difficulty id] [--mutators a,b] [--endless seed] [--max-waves n] [--verbose]');
+        process.exit(1);
+    }
+
+    // stdout is reserved for the JSON summary
+    if (options.verbose) {
+        console.log = console.warn = (...args) => console.error(...args);
+    } else {
+        console.log = console.warn = () => {};
+    }
+
+    installBrowserGlobals();
+    const HeadlessRunner = await loadHeadlessRunner();
+
+    const results = loadLayouts(options).map(layout => ({
+        name: layout.name,
+        ...new HeadlessRunner(layout).run()
+    }));
+
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+}
+
+main().catch(error => {
+    console.error('[simulate] Run failed:', error);
+    process.exit(1);
+});